@@ -0,0 +1,56 @@
+'use strict';
+
+/* Module imports */
+const net = require('net'); // add the node net module to tell ip addresses from host names
+/**********************************************************************/
+
+class ChallengeAddress {
+/* 
+* Ip address class for a Node.js Socket Client Coding Challenge. Turns IPv4 and IPv6 addresses into the bytes
+* they stand for, for the classes which have to write an address out in binary (the SOCKS5 connect request and
+* the ip addresses in a certificate). IPv6 addresses can be written with a :: for a run of zero groups, with an
+* IPv4 address as the last two groups (e.g. ::ffff:1.2.3.4) and with a zone id (e.g. fe80::1%eth0), which
+* isn't part of the address bytes.
+*/
+
+  constructor() {
+  /// <summary>ChallengeAddress class constructor</summary>  
+  /// <returns type="Object">ChallengeAddress instance</returns>  
+
+  }
+
+  bytes(ip) {
+  /* 
+  * Gets the bytes of an ip address, 4 for an IPv4 address and 16 for an IPv6 one. Anything else is taken to be
+  * a host name, which has no address bytes.
+  */
+  /// <summary>Get the bytes of an ip address</summary>  
+  /// <param name="ip" type="String">The ip address or a host name</param>  
+  /// <returns type="Object">Address Buffer, or null for a host name</returns>  
+
+    if (net.isIPv4(ip)) {
+      return Buffer.from(ip.split('.').map(Number));
+    }
+    if (!net.isIPv6(ip)) {
+      return null;
+    }
+
+    // a trailing IPv4 address is written out as the two groups it stands for, so every group is hex
+    let text = ip.replace(/%.*$/, '').replace(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/, (match, a, b, c, d) => {
+      return (Number(a) * 256 + Number(b)).toString(16) + ':' + (Number(c) * 256 + Number(d)).toString(16);
+    });
+
+    let halves = text.split('::').map(half => (half.length > 0 ? half.split(':') : []));
+    let groups = (halves.length === 1 ? halves[0] :
+      halves[0].concat(new Array(8 - halves[0].length - halves[1].length).fill('0'), halves[1]));
+    let bytes = Buffer.alloc(16);
+
+    groups.forEach((group, ndx) => bytes.writeUInt16BE(parseInt(group, 16), ndx * 2));
+
+    return bytes;
+
+  }
+
+}
+
+module.exports = ChallengeAddress;
\ No newline at end of file
@@ -0,0 +1,263 @@
+'use strict';
+
+/* Module imports */
+const fs = require('fs'); // add the filesystem module for reading command files
+const ChallengeCommands = require('./challengecommands.js'); // command grammar class
+/**********************************************************************/
+
+class ChallengeBatch {
+/* 
+* Batch processing class for a Node.js Socket Client Coding Challenge. Runs a list of app commands in order
+* against a single server login without any user interaction, for use from scripts, cron jobs and shell
+* pipelines. Commands are parsed against a ChallengeCommands grammar of the commands which make sense without
+* a user, with the same names and aliases as the ui (e.g. c for count). Each command result is written as a
+* single line of JSON, e.g.
+*   {"seq":1,"command":"count","ok":true,"result":{"count":12}}
+*   {"seq":2,"command":"bogus","ok":false,"error":"Command \"bogus\" not recognized"}
+* and the run finishes with an exit code for the process: 0 if every command succeeded, 1 if any command
+* failed and 2 if the login itself failed.
+*/
+
+  constructor(conn, output) {
+  /// <summary>ChallengeBatch class constructor</summary>  
+  /// <param name="conn" type="Object">ChallengeConnection instance to run the commands on</param>  
+  /// <param name="output" type="Object">(Optional) Writable stream for the results, defaults to stdout</param>  
+  /// <returns type="Object">ChallengeBatch instance</returns>  
+
+    // process exit codes for the batch outcome
+    this.EXIT_OK = 0;
+    this.EXIT_CMDFAILED = 1;
+    this.EXIT_LOGINFAILED = 2;
+
+    // This is the actual instance initialization code
+    this._conn = conn;
+    this._output = (output != null ? output : process.stdout);
+
+    // batch command ids
+    this.CMD_COUNT = 0;
+    this.CMD_TIME = 1;
+    this.CMD_STATUS = 2;
+    this.CMD_QUIT = 3;
+
+    this._commands = new ChallengeCommands(); // batch command grammar
+    this._commands.define({
+      id: this.CMD_COUNT,
+      name: 'count',
+      aliases: ['c'],
+      help: 'Get the cumulative count of requests the server has received'
+    });
+    this._commands.define({
+      id: this.CMD_TIME,
+      name: 'time',
+      aliases: ['t'],
+      help: 'Get the server time and a random number'
+    });
+    this._commands.define({
+      id: this.CMD_STATUS,
+      name: 'status',
+      aliases: ['st'],
+      help: 'Get the server connection diagnostics'
+    });
+    this._commands.define({
+      id: this.CMD_QUIT,
+      name: 'quit',
+      aliases: ['q', 'exit'],
+      help: 'End the batch without running the commands after it'
+    });
+
+    // the connection requests which carry out the batch commands, by command id
+    this._requests = [];
+    this._requests[this.CMD_COUNT] = () => this._conn.getRequestCount({retry: true});
+    this._requests[this.CMD_TIME] = () => this._conn.getTime({retry: true});
+    this._requests[this.CMD_STATUS] = () => Promise.resolve(this._conn.getStatus());
+
+  }
+
+  loadCommands(source) {
+  /* 
+  * Gets the batch command text from the first source specified: a command string, a command file or the
+  * provided input stream (normally piped stdin), which is read until it ends.
+  */
+  /// <summary>Load the batch command text</summary>  
+  /// <param name="source" type="Object">Command sources - command: command string, file: command file path, input: readable stream</param>  
+  /// <returns type="String" value="Promise">The batch command text</returns>  
+
+    return new Promise((resolve, reject) => {
+
+      if (source.command != null) {
+        resolve(source.command);
+      } else if (source.file != null) {
+        fs.readFile(source.file, 'utf8', (err, text) => {
+          if (err != null) {
+            reject(err);
+          } else {
+            resolve(text);
+          }
+        });
+      } else {
+        let text = '';
+        source.input.setEncoding('utf8');
+        source.input.on('data', chunk => {
+          text += chunk;
+        });
+        source.input.on('end', () => resolve(text));
+        source.input.on('error', reject);
+      }
+
+    });
+
+  }
+
+  parseCommands(text) {
+  /* 
+  * Splits batch command text into the individual commands. Commands are separated by semicolons or newlines,
+  * and blank lines and lines starting with # are ignored.
+  */
+  /// <summary>Split batch command text into commands</summary>  
+  /// <param name="text" type="String">The batch command text</param>  
+  /// <returns type="Array">The command strings</returns>  
+
+    return text.split('\n')
+      .filter(line => line.trim().charAt(0) !== '#')
+      .join(';')
+      .split(';')
+      .map(cmd => cmd.trim())
+      .filter(cmd => cmd.length > 0);
+
+  }
+
+  run(commands) {
+  /* 
+  * Logs in to the server and runs the commands in order, writing the result of each as it completes. A quit
+  * command ends the batch without running any commands after it. The connection is left logged in so the
+  * caller can log out and end the process.
+  */
+  /// <summary>Run a list of commands</summary>  
+  /// <param name="commands" type="Array">The command strings</param>  
+  /// <returns type="Number" value="Promise">Process exit code for the batch outcome</returns>  
+
+    return this._conn.login().then(() => {
+
+      let failed = false;
+      let seq = 0;
+
+      // run the commands one after another by chaining each onto the one before
+      let chain = Promise.resolve(false);
+      commands.forEach(cmd => {
+        chain = chain.then(quit => {
+          if (quit) {
+            return true;
+          }
+          seq++;
+          // a blank command is no command the grammar knows of
+          let parsed = this._commands.parse(cmd);
+          parsed = (parsed !== null ? parsed : {error: 'unknown', word: cmd});
+          return this._runCmd(seq, cmd, parsed).then(result => {
+            failed = failed || !result.ok;
+            this._write(result);
+            return (result.ok && parsed.cmd.type === this.CMD_QUIT);
+          });
+        });
+      });
+
+      return chain.then(() => (failed ? this.EXIT_CMDFAILED : this.EXIT_OK));
+
+    }, err => {
+
+      this._write({seq: 0, command: 'login', ok: false, error: this._errText(err)});
+      return this.EXIT_LOGINFAILED;
+
+    });
+
+  }
+
+  _runCmd(seq, cmd, parsed) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Runs a single parsed command and describes its outcome. Command failures, including commands which didn't
+  * parse, are reported in the outcome rather than rejected so that the batch carries on with the next command.
+  */
+  /// <summary>Run a single batch command</summary>  
+  /// <param name="seq" type="Number">Position of the command in the batch</param>  
+  /// <param name="cmd" type="String">The command string</param>  
+  /// <param name="parsed" type="Object">The command parsed by the batch command grammar</param>  
+  /// <returns type="Object" value="Promise">The command outcome</returns>  
+
+    if (parsed.cmd == null) {
+      return Promise.resolve({seq: seq, command: cmd, ok: false, error: this._parseErrText(parsed)});
+    }
+
+    if (parsed.cmd.type === this.CMD_QUIT) {
+      return Promise.resolve({seq: seq, command: cmd, ok: true, result: null});
+    }
+
+    return this._requests[parsed.cmd.type]().then(result => {
+      return {seq: seq, command: cmd, ok: true, result: result};
+    }, err => {
+      return {seq: seq, command: cmd, ok: false, error: this._errText(err)};
+    });
+
+  }
+
+  _parseErrText(parsed) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Gets the text for a command which the batch command grammar couldn't parse, worded as the ui words it.
+  */
+  /// <summary>Get the text of a command parse error</summary>  
+  /// <param name="parsed" type="Object">Error description from the command grammar</param>  
+  /// <returns type="String">Error text</returns>  
+
+    switch (parsed.error) {
+
+      case 'missing':
+        return `Command "${parsed.def.name}" is missing argument "${parsed.arg.name}"`;
+
+      case 'extra':
+        return `Command "${parsed.def.name}" does not take argument "${parsed.word}"`;
+
+      case 'badtype':
+        return `Argument "${parsed.arg.name}" of command "${parsed.def.name}" must be a ${parsed.arg.type}, not "${parsed.word}"`;
+
+      default:
+        return `Command "${parsed.word}" not recognized`;
+
+    }
+
+  }
+
+  _errText(err) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Gets the text of an error, which may be an Error, a connection {err} object or just a string.
+  */
+  /// <summary>Get the text of an error</summary>  
+  /// <param name="err" type="Object">The error</param>  
+  /// <returns type="String">Error text</returns>  
+
+    if (err instanceof Error) {
+      return err.message;
+    }
+    if (err != null && err.err != null) {
+      return String(err.err);
+    }
+
+    return String(err);
+
+  }
+
+  _write(result) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Writes a command outcome to the output as a line of JSON.
+  */
+  /// <summary>Write a command outcome</summary>  
+  /// <param name="result" type="Object">The command outcome</param>  
+
+    this._output.write(JSON.stringify(result) + '\n');
+
+  }
+
+}
+
+module.exports = ChallengeBatch;
\ No newline at end of file
@@ -0,0 +1,284 @@
+'use strict';
+/* 
+* This is the node startup module for the load testing tool of a Node.js Socket Client Coding Challenge. It runs a
+* ChallengeLoad with many concurrent sessions, each logged in under its own name (the user prefix and session
+* number), making a mix of count and time requests at a target rate for a set duration, then prints how each
+* session and all of them together fared: throughput, latency percentiles, timeouts, resets and reconnect times.
+* Usage:
+*   node challengebench.js [options] [app options]
+* The server and connection settings are the app's own (see ChallengeConfig), so the host, port, TLS, proxy,
+* endpoints, timeouts and so on are given just as they are for the app. Use --help to list the load options.
+*/
+
+/* Module imports */
+const fs = require('fs'); // add the filesystem module for file i/o
+const ChallengeLoad = require('./challengeload.js'); // load generator class
+const ChallengeConfig = require('./challengeconfig.js'); // app configuration class for the connection settings
+const ChallengeLog = require('./challengelog.js'); // app logging class
+/**********************************************************************/
+
+const options = parseArgs(process.argv.slice(2));
+const configLoader = new ChallengeConfig();
+const config = loadConfig(options.appArgs);
+
+run();
+
+function run() {
+/* 
+* Runs the load, then prints the report as a table or as JSON. The tool ends with exit code 2 if any session
+* couldn't log in, otherwise 0.
+*/
+/// <summary>Run the load test</summary>  
+
+    let load = null;
+
+    try {
+        load = new ChallengeLoad({
+            sessions: options.sessions,
+            rate: options.rate,
+            duration: options.duration,
+            mix: options.mix,
+            userPrefix: options.userPrefix,
+            port: config.port,
+            ip: config.host,
+            connection: Object.assign(configLoader.connectionOptions(config), {
+                log: new ChallengeLog(config.logFile, configLoader.logOptions(config))
+            })
+        });
+    }
+    catch(err) {
+        console.log(err.message);
+        console.log(`Use --help to list the available options`);
+        process.exit(1);
+    }
+
+    if (!options.json) {
+        console.log(`Running ${options.sessions} sessions at ${options.rate} requests/s for ${options.duration} ms...`);
+    }
+
+    load.run().then(report => {
+
+        if (options.jsonFile !== null) {
+            try {
+                fs.writeFileSync(options.jsonFile, JSON.stringify(report, null, 2) + '\n');
+            }
+            catch(err) {
+                console.error(`Could not write report file ${options.jsonFile}: ${err.message}`);
+            }
+        }
+
+        if (options.json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            printReport(report);
+        }
+
+        process.exit(report.total.loginFailures > 0 ? 2 : 0);
+
+    }).catch(err => {
+        console.error(`Load run failed: ${(err != null && err.message != null ? err.message : err)}`);
+        process.exit(1);
+    });
+
+}
+
+function printReport(report) {
+/* 
+* Prints a row for each session and one for the total, then the login failures.
+*/
+/// <summary>Print the load report as a table</summary>  
+/// <param name="report" type="Object">The report from ChallengeLoad</param>  
+
+    let ms = value => (value !== null ? String(value) : '-');
+    let columns = [
+        {title: 'session', value: row => row.name},
+        {title: 'sent', value: row => String(row.sent)},
+        {title: 'ok', value: row => String(row.ok)},
+        {title: 'timeout', value: row => String(row.timeouts)},
+        {title: 'failed', value: row => String(row.sent - row.ok - row.timeouts)},
+        {title: 'req/s', value: row => (row.throughput !== null ? row.throughput.toFixed(2) : '-')},
+        {title: 'min', value: row => ms(row.latency.min)},
+        {title: 'mean', value: row => ms(row.latency.mean)},
+        {title: 'p50', value: row => ms(row.latency.p50)},
+        {title: 'p90', value: row => ms(row.latency.p90)},
+        {title: 'p99', value: row => ms(row.latency.p99)},
+        {title: 'max', value: row => ms(row.latency.max)},
+        {title: 'resets', value: row => String(row.resets)},
+        {title: 'reconn mean', value: row => ms(row.reconnect.mean)},
+        {title: 'reconn max', value: row => ms(row.reconnect.max)}
+    ];
+
+    let rows = report.sessions.concat([Object.assign({name: 'total'}, report.total)]).map(row => columns.map(column => column.value(row)));
+    let widths = columns.map((column, ndx) => Math.max.apply(null, [column.title.length].concat(rows.map(row => row[ndx].length))));
+    let format = cells => cells.map((cell, ndx) => (ndx === 0 ? cell.padEnd(widths[ndx]) : cell.padStart(widths[ndx]))).join('  ');
+
+    console.log('');
+    console.log(format(columns.map(column => column.title)));
+    rows.forEach((row, ndx) => {
+        // the total is set apart from the sessions
+        if (ndx === rows.length - 1) {
+            console.log(widths.map(width => '-'.repeat(width)).join('  '));
+        }
+        console.log(format(row));
+    });
+
+    console.log('');
+    console.log(`Latencies and reconnect times in ms over ${report.elapsed} ms. Outcomes: ` +
+        (Object.keys(report.total.outcomes).map(outcome => `${outcome} ${report.total.outcomes[outcome]}`).join(', ') || 'none'));
+
+    report.sessions.filter(session => session.loginError !== null).forEach(session => {
+        console.log(`${session.name} could not login: ${session.loginError}`);
+    });
+
+}
+
+function loadConfig(argv) {
+/* 
+* Loads the app configuration for the connection settings, showing the problem and ending the tool if it can't
+* be used.
+*/
+/// <summary>Load the app configuration</summary>  
+/// <param name="argv" type="Array">The app options from the command line</param>  
+/// <returns type="Object">The app settings</returns>  
+
+    try {
+        return configLoader.load(argv);
+    }
+    catch(err) {
+        console.log(err.message);
+        console.log(`Use --help to list the available options`);
+        process.exit(1);
+    }
+
+}
+
+function parseMix(value) {
+/* 
+* Parses a request mix given on the command line as type=weight pairs, e.g. count=3,time=1.
+*/
+/// <summary>Parse a command line request mix</summary>  
+/// <param name="value" type="String">The mix</param>  
+/// <returns type="Object">{type: weight}, or null if it isn't a mix</returns>  
+
+    let mix = {};
+    let valid = value.split(',').every(pair => {
+        let match = /^\s*(\w+)\s*=\s*(\d+(\.\d+)?)\s*$/.exec(pair);
+        if (match !== null) {
+            mix[match[1]] = Number(match[2]);
+        }
+        return match !== null;
+    });
+
+    return (valid ? mix : null);
+
+}
+
+function parseArgs(argv) {
+/* 
+* Parses the command line. The load options are taken out and everything else is left for the app
+* configuration. If help was asked for it is shown instead, and if a load option can't be used the problem is
+* shown. Either way the tool ends without connecting.
+*/
+/// <summary>Parse the command line</summary>  
+/// <param name="argv" type="Array">Command line arguments</param>  
+/// <returns type="Object">The tool options</returns>  
+
+    let parsed = {sessions: 10, rate: 10, duration: 10000, mix: {count: 1, time: 1}, userPrefix: 'bench', json: false, jsonFile: null, appArgs: []};
+    let loadFlags = ['--sessions', '--rate', '--duration', '--mix', '--user-prefix', '--json-file'];
+
+    let fail = msg => {
+        console.log(msg);
+        console.log(`Use --help to list the available options`);
+        process.exit(1);
+    };
+
+    for (var i = 0; i < argv.length; i++) {
+
+        let arg = argv[i];
+        let value = null;
+
+        if (arg === '--help' || arg === '-h') {
+            console.log(helpText());
+            process.exit(0);
+        }
+        if (arg === '--json') {
+            parsed.json = true;
+            continue;
+        }
+
+        // the flag's value can follow it or be joined on with =
+        let split = arg.indexOf('=');
+        if (split !== -1 && loadFlags.indexOf(arg.slice(0, split)) !== -1) {
+            value = arg.slice(split + 1);
+            arg = arg.slice(0, split);
+        }
+        if (loadFlags.indexOf(arg) === -1) {
+            parsed.appArgs.push(argv[i]);
+            continue;
+        }
+
+        if (value === null) {
+            if (i + 1 >= argv.length) {
+                fail(`Missing value for ${arg}`);
+            }
+            value = argv[++i];
+        }
+
+        if (arg === '--sessions') {
+            parsed.sessions = Number(value);
+            if (!(Number.isFinite(parsed.sessions) && Number.isInteger(parsed.sessions) && parsed.sessions >= 1)) {
+                fail(`Invalid number of sessions, must be an integer >= 1: ${value}`);
+            }
+        } else if (arg === '--rate') {
+            parsed.rate = Number(value);
+            if (!(Number.isFinite(parsed.rate) && parsed.rate > 0)) {
+                fail(`Invalid rate, must be requests per second > 0: ${value}`);
+            }
+        } else if (arg === '--duration') {
+            parsed.duration = Number(value);
+            if (!(Number.isFinite(parsed.duration) && parsed.duration > 0)) {
+                fail(`Invalid duration, must be ms > 0: ${value}`);
+            }
+        } else if (arg === '--mix') {
+            parsed.mix = parseMix(value);
+            if (parsed.mix === null) {
+                fail(`Invalid request mix, use type=weight pairs such as count=3,time=1: ${value}`);
+            }
+        } else if (arg === '--user-prefix') {
+            parsed.userPrefix = value;
+        } else if (arg === '--json-file') {
+            parsed.jsonFile = value;
+        }
+
+    }
+
+    return parsed;
+
+}
+
+function helpText() {
+/* 
+* Builds the usage text for the tool.
+*/
+/// <summary>Get the tool usage text</summary>  
+/// <returns type="String">The usage text</returns>  
+
+    return [
+        'Usage: node challengebench.js [options] [app options]',
+        '',
+        'Runs many sessions against the challenge server at once, making a mix of requests at a target rate,',
+        'then reports throughput, latency percentiles, timeouts, resets and reconnect times.',
+        'The server and connection are set up with the app options (see node socketclientchallenge.js --help).',
+        '',
+        'Options:',
+        '  --sessions <n>              Number of sessions, each logged in under its own name (default 10)',
+        '  --rate <n>                  Requests per second across all the sessions (default 10)',
+        '  --duration <ms>             How long to make requests for (default 10000)',
+        '  --mix <type=weight,...>     Request types to make and how often, e.g. count=3,time=1 (default count=1,time=1)',
+        '  --user-prefix <name>        Login names are this followed by the session number (default bench)',
+        '  --json                      Print the report as JSON instead of a table',
+        '  --json-file <path>          Also write the report as JSON to this file',
+        '  --help, -h                  Show this help'
+    ].join('\n');
+
+}
\ No newline at end of file
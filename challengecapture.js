@@ -0,0 +1,185 @@
+'use strict';
+
+/* Module imports */
+const performance = require('perf_hooks').performance; // add the perf hooks module for sub-ms timing
+const ChallengeLogWriter = require('./challengelogwriter.js'); // class for ordered log file writes
+/**********************************************************************/
+
+class ChallengeCapture {
+/* 
+* Session capture class for a Node.js Socket Client Coding Challenge. Records everything that crosses the server
+* connection socket to a session file, so that odd server behaviour can be played back later by a
+* ChallengeReplay server. Every inbound data chunk and every outbound write is recorded as it happened, with
+* its chunk boundaries intact and its time to a fraction of a ms, along with each socket being opened and
+* closed. The session file is JSON lines, one record per line:
+*   {"time":..., "conn":1, "event":"connect", "ip":..., "port":...}
+*   {"time":..., "conn":1, "event":"out", "data":"..."} - written to the server
+*   {"time":..., "conn":1, "event":"in", "data":"..."} - received from the server
+*   {"time":..., "conn":1, "event":"close", "by":"server", "hadError":false} - by is server or client
+* where conn numbers the sockets (a new one is opened for every login, e.g. after a reset) and data is the
+* chunk as text, or base64 instead if the chunk isn't valid UTF-8. The records are written in order through a
+* ChallengeLogWriter, and the app closes the capture before it exits so its last moments are captured too.
+*/
+
+  constructor(sessionpath) {
+  /// <summary>ChallengeCapture class constructor</summary>  
+  /// <param name="sessionpath" type="String">Path of the session file to write</param>  
+  /// <returns type="Object">ChallengeCapture instance</returns>  
+
+    this.EVENTS = ['connect', 'out', 'in', 'close'];
+
+    // This is the actual instance initialization code
+    this.sessionpath = sessionpath;
+
+    // session files are never rotated, since a session has to be replayed from a single file
+    this._writer = new ChallengeLogWriter(this.sessionpath, {maxSize: 0, interval: 0});
+    this._conn = 0; // number of the last socket opened
+
+  }
+
+  connected(ip, port) {
+  /* 
+  * Records a new socket being opened to the server. The records for the socket are all tagged with the
+  * number returned, since the old socket can still be closing after a new one is opened.
+  */
+  /// <summary>Record a socket being opened</summary>  
+  /// <param name="ip" type="String">Server IP</param>  
+  /// <param name="port" type="Number">Server port</param>  
+  /// <returns type="Number">Number of the socket in the session</returns>  
+
+    this._conn++;
+    this._record(this._conn, 'connect', {ip: ip, port: port});
+
+    return this._conn;
+
+  }
+
+  sent(conn, data) {
+  /// <summary>Record data written to the server</summary>  
+  /// <param name="conn" type="Number">Number of the socket</param>  
+  /// <param name="data" type="Object">The data written, a String or Buffer</param>  
+
+    this._record(conn, 'out', this._encode(data));
+
+  }
+
+  received(conn, data) {
+  /// <summary>Record a data chunk received from the server</summary>  
+  /// <param name="conn" type="Number">Number of the socket</param>  
+  /// <param name="data" type="Object">The chunk received, a String or Buffer</param>  
+
+    this._record(conn, 'in', this._encode(data));
+
+  }
+
+  closed(conn, hadError, byClient) {
+  /// <summary>Record a socket being closed</summary>  
+  /// <param name="conn" type="Number">Number of the socket</param>  
+  /// <param name="hadError" type="Boolean">Whether the socket was closed by an error</param>  
+  /// <param name="byClient" type="Boolean">Whether the app closed the socket rather than the server</param>  
+
+    this._record(conn, 'close', {by: (byClient === true ? 'client' : 'server'), hadError: (hadError === true)});
+
+  }
+
+  close() {
+  /* 
+  * Writes everything captured so far and closes the session file.
+  */
+  /// <summary>Close the session file</summary>  
+  /// <returns type="Object" value="Promise">Resolves once the file is closed</returns>  
+
+    return this._writer.close();
+
+  }
+
+  parse(text) {
+  /* 
+  * Reads a session file back into the sockets it recorded. Each socket is {conn, ip, port, start, records}, where
+  * start is when the socket was opened and records are its {time, event, data, by} records in order, with time in
+  * ms since the socket was opened, data as a Buffer for out and in records and by for close records. A file
+  * captured to more than once holds the sessions one after another. Lines which aren't session records (e.g. one
+  * cut off by the app being killed) are skipped.
+  */
+  /// <summary>Parse a session file</summary>  
+  /// <param name="text" type="String">The session file text</param>  
+  /// <returns type="Array">The sockets in the order they were opened</returns>  
+
+    let sockets = [];
+    let conns = new Map(); // the socket each conn number currently refers to
+
+    text.split('\n').forEach(line => {
+
+      let rec = null;
+      try {
+        rec = JSON.parse(line);
+      }
+      catch(err) {
+        return;
+      }
+      if (rec === null || typeof rec !== 'object' || typeof rec.time !== 'number' || this.EVENTS.indexOf(rec.event) === -1) {
+        return;
+      }
+
+      let conn = conns.get(rec.conn);
+      if (rec.event === 'connect') {
+        conn = {conn: rec.conn, ip: rec.ip, port: rec.port, start: rec.time, records: []};
+        conns.set(rec.conn, conn);
+        sockets.push(conn);
+      }
+      if (typeof conn === 'undefined') {
+        return;
+      }
+
+      let record = {time: rec.time - conn.start, event: rec.event};
+      if (rec.event === 'out' || rec.event === 'in') {
+        record.data = (rec.base64 != null ? Buffer.from(rec.base64, 'base64') : Buffer.from(String(rec.data), 'utf8'));
+      } else if (rec.event === 'close') {
+        record.by = (rec.by != null ? rec.by : 'server');
+      }
+      conn.records.push(record);
+
+    });
+
+    return sockets;
+
+  }
+
+  _encode(data) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Encodes a chunk for the session file, as text if it survives being turned into text and base64 if not.
+  */
+  /// <summary>Encode a data chunk</summary>  
+  /// <param name="data" type="Object">The chunk, a String or Buffer</param>  
+  /// <returns type="Object">{data} or {base64}</returns>  
+
+    if (typeof data === 'string') {
+      return {data: data};
+    }
+
+    let text = data.toString('utf8');
+
+    return (Buffer.from(text, 'utf8').equals(data) ? {data: text} : {base64: data.toString('base64')});
+
+  }
+
+  _record(conn, event, fields) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Writes a record to the session file.
+  */
+  /// <summary>Write a session record</summary>  
+  /// <param name="conn" type="Number">Number of the socket</param>  
+  /// <param name="event" type="String">The record event</param>  
+  /// <param name="fields" type="Object">The rest of the record</param>  
+
+    let time = Math.round((performance.timeOrigin + performance.now()) * 1000) / 1000; // to the microsecond
+
+    this._writer.write(JSON.stringify(Object.assign({time: time, conn: conn, event: event}, fields)) + '\n');
+
+  }
+
+}
+
+module.exports = ChallengeCapture;
\ No newline at end of file
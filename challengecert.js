@@ -0,0 +1,191 @@
+'use strict';
+
+/* Module imports */
+const crypto = require('crypto'); // add the node crypto module for the key pair and signature
+const net = require('net'); // add the node net module to tell ip addresses from host names
+
+const ChallengeAddress = require('./challengeaddress.js'); // ip address class for the bytes of ip alt names
+/**********************************************************************/
+
+class ChallengeCert {
+/* 
+* Self-signed certificate class for a Node.js Socket Client Coding Challenge. Generates a key pair and a
+* self-signed X.509 certificate for it, so that the mock server can listen over TLS without any certificate
+* files or tools beyond node itself. The certificate is a P-256 ECDSA one valid for the given host names and ip
+* addresses, and the same certificate can be given to a client as its CA so the client can verify the server.
+* The certificate is DER encoded by hand here since node can parse certificates but not create them.
+*/
+
+  constructor(names, options) {
+  /// <summary>ChallengeCert class constructor</summary>  
+  /// <param name="names" type="Array">(Optional) Host names and ip addresses the certificate is for, defaults to localhost, 127.0.0.1 and ::1</param>  
+  /// <param name="options" type="Object">(Optional) Options - days: days the certificate is valid for (default 30)</param>  
+  /// <returns type="Object">ChallengeCert instance</returns>  
+
+    // OIDs used in the certificate
+    this._oidEcdsaSha256 = '1.2.840.10045.4.3.2';
+    this._oidCommonName = '2.5.4.3';
+    this._oidSubjectAltName = '2.5.29.17';
+    this._oidBasicConstraints = '2.5.29.19';
+
+    this._address = new ChallengeAddress(); // gets the bytes of the ip addresses the certificate is for
+
+    // This is the actual instance initialization code
+    options = (options != null ? options : {});
+
+    this.names = (names != null && names.length > 0 ? names : ['localhost', '127.0.0.1', '::1']);
+    this.days = (options.days != null ? options.days : 30);
+
+    let keys = crypto.generateKeyPairSync('ec', {namedCurve: 'prime256v1'});
+    let der = this._certificate(keys.publicKey, keys.privateKey);
+
+    this.key = keys.privateKey.export({type: 'pkcs8', format: 'pem'}); // PEM private key
+    this.cert = this._pem(der); // PEM certificate
+    this.fingerprint = new crypto.X509Certificate(this.cert).fingerprint256; // sha256 fingerprint, e.g. for pinning
+
+  }
+
+  _certificate(publicKey, privateKey) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Builds the DER encoded certificate, with the first name as its subject and issuer and all the names as its
+  * subject alternative names (which is what clients check the server's name against).
+  */
+  /// <summary>Build the certificate</summary>  
+  /// <param name="publicKey" type="Object">KeyObject of the certificate's public key</param>  
+  /// <param name="privateKey" type="Object">KeyObject to sign the certificate with</param>  
+  /// <returns type="Object">DER certificate Buffer</returns>  
+
+    let notBefore = new Date(Date.now() - 60 * 60 * 1000); // an hour back, in case of clock skew
+    let notAfter = new Date(Date.now() + this.days * 24 * 60 * 60 * 1000);
+    let algorithm = this._seq(this._oid(this._oidEcdsaSha256));
+    let name = this._seq(this._der(0x31, this._seq(this._oid(this._oidCommonName), this._der(0x0c, Buffer.from(this.names[0])))));
+
+    // serial numbers have to be positive and minimally encoded, so the top bit is kept clear and the first byte non-zero
+    let serial = crypto.randomBytes(8);
+    serial[0] = ((serial[0] & 0x7f) || 0x01);
+
+    let altNames = this.names.map(altName => {
+      if (net.isIP(altName) !== 0) {
+        return this._der(0x87, this._address.bytes(altName));
+      }
+      return this._der(0x82, Buffer.from(altName, 'ascii'));
+    });
+    let extensions = this._seq(
+      this._seq(this._oid(this._oidBasicConstraints), this._der(0x01, Buffer.from([0xff])), this._der(0x04, this._seq())),
+      this._seq(this._oid(this._oidSubjectAltName), this._der(0x04, this._seq.apply(this, altNames)))
+    );
+
+    let tbs = this._seq(
+      this._der(0xa0, this._der(0x02, Buffer.from([2]))), // version 3
+      this._der(0x02, serial),
+      algorithm,
+      name,
+      this._seq(this._time(notBefore), this._time(notAfter)),
+      name,
+      publicKey.export({type: 'spki', format: 'der'}),
+      this._der(0xa3, extensions)
+    );
+    let signature = crypto.sign('sha256', tbs, privateKey);
+
+    return this._seq(tbs, algorithm, this._der(0x03, Buffer.concat([Buffer.from([0]), signature])));
+
+  }
+
+  _der(tag, content) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Encodes a DER value, its tag and length followed by its content.
+  */
+  /// <summary>Encode a DER value</summary>  
+  /// <param name="tag" type="Number">Tag byte</param>  
+  /// <param name="content" type="Object">Content Buffer</param>  
+  /// <returns type="Object">DER Buffer</returns>  
+
+    let length = null;
+
+    if (content.length < 0x80) {
+      length = Buffer.from([content.length]);
+    } else {
+      let bytes = [];
+      for (let remaining = content.length; remaining > 0; remaining = Math.floor(remaining / 256)) {
+        bytes.unshift(remaining % 256);
+      }
+      length = Buffer.from([0x80 | bytes.length].concat(bytes));
+    }
+
+    return Buffer.concat([Buffer.from([tag]), length, content]);
+
+  }
+
+  _seq() {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Encodes a DER sequence of the DER values passed as arguments.
+  */
+  /// <summary>Encode a DER sequence</summary>  
+  /// <returns type="Object">DER Buffer</returns>  
+
+    return this._der(0x30, Buffer.concat(Array.from(arguments)));
+
+  }
+
+  _oid(oid) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Encodes a dotted OID, the first two parts sharing a byte and the rest in base 128.
+  */
+  /// <summary>Encode a DER OID</summary>  
+  /// <param name="oid" type="String">Dotted OID</param>  
+  /// <returns type="Object">DER Buffer</returns>  
+
+    let parts = oid.split('.').map(Number);
+    let bytes = [parts[0] * 40 + parts[1]];
+
+    parts.slice(2).forEach(part => {
+      let encoded = [part & 0x7f];
+      for (part = Math.floor(part / 128); part > 0; part = Math.floor(part / 128)) {
+        encoded.unshift((part & 0x7f) | 0x80);
+      }
+      bytes = bytes.concat(encoded);
+    });
+
+    return this._der(0x06, Buffer.from(bytes));
+
+  }
+
+  _time(date) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Encodes a certificate validity time, which is a UTCTime up to 2049 and a GeneralizedTime after.
+  */
+  /// <summary>Encode a DER time</summary>  
+  /// <param name="date" type="Object">The Date</param>  
+  /// <returns type="Object">DER Buffer</returns>  
+
+    let text = date.toISOString().replace(/[-:T]/g, '').replace(/\.\d+Z$/, 'Z');
+
+    if (date.getUTCFullYear() < 2050) {
+      return this._der(0x17, Buffer.from(text.slice(2)));
+    }
+
+    return this._der(0x18, Buffer.from(text));
+
+  }
+
+  _pem(der) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Wraps a DER certificate as PEM.
+  */
+  /// <summary>Get the PEM form of a certificate</summary>  
+  /// <param name="der" type="Object">DER certificate Buffer</param>  
+  /// <returns type="String">PEM certificate</returns>  
+
+    return `-----BEGIN CERTIFICATE-----\n${der.toString('base64').match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----\n`;
+
+  }
+
+}
+
+module.exports = ChallengeCert;
\ No newline at end of file
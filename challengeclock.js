@@ -0,0 +1,63 @@
+'use strict';
+
+class ChallengeClock {
+/* 
+* Clock class for a Node.js Socket Client Coding Challenge. Gives the time and sets timers for the classes which
+* have to wait on the server, so that the source of time can be swapped out. This one simply uses the system
+* clock and node's timers; a ChallengeVirtualClock can be used in its place when time needs to be controlled,
+* e.g. so a test can run a heartbeat window out without actually waiting for it.
+*/
+
+  constructor() {
+  /// <summary>ChallengeClock class constructor</summary>  
+  /// <returns type="Object">ChallengeClock instance</returns>  
+
+  }
+
+  now() {
+  /// <summary>Get the current time</summary>  
+  /// <returns type="Number">ms since the epoch</returns>  
+
+    return Date.now();
+
+  }
+
+  setTimeout(callback, delay) {
+  /// <summary>Call a function once after a delay</summary>  
+  /// <param name="callback" type="Function">Function to call</param>  
+  /// <param name="delay" type="Number">ms to wait</param>  
+  /// <returns type="Object">Timer which can be passed to clearTimeout</returns>  
+
+    return setTimeout(callback, delay);
+
+  }
+
+  clearTimeout(timer) {
+  /// <summary>Stop a timer set by setTimeout</summary>  
+  /// <param name="timer" type="Object">The timer</param>  
+
+    clearTimeout(timer);
+
+  }
+
+  setInterval(callback, interval) {
+  /// <summary>Call a function repeatedly at an interval</summary>  
+  /// <param name="callback" type="Function">Function to call</param>  
+  /// <param name="interval" type="Number">ms between calls</param>  
+  /// <returns type="Object">Timer which can be passed to clearInterval</returns>  
+
+    return setInterval(callback, interval);
+
+  }
+
+  clearInterval(timer) {
+  /// <summary>Stop a timer set by setInterval</summary>  
+  /// <param name="timer" type="Object">The timer</param>  
+
+    clearInterval(timer);
+
+  }
+
+}
+
+module.exports = ChallengeClock;
\ No newline at end of file
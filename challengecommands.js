@@ -0,0 +1,265 @@
+'use strict';
+
+class ChallengeCommands {
+/* 
+* Command grammar class for a Node.js Socket Client Coding Challenge. Holds the definitions of the commands the
+* app understands and parses entered command lines against them. Each command is defined once with its id,
+* name, aliases, typed arguments and help text, and everything else (parsing, usage strings, help listings and
+* tab completion) is driven from those definitions. Argument types are:
+*   string - any single word
+*   number - any number
+*   integer - a whole number
+*   command - the name or alias of a defined command, parsed to the command's name
+*   rest - all of the remaining words on the line (must be the last argument)
+*/
+
+  constructor() {
+  /// <summary>ChallengeCommands class constructor</summary>  
+  /// <returns type="Object">ChallengeCommands instance</returns>  
+
+    this._argTypes = ['string', 'number', 'integer', 'command', 'rest']; // valid argument types
+
+    this._cmds = []; // command definitions in the order they were defined
+
+  }
+
+  define(def) {
+  /* 
+  * Adds a command definition. The definition provides:
+  *   id - value passed back as the type of a parsed command
+  *   name - the command's name
+  *   aliases - (Optional) other names the command can be entered as
+  *   args - (Optional) array of {name, type, optional, help} argument definitions; optional arguments
+  *     can only be followed by other optional arguments
+  *   help - description of the command shown in help
+  */
+  /// <summary>Define a command</summary>  
+  /// <param name="def" type="Object">The command definition</param>  
+
+    let cmd = {
+      id: def.id,
+      name: def.name,
+      aliases: (def.aliases != null ? def.aliases : []),
+      args: (def.args != null ? def.args : []),
+      help: (def.help != null ? def.help : '')
+    };
+
+    // names have to be unique across every command's name and aliases or the grammar would be ambiguous
+    [cmd.name].concat(cmd.aliases).forEach(word => {
+      if (typeof word !== 'string' || word.length === 0 || /\s/.test(word)) {
+        throw new Error(`Invalid command name or alias: ${word}`);
+      }
+      if (this.find(word) !== null) {
+        throw new Error(`Command name or alias already defined: ${word}`);
+      }
+    });
+
+    let optional = false;
+    cmd.args.forEach((arg, ndx) => {
+      if (this._argTypes.indexOf(arg.type) === -1) {
+        throw new Error(`Command ${cmd.name} argument ${arg.name} has invalid type: ${arg.type}`);
+      }
+      if (arg.type === 'rest' && ndx !== cmd.args.length - 1) {
+        throw new Error(`Command ${cmd.name} rest argument ${arg.name} must be the last argument`);
+      }
+      if (optional && !arg.optional) {
+        throw new Error(`Command ${cmd.name} argument ${arg.name} can't follow an optional argument`);
+      }
+      optional = optional || arg.optional === true;
+    });
+
+    this._cmds.push(cmd);
+
+  }
+
+  find(word) {
+  /* 
+  * Finds the command with the specified name or alias.
+  */
+  /// <summary>Find a command definition</summary>  
+  /// <param name="word" type="String">Command name or alias</param>  
+  /// <returns type="Object">The command definition or null if not found</returns>  
+
+    for (var i = 0; i < this._cmds.length; i++) {
+      if (this._cmds[i].name === word || this._cmds[i].aliases.indexOf(word) !== -1) {
+        return this._cmds[i];
+      }
+    }
+
+    return null;
+
+  }
+
+  list() {
+  /* 
+  * Returns all of the command definitions in the order they were defined.
+  */
+  /// <summary>List the command definitions</summary>  
+  /// <returns type="Array">The command definitions</returns>  
+
+    return this._cmds.slice();
+
+  }
+
+  parse(line) {
+  /* 
+  * Parses an entered command line. A successfully parsed command is returned as {type, ...args} with type
+  * being the command id and each argument value keyed by the argument name, e.g. "help time" might parse to
+  * {type: 3, command: 'time'}. A line which doesn't parse is returned as an error description so the caller
+  * can report it however it reports things (def being the command definition):
+  *   {error: 'unknown', word} - no command has this name or alias
+  *   {error: 'missing', def, arg} - a required argument was not entered
+  *   {error: 'extra', def, word} - more words were entered than the command takes
+  *   {error: 'badtype', def, arg, word} - an argument value isn't of the argument's type
+  */
+  /// <summary>Parse a command line</summary>  
+  /// <param name="line" type="String">The entered command line</param>  
+  /// <returns type="Object">{cmd} for a parsed command, {error, ...} for an error or null for a blank line</returns>  
+
+    let words = line.trim().split(/\s+/).filter(word => word.length > 0);
+
+    if (words.length === 0) {
+      return null;
+    }
+
+    let cmd = this.find(words[0]);
+    if (cmd === null) {
+      return {error: 'unknown', word: words[0]};
+    }
+
+    let parsed = {type: cmd.id};
+
+    for (var i = 0; i < cmd.args.length; i++) {
+
+      let arg = cmd.args[i];
+      let word = words[i + 1];
+
+      if (typeof word === 'undefined') {
+        if (!arg.optional) {
+          return {error: 'missing', def: cmd, arg: arg};
+        }
+        break;
+      }
+
+      if (arg.type === 'rest') {
+        parsed[arg.name] = words.slice(i + 1).join(' ');
+        return {cmd: parsed};
+      }
+
+      let value = this._convert(arg, word);
+      if (value === null) {
+        return {error: 'badtype', def: cmd, arg: arg, word: word};
+      }
+      parsed[arg.name] = value;
+
+    }
+
+    if (words.length > cmd.args.length + 1) {
+      return {error: 'extra', def: cmd, word: words[cmd.args.length + 1]};
+    }
+
+    return {cmd: parsed};
+
+  }
+
+  usage(cmd) {
+  /* 
+  * Returns the usage string for a command, with required arguments in <> and optional ones in [].
+  */
+  /// <summary>Get the usage string for a command</summary>  
+  /// <param name="cmd" type="Object">The command definition</param>  
+  /// <returns type="String">Usage string, e.g. "help [command]"</returns>  
+
+    let parts = [cmd.name];
+
+    cmd.args.forEach(arg => {
+      let name = arg.name + (arg.type === 'rest' ? '...' : '');
+      parts.push(arg.optional ? `[${name}]` : `<${name}>`);
+    });
+
+    return parts.join(' ');
+
+  }
+
+  complete(line) {
+  /* 
+  * Readline completer for command lines. The first word completes to command names and aliases, and an
+  * argument of type command completes to command names. Other arguments, rest ones included, are free text
+  * which nothing completes.
+  */
+  /// <summary>Get tab completions for a partial command line</summary>  
+  /// <param name="line" type="String">The partial command line</param>  
+  /// <returns type="Array">[matching completions, the word being completed] as readline expects</returns>  
+
+    let words = line.replace(/^\s+/, '').split(/\s+/);
+    let partial = words[words.length - 1];
+
+    // the first word is always a command
+    if (words.length === 1) {
+      return [this._allNames().filter(word => word.indexOf(partial) === 0), partial];
+    }
+
+    // later words only complete if the command takes a command argument in that position
+    let cmd = this.find(words[0]);
+    let arg = (cmd !== null ? cmd.args[words.length - 2] : undefined);
+    if (typeof arg !== 'undefined' && arg.type === 'command') {
+      return [this._cmds.map(c => c.name).filter(word => word.indexOf(partial) === 0), partial];
+    }
+
+    return [[], partial];
+
+  }
+
+  _allNames() {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Returns every command name and alias.
+  */
+  /// <summary>Get all command names and aliases</summary>  
+  /// <returns type="Array">Command names and aliases</returns>  
+
+    let names = [];
+
+    this._cmds.forEach(cmd => {
+      names.push(cmd.name);
+      names = names.concat(cmd.aliases);
+    });
+
+    return names;
+
+  }
+
+  _convert(arg, word) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Converts an entered argument word to the argument's type.
+  */
+  /// <summary>Convert an argument value</summary>  
+  /// <param name="arg" type="Object">The argument definition</param>  
+  /// <param name="word" type="String">The entered argument word</param>  
+  /// <returns type="Object">The converted value or null if the word isn't of the argument's type</returns>  
+
+    switch (arg.type) {
+
+      case 'number':
+        let num = Number(word);
+        return (isNaN(num) ? null : num);
+
+      case 'integer':
+        let int = Number(word);
+        return (Number.isInteger(int) ? int : null);
+
+      case 'command':
+        let cmd = this.find(word);
+        return (cmd !== null ? cmd.name : null);
+
+      default:
+        return word;
+
+    }
+
+  }
+
+}
+
+module.exports = ChallengeCommands;
\ No newline at end of file
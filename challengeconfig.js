@@ -0,0 +1,704 @@
+'use strict';
+
+/* Module imports */
+const fs = require('fs'); // add the filesystem module for reading config files
+
+const ChallengeConfigError = require('./challengeerrors.js').ChallengeConfigError; // error for invalid configuration
+/**********************************************************************/
+
+class ChallengeConfig {
+/* 
+* Configuration manager class for a Node.js Socket Client Coding Challenge. Every app setting is declared once
+* in the option table below, and the settings are merged in layers with each layer overriding the one before it:
+*   1. the defaults in the option table
+*   2. a JSON config file (--config, CHALLENGE_CONFIG, or socketclientchallenge.json next to the app if it exists)
+*   3. CHALLENGE_* environment variables (e.g. CHALLENGE_HEARTBEAT_TIMEOUT for heartbeatTimeout)
+*   4. command line flags (e.g. --heartbeat-timeout 2000 or --heartbeat-timeout=2000)
+* The merged settings are validated as a whole so the app never starts with a setting it can't use.
+*/
+
+  constructor() {
+  /// <summary>ChallengeConfig class constructor</summary>  
+  /// <returns type="Object">ChallengeConfig instance</returns>  
+
+    /* Option Table
+    * Each option has a name (its key in config files and the merged settings), a type (string, number,
+    * boolean or json), a default, an optional short flag, an optional validate function returning an error
+    * message for a bad value, and the help text shown by --help. The long flag and environment variable for
+    * an option are derived from its name.
+    */
+    this._options = [
+      {name: 'help', type: 'boolean', default: false, short: '-h', help: 'Show this help and exit', cli: true},
+      {name: 'config', type: 'string', default: null, help: 'Path of a JSON config file', cli: true},
+      {name: 'command', type: 'string', default: null, short: '-c', help: 'Run the ;-separated commands as a batch and exit', cli: true},
+      {name: 'batchFile', type: 'string', default: null, help: 'Run the commands in the file as a batch and exit', cli: true},
+      {name: 'batch', type: 'boolean', default: null, help: 'Run the commands from stdin as a batch and exit (the default when stdin is not a terminal)', cli: true},
+      {name: 'host', type: 'string', default: '35.184.58.167', validate: this._notEmpty, help: 'Challenge server host'},
+      {name: 'port', type: 'number', default: 9432, validate: this._portNumber, help: 'Challenge server port'},
+      {name: 'endpoints', type: 'json', default: null, validate: this._endpointList, help: 'JSON list of "host:port" servers to connect to in place of host and port, e.g. ["10.0.0.1:9432","10.0.0.2:9432"]'},
+      {name: 'tls', type: 'boolean', default: false, help: 'Connect to the server over TLS'},
+      {name: 'tlsCa', type: 'string', default: null, validate: this._notEmpty, help: 'PEM file of the CAs to verify the server certificate with (node\'s root CAs if not set)'},
+      {name: 'tlsCert', type: 'string', default: null, validate: this._notEmpty, help: 'PEM client certificate file for mutual TLS (with tlsKey)'},
+      {name: 'tlsKey', type: 'string', default: null, validate: this._notEmpty, help: 'PEM client key file for mutual TLS (with tlsCert)'},
+      {name: 'tlsServername', type: 'string', default: null, validate: this._notEmpty, help: 'Name to verify the server certificate against and send with SNI (the host if not set)'},
+      {name: 'tlsFingerprint', type: 'string', default: null, validate: this._fingerprint, help: 'sha256 fingerprint the server certificate must also match (certificate pinning)'},
+      {name: 'proxy', type: 'string', default: null, validate: this._notEmpty, help: 'Proxy to connect to the server through, socks5://[user:password@]host:port or http://[user:password@]host:port'},
+      {name: 'user', type: 'string', default: 'coder1', validate: this._notEmpty, help: 'Name to login as'},
+      {name: 'credentials', type: 'json', default: {}, validate: this._object, help: 'JSON object of extra login msg fields'},
+      {name: 'loginTimeout', type: 'number', default: 5000, validate: this._positive, help: 'ms to wait for the server to answer a login'},
+      {name: 'heartbeatTimeout', type: 'number', default: 2000, validate: this._positive, help: 'ms allowed between server heartbeats before the connection is reset'},
+      {name: 'requestTimeout', type: 'number', default: 5000, validate: this._positive, help: 'ms to wait for a request response before timing it out'},
+      {name: 'resetRetries', type: 'number', default: 5, validate: this._positive, help: 'Seconds a new request waits for a reset to complete before failing'},
+      {name: 'reconnectInitialDelay', type: 'number', default: 500, validate: this._notNegative, help: 'ms before the first reconnect attempt after a reset'},
+      {name: 'reconnectMultiplier', type: 'number', default: 2, validate: this._atLeastOne, help: 'Reconnect delay growth factor per attempt'},
+      {name: 'reconnectMaxDelay', type: 'number', default: 30000, validate: this._notNegative, help: 'Max ms between reconnect attempts'},
+      {name: 'reconnectJitter', type: 'number', default: 0.2, validate: this._fraction, help: 'Max random fraction added to or taken off a reconnect delay'},
+      {name: 'reconnectMaxAttempts', type: 'number', default: 10, validate: this._attemptCount, help: 'Reconnect attempts before giving up'},
+      {name: 'failoverStrategy', type: 'string', default: 'priority', validate: this._failoverStrategy, help: 'How the endpoint for each connection is picked (priority, roundRobin or random)'},
+      {name: 'failoverMaxFailures', type: 'number', default: 3, validate: this._positiveInteger, help: 'Failed logins or heartbeat dropouts within the failover window which make an endpoint unhealthy'},
+      {name: 'failoverWindow', type: 'number', default: 60000, validate: this._positive, help: 'ms the failures of an endpoint are counted over'},
+      {name: 'failoverCooldown', type: 'number', default: 30000, validate: this._notNegative, help: 'ms an unhealthy endpoint is skipped for'},
+      {name: 'msgIdFormat', type: 'string', default: 'challenge-{instance}-{session}-{seq}', validate: this._msgIdFormat, help: 'Request msg id format ({instance}, {session}, {seq}, {user})'},
+      {name: 'instanceId', type: 'string', default: null, validate: this._notEmpty, help: 'Id for this client in msg ids (random if not set)'},
+      {name: 'maxFrameSize', type: 'number', default: 64 * 1024, validate: this._positive, help: 'Max size in characters of a single server msg'},
+      {name: 'captureFile', type: 'string', default: null, validate: this._notEmpty, help: 'Record the server session to this file for replaying with challengereplayserver.js'},
+      {name: 'metricsPort', type: 'number', default: null, validate: this._portNumber, help: 'Local port to serve Prometheus metrics on (not served if not set)'},
+      {name: 'metricsHost', type: 'string', default: '127.0.0.1', validate: this._notEmpty, help: 'Address to serve the metrics on'},
+      {name: 'logFile', type: 'string', default: __dirname + '/socketclientchallenge.log', validate: this._notEmpty, help: 'Path of the app log file'},
+      {name: 'logLevel', type: 'string', default: 'debug', validate: this._logLevel, help: 'Lowest level logged (trace, debug, info, warn or error)'},
+      {name: 'logLevels', type: 'json', default: {}, validate: this._logLevels, help: 'JSON object of log levels for named loggers, e.g. {"connection":"warn"}'},
+      {name: 'logFormat', type: 'string', default: 'text', validate: this._logFormat, help: 'Log line format (text or json)'},
+      {name: 'logMaxSize', type: 'number', default: 10 * 1024 * 1024, validate: this._notNegative, help: 'Bytes the log file can grow to before it is rotated (0 for no limit)'},
+      {name: 'logRotateInterval', type: 'number', default: 0, validate: this._notNegative, help: 'ms the log file is written to before it is rotated (0 for no limit)'},
+      {name: 'logRetain', type: 'number', default: 5, validate: this._wholeNumber, help: 'Number of rotated log files kept'}
+    ];
+
+    this._envPrefix = 'CHALLENGE_'; // prefix for the environment variable form of option names
+    this._defaultConfigFile = __dirname + '/socketclientchallenge.json'; // config file used if none is specified
+
+  }
+
+  load(argv, env) {
+  /* 
+  * Merges the configuration layers and returns the resulting settings. If the command line asks for help,
+  * the settings are returned without validation so that the help can be shown whatever else is wrong.
+  * Any problems with the settings are thrown together as a single ChallengeConfigError.
+  */
+  /// <summary>Load the app configuration</summary>  
+  /// <param name="argv" type="Array">(Optional) Command line arguments, defaults to process.argv without node and the script</param>  
+  /// <param name="env" type="Object">(Optional) Environment variables, defaults to process.env</param>  
+  /// <returns type="Object">The merged settings keyed by option name</returns>  
+
+    argv = (argv != null ? argv : process.argv.slice(2));
+    env = (env != null ? env : process.env);
+
+    let problems = [];
+    let settings = {};
+
+    // 1. defaults
+    this._options.forEach(opt => {
+      settings[opt.name] = opt.default;
+    });
+
+    // the command line and environment are read before the config file since they can say which file to use
+    let flags = this._parseArgs(argv, problems);
+    let envSettings = this._parseEnv(env, problems);
+
+    // 2. config file
+    let configFile = (flags.config != null ? flags.config : (envSettings.config != null ? envSettings.config : null));
+    Object.assign(settings, this._readConfigFile(configFile, problems));
+
+    // 3. environment variables, then 4. command line flags
+    Object.assign(settings, envSettings, flags);
+
+    if (settings.help) {
+      return settings;
+    }
+
+    this._validate(settings, problems);
+    if (problems.length > 0) {
+      throw new ChallengeConfigError(problems);
+    }
+
+    return settings;
+
+  }
+
+  helpText() {
+  /* 
+  * Returns the text listing every option with its flag, environment variable, default and description.
+  */
+  /// <summary>Get the command line help text</summary>  
+  /// <returns type="String">Help text</returns>  
+
+    let lines = [
+      'Usage: node socketclientchallenge.js [options]',
+      '       node socketclientchallenge.js [options] -c "count; time"',
+      '       node socketclientchallenge.js [options] --batch-file <file>',
+      '       <commands> | node socketclientchallenge.js [options]',
+      '',
+      'Batch mode writes each command result as a line of JSON and exits with 1 if any command failed.',
+      '',
+      'Options:'
+    ];
+
+    this._options.forEach(opt => {
+      let flag = (opt.short != null ? `${opt.short}, ` : '') + this._flagName(opt) + (opt.type !== 'boolean' ? ' <value>' : '');
+      lines.push(`  ${flag}`);
+      lines.push(`      ${opt.help}`);
+      let details = [];
+      if (opt.name !== 'help') {
+        details.push(`env: ${this._envName(opt)}`);
+      }
+      if (opt.default !== null && opt.type !== 'boolean') {
+        details.push(`default: ${(opt.type === 'json' ? JSON.stringify(opt.default) : opt.default)}`);
+      }
+      if (details.length > 0) {
+        lines.push(`      (${details.join(', ')})`);
+      }
+    });
+
+    lines.push('');
+    lines.push(`Settings are read from the defaults, then the config file (${this._defaultConfigFile} if no`);
+    lines.push('other file is specified), then the environment, then the command line, each overriding the last.');
+
+    return lines.join('\n');
+
+  }
+
+  connectionOptions(settings) {
+  /* 
+  * Returns the ChallengeConnection options described by the server connection settings, for the app and for
+  * anything else which connects the same way (e.g. the load generator). The log, capture and give up callback
+  * are left to the caller.
+  */
+  /// <summary>Get the connection options from the settings</summary>  
+  /// <param name="settings" type="Object">The merged settings</param>  
+  /// <returns type="Object">ChallengeConnection options</returns>  
+
+    return {
+      loginName: settings.user,
+      credentials: settings.credentials,
+      loginTimeout: settings.loginTimeout,
+      heartbeatTimeout: settings.heartbeatTimeout,
+      requestTimeout: settings.requestTimeout,
+      resetRetries: settings.resetRetries,
+      reconnect: this.reconnectPolicy(settings),
+      tls: this.tlsSettings(settings),
+      proxy: settings.proxy,
+      endpoints: this.endpointList(settings),
+      failover: this.failoverPolicy(settings),
+      msgIdFormat: settings.msgIdFormat,
+      instanceId: settings.instanceId,
+      maxFrameSize: settings.maxFrameSize
+    };
+
+  }
+
+  logOptions(settings) {
+  /* 
+  * Returns the ChallengeLog options described by the log settings.
+  */
+  /// <summary>Get the log options from the settings</summary>  
+  /// <param name="settings" type="Object">The app settings</param>  
+  /// <returns type="Object">ChallengeLog options</returns>  
+
+    return {
+      level: settings.logLevel,
+      levels: settings.logLevels,
+      format: settings.logFormat,
+      writer: {
+        maxSize: settings.logMaxSize,
+        interval: settings.logRotateInterval,
+        retain: settings.logRetain
+      }
+    };
+
+  }
+
+  tlsSettings(settings) {
+  /* 
+  * Returns the ChallengeTls settings described by the TLS settings, with the PEM files read in, or null if the
+  * server connection doesn't use TLS.
+  */
+  /// <summary>Get the TLS settings from the settings</summary>  
+  /// <param name="settings" type="Object">The app settings</param>  
+  /// <returns type="Object">ChallengeTls settings or null</returns>  
+
+    if (!settings.tls) {
+      return null;
+    }
+
+    let readPem = (name) => {
+      if (settings[name] === null) {
+        return null;
+      }
+      try {
+        return fs.readFileSync(settings[name]);
+      }
+      catch(err) {
+        throw new Error(`${name} could not be read: ${err.message}`);
+      }
+    };
+
+    return {
+      ca: readPem('tlsCa'),
+      cert: readPem('tlsCert'),
+      key: readPem('tlsKey'),
+      servername: settings.tlsServername,
+      fingerprint: settings.tlsFingerprint
+    };
+
+  }
+
+  endpointList(settings) {
+  /* 
+  * Returns the endpoints (see ChallengeEndpoints) described by the endpoints setting, or null if it isn't set and
+  * the host and port are the only server.
+  */
+  /// <summary>Get the endpoints from the settings</summary>  
+  /// <param name="settings" type="Object">The merged settings</param>  
+  /// <returns type="Array">{ip, port} of each endpoint or null</returns>  
+
+    if (settings.endpoints === null) {
+      return null;
+    }
+
+    // the port is after the last colon, and IPv6 addresses are bracketed so they can be told apart from it
+    return settings.endpoints.map(endpoint => {
+      let split = endpoint.lastIndexOf(':');
+      return {ip: endpoint.slice(0, split).replace(/^\[(.*)\]$/, '$1'), port: Number(endpoint.slice(split + 1))};
+    });
+
+  }
+
+  failoverPolicy(settings) {
+  /* 
+  * Returns the failover settings (see ChallengeEndpoints) described by the failover settings.
+  */
+  /// <summary>Get the failover settings from the settings</summary>  
+  /// <param name="settings" type="Object">The merged settings</param>  
+  /// <returns type="Object">Failover settings</returns>  
+
+    return {
+      strategy: settings.failoverStrategy,
+      maxFailures: settings.failoverMaxFailures,
+      failureWindow: settings.failoverWindow,
+      cooldown: settings.failoverCooldown
+    };
+
+  }
+
+  reconnectPolicy(settings) {
+  /* 
+  * Returns the reconnect policy (see ChallengeReconnect) described by the reconnect settings.
+  */
+  /// <summary>Get the reconnect policy from the settings</summary>  
+  /// <param name="settings" type="Object">The merged settings</param>  
+  /// <returns type="Object">Reconnect policy settings</returns>  
+
+    return {
+      initialDelay: settings.reconnectInitialDelay,
+      multiplier: settings.reconnectMultiplier,
+      maxDelay: settings.reconnectMaxDelay,
+      jitter: settings.reconnectJitter,
+      maxAttempts: settings.reconnectMaxAttempts
+    };
+
+  }
+
+  _parseArgs(argv, problems) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Reads the option settings from command line flags.
+  */
+  /// <summary>Parse command line flags</summary>  
+  /// <param name="argv" type="Array">Command line arguments</param>  
+  /// <param name="problems" type="Array">List to add any problems found to</param>  
+  /// <returns type="Object">Settings from the command line</returns>  
+
+    let settings = {};
+
+    for (var i = 0; i < argv.length; i++) {
+
+      let arg = argv[i];
+      let value = null;
+
+      // values can be given as --flag=value as well as --flag value
+      let eq = arg.indexOf('=');
+      if (arg.substr(0, 2) === '--' && eq !== -1) {
+        value = arg.substr(eq + 1);
+        arg = arg.substr(0, eq);
+      }
+
+      // booleans can be turned off with --no-flag
+      let negated = false;
+      let opt = this._options.find(o => this._flagName(o) === arg || o.short === arg);
+      if (typeof opt === 'undefined' && arg.substr(0, 5) === '--no-') {
+        opt = this._options.find(o => o.type === 'boolean' && this._flagName(o) === '--' + arg.substr(5));
+        negated = true;
+      }
+
+      if (typeof opt === 'undefined') {
+        problems.push(`Unknown command line argument: ${argv[i]}`);
+        continue;
+      }
+
+      if (opt.type === 'boolean' && value === null) {
+        settings[opt.name] = !negated;
+        continue;
+      }
+
+      // everything else takes a value from the next argument if it wasn't given with =
+      if (value === null) {
+        if (i + 1 >= argv.length) {
+          problems.push(`Missing value for ${arg}`);
+          continue;
+        }
+        value = argv[++i];
+      }
+
+      this._setFromString(settings, opt, value, `Command line ${arg}`, problems);
+
+    }
+
+    return settings;
+
+  }
+
+  _parseEnv(env, problems) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Reads the option settings from CHALLENGE_* environment variables.
+  */
+  /// <summary>Parse environment variables</summary>  
+  /// <param name="env" type="Object">Environment variables</param>  
+  /// <param name="problems" type="Array">List to add any problems found to</param>  
+  /// <returns type="Object">Settings from the environment</returns>  
+
+    let settings = {};
+
+    this._options.forEach(opt => {
+      // help only makes sense on the command line
+      if (opt.name === 'help') {
+        return;
+      }
+      let name = this._envName(opt);
+      if (typeof env[name] !== 'undefined' && env[name] !== '') {
+        this._setFromString(settings, opt, env[name], `Environment variable ${name}`, problems);
+      }
+    });
+
+    return settings;
+
+  }
+
+  _readConfigFile(path, problems) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Reads the option settings from a JSON config file. A config file which was asked for has to exist, but
+  * the default config file is optional.
+  */
+  /// <summary>Read a JSON config file</summary>  
+  /// <param name="path" type="String">Path of the config file, or null for the default config file</param>  
+  /// <param name="problems" type="Array">List to add any problems found to</param>  
+  /// <returns type="Object">Settings from the config file</returns>  
+
+    let settings = {};
+    let file = (path != null ? path : this._defaultConfigFile);
+
+    if (path == null && !fs.existsSync(file)) {
+      return settings;
+    }
+
+    let contents = null;
+    try {
+      contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    catch(err) {
+      problems.push(`Could not read config file ${file}: ${err.message}`);
+      return settings;
+    }
+
+    if (contents === null || typeof contents !== 'object' || Array.isArray(contents)) {
+      problems.push(`Config file ${file} must contain a JSON object`);
+      return settings;
+    }
+
+    Object.keys(contents).forEach(key => {
+      let opt = this._options.find(o => o.name === key && o.cli !== true);
+      if (typeof opt === 'undefined') {
+        problems.push(`Unknown setting in config file ${file}: ${key}`);
+      } else if (!this._isType(opt, contents[key])) {
+        problems.push(`Config file ${file} setting ${key} must be a ${opt.type === 'json' ? 'JSON object' : opt.type}`);
+      } else {
+        settings[key] = contents[key];
+      }
+    });
+
+    return settings;
+
+  }
+
+  _setFromString(settings, opt, text, source, problems) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Converts an option setting given as text (from the command line or environment) to the option's type.
+  */
+  /// <summary>Set an option from its text form</summary>  
+  /// <param name="settings" type="Object">Settings to set the option in</param>  
+  /// <param name="opt" type="Object">The option definition</param>  
+  /// <param name="text" type="String">The setting text</param>  
+  /// <param name="source" type="String">Where the setting came from, for problem reports</param>  
+  /// <param name="problems" type="Array">List to add any problems found to</param>  
+
+    switch (opt.type) {
+
+      case 'number':
+        let num = Number(text);
+        if (text.trim() === '' || isNaN(num)) {
+          problems.push(`${source} must be a number: ${text}`);
+        } else {
+          settings[opt.name] = num;
+        }
+        break;
+
+      case 'boolean':
+        if (['true', '1', 'yes'].indexOf(text.toLowerCase()) !== -1) {
+          settings[opt.name] = true;
+        } else if (['false', '0', 'no'].indexOf(text.toLowerCase()) !== -1) {
+          settings[opt.name] = false;
+        } else {
+          problems.push(`${source} must be true or false: ${text}`);
+        }
+        break;
+
+      case 'json':
+        try {
+          settings[opt.name] = JSON.parse(text);
+        }
+        catch(err) {
+          problems.push(`${source} must be valid JSON: ${text}`);
+        }
+        break;
+
+      default:
+        settings[opt.name] = text;
+        break;
+
+    }
+
+  }
+
+  _validate(settings, problems) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Runs each option's own validation and then the checks which involve more than one option.
+  */
+  /// <summary>Validate the merged settings</summary>  
+  /// <param name="settings" type="Object">The merged settings</param>  
+  /// <param name="problems" type="Array">List to add any problems found to</param>  
+
+    this._options.forEach(opt => {
+      if (opt.validate != null && settings[opt.name] !== null) {
+        let problem = opt.validate(settings[opt.name]);
+        if (problem !== null) {
+          // JSON has no Infinity or NaN, so numbers are shown as they are
+          let value = (typeof settings[opt.name] === 'number' ? String(settings[opt.name]) : JSON.stringify(settings[opt.name]));
+          problems.push(`${opt.name} ${problem}: ${value}`);
+        }
+      }
+    });
+
+    // settings which are only good or bad alongside another setting
+    if (this._notNegative(settings.reconnectInitialDelay) === null && this._notNegative(settings.reconnectMaxDelay) === null &&
+      settings.reconnectMaxDelay < settings.reconnectInitialDelay) {
+      problems.push(`reconnectMaxDelay must be >= reconnectInitialDelay: ${settings.reconnectMaxDelay}`);
+    }
+
+    // the TLS files and settings are only used when connecting over TLS, and the files are only opened here to
+    // check they can be read, they are read in when the connection is made
+    let tlsNames = ['tlsCa', 'tlsCert', 'tlsKey', 'tlsServername', 'tlsFingerprint'];
+    if (!settings.tls && tlsNames.some(name => settings[name] !== null)) {
+      problems.push(`${tlsNames.filter(name => settings[name] !== null).join(', ')} can only be used with tls`);
+    }
+    if (settings.tls && (settings.tlsCert === null) !== (settings.tlsKey === null)) {
+      problems.push(`tlsCert and tlsKey must be given together`);
+    }
+    ['tlsCa', 'tlsCert', 'tlsKey'].forEach(name => {
+      if (settings.tls && typeof settings[name] === 'string' && this._notEmpty(settings[name]) === null) {
+        try {
+          fs.accessSync(settings[name], fs.constants.R_OK);
+        }
+        catch(err) {
+          problems.push(`${name} could not be read: ${err.message}`);
+        }
+      }
+    });
+
+    // the proxy URL isn't repeated in the problems since it may have a password in it
+    if (typeof settings.proxy === 'string' && this._notEmpty(settings.proxy) === null) {
+      let problem = this._proxyUrl(settings.proxy);
+      if (problem !== null) {
+        problems.push(`proxy ${problem}`);
+      }
+    }
+
+  }
+
+  _proxyUrl(url) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Checks a proxy URL can be used by ChallengeProxy.
+  */
+  /// <summary>Check the proxy URL</summary>  
+  /// <param name="url" type="String">The proxy URL</param>  
+  /// <returns type="String">What is wrong with the URL, or null if nothing is</returns>  
+
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    }
+    catch(err) {
+      return `is not a valid URL: ${err.message}`;
+    }
+
+    if (parsed.protocol !== 'socks5:' && parsed.protocol !== 'http:') {
+      return `must start with socks5:// or http://, not ${parsed.protocol}//`;
+    }
+    if (parsed.hostname.length === 0 || parsed.port.length === 0) {
+      return `must give the proxy host and port`;
+    }
+
+    return null;
+
+  }
+
+  _isType(opt, value) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Checks that a value from a config file has the option's type.
+  */
+  /// <summary>Check a config file value's type</summary>  
+  /// <param name="opt" type="Object">The option definition</param>  
+  /// <param name="value" type="Object">The config file value</param>  
+  /// <returns type="Boolean">True if the value has the option's type</returns>  
+
+    if (value === null) {
+      return opt.default === null;
+    }
+    if (opt.type === 'json') {
+      return typeof value === 'object';
+    }
+
+    return typeof value === opt.type;
+
+  }
+
+  _flagName(opt) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Derives an option's command line flag from its name, e.g. heartbeatTimeout is --heartbeat-timeout.
+  */
+  /// <summary>Get an option's command line flag</summary>  
+  /// <param name="opt" type="Object">The option definition</param>  
+  /// <returns type="String">Command line flag</returns>  
+
+    return '--' + opt.name.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+
+  }
+
+  _envName(opt) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Derives an option's environment variable from its name, e.g. heartbeatTimeout is CHALLENGE_HEARTBEAT_TIMEOUT.
+  */
+  /// <summary>Get an option's environment variable name</summary>  
+  /// <param name="opt" type="Object">The option definition</param>  
+  /// <returns type="String">Environment variable name</returns>  
+
+    return this._envPrefix + opt.name.replace(/[A-Z]/g, c => '_' + c).toUpperCase();
+
+  }
+
+  /* Option Validators
+  * Each returns null for a good value or a description of what is wrong with a bad one.
+  */
+
+  _notEmpty(value) {
+    return (typeof value === 'string' && value.trim().length > 0 ? null : 'must not be empty');
+  }
+
+  _positive(value) {
+    return (typeof value === 'number' && isFinite(value) && value > 0 ? null : 'must be a number > 0');
+  }
+
+  _notNegative(value) {
+    return (typeof value === 'number' && isFinite(value) && value >= 0 ? null : 'must be a number >= 0');
+  }
+
+  _atLeastOne(value) {
+    return (typeof value === 'number' && isFinite(value) && value >= 1 ? null : 'must be a number >= 1');
+  }
+
+  _fraction(value) {
+    return (typeof value === 'number' && value >= 0 && value <= 1 ? null : 'must be a number from 0 to 1');
+  }
+
+  _wholeNumber(value) {
+    return (Number.isInteger(value) && value >= 0 ? null : 'must be an integer >= 0');
+  }
+
+  _positiveInteger(value) {
+    return (Number.isInteger(value) && value >= 1 ? null : 'must be an integer >= 1');
+  }
+
+  _attemptCount(value) {
+    return ((Number.isInteger(value) && value >= 0) || value === Infinity ? null : 'must be an integer >= 0 or Infinity');
+  }
+
+  _portNumber(value) {
+    return (Number.isInteger(value) && value > 0 && value < 65536 ? null : 'must be a port number from 1 to 65535');
+  }
+
+  _endpointList(value) {
+    return (Array.isArray(value) && value.length > 0 && value.every(endpoint => typeof endpoint === 'string' &&
+      /^(\[[^\]]+\]|[^:\s]+):\d+$/.test(endpoint) && Number(endpoint.slice(endpoint.lastIndexOf(':') + 1)) >= 1 &&
+      Number(endpoint.slice(endpoint.lastIndexOf(':') + 1)) <= 65535) ? null : 'must be a JSON list of "host:port" strings with ports from 1 to 65535');
+  }
+
+  _failoverStrategy(value) {
+    return (['priority', 'roundRobin', 'random'].indexOf(value) !== -1 ? null : 'must be one of priority, roundRobin, random');
+  }
+
+  _msgIdFormat(value) {
+    return (typeof value === 'string' && value.indexOf('{session}') !== -1 && value.indexOf('{seq}') !== -1 &&
+      (value.match(/\{[^}]*\}/g) || []).every(p => ['instance', 'session', 'seq', 'user'].indexOf(p.slice(1, -1)) !== -1) ?
+      null : 'must include {session} and {seq} and no placeholders but {instance}, {session}, {seq} and {user}');
+  }
+
+  _fingerprint(value) {
+    return (/^[0-9A-F]{64}$/.test(String(value).replace(/:/g, '').toUpperCase()) ? null : 'must be a sha256 fingerprint of 64 hex digits');
+  }
+
+  _logLevel(value) {
+    return (['trace', 'debug', 'info', 'warn', 'error'].indexOf(value) !== -1 ? null : 'must be one of trace, debug, info, warn, error');
+  }
+
+  _logLevels(value) {
+    return (value !== null && typeof value === 'object' && !Array.isArray(value) &&
+      Object.keys(value).every(name => ['trace', 'debug', 'info', 'warn', 'error'].indexOf(value[name]) !== -1) ?
+      null : 'must be a JSON object of trace, debug, info, warn or error levels');
+  }
+
+  _logFormat(value) {
+    return (['text', 'json'].indexOf(value) !== -1 ? null : 'must be text or json');
+  }
+
+  _object(value) {
+    return (value !== null && typeof value === 'object' && !Array.isArray(value) ? null : 'must be a JSON object');
+  }
+
+}
+
+module.exports = ChallengeConfig;
\ No newline at end of file
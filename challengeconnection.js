@@ -2,26 +2,69 @@
 
 /* Module imports */
 const net = require('net'); // add the node net module for socket i/o
+const EventEmitter = require('events'); // add the node events module so connection activity can be observed
 
 const ChallengeLog = require('./challengelog.js'); // class for app logging
+const ChallengeClock = require('./challengeclock.js'); // class for the time and timers
+const ChallengeTls = require('./challengetls.js'); // class for connecting to the server over TLS
+const ChallengeProxy = require('./challengeproxy.js'); // class for connecting to the server through a proxy
+const ChallengeEndpoints = require('./challengeendpoints.js'); // class for picking the server endpoint to connect to
+const ChallengeFramer = require('./challengeframer.js'); // class for reassembling server messages from socket data
+const ChallengePending = require('./challengepending.js'); // class for tracking requests waiting on a server response
+const ChallengeReconnect = require('./challengereconnect.js'); // class for deciding when to reconnect after a reset
+const ChallengeMsgId = require('./challengemsgid.js'); // class for generating request msg ids
+const ChallengeLoginError = require('./challengeerrors.js').ChallengeLoginError; // error for failed logins
 /**********************************************************************/
 
-// create the object to handle app logging
-const log = new ChallengeLog();
-
-class ChallengeConnection {
+class ChallengeConnection extends EventEmitter {
 /* 
 * Server manager class for a Node.js Socket Client Coding Challenge. Manages all the app's direct communications with
 * the challenge server. Maps all server interface to high-level app functions for main app processing. Intended
 * to shield the main app from server specifics for easier maintenance and easier integration of server enhancements.
+* Connection activity is emitted as events so it can be observed without polling the connection state. Each
+* event has a single info object argument:
+*   connecting {ip, port} - a new socket is being opened to the server
+*   loggedIn {ip, port, loginName} - the server accepted the login
+*   heartbeat {time, interval} - a heartbeat arrived, interval is ms since the last one (null for the first)
+*   heartbeatMissed {lastHeartbeat, window} - no heartbeat arrived within the heartbeat window
+*   resetStarted {pending} - the connection is being reset, pending is the number of requests cut off
+*   reconnecting {ip, port, attempt} - a login is being made to reconnect after a reset, attempt counts from 1
+*   resetComplete {ip, port, attempts, failover} - the connection was logged in again after a reset, failover is
+*     true if it is to a different endpoint than the one which was reset
+*   endpointUnhealthy {ip, port, reason, cooldown} - an endpoint had too many failures (reason is login or heartbeat
+*     for the latest one) and won't be used for cooldown ms unless every endpoint is unhealthy
+*   gaveUp {ip, port, attempts} - the reconnect policy ran out of attempts
+*   requestSent {msgId, type, time} - a request msg was written to the server
+*   responseReceived {msgId, type, sentTime, latency} - a response matched a pending request
+*   requestTimedOut {msgId, type, sentTime, timeout} - a request went unanswered for its timeout
+*   requestCompleted {type, outcome, duration} - a request made through request() has settled, outcome is one
+*     of ok, timeout, reset, cancelled or error and duration is ms since the request was made (including retries)
+*   unrecognizedMessage {reason, msg} - a received msg was ignored; reason is one of invalidJson, oversize,
+*     noType, unknownType or unknownResponse
+*   socketError {err} - the socket reported an error
 */
 
-  constructor(port, ip) {
+  constructor(port, ip, options) {
   /// <summary>ChallengeConnection class constructor</summary>  
   /// <param name="port" type="Number">(Optional) Port to connect on</param>  
   /// <param name="ip" type="Number">(Optional) IP to connect on</param>  
+  /// <param name="options" type="Object">(Optional) Connection options - requestTimeout: default ms before a request times out,  
+  /// reconnect: reconnect policy settings (see ChallengeReconnect), giveUpCallback: called when reconnecting is abandoned,  
+  /// msgIdFormat: request msg id format template, instanceId: id for this client in msg ids (see ChallengeMsgId),  
+  /// loginName: name to login as, credentials: extra fields for the login msg, loginTimeout: ms to wait for a login answer,  
+  /// loginRejectTypes: server msg types which mean a login was rejected, heartbeatTimeout: ms allowed between heartbeats,  
+  /// resetRetries: seconds a new request waits for a reset to complete, maxFrameSize: max size of a single server msg,  
+  /// log: ChallengeLog instance to log to, capture: ChallengeCapture instance to record the session to,  
+  /// transport: function(port, ip) opening the socket to the server (net.connect by default, e.g. ChallengeMemoryTransport  
+  /// in tests), clock: ChallengeClock for the time and timers (e.g. a ChallengeVirtualClock in tests), tls: settings for  
+  /// connecting over TLS when no transport is given (see ChallengeTls), proxy: URL of a SOCKS5 or HTTP CONNECT proxy to  
+  /// connect through when no transport is given, with the login timeout also allowed for the proxy handshake (see ChallengeProxy),  
+  /// endpoints: list of {ip, port} servers to connect to in place of port and ip, failover: how the endpoint for each  
+  /// connection is picked and when an endpoint is failed over from (see ChallengeEndpoints)</param>  
   /// <returns type="Object">ChallengeConnection instance</returns>  
 
+    super();
+
     /* Connection Message Strings
     * The following group of properties define class constants for handling the sending and
     * receiving of messages from the server. Due to Javascript's lack of support for static
@@ -32,82 +75,156 @@ class ChallengeConnection {
     this._msgType = [ // server msg types which the app cares about
       'welcome',
       'heartbeat',
-      'msg',
-      'count',
-      'time'
+      'msg'
     ]
     this._typLogin = 0;
     this._typHeartbeat = 1;
     this._typMsg = 2;
-    this._typCount = 3;
-    this._typTime = 4;
 
-    // constants used in the server request tracking table
-    this._reqId = 0; // id of request sent
-    this._reqType = 1; // type of request sent
-    this._reqCallback = 2; // callback for request response received
-    this._reqTime = 3; // time request was sent
+    this._loginReqId = ''; // login requests don't have a msg id so they're tracked under an empty one
+
+    this._defaultRetry = {attempts: 3, deadline: 30000}; // retry settings used for a request retry option of true
 
     // This is the actual instance initialization code
+    options = (options != null ? options : {});
+
+    // the object to handle connection logging
+    this._log = (options.log != null ? options.log : new ChallengeLog()).child('connection');
+
+    // how the server socket is opened, and where the time and timers for heartbeats, timeouts and reconnects come from
+    this._tls = (options.tls != null ? new ChallengeTls(options.tls) : null);
+    this._transport = (options.transport != null ? options.transport :
+      (this._tls !== null ? (port, ip) => this._tls.connect(port, ip) : (port, ip) => net.connect(port, ip)));
+    this._clock = (options.clock != null ? options.clock : new ChallengeClock());
+    this._proxy = (options.proxy != null && options.transport == null ? new ChallengeProxy(options.proxy,
+      {timeout: (options.loginTimeout != null ? options.loginTimeout : 5000), clock: this._clock}) : null);
+
+    // request timeout for request types which don't specify their own
+    this._defaultReqTimeout = (options.requestTimeout != null ? options.requestTimeout : 5000);
+
+    // policy for reconnecting after a reset and the main app callback for when the policy gives up
+    this._reconnect = new ChallengeReconnect(options.reconnect);
+    this._giveUpCallback = (options.giveUpCallback != null ? options.giveUpCallback : null);
+
+    // generator for request msg ids, which gets a new session on every login
+    this._msgIds = new ChallengeMsgId(options.msgIdFormat, options.instanceId);
+
+    // login identity, how long to wait for the server to answer a login, and the msg types the server rejects a login with
+    this._loginName = (options.loginName != null ? options.loginName : 'coder1');
+    this._credentials = (options.credentials != null ? options.credentials : {});
+    this._loginTimeout = (options.loginTimeout != null ? options.loginTimeout : 5000);
+    this._loginRejectTypes = (options.loginRejectTypes != null ? options.loginRejectTypes : ['error', 'loginError', 'rejected']);
+
     // Set the server connection info to either a specied port and ip or the defaults
     this.connPort = (port != null ? port : 3001);
     this.connIp = (ip != null ? ip : '127.0.0.1');
 
+    // the endpoints which can be connected to (just the port and ip unless a list is given), and the one in use, which
+    // connPort and connIp always describe
+    this._endpoints = new ChallengeEndpoints((options.endpoints != null ? options.endpoints : [{ip: this.connIp, port: this.connPort}]),
+      options.failover, this._clock);
+    this._endpoint = this._endpoints.get(0);
+    this.connIp = this._endpoint.ip;
+    this.connPort = this._endpoint.port;
+    this._resetFrom = null; // the endpoint in use when the connection was last reset
+
     // intialize to indicate no active server connection
     this.loggedIn = false;
     this.reset = false;
     this.loginName = '';
     this.lastErr = null;
     this._socket = null;
+    this._tunnel = null; // proxy tunnel being opened for a login, if any
     this._heartbeatTimer = null;
-    this._pendingReq = [];
+    this._heartbeatWindow = (options.heartbeatTimeout != null ? options.heartbeatTimeout : 2000); // ms allowed between heartbeats before the connection is reset
+    this._resetRetries = (options.resetRetries != null ? options.resetRetries : 5); // 1 second login checks a request makes during a reset
+    this._lastHeartbeat = null;
+    this._reconnectTimer = null;
+    this._pendingReq = new ChallengePending(this._clock);
+    this._heldReq = new ChallengePending(this._clock); // requests held over a reset waiting to be sent again after the new login
+    this._heldSeq = 0; // used to key the held requests table since held requests don't have a msg id
+    this._framer = new ChallengeFramer(options.maxFrameSize); // holds partial server messages across socket data events
+    this._capture = (options.capture != null ? options.capture : null); // ChallengeCapture recording the session, if any
+    this._captureConn = null; // the capture's number for the current socket
+
+    // diagnostics kept for the status interface
+    this._loginTime = null; // when the current login session started
+    this._resetCount = 0;
+    this._heartbeatIntervals = []; // ms between the most recent heartbeats, oldest first
+    this._heartbeatIntervalsMax = 50; // number of recent heartbeat intervals kept
+    this._unrecognizedCounts = {invalidJson: 0, oversize: 0, noType: 0, unknownType: 0, unknownResponse: 0};
+
+    // register the request types supported by the challenge server
+    this._reqTypes = {};
+    this.registerRequestType('count', {
+      build: () => ({request: 'count'}),
+      match: response => typeof response.count !== 'undefined',
+      transform: response => ({count: response.count})
+    });
+    this.registerRequestType('time', {
+      build: () => ({request: 'time'}),
+      match: response => typeof response.time !== 'undefined',
+      transform: response => ({time: response.time, number: response.random})
+    });
 
   }
 
   login() {
   /* 
   * Handles a request to login to the server. The request is blocking and only returns
-  * when a valid logged in connection has been established or an error occurs
+  * when a valid logged in connection has been established or an error occurs. A login which the server
+  * rejects, which isn't answered within the login timeout or whose connection fails is rejected with a
+  * ChallengeLoginError and leaves the instance disconnected. When connecting through a proxy, the proxy opens a
+  * tunnel to the server before the login msg is sent, and a login which fails at the proxy is rejected with a
+  * ChallengeProxyError. Each login goes to the endpoint picked by the failover settings, and the ip and port in the
+  * results are that endpoint's.
   */
   /// <summary>Login to the server specified for this connection instance</summary>  
   /// <returns type="Object" value="Promise">Login message or error object</returns>  
 
     return new Promise((resolve, reject) => {
 
-      // create the socket for the server connection
-      this._socket = net.connect(this.connPort, this.connIp);
-
-      // set the callbacks on the socket
-      this._socket.on('data', this._handleServerMsg.bind(this));
-      this._socket.on('error', err => {
-        log.logError(`socket error encountered ${err}`);
-      });
-
-      log.logMsg(`Connected to server at IP: ${this.connIp}, Port: ${this.connPort}`);
-
-      this._pendingReq = []; // clear the pending requests table (mainly insurance for resets)
+      // make sure nothing from an earlier login is left running, and that anything still waiting on it is told
+      this._closeSocket();
+      this._failPendingReq(`Login started again`);
 
-      // send the login msg to the server
-      this._sendLoginReq('coder1', err => {
+      // pick the endpoint to connect to
+      this._endpoint = this._endpoints.next();
+      this.connIp = this._endpoint.ip;
+      this.connPort = this._endpoint.port;
 
-        // if we get any kind of login error just pass it up the chain
-        if (err != null) {
+      // create the socket for the server connection
+      this.emit('connecting', {ip: this.connIp, port: this.connPort});
+
+      // a connection through a proxy can't be used until the proxy has opened a tunnel to the server
+      if (this._proxy !== null) {
+        let tunnel = this._proxy.connect(this.connPort, this.connIp);
+        this._tunnel = tunnel;
+        tunnel.then(socket => {
+          // a login or logout since the tunnel was asked for has moved on from it, which cancels this login
+          if (this._tunnel !== tunnel) {
+            socket.destroy();
+            reject(this._getLoginError({err: 'Logged out or logged in again before the proxy connected', cancelled: true}));
+            return;
+          }
+          this._tunnel = null;
+          this._log.logMsg(`Proxy ${this._proxy.host}:${this._proxy.port} connected to server at IP: ${this.connIp}, Port: ${this.connPort}`);
+          this._startLogin((this._tls !== null ? this._tls.connect(this.connPort, this.connIp, socket) : socket), resolve, reject);
+        }, err => {
+          if (this._tunnel !== tunnel) {
+            reject(this._getLoginError({err: 'Logged out or logged in again before the proxy connected', cancelled: true}));
+            return;
+          }
+          this._tunnel = null;
+          this._log.logError(`Login to server at IP: ${this.connIp}, Port: ${this.connPort} failed: ${err.message}`);
+          this.loggedIn = false;
+          this._endpointFailed('login');
           reject(err);
-        }
-
-        log.logMsg(`Logged in to server at IP: ${this.connIp}, Port: ${this.connPort}`);
-
-        // indicate successfully logged into the server
-        this.loginName = 'coder1'; // used to create msg ids
-        this.loggedIn = true; // indicate successful login
-        this.reset = false; // indicate connection is not in the process of being reset
-
-        resolve({err: null, results: {ip: this.connIp, port: this.connPort, loggedIn: this.loggedIn}});
+        });
+        return;
+      }
 
-      });
-    
-      // start listening for heartbeats regardless of whether we have received a login response yet
-      this._heartbeatTimer = setTimeout(this._resetConnection.bind(this), 2000);
+      this._startLogin(this._transport(this.connPort, this.connIp), resolve, reject);
 
     });
 
@@ -123,16 +240,16 @@ class ChallengeConnection {
 
     return new Promise((resolve, reject) => {
 
-      // only try to destroy the socket if a socket actually exists
-      if (this._socket != null) {
-        this._socket.destroy();
-        this._socket = null;
-      }
+      // stop watching for heartbeats, cancel any reconnect which is waiting to happen and destroy the socket
+      this._closeSocket();
 
       // reset the instance to indicate no active connection
       this.loginName = '';
       this.loggedIn = false;
-      this._pendingReq = [];
+      this.reset = false;
+      this._loginTime = null;
+      this._failPendingReq(`Logged out of server`);
+      this._releaseHeldReq(`Logged out of server`);
 
       resolve({err: null, results: {ip: this.connIp, port: this.connPort, loggedIn: this.loggedIn}});
 
@@ -140,64 +257,508 @@ class ChallengeConnection {
 
   }
 
-  getRequestCount() {
+  registerRequestType(type, def) {
   /* 
-  * Top level interface for the main app to get the cumulative request count from the server.
+  * Declares a type of request which can be made to the server. Everything the class needs to know about a
+  * request type is in its definition, so supporting a new server request only requires registering it here
+  * rather than adding a new handler method. The definition provides:
+  *   build(params) - returns the request msg to send to the server (the msg id is added automatically)
+  *   match(response) - returns true if a server response msg is a response to this type of request
+  *   transform(response) - (Optional) returns the results to pass back to the requestor from the response msg
+  *   timeout - (Optional) ms to wait for a response before the request is timed out
+  * Registering a type which is already registered replaces the existing definition.
+  */
+  /// <summary>Register a type of server request</summary>  
+  /// <param name="type" type="String">Name of the request type</param>  
+  /// <param name="def" type="Object">Definition of the request type</param>  
+
+    if (typeof type !== 'string' || type.length === 0) {
+      throw new Error(`Invalid request type name: ${type}`);
+    }
+    if (def == null || typeof def.build !== 'function' || typeof def.match !== 'function') {
+      throw new Error(`Request type ${type} must define build and match functions`);
+    }
+    if (def.transform != null && typeof def.transform !== 'function') {
+      throw new Error(`Request type ${type} transform must be a function`);
+    }
+    if (def.timeout != null && !(typeof def.timeout === 'number' && def.timeout > 0)) {
+      throw new Error(`Request type ${type} timeout must be a positive number`);
+    }
+
+    this._reqTypes[type] = {
+      build: def.build,
+      match: def.match,
+      transform: (def.transform != null ? def.transform : response => response),
+      timeout: (def.timeout != null ? def.timeout : this._defaultReqTimeout)
+    };
+
+  }
+
+  requestTypes() {
+  /* 
+  * Lists the request types which have been registered, e.g. to check a request type before it is used.
+  */
+  /// <summary>Get the registered request types</summary>  
+  /// <returns type="Array">Names of the registered request types</returns>  
+
+    return Object.keys(this._reqTypes);
+
+  }
+
+  request(type, params, options) {
+  /* 
+  * Top level interface for the main app to make any registered type of request to the server.
   * The request is blocking and only returns when the server response to the request msg is 
-  * received and processed.
+  * received and processed, the request times out or the request is cancelled. The request options are:
+  *   timeout - (Optional) ms to wait for a response, overriding the request type's timeout
+  *   signal - (Optional) AbortSignal which cancels the request when aborted
+  *   retry - (Optional) {attempts, deadline} or true for the defaults; a request which is cut off by a
+  *     connection reset is held and sent again with a new msg id once the new login completes, up to
+  *     attempts times and as long as it is still within deadline ms of when the request was made
   */
-  /// <summary>Get the cumulative request count from the logged in server</summary>  
-  /// <returns type="Object" value="Promise">Object containing the request count or an error</returns>  
+  /// <summary>Make a request of a registered type to the logged in server</summary>  
+  /// <param name="type" type="String">Name of the registered request type</param>  
+  /// <param name="params" type="Object">(Optional) Parameters passed to the request type's msg builder</param>  
+  /// <param name="options" type="Object">(Optional) Request options</param>  
+  /// <returns type="Object" value="Promise">Object containing the transformed response or an error</returns>  
 
     return new Promise((resolve, reject) => {
 
-      // send the request to the server and wait for the corresponding response
-      this._sendServerReq({request: 'count'}, this._msgType[this._typCount], response => {
+      let def = this._reqTypes[type];
+      let started = this._clock.now();
+
+      // every way the request can settle reports its outcome to any listeners
+      let complete = outcome => {
+        this.emit('requestCompleted', {type: type, outcome: outcome, duration: this._clock.now() - started});
+      };
+      let fail = response => {
+        this._log.logError(response.err);
+        complete(this._requestOutcome(response));
+        reject({err: response.err});
+      };
+
+      // we can only send requests the class knows how to build and match up with a response
+      if (typeof def === 'undefined') {
+        fail({err: `Unknown request type: ${type}`});
+        return;
+      }
 
-        // if the response is valid, then return the data
-        if (typeof response.err === 'undefined' || response.err === null) {
-          log.logMsg(`Count response received: ${JSON.stringify(response)}`);
-          resolve({count: response.count});
-        // otherwise, return an error
-        } else {
-          log.logError(response.err);
-          reject({err: response.err});
-        }
+      options = (options != null ? options : {});
+      let timeout = (options.timeout != null ? options.timeout : def.timeout);
+      let retry = this._getRetry(options.retry);
 
-      });
+      let send = () => {
+
+        // a retried request can't wait for a response past the retry deadline
+        let sendTimeout = (retry !== null ? Math.max(1, Math.min(timeout, retry.deadline - this._clock.now())) : timeout);
+
+        // send the request to the server and wait for the corresponding response
+        this._sendServerReq(def.build(params != null ? params : {}), type, sendTimeout, options.signal, response => {
+
+          // if the response is valid, then return the data
+          if (typeof response.err === 'undefined' || response.err === null) {
+            this._log.logMsg(`${type} response received: ${JSON.stringify(response)}`);
+            // a response the request type can't make sense of fails the request rather than the socket handler
+            let result = null;
+            try {
+              result = def.transform(response);
+            }
+            catch(err) {
+              fail({err: `${type} response could not be transformed: ${err.message}`});
+              return;
+            }
+            complete('ok');
+            resolve(result);
+          // if the request was cut off by a reset and it can be retried, then hold it until the new login
+          } else if (response.reset === true && this._holdReq(type, retry, options.signal, send, fail)) {
+            this._log.logMsg(`${type} request held for retry after reset, ${retry.attempts} retries left`);
+          // otherwise, return an error
+          } else {
+            fail(response);
+          }
+
+        });
+
+      };
+
+      send();
 
     });
 
   }
 
-  getTime() {
+  getRequestCount(options) {
+  /* 
+  * Top level interface for the main app to get the cumulative request count from the server.
+  * The request is blocking and only returns when the server response to the request msg is 
+  * received and processed.
+  */
+  /// <summary>Get the cumulative request count from the logged in server</summary>  
+  /// <param name="options" type="Object">(Optional) Request options (see request)</param>  
+  /// <returns type="Object" value="Promise">Object containing the request count or an error</returns>  
+
+    return this.request('count', null, options);
+
+  }
+
+  getTime(options) {
   /* 
   * Top level interface for the main app to request the current time and a random number from the server.
   * The request is blocking and only returns when the server response to the request msg is 
   * received and processed.
   */
   /// <summary>Get the current time and random number from the server</summary>  
+  /// <param name="options" type="Object">(Optional) Request options (see request)</param>  
   /// <returns type="Object" value="Promise">Object containing the time and number or an error</returns>  
 
-    return new Promise((resolve, reject) => {
+    return this.request('time', null, options);
 
-      // send the request to the server and wait for the corresponding response
-      this._sendServerReq({request: 'time'}, this._msgType[this._typTime], response => {
+  }
 
-        // if the response is valid, then return the data
-        if (typeof response.err === 'undefined' || response.err === null) {
-          log.logMsg(`Time response received: ${JSON.stringify(response)}`);
-          resolve({time: response.time, number: response.random});
-        // otherwise, return an error
-        } else {
-          log.logError(response.err);
-          reject({err: response.err});
-        }
+  pendingRequests() {
+  /* 
+  * Inspection interface describing the requests which have been sent to the server and are still waiting for
+  * a response, oldest first. Each entry has the msg id, request type, time sent, age in ms and timeout in ms.
+  */
+  /// <summary>List the in-flight server requests</summary>  
+  /// <returns type="Array">Objects describing each pending request</returns>  
 
-      });
+    return this._pendingReq.list();
+
+  }
+
+  getStatus(timestamp) {
+  /* 
+  * Inspection interface describing the live state of the connection for diagnostics, so what the
+  * connection is doing can be seen without going through the log. Times are in ms and are null when
+  * there is nothing to measure yet, e.g. no heartbeat since the login.
+  */
+  /// <summary>Get the connection diagnostics</summary>  
+  /// <param name="timestamp" type="Number">(Optional) Time to report ages against, defaults to now</param>  
+  /// <returns type="Object">Connection status</returns>  
+
+    let now = (timestamp != null ? timestamp : this._clock.now());
+
+    return {
+      ip: this.connIp,
+      port: this.connPort,
+      loginName: (this.loggedIn ? this.loginName : this._loginName),
+      state: (this.loggedIn ? 'connected' : (this.reset ? 'resetting' : 'disconnected')),
+      uptime: (this._loginTime !== null ? now - this._loginTime : null),
+      sinceHeartbeat: (this.loggedIn && this._lastHeartbeat !== null ? now - this._lastHeartbeat : null),
+      heartbeatWindow: this._heartbeatWindow,
+      heartbeatHistogram: this._heartbeatHistogram(),
+      resets: this._resetCount,
+      reconnectAttempts: this._reconnect.attempts,
+      pending: this._pendingReq.list(now),
+      held: this._heldReq.size,
+      unrecognized: Object.assign({}, this._unrecognizedCounts),
+      endpoints: this._endpoints.status(now)
+    };
+
+  }
+
+  _heartbeatHistogram() {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Counts the recent heartbeat intervals into buckets of a quarter of the heartbeat window each, with a
+  * last bucket for intervals at or over the window (which will have come close to resetting the connection).
+  */
+  /// <summary>Get a histogram of the recent heartbeat intervals</summary>  
+  /// <returns type="Array">{from, to, count} for each bucket, to is null for the last bucket</returns>  
+
+    let width = this._heartbeatWindow / 4;
+    let buckets = [0, 1, 2, 3].map(ndx => ({from: ndx * width, to: (ndx + 1) * width, count: 0}));
+    buckets.push({from: this._heartbeatWindow, to: null, count: 0});
+
+    this._heartbeatIntervals.forEach(interval => {
+      buckets[Math.min(Math.floor(interval / width), buckets.length - 1)].count++;
+    });
+
+    return buckets;
+
+  }
+
+  _getRetry(retry) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Turns a request's retry option into the retry state for the request, with the deadline converted from
+  * ms after the request is made to an absolute time.
+  */
+  /// <summary>Get the retry state for a request</summary>  
+  /// <param name="retry" type="Object">The request retry option - {attempts, deadline}, true or nothing</param>  
+  /// <returns type="Object">Retry state with attempts left and deadline time, or null if not retrying</returns>  
+
+    if (retry == null || retry === false) {
+      return null;
+    }
+
+    let settings = (retry === true ? {} : retry);
+    let attempts = (settings.attempts != null ? settings.attempts : this._defaultRetry.attempts);
+    let deadline = (settings.deadline != null ? settings.deadline : this._defaultRetry.deadline);
+
+    return {attempts: attempts, deadline: this._clock.now() + deadline};
+
+  }
+
+  _holdReq(type, retry, signal, send, fail) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Holds a request which was cut off by a connection reset so that it can be sent again once the new login
+  * completes. The held request uses up one of its retries, and stays cancellable by its AbortSignal. If its
+  * retry deadline passes before the new login completes it is failed rather than held any longer.
+  */
+  /// <summary>Hold a reset request for retry after the new login</summary>  
+  /// <param name="type" type="String">Type of the request</param>  
+  /// <param name="retry" type="Object">Retry state for the request</param>  
+  /// <param name="signal" type="Object">(Optional) AbortSignal which cancels the request</param>  
+  /// <param name="send" type="Function">Sends the request again</param>  
+  /// <param name="fail" type="Function">Fails the request with an error response</param>  
+  /// <returns type="Boolean">True if the request was held, false if it can't be retried</returns>  
+
+    if (retry === null || retry.attempts <= 0 || this._clock.now() >= retry.deadline) {
+      return false;
+    }
+
+    retry.attempts--;
+
+    this._heldReq.add(`held${this._heldSeq++}`, type, response => {
+      // a null response means the new login is complete, otherwise the held request has failed
+      if (response === null) {
+        send();
+      } else {
+        fail(response);
+      }
+    }, retry.deadline - this._clock.now(), signal);
+
+    return true;
+
+  }
+
+  _failPendingReq(err) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Fails every request still waiting for a server response, including a login waiting for its answer, when the
+  * connection they were sent on is dropped by a logout or a new login, so that none of them is left unsettled.
+  */
+  /// <summary>Fail the pending requests</summary>  
+  /// <param name="err" type="String">Error to fail the pending requests with</param>  
+
+    this._pendingReq.clear().forEach(req => {
+      req.callback({err: `${err} - request type: ${req.type}, request time: ${req.time}`, cancelled: true});
+    });
+
+  }
+
+  _releaseHeldReq(err) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Releases all of the requests held over a reset, either sending them again if there is no error or
+  * failing them with the error if there is.
+  */
+  /// <summary>Release the requests held over a reset</summary>  
+  /// <param name="err" type="String">Error to fail the held requests with, or null to send them again</param>  
+
+    this._heldReq.clear().forEach(req => {
+      req.callback(err === null ? null : {err: `${err} - request type: ${req.type}, request time: ${req.time}`, reset: true});
+    });
+
+  }
+
+  _requestOutcome(response) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Classifies the error response a request failed with for the requestCompleted event.
+  */
+  /// <summary>Get the outcome of a failed request</summary>  
+  /// <param name="response" type="Object">The error response</param>  
+  /// <returns type="String">timeout, reset, cancelled or error</returns>  
+
+    if (response.timeout === true) {
+      return 'timeout';
+    }
+    if (response.reset === true) {
+      return 'reset';
+    }
+    if (response.cancelled === true) {
+      return 'cancelled';
+    }
+
+    return 'error';
+
+  }
+
+  _writeSocket(data) {
+  /*
+  * Private Method by Convention (i.e. not enforced)
+  * Writes data to the server on the current socket, recording it first if the session is being captured.
+  */
+  /// <summary>Write to the server connection</summary>
+  /// <param name="data" type="String">The data to write</param>
+
+    if (this._capture !== null) {
+      this._capture.sent(this._captureConn, data);
+    }
+
+    this._socket.write(data);
 
+  }
+
+  _startLogin(socket, resolve, reject) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Sets up a newly opened server socket and sends the login msg on it, settling the login once the server has
+  * answered. This is separate from login since a socket through a proxy is only ready once the tunnel is open.
+  */
+  /// <summary>Start a login on a new server socket</summary>  
+  /// <param name="socket" type="Object">Socket connected to the server</param>  
+  /// <param name="resolve" type="Function">Resolves the login promise</param>  
+  /// <param name="reject" type="Function">Rejects the login promise</param>  
+
+    this._socket = socket;
+
+    // if the session is being captured, record everything on the socket before it is handled
+    if (this._capture !== null) {
+      let captureConn = this._capture.connected(this.connIp, this.connPort);
+      this._captureConn = captureConn;
+      this._socket.on('data', buffer => this._capture.received(captureConn, buffer));
+      // the app has always moved on from a socket it closed itself by the time the close arrives
+      this._socket.on('close', hadError => this._capture.closed(captureConn, hadError, this._socket !== socket));
+    }
+
+    // set the callbacks on the socket
+    this._socket.on('data', this._handleServerMsg.bind(this));
+    this._socket.on('error', err => {
+      this._log.logError(`socket error encountered ${err}`);
+      this.emit('socketError', {err: err});
+      // a socket error before the login is answered means the login can't be answered
+      let req = this._pendingReq.take(this._loginReqId, this._msgType[this._typLogin]);
+      if (req !== null) {
+        // a TLS server which failed verification leaves the reason on the socket
+        req.callback({err: `Connection error: ${err}`, connection: err, verification: (socket.authorizationError != null ? socket.authorizationError : null)});
+      }
     });
 
+    this._log.logMsg(`Connected to server at IP: ${this.connIp}, Port: ${this.connPort}`);
+
+    this._failPendingReq(`Connection replaced`); // clear the pending requests table (mainly insurance for resets)
+    this._framer.reset(); // and any partial message left over from a previous socket
+    this._lastHeartbeat = null;
+
+    // send the login msg to the server
+    this._sendLoginReq(this._loginName, err => {
+
+      // a login cancelled by a later login or logout has nothing left to clean up, since they have moved on from it
+      if (err != null && err.cancelled === true) {
+        reject(this._getLoginError(err));
+        return;
+      }
+
+      // if we get any kind of login error, drop the connection and pass the error up the chain
+      if (err != null) {
+        let loginErr = this._getLoginError(err);
+        this._log.logError(`Login to server at IP: ${this.connIp}, Port: ${this.connPort} failed: ${loginErr.message}`);
+        this._closeSocket();
+        this.loggedIn = false;
+        this._endpointFailed('login');
+        reject(loginErr);
+        return;
+      }
+
+      this._log.logMsg(`Logged in to server at IP: ${this.connIp}, Port: ${this.connPort}`);
+
+      // indicate successfully logged into the server
+      this.loginName = this._loginName; // used to create msg ids
+      this._msgIds.newSession(this.loginName); // replies to requests from any earlier session will now be rejected
+      this.loggedIn = true; // indicate successful login
+      this.reset = false; // indicate connection is not in the process of being reset
+      this._loginTime = this._clock.now();
+      this._heartbeatIntervals = []; // intervals from an earlier session say nothing about this one
+      this.emit('loggedIn', {ip: this.connIp, port: this.connPort, loginName: this.loginName});
+
+      // start listening for heartbeats now that the server has accepted us
+      this._heartbeatTimer = this._clock.setTimeout(this._handleHeartbeatMissed.bind(this), this._heartbeatWindow);
+
+      // send any requests which were held over a reset again on the new connection
+      this._releaseHeldReq(null);
+
+      resolve({err: null, results: {ip: this.connIp, port: this.connPort, loggedIn: this.loggedIn}});
+
+    });
+
+  }
+
+  _endpointFailed(reason) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Counts a failed login or heartbeat dropout against the endpoint in use, which has the next connection fail
+  * over to another endpoint if it has had too many.
+  */
+  /// <summary>Count a failure against the current endpoint</summary>  
+  /// <param name="reason" type="String">What failed - login or heartbeat</param>  
+
+    // with a single endpoint there is nothing to fail over to
+    if (this._endpoints.length > 1 && this._endpoints.failed(this._endpoint.index)) {
+      this._log.logError(`Server at IP: ${this.connIp}, Port: ${this.connPort} marked unhealthy for ${this._endpoints.cooldown} ms after repeated failures`);
+      this.emit('endpointUnhealthy', {ip: this.connIp, port: this.connPort, reason: reason, cooldown: this._endpoints.cooldown});
+    }
+
+  }
+
+  _closeSocket() {
+  /*
+  * Private Method by Convention (i.e. not enforced)
+  * Stops everything associated with the current server connection: the heartbeat timer, any reconnect which
+  * is waiting to happen and the socket itself. A proxy tunnel which is still being opened is closed when it opens.
+  */
+  /// <summary>Close the current server connection</summary>  
+
+    if (this._heartbeatTimer !== null) {
+      this._clock.clearTimeout(this._heartbeatTimer);
+      this._heartbeatTimer = null;
+    }
+    if (this._reconnectTimer !== null) {
+      this._clock.clearTimeout(this._reconnectTimer);
+      this._reconnectTimer = null;
+    }
+
+    this._tunnel = null;
+
+    // only try to destroy the socket if a socket actually exists
+    if (this._socket != null) {
+      this._socket.destroy();
+      this._socket = null;
+    }
+
+  }
+
+  _getLoginError(err) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Turns the error posted to the pending login request into a ChallengeLoginError describing why the login failed.
+  */
+  /// <summary>Get the login error for a failed login</summary>  
+  /// <param name="err" type="Object">Error posted to the login request callback</param>  
+  /// <returns type="Object">ChallengeLoginError instance</returns>  
+
+    if (err.cancelled === true) {
+      return new ChallengeLoginError(`Login cancelled: ${err.err}`, 'cancelled');
+    }
+    if (err.rejected != null) {
+      return new ChallengeLoginError(`Login rejected by server: ${JSON.stringify(err.rejected)}`, 'rejected', err.rejected);
+    }
+    if (err.timeout === true) {
+      return new ChallengeLoginError(`Login not answered within ${this._loginTimeout} ms`, 'timeout');
+    }
+    if (err.verification != null) {
+      return new ChallengeLoginError(`Server certificate verification failed (${err.verification}): ${err.connection.message}`, 'verification', err.connection);
+    }
+    if (err.connection != null) {
+      return new ChallengeLoginError(`Login connection failed: ${err.connection.message}`, 'connection', err.connection);
+    }
+
+    return new ChallengeLoginError(`Login failed: ${(err.err != null ? err.err : err)}`, 'connection', err);
+
   }
 
   _sendLoginReq(user, callback) {
@@ -216,16 +777,17 @@ class ChallengeConnection {
 
     // save the login request info in the pending requests table; the table should be empty at this point
     // no message id is associated with a login request
-    this._pendingReq.push(['', this._msgType[this._typLogin], callback, Date.now()]);
-    log.logMsg(`Pending login request info pushed - user: ${user}, callback provided: ${(callback != null)}`);
+    this._pendingReq.add(this._loginReqId, this._msgType[this._typLogin], callback, this._loginTimeout);
+    this._log.trace(`Pending login request info pushed - user: ${user}, callback provided: ${(callback != null)}`, {type: 'login'});
 
-    // send the login request msg to the server
-    this._socket.write(JSON.stringify({name: user}));
-    log.logSent(JSON.stringify({name: user}));
+    // send the login request msg to the server along with any extra credentials
+    let loginMsg = JSON.stringify(Object.assign({}, this._credentials, {name: user}));
+    this._writeSocket(loginMsg);
+    this._log.logSent(loginMsg, {type: 'login'});
 
   }
 
-  _sendServerReq(req, type, callback) {
+  _sendServerReq(req, type, timeout, signal, callback) {
   /* 
   * Private Method by Convention (i.e. not enforced)
   * Main class method for sending requests to the logged in server. This method is blocking
@@ -237,19 +799,46 @@ class ChallengeConnection {
   /// <summary>Send a request msg to the logged in server and wait until the corresponding response is received</summary>  
   /// <param name="req" type="Object">JSON formatted msg to send to the server</param>  
   /// <param name="type" type="String">Indicates the type of request being sent</param>  
+  /// <param name="timeout" type="Number">ms to wait for the response before timing out the request</param>  
+  /// <param name="signal" type="Object">(Optional) AbortSignal which cancels the request</param>  
   /// <param name="callback" type="Object">Callback function when server response received</param>  
 
+    // a request which is cancelled before it's even sent just fails immediately
+    if (signal != null && signal.aborted) {
+      callback({err: `Request cancelled - request type: ${type}, request time: ${this._clock.now()}`, cancelled: true});
+      return;
+    }
+
     this._chkServerLogin().then(response => {
 
+      // the request may have been cancelled while we were waiting on the login check
+      if (signal != null && signal.aborted) {
+        callback({err: `Request cancelled - request type: ${type}, request time: ${this._clock.now()}`, cancelled: true});
+        return;
+      }
+
       let msgId = this._nextMsgId(); // get a unique message id for this request
 
       // save the request info in the pending requests table
-      this._pendingReq.push([msgId, type, callback, Date.now()]);
-      log.logMsg(`Pending request info pushed - msgId: ${msgId}, type: ${type}, callback provided: ${(callback != null)}`);
+      let sentTime = this._clock.now();
+      this._pendingReq.add(msgId, type, response => {
+        if (response.timeout === true) {
+          this.emit('requestTimedOut', {msgId: msgId, type: type, sentTime: sentTime, timeout: timeout});
+        }
+        // note which request failed, since the error itself only has the request type and time
+        if (response.err != null) {
+          this._log.warn(`Request failed - msgId: ${msgId}, type: ${type}: ${response.err}`,
+            {msgId: msgId, type: type, outcome: this._requestOutcome(response)});
+        }
+        callback(response);
+      }, timeout, signal);
+      this._log.trace(`Pending request info pushed - msgId: ${msgId}, type: ${type}, callback provided: ${(callback != null)}`,
+        {msgId: msgId, type: type, session: this._msgIds.session});
 
       // send the request msg to the server
-      this._socket.write(JSON.stringify(Object.assign(req, {id: msgId})));
-      log.logSent(JSON.stringify(Object.assign(req, {id: msgId})));
+      this._writeSocket(JSON.stringify(Object.assign(req, {id: msgId})));
+      this._log.logSent(JSON.stringify(Object.assign(req, {id: msgId})), {msgId: msgId, type: type, session: this._msgIds.session});
+      this.emit('requestSent', {msgId: msgId, type: type, time: sentTime});
 
     }).catch(err => {
 
@@ -284,18 +873,19 @@ class ChallengeConnection {
       // if we are in a reset cycle then retry the logged in test
         if (this.reset) {
 
-          let retry = 5; // for simplicity, we hardcode a max 5 retries
+          let retry = this._resetRetries;
 
           // wait before retrying
-          let timer = setInterval(() => {
+          let timer = this._clock.setInterval(() => {
             // if we are logged after the wait then return success
             if (this.loggedIn) {
+              this._clock.clearInterval(timer);
               resolve({err: null});
-            // otherwise check to see if we are out of retries and if so return failure
+            // otherwise check to see if we are out of retries or the reset has been given up and if so return failure
             } else {
-              if (--i <= 0) {
-                clearInterval(timer);
-                reject({err: `Server reset error!`});
+              if (--retry <= 0 || !this.reset) {
+                this._clock.clearInterval(timer);
+                reject({err: `Server reset error!`, reset: true});
               }
             }
           }, 1000); // wait 1 second between tries
@@ -323,7 +913,7 @@ class ChallengeConnection {
   /// <summary>Receive and handle messages from the connected server</summary>  
   /// <param name="buffer" type="Object">The message buffer received on the server connection socket</param>  
 
-    log.logReceived(buffer);
+    this._log.logReceived(String(buffer).replace(/\n+$/, ''), {session: this._msgIds.session});
 
     // get any valid JSON objects received in the buffer
     let msgArray = this._parseRcvBuffer(buffer);
@@ -335,7 +925,14 @@ class ChallengeConnection {
 
       // if the msg doesn't have a valid type property, then just log it and ignore it
       if (typeof msg.type === 'undefined' || typeof msg.type !== 'string') {
-        log.logError(`Message received with invalid or no message type: ${JSON.stringify(msg)}`);
+        this._log.warn(`Message received with invalid or no message type: ${JSON.stringify(msg)}`);
+        this._noteUnrecognized('noType', msg);
+        continue;
+      }
+
+      // login rejection msgs only mean something while a login is waiting to be answered
+      if (this._loginRejectTypes.indexOf(msg.type) !== -1 && this._handleLoginRejectMsg(msg)) {
+        continue;
       }
 
       // handle valid JSON server messages
@@ -348,27 +945,27 @@ class ChallengeConnection {
 
         // heartbeat messages
         case this._msgType[this._typHeartbeat]:
-          this._handleHeartbeat(Date.now());
+          this._handleHeartbeat(this._clock.now());
           break;
 
         // standard request response messages
         case this._msgType[this._typMsg]:
           let response = msg.msg;
-          // if the response has a count property, then process it as a count request response
-          if (typeof response.count !== 'undefined') {
-            this._handleCountMsg(response);
-          // if the response has a time property, then process it as a time request response
-          } else if (typeof response.time !== 'undefined') {
-              this._handleTimeMsg(response);
+          let reqType = this._matchRequestType(response);
+          // if the response matches a registered request type, then process it as a response to that request type
+          if (reqType !== null) {
+            this._handleResponseMsg(reqType, response);
           // log response types we don't recognize, then ignore them
           } else {
-            log.logError(`Unrecognized message encountered: ${JSON.stringify(msg)}`);
+            this._log.warn(`Unrecognized message encountered: ${JSON.stringify(msg)}`);
+            this._noteUnrecognized('unknownResponse', msg);
           }
           break;
 
         // log message types we don't recognize, then ignore them
         default:
-          log.logError(`Unrecognized message encountered: ${JSON.stringify(msg)}`);
+          this._log.warn(`Unrecognized message encountered: ${JSON.stringify(msg)}`);
+          this._noteUnrecognized('unknownType', msg);
           break;
 
       }
@@ -381,17 +978,25 @@ class ChallengeConnection {
   /* 
   * Private Method by Convention (i.e. not enforced)
   * Takes the provided buffer and parses it, returning an array containing message objects
-  * corresponding to any valid JSON formatted text in the buffer. Text which can not be parsed
-  * as a JSON object is logged, then ignored.
+  * corresponding to any valid JSON formatted text in the buffer. The buffer is passed through this
+  * connection's framer first, so a message split across socket data events is only parsed once all of
+  * it has arrived. Text which can not be parsed as a JSON object is logged, then ignored.
   */
   /// <summary>Parse any JSON formatted objects from the provided buffer</summary>  
   /// <param name="buffer" type="String">The buffer which to parse</param>  
   /// <returns type="Array">Contains any parsed message objects</returns>  
 
-    // split the buffer into individual messages
-    let tmpArray = buffer.toString().split('\n');
+    // add the buffer to any partial message already received and get the complete messages
+    let framed = this._framer.push(buffer);
+    let tmpArray = framed.frames;
     let msgArray = [];
 
+    // log any messages which were too big to buffer, then ignore them
+    framed.errors.forEach(err => {
+      this._log.warn(`Oversize message discarded: ${err}`);
+      this._noteUnrecognized('oversize', err);
+    });
+
     // parse each individual message to determine if it is valid JSON
     for (var i = 0; i < tmpArray.length; i++) {
 
@@ -407,7 +1012,8 @@ class ChallengeConnection {
       catch(err) {
         // if we are just not able to parse a JSON object out of the msg, then just ignore the msg
         if (err instanceof SyntaxError) {
-          log.logError(`Invalid non-JSON message format: ${buffer}`);
+          this._log.warn(`Invalid non-JSON message format: ${tmpArray[i]}`);
+          this._noteUnrecognized('invalidJson', tmpArray[i]);
         // otherwise, all other kinds of errors just continue getting passed up the stack
         } else {
           throw(err);
@@ -420,6 +1026,20 @@ class ChallengeConnection {
 
   }
 
+  _noteUnrecognized(reason, msg) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Counts a received msg which was ignored and lets any listeners know about it.
+  */
+  /// <summary>Note an unrecognized msg</summary>  
+  /// <param name="reason" type="String">Why the msg was ignored</param>  
+  /// <param name="msg" type="Object">The ignored msg</param>  
+
+    this._unrecognizedCounts[reason]++;
+    this.emit('unrecognizedMessage', {reason: reason, msg: msg});
+
+  }
+
   _handleLoginMsg(msg) {
   /* 
   * Private Method by Convention (i.e. not enforced)
@@ -429,35 +1049,47 @@ class ChallengeConnection {
   /// <summary>Handle the server response message to a login request</summary>  
   /// <param name="msg" type="Object">The JSONified msg received from the server</param>  
 
-    // when a login response is received from the server, there should only be one request in the pending
-    // request table and it should be for a login request
-    if (this._pendingReq.length != 1 || this._pendingReq[0][this._reqType] != this._msgType[this._typLogin]) {
-      log.logError(`Invalid pending request table on login: ${this._pendingReq}`);
-      // if we can't complete the login, we just need to quit
-      throw new Error(`Invalid pending request table on login: ${this._pendingReq}`);
+    // when a login response is received from the server, there should be a login request in the pending
+    // request table; if there isn't, the response is a duplicate or unsolicited so just log it and ignore it
+    let req = this._pendingReq.take(this._loginReqId, this._msgType[this._typLogin]);
+    if (req === null) {
+      this._log.logError(`No pending login request found for login response: ${JSON.stringify(msg)}`);
+      return;
     }
 
-    // get the pending login request and complete the login
-    let req = this._pendingReq[0][this._reqCallback];
-    if (req != null) {
-      req(null); // indicate no login error
-    //otherwise if we can't complete the login, we just need to quit
-    } else {
-      log.logError(`No login callback found in pending request table`);
-      throw new Error(`No login callback found in pending request table`);
+    // complete the login
+    req.callback(null); // indicate no login error
+
+  }
+
+  _handleLoginRejectMsg(msg) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * This method handles a server msg rejecting a login. If a login is waiting to be answered, the
+  * login callback is retrieved from the pending requests table and failed with the rejection.
+  */
+  /// <summary>Handle a server login rejection message</summary>  
+  /// <param name="msg" type="Object">The JSONified msg received from the server</param>  
+  /// <returns type="Boolean">True if the msg rejected a pending login</returns>  
+
+    let req = this._pendingReq.take(this._loginReqId, this._msgType[this._typLogin]);
+    if (req === null) {
+      return false;
     }
 
+    req.callback({err: `Login rejected`, rejected: msg});
+
+    return true;
+
   }
 
   _handleHeartbeat(pulse) {
   /* 
   * Private Method by Convention (i.e. not enforced)
-  * This method makes sure we have a valid logged in server before we try to make a request
-  * to it. The main complexity is that if we are in the process of resetting the server connection
-  * because of a heartbeat timer dropout, we retry the login check a few times so that the reset
-  * operation doesn't unneccessarily cause main app requests to be rejected. Because we are only
-  * checking our own internal logged in state, it is still possible for server connection errors
-  * to occur even if this check succeeds. Those errors will be trapped in other locations.
+  * Called for each heartbeat msg received from the server while logged in. A heartbeat shows the connection is
+  * still good, so the heartbeat timer is restarted to give the server another heartbeat window and the reconnect
+  * policy starts over. The time since the last heartbeat is kept for the status histogram and passed on with
+  * the heartbeat event. Heartbeats which turn up before the login has started the heartbeat timer are ignored.
   */
   /// <summary>Handle a timely heartbeat msg from the server</summary>  
   /// <param name="pulse" type="Object">The time the heartbeat msg was received from the server</param>  
@@ -465,56 +1097,79 @@ class ChallengeConnection {
     // if we don't have a heartbeat timer, we haven't logged in and started one so just return
     if (this._heartbeatTimer === null) return;
 
+    // a heartbeat means the connection is good again, so any later reset starts a fresh set of reconnect attempts
+    this._reconnect.reset();
+
     // clear the existing heartbeat timer and set a new one
-    clearTimeout(this._heartbeatTimer);
-    this._heartbeatTimer = setTimeout(this._resetConnection.bind(this), 2000); // this gives a 2 second window before timeout reset
+    this._clock.clearTimeout(this._heartbeatTimer);
+    this._heartbeatTimer = this._clock.setTimeout(this._handleHeartbeatMissed.bind(this), this._heartbeatWindow); // this gives the heartbeat window before timeout reset
+
+    let interval = (this._lastHeartbeat !== null ? pulse - this._lastHeartbeat : null);
+    if (interval !== null) {
+      this._heartbeatIntervals.push(interval);
+      if (this._heartbeatIntervals.length > this._heartbeatIntervalsMax) {
+        this._heartbeatIntervals.shift();
+      }
+    }
 
-    // we also use the heartbeat to start up a check for timed-out individual server request messages
-    this._chkPendingReq(pulse);
+    this.emit('heartbeat', {time: pulse, interval: interval});
+    this._lastHeartbeat = pulse;
 
   }
 
-  _handleCountMsg(msg) {
+  _handleHeartbeatMissed() {
   /* 
   * Private Method by Convention (i.e. not enforced)
-  * This method handles server responses to requests for the cumulative request count. It checks the 
-  * msg id in the server response, searches for a corresponding request in the pending request table
-  * and if one is found, executes the associated callback with the returned server data.
+  * Called by the heartbeat timer when no heartbeat msg has been received from the server within the
+  * heartbeat window, at which point the connection can no longer be considered good and has to be reset.
   */
-  /// <summary>Handle server response message for the get cumulative request count request</summary>  
-  /// <param name="msg" type="Object">The JSONified msg received from the server</param>  
+  /// <summary>Handle a heartbeat dropout from the server</summary>  
 
-    // get the msg id for the server message
-    let msgId = this._getMsgId(msg);
+    this.emit('heartbeatMissed', {lastHeartbeat: this._lastHeartbeat, window: this._heartbeatWindow});
+    this._resetConnection();
 
-    // if a valid msg id for this instance could not be determined, then log the error and ignore the message
-    if (msgId === null) {
-      log.logError(`Count message received with invalid or no message id: ${JSON.stringify(msg)}`);
-      return;
+  }
+
+  _matchRequestType(response) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Determines which registered request type a server response msg is a response to. A reply to a pending
+  * request is checked against that request's type only, so types whose responses look alike can't take each
+  * other's replies. Any other response is tried against each registered type's response matcher in turn.
+  */
+  /// <summary>Get the request type matching a server response message</summary>  
+  /// <param name="response" type="Object">The JSONified response received from the server</param>  
+  /// <returns type="String">Name of the matching request type or null if none match</returns>  
+
+    // a response which isn't an object can't match any request type
+    if (response == null || typeof response !== 'object') {
+      return null;
     }
 
-    // find the pending request info for this server response message
-    let req = this._getPendingReq(msgId);
+    let req = (typeof response.reply === 'string' ? this._pendingReq.get(response.reply) : null);
+    if (req !== null && typeof this._reqTypes[req.type] !== 'undefined') {
+      return (this._reqTypes[req.type].match(response) ? req.type : null);
+    }
 
-    // if the corresponding request was found then execute associated callback
-    if (req != null) {
-      log.logMsg(`Pending request found for count response with msgId: ${msgId}`);
-      req(msg);
-    //otherwise just log the error and ignore the message
-    } else {
-      log.logError(`No matching count request found for response with msgId: ${msgId}`);
+    for (let type in this._reqTypes) {
+      if (this._reqTypes[type].match(response)) {
+        return type;
+      }
     }
 
+    return null;
+
   }
 
-  _handleTimeMsg(msg) {
+  _handleResponseMsg(type, msg) {
   /* 
   * Private Method by Convention (i.e. not enforced)
-  * This method handles server responses to requests for the server time and random number. It checks the 
-  * msg id in the server response, searches for a corresponding request in the pending request table
-  * and if one is found, executes the associated callback with the returned server data.
+  * This method handles server responses to requests of any registered type. It checks the 
+  * msg id in the server response, searches for a corresponding request of the same type in the pending
+  * request table and if one is found, executes the associated callback with the returned server data.
   */
-  /// <summary>Handle server response message for the get server time and random number request</summary>  
+  /// <summary>Handle server response message for a registered request type</summary>  
+  /// <param name="type" type="String">The request type the response matched</param>  
   /// <param name="msg" type="Object">The JSONified msg received from the server</param>  
 
     // get the msg id for the server message
@@ -522,20 +1177,21 @@ class ChallengeConnection {
 
     // if a valid msg id for this instance could not be determined, then log the error and ignore the message
     if (msgId === null) {
-      log.logError(`Time message received with invalid or no message id: ${JSON.stringify(msg)}`);
+      this._log.logError(`${type} message received with invalid or no message id: ${JSON.stringify(msg)}`);
       return;
     }
 
     // find the pending request info for this server response message
-    let req = this._getPendingReq(msgId);
+    let req = this._getPendingReq(msgId, type);
 
     // if the corresponding request was found then execute associated callback
     if (req != null) {
-      log.logMsg(`Pending request found for time response with msgId: ${msgId}`);
-      req(msg);
+      this._log.debug(`Pending request found for ${type} response with msgId: ${msgId}`, {msgId: msgId, type: type});
+      this.emit('responseReceived', {msgId: msgId, type: type, sentTime: req.time, latency: this._clock.now() - req.time});
+      req.callback(msg);
     //otherwise just log the error and ignore the message
     } else {
-      log.logError(`No matching time request found for response with msgId: ${msgId}`);
+      this._log.warn(`No matching ${type} request found for response with msgId: ${msgId}`, {msgId: msgId, type: type});
     }
 
   }
@@ -543,29 +1199,36 @@ class ChallengeConnection {
   _nextMsgId() {
   /* 
   * Private Method by Convention (i.e. not enforced)
-  * Generates a unique id string which identifies a message by app, user and request time. While this mechanism
-  * is suitable for the limited nature of the challenge app, it is not robust enough for most general purpose
-  * usage and would need to be enhanced for a more generally releasable product.
+  * Generates a unique id string which identifies a message by client instance, login session and a counter
+  * within the session, so ids never collide even for requests made in the same ms.
   */
   /// <summary>Generate a unique msg id for an app server request</summary>  
   /// <returns type="String">Unique id for a server request from this app</returns>  
 
-    return ('challenge' + this.loginName + Date.now().toString());
+    return this._msgIds.next();
 
   }
 
   _getMsgId(msg) {
   /* 
   * Private Method by Convention (i.e. not enforced)
-  * Returns a validly formatted msg id if one exists in a server response message. 
+  * Returns a validly formatted msg id if one exists in a server response message. Only ids generated by this
+  * instance in the current login session are valid, so late replies to requests made before a reset and
+  * replies meant for other clients are ignored.
   */
   /// <summary>Get the msg id from the provided server response message</summary>  
   /// <param name="msg" type="Object">The JSONified msg received from the server</param>  
   /// <returns type="String">Message id returned in a server response message</returns>  
 
-    // if the msg doesn't have a valid id property or it doesn't match this app, then just ignore it
-    if (typeof msg.reply === 'undefined' || typeof msg.reply !== 'string' || msg.reply.substr(0, 9) !== 'challenge') {
-      log.logError(`Message received with invalid or no message id: ${JSON.stringify(msg)}`);
+    // if the msg doesn't have a valid id property, then just ignore it
+    if (typeof msg.reply === 'undefined' || typeof msg.reply !== 'string') {
+      this._log.logError(`Message received with invalid or no message id: ${JSON.stringify(msg)}`);
+      return null;
+    }
+
+    // if the id wasn't generated by this instance in the current session, then just ignore it
+    if (!this._msgIds.isCurrent(msg.reply)) {
+      this._log.logError(`Message received with message id from another client or an earlier session: ${JSON.stringify(msg)}`);
       return null;
     }
 
@@ -573,7 +1236,7 @@ class ChallengeConnection {
 
   }
 
-  _getPendingReq(id) {
+  _getPendingReq(id, type) {
   /* 
   * Private Method by Convention (i.e. not enforced)
   * Returns info about the pending request matching the specified message id. The
@@ -581,44 +1244,11 @@ class ChallengeConnection {
   */
   /// <summary>Get info for the request with the specified message id</summary>  
   /// <param name="id" type="String">The message id to match in the pending request table</param>  
-  /// <returns type="Array">Contains info describing a pending server request</returns>  
-
-    let req = null;
-
-    // look for a pending request matching the specified msg id
-    for (var i = 0; i < this._pendingReq.length; i++) {
-      // if found, get the info from the table and remove it from the table
-      if (this._pendingReq[i][this._reqId] == id) {
-        req = this._pendingReq.splice(i, 1)[0][this._reqCallback];
-        break;
-      }
-    }
+  /// <param name="type" type="String">The request type to match in the pending request table</param>  
+  /// <returns type="Object">Info describing the pending server request or null if not found</returns>  
 
-    return req;
-
-  }
-
-  _chkPendingReq(timestamp) {
-  /* 
-  * Private Method by Convention (i.e. not enforced)
-  * Checks the pending request table to see if any pending requests have been in the table longer
-  * than the request timeout value. If they have been, they are removed from the table and an
-  * error is posted to their associated request callback.
-  */
-  /// <summary>Get info for the request with the specified message id</summary>  
-  /// <param name="timestamp" type="Number">The timestamp to compare to the request submit time</param>  
-
-    this._pendingReq.forEach((req, ndx) => {
-      
-      // for simplicity, the current timeout value is hardcoded to 5 seconds
-      if ((timestamp - req[this._reqTime]) > 5000) {
-        // remove the info for a timed out request from the table
-        let reqInfo = this._pendingReq.splice(ndx, 1)[0];
-        // and return an error on the associated callback
-        reqInfo[this._reqCallback]({err: `Request timeout error - request type: ${reqInfo[this._reqType]}, request time: ${reqInfo[this._reqTime]}`});
-      }
-
-    });
+    // look for a pending request matching the specified msg id and if found, remove it from the table
+    return this._pendingReq.take(id, type);
 
   }
 
@@ -627,39 +1257,94 @@ class ChallengeConnection {
   * Private Method by Convention (i.e. not enforced)
   * This method performs the steps to reset the connection to the server. It's intended
   * usage is to reset the connection when a heartbeat message has not been received from the
-  * server by the end of the defined interval.
+  * server by the end of the defined interval. The new connection is made according to the
+  * reconnect policy rather than straight away, so a server which is down isn't hammered with logins.
   */
   /// <summary>Reset the connection to the server</summary>  
 
     // Indicate we currently have no server connection
-    log.logMsg(`Resetting Server Connection`);
+    this._log.logMsg(`Resetting Server Connection`);
     this.loggedIn = false;
     this.reset = true;
+    this._heartbeatTimer = null;
+    this._loginTime = null;
+    this._resetCount++;
+    this._resetFrom = this._endpoint;
+    this._endpointFailed('heartbeat');
 
     // Clear any pending server requests since they will not be able to be completed now
-    this._pendingReq.forEach((req, ndx) => {
+    let pending = this._pendingReq.clear();
+    this.emit('resetStarted', {pending: pending.filter(req => req.type != this._msgType[this._typLogin]).length});
+    pending.forEach(req => {
       // notify any current requestors that their requests have failed so they can retry if desired but ignore any
       // pending login requests since we will try to login again on the reset anyway
-      if (req[this._reqType] != this._msgType[this._typLogin]) {
-        let type = req[this._reqType];
-        let time = req[this._reqTime];
-        req[this._reqCallback]({err: `Server reset error - request type: ${type}, request time: ${time}`});
+      if (req.type != this._msgType[this._typLogin]) {
+        req.callback({err: `Server reset error - request type: ${req.type}, request time: ${req.time}`, reset: true});
       }
     });
 
-    // destroy our current connection
-    this._socket.destroy();
-    this._socket = null;
+    // destroy our current connection along with any partial message received on it
+    this._closeSocket();
+    this._framer.reset();
     
-    // then create a new one
-    this.login().then(response => {
-      if (response.err === null) {
-        log.logMsg(`Server Reset Complete`);
-      } else {
-        log.logError(`Server Reset Error: ${response.err}`);
+    // then create a new one when the reconnect policy says to
+    this._scheduleReconnect();
+
+  }
+
+  _scheduleReconnect() {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Waits for the delay given by the reconnect policy and then logs in again. If the new login fails we
+  * come straight back here, and if it succeeds but the heartbeats don't follow, the heartbeat timer
+  * resets the connection again and we come back here that way for the next attempt. When the policy runs
+  * out of attempts the reset is abandoned and the main app is told through its give up callback.
+  */
+  /// <summary>Schedule the next reconnect attempt or give up</summary>  
+
+    let delay = this._reconnect.nextDelay();
+
+    // if the reconnect policy is out of attempts, then stop trying and tell the main app
+    if (delay === null) {
+      this._log.logError(`Server Reset Abandoned after ${this._reconnect.attempts} reconnect attempts`);
+      this.reset = false;
+      this._releaseHeldReq(`Server reset abandoned`);
+      this.emit('gaveUp', {ip: this.connIp, port: this.connPort, attempts: this._reconnect.attempts});
+      if (this._giveUpCallback !== null) {
+        this._giveUpCallback({err: `Server reset abandoned after ${this._reconnect.attempts} reconnect attempts`,
+          results: {ip: this.connIp, port: this.connPort, attempts: this._reconnect.attempts}});
       }
+      return;
+    }
 
-    });
+    this._log.logMsg(`Reconnect attempt ${this._reconnect.attempts} scheduled in ${delay} ms`);
+
+    this._reconnectTimer = this._clock.setTimeout(() => {
+
+      this._reconnectTimer = null;
+      let attempts = this._reconnect.attempts;
+      this.emit('reconnecting', {ip: this.connIp, port: this.connPort, attempt: attempts});
+
+      this.login().then(response => {
+        if (response.err === null) {
+          this._log.logMsg(`Server Reset Complete`);
+          this.emit('resetComplete', {ip: this.connIp, port: this.connPort, attempts: attempts,
+            failover: (this._resetFrom !== null && this._resetFrom.index !== this._endpoint.index)});
+        } else {
+          this._log.logError(`Server Reset Error: ${response.err}`);
+        }
+      }).catch(err => {
+        // the login didn't work out, so note the error and try again when the reconnect policy says to, unless
+        // a logout or another login has taken over from the reset, which is then no longer ours to finish
+        this._log.logError(`Server Reset Error: ${(err != null && err.err != null ? err.err : err)}`);
+        if (!this.reset || (err != null && err.code === 'cancelled')) {
+          this._log.logMsg(`Server Reset stopped, the reconnect login was cancelled`);
+          return;
+        }
+        this._scheduleReconnect();
+      });
+
+    }, delay);
 
   }
 
@@ -0,0 +1,194 @@
+'use strict';
+
+/* Module imports */
+const ChallengeClock = require('./challengeclock.js'); // class for the time the failures and cooldowns are measured in
+/**********************************************************************/
+
+class ChallengeEndpoints {
+/* 
+* Endpoint list class for a Node.js Socket Client Coding Challenge. Keeps the servers the client can connect to
+* and picks the one for each new connection, so that a reconnect after a reset can fail over to another server.
+* The strategy decides which healthy endpoint is picked:
+*   priority - the first in the list, so the client goes back to the first endpoint once it is healthy again
+*   roundRobin - the one after the endpoint used last, going round the list
+*   random - any of them
+* An endpoint with maxFailures failures (failed logins or heartbeat dropouts) within failureWindow ms is marked
+* unhealthy and skipped for cooldown ms, after which it starts over with a clean record. If every endpoint is
+* cooling down, the one which will be healthy again soonest is picked rather than not connecting at all.
+*/
+
+  constructor(endpoints, policy, clock) {
+  /// <summary>ChallengeEndpoints class constructor</summary>  
+  /// <param name="endpoints" type="Array">{ip, port} of each endpoint, in priority order</param>  
+  /// <param name="policy" type="Object">(Optional) Failover settings - strategy, maxFailures, failureWindow, cooldown</param>  
+  /// <param name="clock" type="Object">(Optional) ChallengeClock for the time</param>  
+  /// <returns type="Object">ChallengeEndpoints instance</returns>  
+
+    this.STRATEGIES = ['priority', 'roundRobin', 'random'];
+
+    // This is the actual instance initialization code
+    policy = (policy != null ? policy : {});
+
+    // Set the policy to either the specified settings or the defaults
+    this.strategy = (policy.strategy != null ? policy.strategy : 'priority'); // how the endpoint for a connection is picked
+    this.maxFailures = (policy.maxFailures != null ? policy.maxFailures : 3); // failures within the window which make an endpoint unhealthy
+    this.failureWindow = (policy.failureWindow != null ? policy.failureWindow : 60000); // ms failures are counted over
+    this.cooldown = (policy.cooldown != null ? policy.cooldown : 30000); // ms an unhealthy endpoint is skipped for
+
+    this._validate(endpoints);
+
+    this._endpoints = endpoints.map((endpoint, ndx) => ({
+      ip: endpoint.ip,
+      port: endpoint.port,
+      index: ndx,
+      failures: [], // times of the failures within the window
+      unhealthyUntil: null // when an unhealthy endpoint can be used again
+    }));
+    this._clock = (clock != null ? clock : new ChallengeClock());
+    this._last = -1; // index of the endpoint picked last
+
+  }
+
+  get length() {
+  /// <summary>Number of endpoints</summary>  
+  /// <returns type="Number">Number of endpoints</returns>  
+
+    return this._endpoints.length;
+
+  }
+
+  get(index) {
+  /* 
+  * Gets an endpoint without picking it, e.g. to report where the client will connect before it has.
+  */
+  /// <summary>Get an endpoint</summary>  
+  /// <param name="index" type="Number">Position of the endpoint in the list</param>  
+  /// <returns type="Object">{ip, port, index} of the endpoint</returns>  
+
+    let endpoint = this._endpoints[index];
+
+    return {ip: endpoint.ip, port: endpoint.port, index: endpoint.index};
+
+  }
+
+  next() {
+  /* 
+  * Picks the endpoint for a new connection according to the strategy.
+  */
+  /// <summary>Pick the endpoint for the next connection</summary>  
+  /// <returns type="Object">{ip, port, index} of the endpoint</returns>  
+
+    let now = this._clock.now();
+
+    // an endpoint whose cooldown is over starts over with a clean record
+    this._endpoints.forEach(endpoint => {
+      if (endpoint.unhealthyUntil !== null && endpoint.unhealthyUntil <= now) {
+        endpoint.unhealthyUntil = null;
+        endpoint.failures = [];
+      }
+    });
+
+    let healthy = this._endpoints.filter(endpoint => endpoint.unhealthyUntil === null);
+    let choice = null;
+
+    if (healthy.length === 0) {
+      choice = this._endpoints.reduce((soonest, endpoint) => (endpoint.unhealthyUntil < soonest.unhealthyUntil ? endpoint : soonest));
+    } else if (this.strategy === 'roundRobin') {
+      let after = healthy.filter(endpoint => endpoint.index > this._last);
+      choice = (after.length > 0 ? after[0] : healthy[0]);
+    } else if (this.strategy === 'random') {
+      choice = healthy[Math.floor(Math.random() * healthy.length)];
+    } else {
+      choice = healthy[0];
+    }
+
+    this._last = choice.index;
+
+    return this.get(choice.index);
+
+  }
+
+  failed(index) {
+  /* 
+  * Counts a failure against an endpoint, and marks it unhealthy if that makes too many within the window.
+  */
+  /// <summary>Count a failure against an endpoint</summary>  
+  /// <param name="index" type="Number">Position of the endpoint in the list</param>  
+  /// <returns type="Boolean">True if the endpoint has just been marked unhealthy</returns>  
+
+    let endpoint = this._endpoints[index];
+    let now = this._clock.now();
+
+    endpoint.failures = endpoint.failures.filter(time => now - time < this.failureWindow);
+    endpoint.failures.push(now);
+
+    if (endpoint.failures.length < this.maxFailures) {
+      return false;
+    }
+
+    endpoint.unhealthyUntil = now + this.cooldown;
+    endpoint.failures = [];
+
+    return true;
+
+  }
+
+  status(timestamp) {
+  /* 
+  * Describes the health of every endpoint for diagnostics.
+  */
+  /// <summary>Get the endpoint health</summary>  
+  /// <param name="timestamp" type="Number">(Optional) Time to report against, defaults to now</param>  
+  /// <returns type="Array">{ip, port, healthy, failures, cooldown} for each endpoint, cooldown being ms left or null</returns>  
+
+    let now = (timestamp != null ? timestamp : this._clock.now());
+
+    return this._endpoints.map(endpoint => {
+      let cooling = (endpoint.unhealthyUntil !== null && endpoint.unhealthyUntil > now);
+      return {
+        ip: endpoint.ip,
+        port: endpoint.port,
+        healthy: !cooling,
+        failures: (cooling ? 0 : endpoint.failures.filter(time => now - time < this.failureWindow).length),
+        cooldown: (cooling ? endpoint.unhealthyUntil - now : null)
+      };
+    });
+
+  }
+
+  _validate(endpoints) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Makes sure the endpoints and failover settings make sense, since a bad one would otherwise only show up
+  * the first time the client failed over.
+  */
+  /// <summary>Validate the endpoints and failover settings</summary>  
+  /// <param name="endpoints" type="Array">The endpoints</param>  
+
+    if (!Array.isArray(endpoints) || endpoints.length === 0) {
+      throw new Error(`Endpoints must be a list of at least one {ip, port}`);
+    }
+    endpoints.forEach(endpoint => {
+      if (endpoint == null || typeof endpoint.ip !== 'string' || endpoint.ip.length === 0 ||
+        !(Number.isInteger(endpoint.port) && endpoint.port > 0 && endpoint.port < 65536)) {
+        throw new Error(`Endpoint must have an ip and a port from 1 to 65535: ${JSON.stringify(endpoint)}`);
+      }
+    });
+    if (this.STRATEGIES.indexOf(this.strategy) === -1) {
+      throw new Error(`Failover strategy must be one of ${this.STRATEGIES.join(', ')}: ${this.strategy}`);
+    }
+    if (!(Number.isInteger(this.maxFailures) && this.maxFailures >= 1)) {
+      throw new Error(`Failover maxFailures must be an integer >= 1: ${this.maxFailures}`);
+    }
+    if (!(typeof this.failureWindow === 'number' && this.failureWindow > 0)) {
+      throw new Error(`Failover failureWindow must be a number > 0: ${this.failureWindow}`);
+    }
+    if (!(typeof this.cooldown === 'number' && this.cooldown >= 0)) {
+      throw new Error(`Failover cooldown must be a number >= 0: ${this.cooldown}`);
+    }
+
+  }
+
+}
+
+module.exports = ChallengeEndpoints;
\ No newline at end of file
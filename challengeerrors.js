@@ -0,0 +1,84 @@
+'use strict';
+
+class ChallengeLoginError extends Error {
+/* 
+* Error class for a Node.js Socket Client Coding Challenge login which did not succeed. The code property
+* tells the main app why, so it can decide whether to offer a retry:
+*   rejected - the server answered the login with a rejection msg
+*   timeout - the server did not answer the login within the login timeout
+*   connection - the connection to the server failed before the login was answered
+*   verification - the server's TLS certificate could not be verified (or didn't match the pinned fingerprint)
+*   proxy - the proxy couldn't be used to reach the server (a ChallengeProxyError, which says why)
+*   cancelled - a logout or another login was started before the login was answered
+*/
+
+  constructor(message, code, detail) {
+  /// <summary>ChallengeLoginError class constructor</summary>  
+  /// <param name="message" type="String">Error message</param>  
+  /// <param name="code" type="String">Reason the login failed - rejected, timeout, connection, verification, proxy or cancelled</param>  
+  /// <param name="detail" type="Object">(Optional) Server rejection msg or underlying error</param>  
+  /// <returns type="Object">ChallengeLoginError instance</returns>  
+
+    super(message);
+
+    this.name = 'ChallengeLoginError';
+    this.code = code;
+    this.detail = (detail != null ? detail : null);
+
+  }
+
+}
+
+class ChallengeProxyError extends ChallengeLoginError {
+/* 
+* Error class for a Node.js Socket Client Coding Challenge login which failed at the proxy, before the server
+* was reached. It is a ChallengeLoginError with the code proxy, so the main app handles it like any other failed
+* login, and the reason property says what went wrong with the proxy:
+*   connect - the proxy itself couldn't be connected to
+*   auth - the proxy wants a login and none was given, or it turned down the one given
+*   refused - the proxy couldn't or wouldn't connect to the server
+*   protocol - the proxy answered with something other than the proxy protocol, or dropped the connection
+*   timeout - the proxy handshake didn't finish within the login timeout
+*/
+
+  constructor(message, reason, detail) {
+  /// <summary>ChallengeProxyError class constructor</summary>  
+  /// <param name="message" type="String">Error message</param>  
+  /// <param name="reason" type="String">Reason the proxy failed - connect, auth, refused, protocol or timeout</param>  
+  /// <param name="detail" type="Object">(Optional) Underlying error</param>  
+  /// <returns type="Object">ChallengeProxyError instance</returns>  
+
+    super(message, 'proxy', detail);
+
+    this.name = 'ChallengeProxyError';
+    this.reason = reason;
+
+  }
+
+}
+
+class ChallengeConfigError extends Error {
+/* 
+* Error class for Node.js Socket Client Coding Challenge configuration settings which can't be used. All of the
+* problems found are collected in the problems property so they can be reported together.
+*/
+
+  constructor(problems) {
+  /// <summary>ChallengeConfigError class constructor</summary>  
+  /// <param name="problems" type="Array">Descriptions of each problem found</param>  
+  /// <returns type="Object">ChallengeConfigError instance</returns>  
+
+    super(`Invalid configuration:\n  ${problems.join('\n  ')}`);
+
+    this.name = 'ChallengeConfigError';
+    this.problems = problems;
+
+  }
+
+}
+
+module.exports = {
+  ChallengeLoginError: ChallengeLoginError,
+  ChallengeProxyError: ChallengeProxyError,
+  ChallengeConfigError: ChallengeConfigError
+};
\ No newline at end of file
@@ -0,0 +1,156 @@
+'use strict';
+
+/* Module imports */
+const StringDecoder = require('string_decoder').StringDecoder; // decoder which holds back partial utf8 characters
+/**********************************************************************/
+
+class ChallengeFramer {
+/* 
+* Message framing class for a Node.js Socket Client Coding Challenge. The server sends newline delimited
+* JSON messages, but a socket 'data' event carries whatever bytes TCP happened to deliver, so a single message
+* can arrive split across several events and a single event can carry several messages. An instance of this
+* class is kept per connection and turns the raw chunks back into complete message frames, holding any
+* leftover partial frame until the rest of it arrives.
+*/
+
+  constructor(maxFrameSize) {
+  /// <summary>ChallengeFramer class constructor</summary>  
+  /// <param name="maxFrameSize" type="Number">(Optional) Max length in characters of a single frame</param>  
+  /// <returns type="Object">ChallengeFramer instance</returns>  
+
+    this._delimiter = '\n'; // frame delimiter used by the server
+
+    // This is the actual instance initialization code
+    // Set the max frame size to either a specified size or the default
+    this.maxFrameSize = (maxFrameSize != null ? maxFrameSize : 64 * 1024);
+
+    this._decoder = new StringDecoder('utf8');
+    this._leftover = '';
+    this._discarding = false; // true while skipping the rest of an oversize frame up to its delimiter
+
+  }
+
+  push(chunk) {
+  /* 
+  * Adds a chunk received on the socket to the framing buffer and returns any frames which are now complete.
+  * Frames are normally terminated by a newline, but the server does not always send a trailing newline after
+  * the last message in a chunk. So if the leftover text is by itself a complete JSON object it is also treated
+  * as a complete frame; a partial JSON object can never parse, so this can't cut a split message short.
+  * Frames which grow beyond the max frame size are dropped and reported rather than buffered without limit, and
+  * the rest of a dropped frame is skipped as it arrives so that it isn't mistaken for a frame of its own.
+  */
+  /// <summary>Add a received chunk and get any completed frames</summary>  
+  /// <param name="chunk" type="Object">Buffer or string received on the socket</param>  
+  /// <returns type="Object">Object containing an array of complete frames and an array of oversize frame errors</returns>  
+
+    let result = {frames: [], errors: []};
+
+    // decode the chunk, holding back the bytes of any multi-byte character split at the end of the chunk
+    let text = this._leftover + (Buffer.isBuffer(chunk) ? this._decoder.write(chunk) : chunk);
+
+    // the rest of a dropped frame is skipped up to its delimiter
+    if (this._discarding) {
+      let end = text.indexOf(this._delimiter);
+      if (end === -1) {
+        return result;
+      }
+      text = text.slice(end + 1);
+      this._discarding = false;
+    }
+
+    let pieces = text.split(this._delimiter);
+
+    // everything but the last piece is a delimited frame
+    this._leftover = pieces.pop();
+    for (var i = 0; i < pieces.length; i++) {
+      this._addFrame(pieces[i], result);
+    }
+
+    // an undelimited leftover which is already a complete message doesn't need to wait for more data
+    if (this._isCompleteMsg(this._leftover)) {
+      this._addFrame(this._leftover, result);
+      this._leftover = '';
+    // otherwise keep buffering it, as long as it hasn't grown past the max frame size
+    } else if (this._leftover.length > this.maxFrameSize) {
+      result.errors.push(`Frame exceeds max frame size of ${this.maxFrameSize}, ${this._leftover.length} characters discarded`);
+      this._leftover = '';
+      this._discarding = true;
+    }
+
+    return result;
+
+  }
+
+  pending() {
+  /* 
+  * Returns the number of characters currently buffered waiting for the end of a frame.
+  */
+  /// <summary>Get the size of the buffered partial frame</summary>  
+  /// <returns type="Number">Number of characters buffered</returns>  
+
+    return this._leftover.length;
+
+  }
+
+  reset() {
+  /* 
+  * Discards any buffered partial frame. Used when the connection is reset, since any partial message from the
+  * old socket can never be completed by data from a new one.
+  */
+  /// <summary>Discard any buffered data</summary>  
+
+    this._decoder = new StringDecoder('utf8');
+    this._leftover = '';
+    this._discarding = false;
+
+  }
+
+  _addFrame(frame, result) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Adds a frame to the push results, skipping blank frames (e.g. from \r\n or repeated delimiters) and
+  * reporting frames which are over the max frame size.
+  */
+  /// <summary>Add a single frame to the push results</summary>  
+  /// <param name="frame" type="String">The frame text</param>  
+  /// <param name="result" type="Object">The push results to add the frame to</param>  
+
+    if (frame.trim().length === 0) {
+      return;
+    }
+
+    if (frame.length > this.maxFrameSize) {
+      result.errors.push(`Frame exceeds max frame size of ${this.maxFrameSize}, ${frame.length} characters discarded`);
+    } else {
+      result.frames.push(frame);
+    }
+
+  }
+
+  _isCompleteMsg(text) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Checks whether the provided text is by itself a complete JSON object message.
+  */
+  /// <summary>Check if text is a complete JSON object</summary>  
+  /// <param name="text" type="String">The text to check</param>  
+  /// <returns type="Boolean">True if the text parses as a JSON object</returns>  
+
+    let trimmed = text.trim();
+    if (trimmed.charAt(0) !== '{' || trimmed.charAt(trimmed.length - 1) !== '}') {
+      return false;
+    }
+
+    try {
+      JSON.parse(trimmed);
+      return true;
+    }
+    catch(err) {
+      return false;
+    }
+
+  }
+
+}
+
+module.exports = ChallengeFramer;
\ No newline at end of file
@@ -0,0 +1,190 @@
+'use strict';
+
+class ChallengeJobs {
+/* 
+* Background job class for a Node.js Socket Client Coding Challenge. Runs app commands in the background so the
+* ui can go on taking commands while they are in progress. A job either runs its command once or repeats it at
+* an interval until it is killed. Each run is handed an AbortSignal which is aborted if the job is killed while
+* the run is in progress, and the outcome of every run is passed to the report callback along with the job so
+* output from overlapping jobs can be labelled. A repeating job doesn't start a new run while its last one is
+* still in progress, so a slow server can't pile up requests; the skipped runs are counted instead.
+*/
+
+  constructor(reportCallback) {
+  /// <summary>ChallengeJobs class constructor</summary>  
+  /// <param name="reportCallback" type="Function">Callback(job, err, result) for the outcome of each job run</param>  
+  /// <returns type="Object">ChallengeJobs instance</returns>  
+
+    this.MAXINTERVAL = 2147483647; // longest repeat interval in ms a timer can wait, a longer one would fire at once
+
+    this._reportCallback = reportCallback;
+
+    this._jobs = new Map(); // active jobs keyed by job id
+    this._nextId = 1; // job ids are never reused in a session so a kill can't hit the wrong job
+
+  }
+
+  get size() {
+  /// <summary>Number of active jobs</summary>  
+  /// <returns type="Number">Active job count</returns>  
+
+    return this._jobs.size;
+
+  }
+
+  start(label, run, interval) {
+  /* 
+  * Starts a new job. The run function does the job's work and returns a promise for the outcome, and is
+  * called with an AbortSignal for the run. The first run starts straight away. A repeat interval which isn't a
+  * finite number up to MAXINTERVAL is an error.
+  */
+  /// <summary>Start a background job</summary>  
+  /// <param name="label" type="String">Label for the job's output, normally the command text</param>  
+  /// <param name="run" type="Function">Function(signal) doing the job's work, returning a promise</param>  
+  /// <param name="interval" type="Number">(Optional) Repeat interval in ms, if not specified the job runs once</param>  
+  /// <returns type="Object">The job</returns>  
+
+    if (interval != null && !(Number.isFinite(interval) && interval <= this.MAXINTERVAL)) {
+      throw new Error(`Job interval must be a number of ms up to ${this.MAXINTERVAL}: ${interval}`);
+    }
+
+    let job = {
+      id: this._nextId++,
+      label: label,
+      run: run,
+      interval: (interval != null && interval > 0 ? interval : null),
+      started: Date.now(),
+      runs: 0,
+      skipped: 0,
+      timer: null,
+      controller: null
+    };
+
+    this._jobs.set(job.id, job);
+
+    if (job.interval !== null) {
+      job.timer = setInterval(this._runJob.bind(this, job), job.interval);
+    }
+    this._runJob(job);
+
+    return job;
+
+  }
+
+  kill(id) {
+  /* 
+  * Stops a job. Its repeat timer is cleared and any run in progress is aborted.
+  */
+  /// <summary>Kill a background job</summary>  
+  /// <param name="id" type="Number">Id of the job</param>  
+  /// <returns type="Boolean">True if there was an active job with the id</returns>  
+
+    let job = this._jobs.get(id);
+
+    if (typeof job === 'undefined') {
+      return false;
+    }
+
+    this._jobs.delete(id);
+    clearInterval(job.timer);
+    if (job.controller !== null) {
+      job.controller.abort();
+    }
+
+    return true;
+
+  }
+
+  killAll() {
+  /* 
+  * Stops every active job, e.g. when the app is closing.
+  */
+  /// <summary>Kill all background jobs</summary>  
+  /// <returns type="Number">Number of jobs killed</returns>  
+
+    let ids = Array.from(this._jobs.keys());
+
+    ids.forEach(id => this.kill(id));
+
+    return ids.length;
+
+  }
+
+  list(timestamp) {
+  /* 
+  * Describes the active jobs in the order they were started.
+  */
+  /// <summary>List the active jobs</summary>  
+  /// <param name="timestamp" type="Number">(Optional) Time to report ages against, defaults to now</param>  
+  /// <returns type="Array">{id, label, interval, runs, skipped, running, age} for each job</returns>  
+
+    let now = (timestamp != null ? timestamp : Date.now());
+
+    return Array.from(this._jobs.values()).map(job => {
+      return {
+        id: job.id,
+        label: job.label,
+        interval: job.interval,
+        runs: job.runs,
+        skipped: job.skipped,
+        running: job.controller !== null,
+        age: now - job.started
+      };
+    });
+
+  }
+
+  _runJob(job) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Does a single run of a job and reports its outcome. Outcomes of runs which were aborted by the job being
+  * killed aren't reported, since the user has already said they don't want them.
+  */
+  /// <summary>Run a job once</summary>  
+  /// <param name="job" type="Object">The job</param>  
+
+    if (job.controller !== null) {
+      job.skipped++;
+      return;
+    }
+
+    let controller = new AbortController();
+    job.controller = controller;
+    job.runs++;
+
+    Promise.resolve().then(() => job.run(controller.signal)).then(result => {
+      this._endRun(job, controller, null, result);
+    }, err => {
+      this._endRun(job, controller, err, null);
+    });
+
+  }
+
+  _endRun(job, controller, err, result) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Finishes a job run, reporting its outcome and removing a run once job now that it is done.
+  */
+  /// <summary>Finish a job run</summary>  
+  /// <param name="job" type="Object">The job</param>  
+  /// <param name="controller" type="Object">AbortController for the run</param>  
+  /// <param name="err" type="Object">Run error, null if the run succeeded</param>  
+  /// <param name="result" type="Object">Run result</param>  
+
+    job.controller = null;
+
+    if (controller.signal.aborted) {
+      return;
+    }
+
+    if (job.interval === null) {
+      this._jobs.delete(job.id);
+    }
+
+    this._reportCallback(job, err, result);
+
+  }
+
+}
+
+module.exports = ChallengeJobs;
\ No newline at end of file
@@ -0,0 +1,358 @@
+'use strict';
+
+/* Module imports */
+const ChallengeConnection = require('./challengeconnection.js'); // class for each session's server connection
+const ChallengeClock = require('./challengeclock.js'); // class for the time and timers
+/**********************************************************************/
+
+class ChallengeLoad {
+/* 
+* Load generator class for a Node.js Socket Client Coding Challenge. Runs many independent ChallengeConnection
+* sessions against the server at once, each logged in under its own name, and has them make a mix of requests
+* at a target rate for a set duration to see how the server behaves under load. The target rate is for all the
+* sessions together and is shared out evenly, with the sessions' requests spread across each interval. Requests
+* are made on schedule whether or not earlier ones have been answered, so a slow server doesn't lower the load.
+* Once the duration is up, the requests still waiting are allowed to finish or time out, and the run is reported
+* for each session and in total: throughput, latency percentiles, outcomes (ok, timeout, reset and so on),
+* resets and how long each reconnect took.
+*/
+
+  constructor(options) {
+  /// <summary>ChallengeLoad class constructor</summary>  
+  /// <param name="options" type="Object">(Optional) Load options - sessions: number of sessions (default 10), rate: requests per  
+  /// second across all sessions (default 10), duration: ms to make requests for (default 10000), mix: {type: weight} of the  
+  /// request types to make (default {count: 1, time: 1}), userPrefix: login names are the prefix and session number (default  
+  /// bench), port and ip: server to connect to, connection: ChallengeConnection options for every session, clock:  
+  /// ChallengeClock for the schedule and measurements</param>  
+  /// <returns type="Object">ChallengeLoad instance</returns>  
+
+    // This is the actual instance initialization code
+    options = (options != null ? options : {});
+
+    this.sessions = (options.sessions != null ? options.sessions : 10);
+    this.rate = (options.rate != null ? options.rate : 10);
+    this.duration = (options.duration != null ? options.duration : 10000);
+    this.mix = (options.mix != null ? options.mix : {count: 1, time: 1});
+    this.userPrefix = (options.userPrefix != null ? options.userPrefix : 'bench');
+    this._port = (options.port != null ? options.port : null);
+    this._ip = (options.ip != null ? options.ip : null);
+    this._connOptions = (options.connection != null ? options.connection : {});
+    this._clock = (options.clock != null ? options.clock : (this._connOptions.clock != null ? this._connOptions.clock : new ChallengeClock()));
+
+    this._validate();
+
+    // the sessions share the same clock so their measurements can be compared
+    this._connOptions = Object.assign({}, this._connOptions, {clock: this._clock});
+
+    this._sessions = [];
+    for (let ndx = 0; ndx < this.sessions; ndx++) {
+      this._sessions.push(this._createSession(ndx));
+    }
+
+    // a request type the connections don't know would only fail every request the load makes
+    let known = this._sessions[0].conn.requestTypes();
+    let unknown = Object.keys(this.mix).filter(type => known.indexOf(type) === -1);
+    if (unknown.length > 0) {
+      throw new Error(`Load mix has request types the connection doesn't know: ${unknown.join(', ')} (known: ${known.join(', ')})`);
+    }
+
+  }
+
+  run() {
+  /* 
+  * Logs every session in, makes the requests for the duration, waits for the last of them to finish and then
+  * logs the sessions out. A session which can't log in makes no requests and is reported with its login error.
+  * A load is run once, since its sessions keep their stats.
+  */
+  /// <summary>Run the load</summary>  
+  /// <returns type="Object" value="Promise">The load report (see report)</returns>  
+
+    let sessions = this._sessions;
+
+    return Promise.all(sessions.map(session => this._login(session))).then(() => {
+
+      let started = this._clock.now();
+      let interval = 1000 * this.sessions / this.rate; // ms between one session's requests
+
+      // each session's requests are offset so that together they are spread evenly across the interval
+      return Promise.all(sessions.map((session, ndx) => {
+        return (session.loginError === null ? this._makeRequests(session, started, interval, ndx * interval / this.sessions) : null);
+      })).then(() => this.report(sessions, this._clock.now() - started));
+
+    }).then(report => {
+      return Promise.all(sessions.map(session => session.conn.logout())).then(() => report);
+    });
+
+  }
+
+  report(sessions, elapsed) {
+  /* 
+  * Sums up the stats of each session and of all the sessions together. Latencies are for the requests which
+  * were answered, and throughput is answered requests per second over the time from the first request until the
+  * last one finished.
+  */
+  /// <summary>Report on a load run</summary>  
+  /// <param name="sessions" type="Array">The sessions which were run</param>  
+  /// <param name="elapsed" type="Number">ms from the first request until the last one finished</param>  
+  /// <returns type="Object">{settings, elapsed, sessions, total}, sessions and total each being stats as described by _summarize</returns>  
+
+    let total = this._newStats();
+
+    sessions.forEach(session => {
+      total.sent += session.stats.sent;
+      total.latencies = total.latencies.concat(session.stats.latencies);
+      total.reconnects = total.reconnects.concat(session.stats.reconnects);
+      total.resets += session.stats.resets;
+      total.gaveUp += session.stats.gaveUp;
+      Object.keys(session.stats.outcomes).forEach(outcome => {
+        total.outcomes[outcome] = (total.outcomes[outcome] || 0) + session.stats.outcomes[outcome];
+      });
+      Object.keys(session.stats.types).forEach(type => {
+        total.types[type] = (total.types[type] || 0) + session.stats.types[type];
+      });
+    });
+
+    let totalSummary = this._summarize(total, elapsed);
+    totalSummary.loginFailures = sessions.filter(session => session.loginError !== null).length;
+
+    return {
+      settings: {sessions: this.sessions, rate: this.rate, duration: this.duration, mix: this.mix},
+      elapsed: elapsed,
+      sessions: sessions.map(session => Object.assign({
+        name: session.name,
+        ip: session.conn.connIp,
+        port: session.conn.connPort,
+        loginTime: session.loginTime,
+        loginError: session.loginError
+      }, this._summarize(session.stats, elapsed))),
+      total: totalSummary
+    };
+
+  }
+
+  _createSession(ndx) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Creates a session with its own connection and login name, and collects the stats for it from the connection's
+  * events.
+  */
+  /// <summary>Create a session</summary>  
+  /// <param name="ndx" type="Number">Session number from 0</param>  
+  /// <returns type="Object">{name, conn, stats, pending, loginTime, loginError}</returns>  
+
+    let name = `${this.userPrefix}${ndx + 1}`;
+    let conn = new ChallengeConnection(this._port, this._ip, Object.assign({}, this._connOptions, {loginName: name}));
+    let session = {name: name, conn: conn, stats: this._newStats(), pending: [], loginTime: null, loginError: null};
+    let resetStarted = null;
+
+    conn.on('requestCompleted', info => {
+      session.stats.outcomes[info.outcome] = (session.stats.outcomes[info.outcome] || 0) + 1;
+    });
+    // latency is measured from when the request was sent to the server, so a request held over a reset isn't
+    // charged with the time the reconnect took
+    conn.on('responseReceived', info => {
+      session.stats.latencies.push(info.latency);
+    });
+    conn.on('resetStarted', () => {
+      session.stats.resets++;
+      resetStarted = this._clock.now();
+    });
+    conn.on('resetComplete', () => {
+      if (resetStarted !== null) {
+        session.stats.reconnects.push(this._clock.now() - resetStarted);
+        resetStarted = null;
+      }
+    });
+    conn.on('gaveUp', () => {
+      session.stats.gaveUp++;
+      resetStarted = null;
+    });
+
+    return session;
+
+  }
+
+  _newStats() {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Creates the empty stats collected for a session, or for all of them.
+  */
+  /// <summary>Create empty stats</summary>  
+  /// <returns type="Object">{sent, types, outcomes, latencies, resets, reconnects, gaveUp}</returns>  
+
+    return {sent: 0, types: {}, outcomes: {}, latencies: [], resets: 0, reconnects: [], gaveUp: 0};
+
+  }
+
+  _login(session) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Logs a session in, noting how long it took or why it failed.
+  */
+  /// <summary>Log a session in</summary>  
+  /// <param name="session" type="Object">The session</param>  
+  /// <returns type="Object" value="Promise">Resolves once the login has succeeded or failed</returns>  
+
+    let started = this._clock.now();
+
+    return session.conn.login().then(() => {
+      session.loginTime = this._clock.now() - started;
+    }, err => {
+      session.loginError = (err != null && err.message != null ? err.message : String(err != null && err.err != null ? err.err : err));
+    });
+
+  }
+
+  _makeRequests(session, started, interval, offset) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Makes a session's requests every interval from its offset until the duration is up, then waits for the
+  * requests still waiting to finish.
+  */
+  /// <summary>Make a session's requests</summary>  
+  /// <param name="session" type="Object">The session</param>  
+  /// <param name="started" type="Number">When the requests started</param>  
+  /// <param name="interval" type="Number">ms between the session's requests</param>  
+  /// <param name="offset" type="Number">ms after the start of each interval the session's request is made</param>  
+  /// <returns type="Object" value="Promise">Resolves once the session's last request has finished</returns>  
+
+    return new Promise(resolve => {
+
+      let send = () => {
+        let type = this._pickType();
+        session.stats.sent++;
+        session.stats.types[type] = (session.stats.types[type] || 0) + 1;
+        // the outcome is collected from the connection's events, so only the fact it has finished matters here
+        session.pending.push(session.conn.request(type).catch(() => null));
+      };
+
+      let next = time => {
+        if (time - started >= this.duration) {
+          Promise.all(session.pending).then(() => resolve());
+          return;
+        }
+        this._clock.setTimeout(() => {
+          send();
+          next(time + interval);
+        }, Math.max(0, time - this._clock.now()));
+      };
+
+      next(started + offset);
+
+    });
+
+  }
+
+  _pickType() {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Picks the type of the next request at random, weighted by the mix.
+  */
+  /// <summary>Pick a request type</summary>  
+  /// <returns type="String">The request type</returns>  
+
+    let types = Object.keys(this.mix);
+    let total = types.reduce((sum, type) => sum + this.mix[type], 0);
+    let pick = Math.random() * total;
+
+    for (let ndx = 0; ndx < types.length; ndx++) {
+      pick -= this.mix[types[ndx]];
+      if (pick < 0) {
+        return types[ndx];
+      }
+    }
+
+    return types[types.length - 1];
+
+  }
+
+  _summarize(stats, elapsed) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Works out the reported figures from collected stats.
+  */
+  /// <summary>Summarize stats</summary>  
+  /// <param name="stats" type="Object">Collected stats</param>  
+  /// <param name="elapsed" type="Number">ms the requests took altogether</param>  
+  /// <returns type="Object">{sent, types, outcomes, ok, timeouts, throughput, latency, resets, reconnect, gaveUp}, latency being  
+  /// {min, mean, p50, p90, p95, p99, max} and reconnect {count, mean, max} in ms, with null for anything not measured</returns>  
+
+    let latencies = stats.latencies.slice().sort((a, b) => a - b);
+    let ok = (stats.outcomes.ok != null ? stats.outcomes.ok : 0);
+    let mean = values => (values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+
+    return {
+      sent: stats.sent,
+      types: Object.assign({}, stats.types),
+      outcomes: Object.assign({}, stats.outcomes),
+      ok: ok,
+      timeouts: (stats.outcomes.timeout != null ? stats.outcomes.timeout : 0),
+      throughput: (elapsed > 0 ? Math.round(ok / elapsed * 1000 * 100) / 100 : null),
+      latency: {
+        min: (latencies.length > 0 ? latencies[0] : null),
+        mean: mean(latencies),
+        p50: this._percentile(latencies, 50),
+        p90: this._percentile(latencies, 90),
+        p95: this._percentile(latencies, 95),
+        p99: this._percentile(latencies, 99),
+        max: (latencies.length > 0 ? latencies[latencies.length - 1] : null)
+      },
+      resets: stats.resets,
+      reconnect: {
+        count: stats.reconnects.length,
+        mean: mean(stats.reconnects),
+        max: (stats.reconnects.length > 0 ? Math.max.apply(null, stats.reconnects) : null)
+      },
+      gaveUp: stats.gaveUp
+    };
+
+  }
+
+  _percentile(sorted, percent) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Gets a percentile of sorted values by the nearest rank, so it is always one of the values.
+  */
+  /// <summary>Get a percentile</summary>  
+  /// <param name="sorted" type="Array">Values in ascending order</param>  
+  /// <param name="percent" type="Number">The percentile</param>  
+  /// <returns type="Number">The percentile value, or null if there are no values</returns>  
+
+    if (sorted.length === 0) {
+      return null;
+    }
+
+    return sorted[Math.max(0, Math.ceil(percent / 100 * sorted.length) - 1)];
+
+  }
+
+  _validate() {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Makes sure the load settings make sense before any session is started.
+  */
+  /// <summary>Validate the load settings</summary>  
+
+    if (!(Number.isInteger(this.sessions) && this.sessions >= 1)) {
+      throw new Error(`Load sessions must be an integer >= 1: ${this.sessions}`);
+    }
+    if (!(Number.isFinite(this.rate) && this.rate > 0)) {
+      throw new Error(`Load rate must be a number of requests per second > 0: ${this.rate}`);
+    }
+    if (!(Number.isFinite(this.duration) && this.duration > 0)) {
+      throw new Error(`Load duration must be a number of ms > 0: ${this.duration}`);
+    }
+    if (this.mix === null || typeof this.mix !== 'object' || Object.keys(this.mix).length === 0 ||
+      Object.keys(this.mix).some(type => !(Number.isFinite(this.mix[type]) && this.mix[type] >= 0)) ||
+      Object.keys(this.mix).every(type => this.mix[type] === 0)) {
+      throw new Error(`Load mix must give each request type a weight >= 0, with at least one > 0: ${JSON.stringify(this.mix)}`);
+    }
+    if (typeof this.userPrefix !== 'string' || this.userPrefix.length === 0) {
+      throw new Error(`Load userPrefix must not be empty`);
+    }
+
+  }
+
+}
+
+module.exports = ChallengeLoad;
\ No newline at end of file
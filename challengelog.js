@@ -1,20 +1,39 @@
 'use strict';
 
 /* Module imports */
-const fs = require('fs'); // add the filesystem module for file i/o
+const path = require('path'); // add the path module to tell when two logs share a file
+const ChallengeLogWriter = require('./challengelogwriter.js'); // class for ordered, rotating log file writes
 /**********************************************************************/
 
+// every log on the same file shares one writer, so their lines go out through one ordered stream
+const writers = new Map(); // ChallengeLogWriter by resolved log file path
+
 class ChallengeLog {
 /* 
 * Log manager class for a Node.js Socket Client Coding Challenge. This is an extremely lightweight logging class
 * for the challenge app. It exists because there was a personal developer goal to complete the challenge app
 * using only native node modules. In any real general use situation it would probably be replaced with one of
 * the more functional and robust logging packages available through NPM.
+*
+* Messages are logged at one of the levels trace, debug, info, warn or error, and only messages at or above
+* the threshold level are written. Named child loggers (e.g. one for the connection and one for the main app)
+* share their parent's log file and settings but can be given their own threshold so they can be filtered
+* separately. Each message can carry extra fields such as the msgId, request type and session id. The log is
+* written either as text lines:
+*   timestamp symbol level logger msg {fields}
+* or as JSON lines:
+*   {"time":..., "level":..., "logger":..., "kind":..., "msg":..., ...fields}
+* The kind (and the symbol in text lines) keeps wire traffic apart from everything else: - general message,
+* > literal message sent to the server, < literal message received from the server, ! warning or error.
+* The lines are written in order by a ChallengeLogWriter, which also rotates the log file (see the writer options).
+* Every ChallengeLog on the same file shares its writer, so the writer options of the first one to open it apply.
+* A log created with the discard option logs nothing and opens no file, for code which needs a log but not its file.
 */
 
-  constructor(logpath) {
+  constructor(logpath, options) {
   /// <summary>ChallengeLog class constructor</summary>  
   /// <param name="logpath" type="String">(Optional) Path to create log file at</param>  
+  /// <param name="options" type="Object">(Optional) Options - level: threshold level, format: text or json, levels: {logger name: threshold level}, writer: ChallengeLogWriter rotation options, discard: true to log nothing and open no log file (e.g. for tests)</param>  
   /// <returns type="Object">ChallengeLog instance</returns>  
 
     /* Connection Message Strings
@@ -28,62 +47,197 @@ class ChallengeLog {
     this._logGeneral = '-'; // general messages
     this._logSent = '>'; // literal message sent to the server
     this._logReceived = '<'; // literal message received from the server
-    this._logError = '!'; // a logged error
+    this._logError = '!'; // a logged warning or error
+
+    // log message kinds for the JSON format, by indicator character
+    this._kinds = {'-': 'general', '>': 'sent', '<': 'received', '!': 'error'};
+
+    // log levels, lowest first
+    this.LEVELS = ['trace', 'debug', 'info', 'warn', 'error'];
+
+    this.FORMATS = ['text', 'json'];
 
     // This is the actual instance initialization code
+    options = (options != null ? options : {});
+
     // Set the log file path to either a specied path or the default path
     this.logpath = (logpath != null ? logpath : __dirname + '/socketclientchallenge.log');
 
-    // for simplicity, logging is always on for everything in this code version
-    this.loggingOn = true;
+    // settings shared by this logger and all of its children
+    this._settings = {
+      level: this._checkLevel(options.level != null ? options.level : 'debug'),
+      format: (options.format != null ? options.format : 'text'),
+      levels: {},
+      writer: (options.discard === true ? null : this._getWriter(options.writer))
+    };
+    if (this.FORMATS.indexOf(this._settings.format) === -1) {
+      throw new Error(`Invalid log format: ${this._settings.format}`);
+    }
+    Object.keys(options.levels != null ? options.levels : {}).forEach(name => {
+      this._settings.levels[name] = this._checkLevel(options.levels[name]);
+    });
+
+    this.name = '';
+    this._fields = {};
+
+    // logging can still be switched off altogether, and a log which discards everything has nothing to log to
+    this.loggingOn = (options.discard !== true);
 
   }
 
-  logMsg(msg) {
+  child(name, fields) {
   /* 
-  * Convenience method to log a general message to the current log file.
+  * Creates a named child logger, which writes to the same log with the same settings as this logger. Fields
+  * given to the child are added to every message it logs.
   */
-  /// <summary>Log a general message to the current log file</summary>  
+  /// <summary>Create a named child logger</summary>  
+  /// <param name="name" type="String">Name of the child logger, e.g. the module it logs for</param>  
+  /// <param name="fields" type="Object">(Optional) Fields added to every message the child logs</param>  
+  /// <returns type="Object">Child ChallengeLog instance</returns>  
+
+    let log = Object.create(this);
 
-    if (this.loggingOn) {
-        this._log(this._logGeneral, msg)
+    log.name = (this.name.length > 0 ? `${this.name}.${name}` : name);
+    log._fields = Object.assign({}, this._fields, fields);
+
+    return log;
+
+  }
+
+  setLevel(level, name) {
+  /* 
+  * Changes the threshold level, either for all loggers or just for the named logger (and its children).
+  */
+  /// <summary>Set a threshold level</summary>  
+  /// <param name="level" type="String">The threshold level</param>  
+  /// <param name="name" type="String">(Optional) Name of the logger to set the threshold of</param>  
+
+    if (name != null) {
+      this._settings.levels[name] = this._checkLevel(level);
+    } else {
+      this._settings.level = this._checkLevel(level);
     }
 
   }
 
-  logSent(msg) {
+  isLevelEnabled(level) {
+  /* 
+  * Checks whether messages at a level would be written by this logger, so that messages which are expensive
+  * to build can be skipped.
+  */
+  /// <summary>Check if a level is being logged</summary>  
+  /// <param name="level" type="String">The level to check</param>  
+  /// <returns type="Boolean">True if messages at the level are written</returns>  
+
+    return this.loggingOn && this._settings.writer !== null && this.LEVELS.indexOf(level) >= this.LEVELS.indexOf(this._threshold());
+
+  }
+
+  trace(msg, fields) {
+  /// <summary>Log a trace message</summary>  
+  /// <param name="msg" type="String">Message text to be logged</param>  
+  /// <param name="fields" type="Object">(Optional) Extra fields for the message</param>  
+
+    this._log('trace', this._logGeneral, msg, fields);
+
+  }
+
+  debug(msg, fields) {
+  /// <summary>Log a debug message</summary>  
+  /// <param name="msg" type="String">Message text to be logged</param>  
+  /// <param name="fields" type="Object">(Optional) Extra fields for the message</param>  
+
+    this._log('debug', this._logGeneral, msg, fields);
+
+  }
+
+  info(msg, fields) {
+  /// <summary>Log an info message</summary>  
+  /// <param name="msg" type="String">Message text to be logged</param>  
+  /// <param name="fields" type="Object">(Optional) Extra fields for the message</param>  
+
+    this._log('info', this._logGeneral, msg, fields);
+
+  }
+
+  warn(msg, fields) {
+  /// <summary>Log a warning message</summary>  
+  /// <param name="msg" type="String">Message text to be logged</param>  
+  /// <param name="fields" type="Object">(Optional) Extra fields for the message</param>  
+
+    this._log('warn', this._logError, msg, fields);
+
+  }
+
+  error(msg, fields) {
+  /// <summary>Log an error message</summary>  
+  /// <param name="msg" type="String">Message text to be logged</param>  
+  /// <param name="fields" type="Object">(Optional) Extra fields for the message</param>  
+
+    this._log('error', this._logError, msg, fields);
+
+  }
+
+  logMsg(msg, fields) {
+  /* 
+  * Convenience method to log a general message to the current log file, at info level.
+  */
+  /// <summary>Log a general message to the current log file</summary>  
+
+    this._log('info', this._logGeneral, msg, fields);
+
+  }
+
+  logSent(msg, fields) {
   /* 
-  * Convenience method to log a literal server request to the current log file.
+  * Convenience method to log a literal server request to the current log file, at debug level.
   */
   /// <summary>Log a server request message to the current log file</summary>  
 
-    if (this.loggingOn) {
-        this._log(this._logSent, msg)
-    }
+    this._log('debug', this._logSent, msg, fields);
 
   }
 
-  logReceived(msg) {
+  logReceived(msg, fields) {
   /* 
-  * Convenience method to log a literal server response to the current log file.
+  * Convenience method to log a literal server response to the current log file, at debug level.
   */
   /// <summary>Log a server response message to the current log file</summary>  
 
-    if (this.loggingOn) {
-        this._log(this._logReceived, msg)
-    }
+    this._log('debug', this._logReceived, msg, fields);
 
   }
 
-  logError(msg) {
+  logError(msg, fields) {
   /* 
-  * Convenience method to log an app error to the current log file.
+  * Convenience method to log an app error to the current log file, at error level.
   */
   /// <summary>Log an app error to the current log file</summary>  
 
-    if (this.loggingOn) {
-        this._log(this._logError, msg)
-    }
+    this._log('error', this._logError, msg, fields);
+
+  }
+
+  flush() {
+  /* 
+  * Waits until everything logged so far has been written to the log file.
+  */
+  /// <summary>Flush the log</summary>  
+  /// <returns type="Object" value="Promise">Resolves once the log is written</returns>  
+
+    return (this._settings.writer !== null ? this._settings.writer.flush() : Promise.resolve());
+
+  }
+
+  close() {
+  /* 
+  * Writes everything logged so far and closes the log file, e.g. before the app exits. This closes the log
+  * for the logger's parent and children too, since they all share the log file.
+  */
+  /// <summary>Close the log</summary>  
+  /// <returns type="Object" value="Promise">Resolves once the log is closed</returns>  
+
+    return (this._settings.writer !== null ? this._settings.writer.close() : Promise.resolve());
 
   }
 
@@ -98,21 +252,95 @@ class ChallengeLog {
 
   }
 
-  _log(type, msg) {
+  _getWriter(writerOptions) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Gets the writer for the log file, creating it unless another log already writes to the file. A closed
+  * writer is replaced, so a log created after another on the same file was closed can still write.
+  */
+  /// <summary>Get the shared writer for the log file</summary>  
+  /// <param name="writerOptions" type="Object">(Optional) ChallengeLogWriter rotation options</param>  
+  /// <returns type="Object">ChallengeLogWriter instance</returns>  
+
+    let file = path.resolve(this.logpath);
+    let writer = writers.get(file);
+
+    if (writer == null || writer.closed) {
+      writer = new ChallengeLogWriter(this.logpath, writerOptions);
+      writers.set(file, writer);
+    }
+
+    return writer;
+
+  }
+
+  _threshold() {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Gets the threshold level for this logger. A logger without its own threshold uses the nearest one set for
+  * a logger it is a child of, and failing that the overall threshold.
+  */
+  /// <summary>Get this logger's threshold level</summary>  
+  /// <returns type="String">The threshold level</returns>  
+
+    let name = this.name;
+
+    while (name.length > 0) {
+      if (typeof this._settings.levels[name] !== 'undefined') {
+        return this._settings.levels[name];
+      }
+      name = name.slice(0, Math.max(name.lastIndexOf('.'), 0));
+    }
+
+    return this._settings.level;
+
+  }
+
+  _checkLevel(level) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Makes sure a level is one of the log levels.
+  */
+  /// <summary>Validate a log level</summary>  
+  /// <param name="level" type="String">The level to check</param>  
+  /// <returns type="String">The level</returns>  
+
+    if (this.LEVELS.indexOf(level) === -1) {
+      throw new Error(`Invalid log level: ${level}`);
+    }
+
+    return level;
+
+  }
+
+  _log(level, type, msg, fields) {
   /* 
   * Private Method by Convention (i.e. not enforced)
   * Main class method for writing log messages to the log file.
   */
   /// <summary>Output the provided message to the current log file</summary>  
+  /// <param name="level" type="String">Level of the message</param>  
   /// <param name="type" type="String">Indicates the type of message being logged</param>  
   /// <param name="msg" type="String">Message text to be logged</param>  
+  /// <param name="fields" type="Object">(Optional) Extra fields for the message</param>  
 
-    // write the formatted message to the log file
-    fs.appendFile(this.logpath, this.timestamp() + ' ' + type + ' ' + msg + '\n', err => {
-      if (err != null) {
-        console.log(`Application logging error: ${err}`);
-      }
-    });
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    let allFields = Object.assign({}, this._fields, fields);
+    let name = (this.name.length > 0 ? this.name : 'app');
+    let line = null;
+
+    if (this._settings.format === 'json') {
+      line = JSON.stringify(Object.assign({time: Date.now(), level: level, logger: name, kind: this._kinds[type], msg: String(msg)}, allFields));
+    } else {
+      line = this.timestamp() + ' ' + type + ' ' + level + ' ' + name + ' ' + msg +
+        (Object.keys(allFields).length > 0 ? ' ' + JSON.stringify(allFields) : '');
+    }
+
+    // queue the formatted message to be written to the log file
+    this._settings.writer.write(line + '\n');
 
   }
 
@@ -0,0 +1,428 @@
+'use strict';
+
+class ChallengeLogAnalyzer {
+/* 
+* Log analysis class for a Node.js Socket Client Coding Challenge. Parses the app log (see ChallengeLog) back into
+* entries and rebuilds what happened from them: the life of each server request correlated by its msg id, the
+* connection resets and the gaps between server heartbeats. Text and JSON lines log formats are both understood,
+* as are the plain "timestamp symbol msg" lines written by earlier versions of the app. A received buffer with
+* more than one server msg in it is logged across several lines, so lines which don't start a new entry are
+* treated as a continuation of the entry before them.
+*/
+
+  constructor(options) {
+  /// <summary>ChallengeLogAnalyzer class constructor</summary>  
+  /// <param name="options" type="Object">(Optional) Options - heartbeatWindow: ms allowed between heartbeats, for reporting late ones</param>  
+  /// <returns type="Object">ChallengeLogAnalyzer instance</returns>  
+
+    options = (options != null ? options : {});
+
+    this.SYMBOLS = ['-', '>', '<', '!']; // log entry type symbols: general, sent, received, error
+
+    this._textLine = /^(\d+) ([-><!]) (trace|debug|info|warn|error) (\S+) ([\s\S]*)$/; // timestamp symbol level logger msg
+    this._plainLine = /^(\d+) ([-><!]) ([\s\S]*)$/; // timestamp symbol msg, from before log levels
+    this._kindSymbols = {general: '-', sent: '>', received: '<', error: '!'}; // JSON lines kinds
+    this._fieldNames = ['msgId', 'type', 'session', 'outcome']; // fields the app adds to log messages
+    this._msgIdText = /msgId: ([^\s,]+)/; // msg ids mentioned in the text of a message
+
+    this._heartbeatWindow = (options.heartbeatWindow != null ? options.heartbeatWindow : 2000);
+
+  }
+
+  parse(text) {
+  /* 
+  * Parses log text into entries of {time, symbol, level, logger, msg, fields}. Lines which can't be parsed at
+  * all (e.g. a cut off first line) are skipped.
+  */
+  /// <summary>Parse log text</summary>  
+  /// <param name="text" type="String">The log text</param>  
+  /// <returns type="Array">The log entries in log order</returns>  
+
+    let entries = [];
+    let last = null;
+
+    text.split('\n').forEach(line => {
+
+      if (line.length === 0) {
+        return;
+      }
+
+      let entry = this._parseLine(line);
+
+      if (entry !== null) {
+        entries.push(entry);
+        last = entry;
+      // plain text entries can run over several lines
+      } else if (last !== null && !last.json) {
+        last.msg += '\n' + line;
+      }
+
+    });
+
+    // fields are only split off text entries once all of their lines are in
+    entries.forEach(entry => {
+      if (!entry.json) {
+        this._splitFields(entry);
+      }
+      delete entry.json;
+    });
+
+    return entries;
+
+  }
+
+  filter(entries, options) {
+  /* 
+  * Filters log entries. The filter options are:
+  *   from - (Optional) earliest entry time in ms
+  *   to - (Optional) latest entry time in ms
+  *   symbols - (Optional) string of the entry type symbols to keep, e.g. '<>' for just the wire traffic
+  *   msgId - (Optional) only keep entries about the request with this msg id
+  */
+  /// <summary>Filter log entries</summary>  
+  /// <param name="entries" type="Array">The log entries</param>  
+  /// <param name="options" type="Object">Filter options</param>  
+  /// <returns type="Array">The entries which pass the filter</returns>  
+
+    return entries.filter(entry => {
+
+      if (options.from != null && entry.time < options.from) {
+        return false;
+      }
+      if (options.to != null && entry.time > options.to) {
+        return false;
+      }
+      if (options.symbols != null && options.symbols.indexOf(entry.symbol) === -1) {
+        return false;
+      }
+      if (options.msgId != null && this._msgIds(entry).indexOf(options.msgId) === -1) {
+        return false;
+      }
+
+      return true;
+
+    });
+
+  }
+
+  requests(entries) {
+  /* 
+  * Rebuilds the life of each server request from the log entries, correlated by msg id. Each request is
+  * {msgId, type, session, sent, received, latency, outcome, events}, where sent and received are times, latency
+  * is ms from sending to the response, outcome is ok, timeout, reset, cancelled, error or pending (nothing in the
+  * log says what happened to it) and events is the timeline of {time, symbol, what} for the request. A request is
+  * answered when the connection logs that it found the pending request for a response, rather than when a reply
+  * shows up on the wire, since a reply split across received chunks can't be read from any one of them.
+  */
+  /// <summary>Trace the server requests</summary>  
+  /// <param name="entries" type="Array">The log entries</param>  
+  /// <returns type="Array">The requests in the order they first appear</returns>  
+
+    let requests = new Map();
+
+    entries.forEach(entry => {
+
+      this._msgIds(entry).forEach(msgId => {
+
+        let req = requests.get(msgId);
+        if (typeof req === 'undefined') {
+          req = {msgId: msgId, type: null, session: null, sent: null, received: null, latency: null, outcome: 'pending', events: []};
+          requests.set(msgId, req);
+        }
+
+        if (entry.fields.type != null && req.type === null) {
+          req.type = entry.fields.type;
+        }
+        if (entry.fields.session != null && req.session === null) {
+          req.session = entry.fields.session;
+        }
+
+        let what = this._describe(entry, msgId);
+
+        if (entry.symbol === '>' && req.sent === null) {
+          req.sent = entry.time;
+          if (req.type === null && what.request != null) {
+            req.type = what.request;
+          }
+        // a response after the request has already failed (e.g. timed out) doesn't change its outcome
+        } else if (entry.symbol === '<') {
+          if (req.outcome !== 'pending') {
+            what.text = what.text.replace(/^received/, 'received late');
+          }
+        } else if (req.outcome === 'pending' && entry.msg.indexOf('Pending request found') === 0) {
+          req.received = entry.time;
+          req.outcome = 'ok';
+          if (req.sent !== null) {
+            req.latency = req.received - req.sent;
+          }
+        } else if (req.outcome === 'pending' && what.outcome != null) {
+          req.outcome = what.outcome;
+        }
+
+        req.events.push({time: entry.time, symbol: entry.symbol, what: what.text});
+
+      });
+
+    });
+
+    return Array.from(requests.values());
+
+  }
+
+  resets(entries) {
+  /* 
+  * Finds the connection resets in the log entries. Each reset is {start, end, attempts, outcome}, where end is
+  * when the reset was complete or given up (null if the log ends first), attempts is the number of reconnect
+  * attempts made and outcome is complete, abandoned or unfinished.
+  */
+  /// <summary>Summarise the connection resets</summary>  
+  /// <param name="entries" type="Array">The log entries</param>  
+  /// <returns type="Array">The resets in log order</returns>  
+
+    let resets = [];
+    let current = null;
+
+    entries.forEach(entry => {
+
+      if (entry.msg.indexOf('Resetting Server Connection') === 0) {
+        current = {start: entry.time, end: null, attempts: 0, outcome: 'unfinished'};
+        resets.push(current);
+      } else if (current !== null && /^Reconnect attempt \d+ scheduled/.test(entry.msg)) {
+        current.attempts++;
+      } else if (current !== null && entry.msg.indexOf('Server Reset Complete') === 0) {
+        current.end = entry.time;
+        current.outcome = 'complete';
+        current = null;
+      } else if (current !== null && entry.msg.indexOf('Server Reset Abandoned') === 0) {
+        current.end = entry.time;
+        current.outcome = 'abandoned';
+        current = null;
+      }
+
+    });
+
+    return resets;
+
+  }
+
+  heartbeats(entries) {
+  /* 
+  * Summarises the gaps between the heartbeats received from the server. Gaps across a reset or a new connection
+  * (e.g. the app being restarted) are left out, since they aren't the server falling behind.
+  */
+  /// <summary>Summarise the heartbeat gaps</summary>  
+  /// <param name="entries" type="Array">The log entries</param>  
+  /// <returns type="Object">{count, min, max, mean, window, late: [{time, gap}]} with times in ms</returns>  
+
+    let gaps = [];
+    let late = [];
+    let last = null;
+
+    entries.forEach(entry => {
+
+      if (entry.msg.indexOf('Resetting Server Connection') === 0 || entry.msg.indexOf('Connected to server') === 0) {
+        last = null;
+        return;
+      }
+
+      if (entry.symbol !== '<') {
+        return;
+      }
+
+      this._wireMsgs(entry).forEach(msg => {
+        if (msg.type === 'heartbeat') {
+          if (last !== null) {
+            let gap = entry.time - last;
+            gaps.push(gap);
+            if (gap > this._heartbeatWindow) {
+              late.push({time: entry.time, gap: gap});
+            }
+          }
+          last = entry.time;
+        }
+      });
+
+    });
+
+    return {
+      count: gaps.length,
+      // a long log has too many gaps to pass them all to Math.min and Math.max as arguments
+      min: (gaps.length > 0 ? gaps.reduce((min, gap) => Math.min(min, gap)) : null),
+      max: (gaps.length > 0 ? gaps.reduce((max, gap) => Math.max(max, gap)) : null),
+      mean: (gaps.length > 0 ? Math.round(gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length) : null),
+      window: this._heartbeatWindow,
+      late: late
+    };
+
+  }
+
+  _parseLine(line) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Parses a single log line which starts an entry.
+  */
+  /// <summary>Parse a log line</summary>  
+  /// <param name="line" type="String">The log line</param>  
+  /// <returns type="Object">The entry, or null if the line doesn't start one</returns>  
+
+    // JSON lines format
+    if (line.charAt(0) === '{') {
+      try {
+        let obj = JSON.parse(line);
+        if (typeof obj.time === 'number' && typeof obj.msg === 'string') {
+          let fields = Object.assign({}, obj);
+          ['time', 'level', 'logger', 'kind', 'msg'].forEach(name => delete fields[name]);
+          return {time: obj.time, symbol: (this._kindSymbols[obj.kind] || '-'), level: (obj.level || null),
+            logger: (obj.logger || null), msg: obj.msg, fields: fields, json: true};
+        }
+      }
+      catch(err) {
+        // not a JSON line, so fall through to the other formats
+      }
+    }
+
+    let match = this._textLine.exec(line);
+    if (match !== null) {
+      return {time: parseInt(match[1], 10), symbol: match[2], level: match[3], logger: match[4], msg: match[5], fields: {}, json: false};
+    }
+
+    match = this._plainLine.exec(line);
+    if (match !== null) {
+      return {time: parseInt(match[1], 10), symbol: match[2], level: null, logger: null, msg: match[3], fields: {}, json: false};
+    }
+
+    return null;
+
+  }
+
+  _splitFields(entry) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Splits the fields off the end of a text entry's msg. The msg itself can end in JSON too (e.g. a msg sent to
+  * the server), so a trailing JSON object is only taken as the fields if all of its keys are field names the
+  * app uses.
+  */
+  /// <summary>Split the fields from a text entry</summary>  
+  /// <param name="entry" type="Object">The log entry</param>  
+
+    let ndx = entry.msg.lastIndexOf(' {');
+
+    while (ndx >= 0) {
+      try {
+        let fields = JSON.parse(entry.msg.slice(ndx + 1));
+        if (fields !== null && typeof fields === 'object' && Object.keys(fields).every(key => this._fieldNames.indexOf(key) !== -1)) {
+          entry.fields = fields;
+          entry.msg = entry.msg.slice(0, ndx);
+        }
+        return;
+      }
+      catch(err) {
+        ndx = entry.msg.lastIndexOf(' {', ndx - 1);
+      }
+    }
+
+  }
+
+  _wireMsgs(entry) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Gets the server msgs in a sent or received entry. A received entry can hold several msgs, one per line.
+  */
+  /// <summary>Get the msgs in a wire traffic entry</summary>  
+  /// <param name="entry" type="Object">The log entry</param>  
+  /// <returns type="Array">The msgs which could be parsed</returns>  
+
+    let msgs = [];
+
+    entry.msg.split('\n').forEach(text => {
+      try {
+        let msg = JSON.parse(text);
+        if (msg !== null && typeof msg === 'object') {
+          msgs.push(msg);
+        }
+      }
+      catch(err) {
+        // not every line on the wire is valid JSON, which is one of the things the log is for finding
+      }
+    });
+
+    return msgs;
+
+  }
+
+  _msgIds(entry) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Finds the msg ids an entry is about, from its fields, the msgs in wire traffic or its text.
+  */
+  /// <summary>Get the msg ids an entry refers to</summary>  
+  /// <param name="entry" type="Object">The log entry</param>  
+  /// <returns type="Array">The msg ids</returns>  
+
+    let ids = [];
+    let add = id => {
+      if (typeof id === 'string' && id.length > 0 && ids.indexOf(id) === -1) {
+        ids.push(id);
+      }
+    };
+
+    add(entry.fields.msgId);
+
+    if (entry.symbol === '>' || entry.symbol === '<') {
+      this._wireMsgs(entry).forEach(msg => {
+        add(msg.id);
+        if (msg.msg != null && typeof msg.msg === 'object') {
+          add(msg.msg.reply);
+        }
+      });
+    } else {
+      let match = this._msgIdText.exec(entry.msg);
+      if (match !== null) {
+        add(match[1]);
+      }
+    }
+
+    return ids;
+
+  }
+
+  _describe(entry, msgId) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Describes what an entry means for a request, and the outcome of the request if the entry settles it.
+  */
+  /// <summary>Describe an entry in a request timeline</summary>  
+  /// <param name="entry" type="Object">The log entry</param>  
+  /// <param name="msgId" type="String">Msg id of the request</param>  
+  /// <returns type="Object">{text, outcome, request}</returns>  
+
+    if (entry.symbol === '>') {
+      let req = this._wireMsgs(entry).filter(msg => msg.id === msgId)[0];
+      return {text: 'sent ' + (req != null ? JSON.stringify(req) : entry.msg), request: (req != null ? req.request : null)};
+    }
+
+    if (entry.symbol === '<') {
+      let res = this._wireMsgs(entry).filter(msg => msg.msg != null && msg.msg.reply === msgId)[0];
+      return {text: 'received ' + (res != null ? JSON.stringify(res.msg) : entry.msg)};
+    }
+
+    let outcome = (entry.fields.outcome != null ? entry.fields.outcome : null);
+    if (outcome === null && entry.symbol === '!') {
+      if (/timeout/i.test(entry.msg)) {
+        outcome = 'timeout';
+      } else if (/reset/i.test(entry.msg)) {
+        outcome = 'reset';
+      } else if (/cancelled/i.test(entry.msg)) {
+        outcome = 'cancelled';
+      } else if (entry.msg.indexOf('No matching') !== 0) {
+        outcome = 'error';
+      }
+    }
+
+    return {text: entry.msg, outcome: outcome};
+
+  }
+
+}
+
+module.exports = ChallengeLogAnalyzer;
\ No newline at end of file
@@ -0,0 +1,260 @@
+'use strict';
+/* 
+* This is the node startup module for the log analysis tool of a Node.js Socket Client Coding Challenge. It reads
+* one or more app log files and prints what happened to each server request, correlated by msg id, as a timeline
+* with its latency and outcome, followed by a summary of the connection resets and the gaps between server
+* heartbeats. The log entries can be filtered by time range, entry type symbol and msg id first. Usage:
+*   node challengelogtool.js [options] [logfile...]
+* The log file defaults to socketclientchallenge.log next to the app. Use --help to list the options.
+*/
+
+/* Module imports */
+const fs = require('fs'); // add the filesystem module for file i/o
+const ChallengeLogAnalyzer = require('./challengeloganalyzer.js'); // log analysis class
+/**********************************************************************/
+
+const options = parseArgs(process.argv.slice(2));
+const analyzer = new ChallengeLogAnalyzer({heartbeatWindow: options.heartbeatWindow});
+
+run();
+
+function run() {
+/* 
+* Reads the log files, then prints either the filtered log entries or the request timelines and summaries.
+*/
+/// <summary>Run the log analysis</summary>  
+
+    let entries = [];
+
+    options.files.forEach(file => {
+        try {
+            entries = entries.concat(analyzer.parse(fs.readFileSync(file, 'utf8')));
+        }
+        catch(err) {
+            console.error(`Could not read log file ${file}: ${err.message}`);
+            process.exit(1);
+        }
+    });
+
+    // rotated log files can be given in any order
+    entries.sort((a, b) => a.time - b.time);
+    entries = analyzer.filter(entries, options);
+
+    if (options.entries) {
+        entries.forEach(entry => console.log(formatEntry(entry)));
+        return;
+    }
+
+    printRequests(analyzer.requests(entries));
+    printResets(analyzer.resets(entries));
+    printHeartbeats(analyzer.heartbeats(entries));
+
+}
+
+function printRequests(requests) {
+/* 
+* Prints the timeline of each request followed by a count of the request outcomes.
+*/
+/// <summary>Print the request timelines</summary>  
+/// <param name="requests" type="Array">The requests from the analyzer</param>  
+
+    let outcomes = {};
+
+    console.log(`Requests: ${requests.length}`);
+
+    requests.forEach(req => {
+
+        outcomes[req.outcome] = (outcomes[req.outcome] || 0) + 1;
+
+        console.log('');
+        console.log(`${req.msgId} ${(req.type !== null ? req.type : '?')} - ${req.outcome}` +
+            (req.latency !== null ? `, ${req.latency} ms` : '') +
+            (req.session !== null ? `, session ${req.session}` : ''));
+
+        let start = req.events[0].time;
+        req.events.forEach(event => {
+            console.log(`  ${formatTime(event.time)} +${event.time - start}ms ${event.symbol} ${event.what.replace(/\n/g, ' ')}`);
+        });
+
+    });
+
+    if (requests.length > 0) {
+        console.log('');
+        console.log('Outcomes: ' + Object.keys(outcomes).map(outcome => `${outcome} ${outcomes[outcome]}`).join(', '));
+    }
+
+}
+
+function printResets(resets) {
+/* 
+* Prints each connection reset with how long it took and how it ended.
+*/
+/// <summary>Print the connection resets</summary>  
+/// <param name="resets" type="Array">The resets from the analyzer</param>  
+
+    console.log('');
+    console.log(`Resets: ${resets.length}`);
+
+    resets.forEach(reset => {
+        console.log(`  ${formatTime(reset.start)} ${reset.outcome}, ${reset.attempts} reconnect attempts` +
+            (reset.end !== null ? `, ${reset.end - reset.start} ms` : ''));
+    });
+
+}
+
+function printHeartbeats(heartbeats) {
+/* 
+* Prints the heartbeat gap summary and every gap longer than the heartbeat window.
+*/
+/// <summary>Print the heartbeat gaps</summary>  
+/// <param name="heartbeats" type="Object">The heartbeat summary from the analyzer</param>  
+
+    console.log('');
+
+    if (heartbeats.count === 0) {
+        console.log('Heartbeat gaps: none');
+        return;
+    }
+
+    console.log(`Heartbeat gaps: ${heartbeats.count}, min ${heartbeats.min} ms, mean ${heartbeats.mean} ms, max ${heartbeats.max} ms`);
+    console.log(`Gaps over ${heartbeats.window} ms: ${heartbeats.late.length}`);
+
+    heartbeats.late.forEach(late => {
+        console.log(`  ${formatTime(late.time)} ${late.gap} ms`);
+    });
+
+}
+
+function formatEntry(entry) {
+/* 
+* Formats a log entry for printing, much as it appears in a text format log.
+*/
+/// <summary>Format a log entry</summary>  
+/// <param name="entry" type="Object">The log entry</param>  
+/// <returns type="String">The formatted entry</returns>  
+
+    return `${formatTime(entry.time)} ${entry.symbol}` +
+        (entry.level !== null ? ` ${entry.level} ${entry.logger}` : '') + ` ${entry.msg}` +
+        (Object.keys(entry.fields).length > 0 ? ' ' + JSON.stringify(entry.fields) : '');
+
+}
+
+function formatTime(time) {
+/* 
+* Formats a log timestamp as an ISO date and time.
+*/
+/// <summary>Format a log timestamp</summary>  
+/// <param name="time" type="Number">The timestamp in ms</param>  
+/// <returns type="String">The formatted time</returns>  
+
+    return new Date(time).toISOString();
+
+}
+
+function parseTime(value) {
+/* 
+* Parses a time given on the command line, either as ms since the epoch (as logged) or as a date string.
+*/
+/// <summary>Parse a command line time</summary>  
+/// <param name="value" type="String">The time</param>  
+/// <returns type="Number">The time in ms, or NaN if it isn't a time</returns>  
+
+    return (/^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value));
+
+}
+
+function parseArgs(argv) {
+/* 
+* Parses the command line. If help was asked for it is shown instead, and if the command line can't be used
+* the problem is shown. Either way the tool ends without reading any logs.
+*/
+/// <summary>Parse the command line</summary>  
+/// <param name="argv" type="Array">Command line arguments</param>  
+/// <returns type="Object">The tool options</returns>  
+
+    let parsed = {files: [], from: null, to: null, symbols: null, msgId: null, entries: false, heartbeatWindow: 2000};
+
+    let fail = msg => {
+        console.log(msg);
+        console.log(`Use --help to list the available options`);
+        process.exit(1);
+    };
+
+    for (var i = 0; i < argv.length; i++) {
+
+        let arg = argv[i];
+
+        if (arg === '--help' || arg === '-h') {
+            console.log(helpText());
+            process.exit(0);
+        }
+        if (arg === '--entries') {
+            parsed.entries = true;
+            continue;
+        }
+        if (arg.indexOf('--') !== 0) {
+            parsed.files.push(arg);
+            continue;
+        }
+
+        if (i + 1 >= argv.length) {
+            fail(`Missing value for ${arg}`);
+        }
+        let value = argv[++i];
+
+        if (arg === '--from' || arg === '--to') {
+            let time = parseTime(value);
+            if (isNaN(time)) {
+                fail(`Invalid time for ${arg}: ${value}`);
+            }
+            parsed[arg.slice(2)] = time;
+        } else if (arg === '--type') {
+            if (!/^[-><!]+$/.test(value)) {
+                fail(`Invalid type symbols for --type, use any of - > < !: ${value}`);
+            }
+            parsed.symbols = value;
+        } else if (arg === '--msg-id') {
+            parsed.msgId = value;
+        } else if (arg === '--heartbeat-window') {
+            parsed.heartbeatWindow = Number(value);
+            if (!(parsed.heartbeatWindow > 0)) {
+                fail(`Invalid heartbeat window, must be ms > 0: ${value}`);
+            }
+        } else {
+            fail(`Unknown command line argument: ${arg}`);
+        }
+
+    }
+
+    if (parsed.files.length === 0) {
+        parsed.files.push(__dirname + '/socketclientchallenge.log');
+    }
+
+    return parsed;
+
+}
+
+function helpText() {
+/* 
+* Builds the usage text for the tool.
+*/
+/// <summary>Get the tool usage text</summary>  
+/// <returns type="String">The usage text</returns>  
+
+    return [
+        'Usage: node challengelogtool.js [options] [logfile...]',
+        '',
+        'Traces each server request in the app log by msg id, then summarises resets and heartbeat gaps.',
+        'The log file defaults to socketclientchallenge.log next to the app.',
+        '',
+        'Options:',
+        '  --from <time>               Ignore entries before this time (ms since the epoch or a date)',
+        '  --to <time>                 Ignore entries after this time (ms since the epoch or a date)',
+        '  --type <symbols>            Only use entries with these type symbols: - general, > sent, < received, ! error',
+        '  --msg-id <id>               Only use entries about the request with this msg id',
+        '  --heartbeat-window <ms>     Heartbeat gap to report as late (default 2000)',
+        '  --entries                   Print the filtered log entries instead of analysing them',
+        '  --help, -h                  Show this help'
+    ].join('\n');
+
+}
\ No newline at end of file
@@ -0,0 +1,254 @@
+'use strict';
+
+/* Module imports */
+const fs = require('fs'); // add the filesystem module for file i/o
+/**********************************************************************/
+
+class ChallengeLogWriter {
+/* 
+* Log file writer class for a Node.js Socket Client Coding Challenge. Writes log lines to the log file strictly in
+* the order they were logged, through a single fs write stream for the file, so writing never holds up the event
+* loop and a later write can never overtake an earlier one.
+* The log file is rotated when it reaches a maximum size and/or has been open for a maximum time: the current
+* file is renamed to <logpath>.1, any earlier <logpath>.n to <logpath>.n+1, and only the retained number of old
+* files are kept. A rotated file's stream carries on writing the lines already given to it into the renamed file,
+* so a rotation always falls between lines. flush() and close() let the app wait until everything logged is in
+* the file, which the app does before it exits so its last moments are always recorded. The file isn't opened
+* until the first line is written.
+*/
+
+  constructor(logpath, options) {
+  /// <summary>ChallengeLogWriter class constructor</summary>  
+  /// <param name="logpath" type="String">Path of the log file</param>  
+  /// <param name="options" type="Object">(Optional) Rotation options - maxSize: bytes, interval: ms, retain: number of old files</param>  
+  /// <returns type="Object">ChallengeLogWriter instance</returns>  
+
+    options = (options != null ? options : {});
+
+    // This is the actual instance initialization code
+    this.logpath = logpath;
+    this._maxSize = (options.maxSize != null ? options.maxSize : 0); // 0 means the file isn't rotated for size
+    this._interval = (options.interval != null ? options.interval : 0); // 0 means the file isn't rotated for time
+    this._retain = (options.retain != null ? options.retain : 5);
+
+    this._validate();
+
+    this._stream = null; // write stream for the current file
+    this._size = 0; // bytes in the current file
+    this._opened = 0; // when the current file was opened
+    this._writing = 0; // lines given to a stream which aren't in the file yet
+    this._closed = false;
+    this._flushWaiters = []; // resolvers for flushes waiting on the writes to finish
+
+  }
+
+  get closed() {
+  /// <summary>Whether the writer has been closed</summary>  
+  /// <returns type="Boolean">True once close has been called</returns>  
+
+    return this._closed;
+
+  }
+
+  write(line) {
+  /* 
+  * Writes a line to the log file, rotating the file first if it is due. Lines are written in the order they are
+  * given.
+  */
+  /// <summary>Write a line to the log file</summary>  
+  /// <param name="line" type="String">The line, including its line ending</param>  
+  /// <returns type="Boolean">False if the writer has been closed or the file can't be used and the line was dropped</returns>  
+
+    if (this._closed) {
+      return false;
+    }
+
+    let bytes = Buffer.byteLength(line);
+
+    try {
+      if (this._stream === null) {
+        this._openFile();
+      }
+      if (this._needsRotation(bytes)) {
+        this._rotate();
+      }
+    }
+    catch(err) {
+      // if the file can't be opened or rotated the line can't be written
+      console.log(`Application logging error: ${err}`);
+      return false;
+    }
+
+    this._writing++;
+    this._size += bytes;
+    this._stream.write(line, () => {
+      this._writing--;
+      this._releaseFlushes();
+    });
+
+    return true;
+
+  }
+
+  flush() {
+  /* 
+  * Waits until every line written so far is in the log file.
+  */
+  /// <summary>Flush the written lines to the log file</summary>  
+  /// <returns type="Object" value="Promise">Resolves once the writes have finished</returns>  
+
+    return new Promise(resolve => {
+
+      this._flushWaiters.push(resolve);
+      this._releaseFlushes();
+
+    });
+
+  }
+
+  close() {
+  /* 
+  * Finishes writing the lines written so far and then closes the log file. Anything written after close is
+  * dropped.
+  */
+  /// <summary>Close the log file</summary>  
+  /// <returns type="Object" value="Promise">Resolves once the file is closed</returns>  
+
+    this._closed = true;
+
+    return this._closeFile().then(() => this.flush());
+
+  }
+
+  _releaseFlushes() {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Lets any waiting flushes know once every line given to a stream has been written.
+  */
+  /// <summary>Resolve the waiting flushes if the writes have finished</summary>  
+
+    if (this._writing > 0) {
+      return;
+    }
+
+    let waiters = this._flushWaiters;
+    this._flushWaiters = [];
+    waiters.forEach(resolve => resolve());
+
+  }
+
+  _needsRotation(bytes) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Checks whether the current file has to be rotated before the specified number of bytes is written to it.
+  * An empty file is never rotated, so a line bigger than the max size still gets written.
+  */
+  /// <summary>Check if the log file needs rotating</summary>  
+  /// <param name="bytes" type="Number">Bytes about to be written</param>  
+  /// <returns type="Boolean">True if the file should be rotated first</returns>  
+
+    if (this._size === 0) {
+      return false;
+    }
+
+    return ((this._maxSize > 0 && this._size + bytes > this._maxSize) ||
+      (this._interval > 0 && Date.now() - this._opened >= this._interval));
+
+  }
+
+  _rotate() {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Ends the current file's stream, shifts the old files along, dropping the oldest beyond the retain count, and
+  * opens a new file. The old stream keeps its file open, so the lines it is still writing land in the renamed
+  * file and no line can end up in the wrong file.
+  */
+  /// <summary>Rotate the log file</summary>  
+
+    this._closeFile();
+
+    if (this._retain > 0) {
+      for (var i = this._retain - 1; i >= 1; i--) {
+        if (fs.existsSync(`${this.logpath}.${i}`)) {
+          fs.renameSync(`${this.logpath}.${i}`, `${this.logpath}.${i + 1}`);
+        }
+      }
+      fs.renameSync(this.logpath, `${this.logpath}.1`);
+    } else {
+      fs.unlinkSync(this.logpath);
+    }
+
+    this._openFile();
+
+  }
+
+  _openFile() {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Opens the log file for appending and creates the write stream for it. The file is opened straight away rather
+  * than by the stream, so that a rotation can't rename it before the stream has it open.
+  */
+  /// <summary>Open the log file</summary>  
+
+    let fd = fs.openSync(this.logpath, 'a');
+
+    this._size = fs.fstatSync(fd).size;
+    this._opened = Date.now();
+    let stream = fs.createWriteStream(null, {fd: fd});
+    stream.on('error', err => {
+      console.log(`Application logging error: ${err}`);
+      // a file which can't be written is opened again for the next line
+      if (this._stream === stream) {
+        this._stream = null;
+      }
+    });
+    this._stream = stream;
+
+  }
+
+  _closeFile() {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Ends the stream for the log file if it is open, which closes the file once the lines given to it are written.
+  */
+  /// <summary>Close the log file</summary>  
+  /// <returns type="Object" value="Promise">Resolves once the lines given to the stream are written</returns>  
+
+    let stream = this._stream;
+    this._stream = null;
+
+    return new Promise(resolve => {
+
+      if (stream === null) {
+        resolve();
+        return;
+      }
+
+      stream.end(() => resolve());
+
+    });
+
+  }
+
+  _validate() {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Makes sure the rotation options make sense.
+  */
+  /// <summary>Validate the rotation options</summary>  
+
+    if (typeof this._maxSize !== 'number' || !(this._maxSize >= 0)) {
+      throw new Error(`Log max size must be a number >= 0: ${this._maxSize}`);
+    }
+    if (typeof this._interval !== 'number' || !(this._interval >= 0)) {
+      throw new Error(`Log rotate interval must be a number >= 0: ${this._interval}`);
+    }
+    if (!Number.isInteger(this._retain) || this._retain < 0) {
+      throw new Error(`Log retain count must be a whole number >= 0: ${this._retain}`);
+    }
+
+  }
+
+}
+
+module.exports = ChallengeLogWriter;
\ No newline at end of file
@@ -0,0 +1,109 @@
+'use strict';
+
+/* Module imports */
+const Duplex = require('stream').Duplex; // add the node stream module for the in-memory socket ends
+const EventEmitter = require('events'); // add the node events module so the server end of each connection can be handed out
+/**********************************************************************/
+
+class ChallengeMemoryTransport extends EventEmitter {
+/* 
+* In-memory transport class for a Node.js Socket Client Coding Challenge. Stands in for the network so that a
+* ChallengeConnection can be run without sockets, e.g. with
+*   new ChallengeConnection(port, ip, {transport: (port, ip) => memory.connect(port, ip)})
+* Each connection is a pair of linked duplex streams: the client end is returned to the connection in place
+* of a net socket, and the server end is handed to whatever plays the server through the connection event.
+* Whatever is written to one end is read from the other, and destroying or ending one end ends the other, the
+* same as a socket being closed at either end. If nothing is listening for connections the client end fails
+* with a connection refused error, the same as a socket to a port nobody is listening on. Events:
+*   connection {socket, port, ip} - a client connected, socket is the server end of the connection
+*/
+
+  constructor() {
+  /// <summary>ChallengeMemoryTransport class constructor</summary>  
+  /// <returns type="Object">ChallengeMemoryTransport instance</returns>  
+
+    super();
+
+    this.connections = 0; // number of connections made
+
+  }
+
+  connect(port, ip) {
+  /* 
+  * Opens a new in-memory connection. The server end is handed out once the caller has had the chance to set
+  * up the client end, the same as a socket connecting.
+  */
+  /// <summary>Open a connection</summary>  
+  /// <param name="port" type="Number">Port being connected to, passed on with the connection event</param>  
+  /// <param name="ip" type="String">IP being connected to, passed on with the connection event</param>  
+  /// <returns type="Object">Client end of the connection</returns>  
+
+    let ends = this._createPair();
+
+    process.nextTick(() => {
+      if (this.listenerCount('connection') === 0) {
+        let err = new Error(`connect ECONNREFUSED ${ip}:${port}`);
+        err.code = 'ECONNREFUSED';
+        ends.client.destroy(err);
+        return;
+      }
+      this.connections++;
+      this.emit('connection', {socket: ends.server, port: port, ip: ip});
+    });
+
+    return ends.client;
+
+  }
+
+  _createPair() {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Creates the two linked ends of a connection.
+  */
+  /// <summary>Create a connected pair of streams</summary>  
+  /// <returns type="Object">{client, server}</returns>  
+
+    let ends = {client: null, server: null};
+    let ended = {client: false, server: false}; // whether an end has been told there is nothing more to read
+
+    // ends the reading side of an end, after which anything more written to it is dropped like on a closed socket
+    let endRead = name => {
+      if (!ended[name]) {
+        ended[name] = true;
+        ends[name].push(null);
+      }
+    };
+
+    let createEnd = peer => new Duplex({
+      read() {},
+      write(chunk, encoding, callback) {
+        if (!ended[peer]) {
+          ends[peer].push(chunk);
+        }
+        callback();
+      },
+      final(callback) {
+        endRead(peer);
+        callback();
+      },
+      destroy(err, callback) {
+        // the other end sees the connection end and then close
+        let other = ends[peer];
+        if (!other.destroyed) {
+          endRead(peer);
+          process.nextTick(() => other.destroy());
+        }
+        callback(err);
+      }
+    });
+
+    ends.client = createEnd('server');
+    ends.server = createEnd('client');
+
+    return ends;
+
+  }
+
+}
+
+module.exports = ChallengeMemoryTransport;
\ No newline at end of file
@@ -0,0 +1,310 @@
+'use strict';
+
+/* Module imports */
+const http = require('http'); // add the node http module for serving the metrics
+/**********************************************************************/
+
+class ChallengeMetrics {
+/* 
+* Metrics class for a Node.js Socket Client Coding Challenge. Collects metrics for a long running client from the
+* events emitted by its ChallengeConnection and serves them in the Prometheus text exposition format, so the client
+* can be scraped and charted. The metrics are:
+*   challenge_requests_total{type, outcome} - requests by type and outcome (ok, timeout, reset, cancelled, error)
+*   challenge_request_latency_seconds{type} - histogram of the time from sending a request to its response
+*   challenge_heartbeat_gap_seconds - histogram of the time between server heartbeats
+*   challenge_heartbeats_missed_total - heartbeat windows which passed without a heartbeat
+*   challenge_resets_total - connection resets
+*   challenge_reconnect_attempts_total - reconnect attempts made by the reconnect policy after a reset
+*   challenge_reconnect_gave_up_total - times the reconnect policy ran out of attempts
+*   challenge_malformed_messages_total{reason} - received msgs which were ignored, by reason
+*   challenge_socket_errors_total - errors reported by the server socket
+*   challenge_logged_in - 1 if the client is logged in to the server, otherwise 0
+*   challenge_pending_requests - requests waiting on a server response
+* Serving is optional; the metrics are collected either way and can also be rendered directly.
+*/
+
+  constructor(conn, options) {
+  /// <summary>ChallengeMetrics class constructor</summary>  
+  /// <param name="conn" type="Object">ChallengeConnection instance to collect metrics from</param>  
+  /// <param name="options" type="Object">(Optional) Options - latencyBuckets and heartbeatBuckets, histogram bucket upper bounds in seconds</param>  
+  /// <returns type="Object">ChallengeMetrics instance</returns>  
+
+    options = (options != null ? options : {});
+
+    this._contentType = 'text/plain; version=0.0.4; charset=utf-8'; // Prometheus text format content type
+    this._path = '/metrics'; // the only path served
+
+    // This is the actual instance initialization code
+    this._conn = conn;
+    this._server = null;
+
+    let latencyBuckets = (options.latencyBuckets != null ? options.latencyBuckets : [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]);
+    let heartbeatBuckets = (options.heartbeatBuckets != null ? options.heartbeatBuckets : [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3, 5]);
+
+    // metric definitions in the order they are rendered
+    this._metrics = {
+      requests: this._define('challenge_requests_total', 'counter', 'Requests by type and outcome'),
+      latency: this._define('challenge_request_latency_seconds', 'histogram', 'Time from sending a request to its response', latencyBuckets),
+      heartbeatGap: this._define('challenge_heartbeat_gap_seconds', 'histogram', 'Time between server heartbeats', heartbeatBuckets),
+      heartbeatsMissed: this._define('challenge_heartbeats_missed_total', 'counter', 'Heartbeat windows which passed without a heartbeat'),
+      resets: this._define('challenge_resets_total', 'counter', 'Connection resets'),
+      reconnects: this._define('challenge_reconnect_attempts_total', 'counter', 'Reconnect attempts made after a reset'),
+      gaveUp: this._define('challenge_reconnect_gave_up_total', 'counter', 'Times reconnecting was given up'),
+      malformed: this._define('challenge_malformed_messages_total', 'counter', 'Received msgs which were ignored, by reason'),
+      socketErrors: this._define('challenge_socket_errors_total', 'counter', 'Errors reported by the server socket'),
+      loggedIn: this._define('challenge_logged_in', 'gauge', 'Whether the client is logged in to the server'),
+      pending: this._define('challenge_pending_requests', 'gauge', 'Requests waiting on a server response')
+    };
+
+    // counters which should show up as zero before anything has happened
+    this._inc(this._metrics.heartbeatsMissed, {}, 0);
+    this._inc(this._metrics.resets, {}, 0);
+    this._inc(this._metrics.reconnects, {}, 0);
+    this._inc(this._metrics.gaveUp, {}, 0);
+    this._inc(this._metrics.socketErrors, {}, 0);
+
+    // collect the metrics from the connection events
+    conn.on('requestCompleted', info => this._inc(this._metrics.requests, {type: info.type, outcome: info.outcome}));
+    conn.on('responseReceived', info => this._observe(this._metrics.latency, {type: info.type}, info.latency / 1000));
+    conn.on('heartbeat', info => {
+      if (info.interval !== null) {
+        this._observe(this._metrics.heartbeatGap, {}, info.interval / 1000);
+      }
+    });
+    conn.on('heartbeatMissed', () => this._inc(this._metrics.heartbeatsMissed, {}));
+    conn.on('resetStarted', () => this._inc(this._metrics.resets, {}));
+    conn.on('reconnecting', () => this._inc(this._metrics.reconnects, {}));
+    conn.on('gaveUp', () => this._inc(this._metrics.gaveUp, {}));
+    conn.on('unrecognizedMessage', info => this._inc(this._metrics.malformed, {reason: info.reason}));
+    conn.on('socketError', () => this._inc(this._metrics.socketErrors, {}));
+
+  }
+
+  listen(port, host) {
+  /* 
+  * Starts serving the metrics over http on the specified local port. Only GET requests for the metrics path
+  * are answered with the metrics, anything else gets a 404 or 405.
+  */
+  /// <summary>Start serving the metrics</summary>  
+  /// <param name="port" type="Number">Port to serve the metrics on</param>  
+  /// <param name="host" type="String">(Optional) Host address to listen on, defaults to 127.0.0.1</param>  
+  /// <returns type="Object" value="Promise">The address being listened on, {address, port}</returns>  
+
+    return new Promise((resolve, reject) => {
+
+      this._server = http.createServer(this._handleHttpReq.bind(this));
+      this._server.once('error', reject);
+      this._server.listen(port, (host != null ? host : '127.0.0.1'), () => {
+        this._server.removeListener('error', reject);
+        resolve(this._server.address());
+      });
+
+    });
+
+  }
+
+  close() {
+  /* 
+  * Stops serving the metrics. Connections a scraper is keeping alive are closed too, so they can't hold up
+  * the app ending.
+  */
+  /// <summary>Stop serving the metrics</summary>  
+  /// <returns type="Object" value="Promise">Resolves once the server has closed</returns>  
+
+    return new Promise(resolve => {
+
+      if (this._server === null) {
+        resolve();
+        return;
+      }
+
+      this._server.close(() => resolve());
+      this._server.closeAllConnections();
+      this._server = null;
+
+    });
+
+  }
+
+  render() {
+  /* 
+  * Renders all of the metrics in the Prometheus text exposition format.
+  */
+  /// <summary>Render the metrics</summary>  
+  /// <returns type="String">The metrics text</returns>  
+
+    // gauges are read from the connection at the time of rendering
+    this._set(this._metrics.loggedIn, {}, (this._conn.loggedIn ? 1 : 0));
+    this._set(this._metrics.pending, {}, this._conn.pendingRequests().length);
+
+    let lines = [];
+
+    Object.keys(this._metrics).forEach(key => {
+
+      let metric = this._metrics[key];
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+      metric.values.forEach(value => {
+        if (metric.type === 'histogram') {
+          let cumulative = 0;
+          metric.buckets.forEach((bound, ndx) => {
+            cumulative += value.counts[ndx];
+            lines.push(this._sample(metric.name + '_bucket', Object.assign({}, value.labels, {le: String(bound)}), cumulative));
+          });
+          lines.push(this._sample(metric.name + '_bucket', Object.assign({}, value.labels, {le: '+Inf'}), value.count));
+          lines.push(this._sample(metric.name + '_sum', value.labels, value.sum));
+          lines.push(this._sample(metric.name + '_count', value.labels, value.count));
+        } else {
+          lines.push(this._sample(metric.name, value.labels, value.value));
+        }
+      });
+
+    });
+
+    return lines.join('\n') + '\n';
+
+  }
+
+  _handleHttpReq(req, res) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Answers an http request to the metrics server.
+  */
+  /// <summary>Handle an http request</summary>  
+  /// <param name="req" type="Object">The http request</param>  
+  /// <param name="res" type="Object">The http response</param>  
+
+    if (req.url.split('?')[0] !== this._path) {
+      res.writeHead(404, {'Content-Type': 'text/plain'});
+      res.end('Not Found\n');
+      return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, {'Content-Type': 'text/plain', 'Allow': 'GET, HEAD'});
+      res.end('Method Not Allowed\n');
+      return;
+    }
+
+    let body = this.render();
+    res.writeHead(200, {'Content-Type': this._contentType, 'Content-Length': Buffer.byteLength(body)});
+    res.end(req.method === 'HEAD' ? undefined : body);
+
+  }
+
+  _define(name, type, help, buckets) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Creates a metric definition. The values of each labelled series of the metric are kept keyed by their labels.
+  */
+  /// <summary>Define a metric</summary>  
+  /// <param name="name" type="String">Metric name</param>  
+  /// <param name="type" type="String">counter, gauge or histogram</param>  
+  /// <param name="help" type="String">Metric description</param>  
+  /// <param name="buckets" type="Array">(Histograms only) Bucket upper bounds in ascending order</param>  
+  /// <returns type="Object">The metric definition</returns>  
+
+    return {name: name, type: type, help: help, buckets: (buckets != null ? buckets : null), values: new Map()};
+
+  }
+
+  _series(metric, labels) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Gets the series of a metric with the specified labels, creating it if this is the first time it's used.
+  */
+  /// <summary>Get a labelled metric series</summary>  
+  /// <param name="metric" type="Object">The metric definition</param>  
+  /// <param name="labels" type="Object">Label names and values</param>  
+  /// <returns type="Object">The series values</returns>  
+
+    let key = JSON.stringify(labels);
+    let series = metric.values.get(key);
+
+    if (typeof series === 'undefined') {
+      series = (metric.type === 'histogram' ?
+        {labels: labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0} :
+        {labels: labels, value: 0});
+      metric.values.set(key, series);
+    }
+
+    return series;
+
+  }
+
+  _inc(metric, labels, by) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Increments a counter series.
+  */
+  /// <summary>Increment a counter</summary>  
+  /// <param name="metric" type="Object">The metric definition</param>  
+  /// <param name="labels" type="Object">Label names and values</param>  
+  /// <param name="by" type="Number">(Optional) Amount to increment by, defaults to 1</param>  
+
+    this._series(metric, labels).value += (by != null ? by : 1);
+
+  }
+
+  _set(metric, labels, value) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Sets a gauge series.
+  */
+  /// <summary>Set a gauge</summary>  
+  /// <param name="metric" type="Object">The metric definition</param>  
+  /// <param name="labels" type="Object">Label names and values</param>  
+  /// <param name="value" type="Number">The gauge value</param>  
+
+    this._series(metric, labels).value = value;
+
+  }
+
+  _observe(metric, labels, value) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Records an observation in a histogram series. Bucket counts are kept per bucket and made cumulative when
+  * rendered.
+  */
+  /// <summary>Observe a histogram value</summary>  
+  /// <param name="metric" type="Object">The metric definition</param>  
+  /// <param name="labels" type="Object">Label names and values</param>  
+  /// <param name="value" type="Number">The observed value</param>  
+
+    let series = this._series(metric, labels);
+
+    for (var i = 0; i < metric.buckets.length; i++) {
+      if (value <= metric.buckets[i]) {
+        series.counts[i]++;
+        break;
+      }
+    }
+    series.sum += value;
+    series.count++;
+
+  }
+
+  _sample(name, labels, value) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Formats a single sample line, escaping the label values as the text format requires.
+  */
+  /// <summary>Format a sample line</summary>  
+  /// <param name="name" type="String">Sample name</param>  
+  /// <param name="labels" type="Object">Label names and values</param>  
+  /// <param name="value" type="Number">Sample value</param>  
+  /// <returns type="String">The sample line</returns>  
+
+    let pairs = Object.keys(labels).map(label => {
+      let text = String(labels[label]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+      return `${label}="${text}"`;
+    });
+
+    return name + (pairs.length > 0 ? `{${pairs.join(',')}}` : '') + ' ' + value;
+
+  }
+
+}
+
+module.exports = ChallengeMetrics;
\ No newline at end of file
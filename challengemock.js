@@ -0,0 +1,616 @@
+'use strict';
+
+/* Module imports */
+const net = require('net'); // add the node net module for socket i/o
+const tls = require('tls'); // add the node tls module for listening over TLS
+const EventEmitter = require('events'); // add the node events module so server activity can be observed
+/**********************************************************************/
+
+class ChallengeMock extends EventEmitter {
+/* 
+* Mock server class for a Node.js Socket Client Coding Challenge. Speaks the real challenge server protocol: a
+* login msg {name, ...} is answered with a welcome msg, heartbeats are then sent at a steady interval, and
+* count and time requests {request, id} are answered with {type: 'msg', msg: {reply: id, ...}}, every msg
+* being a newline delimited JSON line. What the server does can be scripted with a scenario, so that the
+* awkward things the real server is documented to do can be brought about on demand. A scenario is an object
+* with any of:
+*   login - accept (the default), refuse (answered with a rejected msg) or ignore (never answered)
+*   heartbeatInterval - ms between heartbeats (default 1000)
+*   dropouts - heartbeat dropouts, [{at, duration}] with at in ms after login and no duration for one that lasts
+*   replyDelay - ms before a request is answered (default 0)
+*   replies - rules for answering requests, the first rule matching a request being used. A rule is
+*     {nth, type, delay, id, body, drop, split, splitDelay, coalesce}: nth and type match the request number on
+*     the connection (from 1) and the request type, delay overrides replyDelay (so replies can overtake each
+*     other), id replaces the reply id (wrong, old for the id of an earlier request, preferably from an earlier
+*     connection, missing, or a literal id), body is merged into the reply msg, drop leaves the request
+*     unanswered, split is the character offsets to cut the reply into separate packets at (sent splitDelay ms
+*     apart, default 20) and coalesce holds the reply back to go out in the same packet as the next msg sent
+*   events - things sent or done at set times, [{at, send, close}] with at in ms after login; send is a msg
+*     object, a raw string (e.g. garbage or non-JSON text, sent exactly as given) or an array of them all sent
+*     in one packet, and close drops the connection
+*   connections - scenario overrides for the first, second... connections, e.g. to refuse only the first login
+* The server listens over TLS when it is given a key and certificate, such as a self-signed ChallengeCert.
+* Server activity is emitted as events, each with a single info object argument:
+*   clientConnected {conn, remote} - a client connected, conn numbers the connections from 1
+*   loggedIn {conn, name, login} - a client sent a login, login is how it was answered (accept, refuse or ignore)
+*   request {conn, nth, msg} - a request arrived from a client
+*   sent {conn, data} - a packet was written to a client
+*   invalid {conn, text} - a client sent something which isn't JSON
+*   clientClosed {conn} - a client connection closed
+*/
+
+  constructor(scenario, options) {
+  /// <summary>ChallengeMock class constructor</summary>  
+  /// <param name="scenario" type="Object">(Optional) Scenario for the server to play out</param>  
+  /// <param name="options" type="Object">(Optional) Options - random: function returning the time request's random number,  
+  /// tls: {key, cert, ca} PEM settings to listen over TLS with, ca being the CAs client certificates must be signed by if they  
+  /// are required</param>  
+  /// <returns type="Object">ChallengeMock instance</returns>  
+
+    super();
+
+    this.LOGINS = ['accept', 'refuse', 'ignore'];
+    this.REPLYIDS = ['wrong', 'old', 'missing'];
+
+    // This is the actual instance initialization code
+    options = (options != null ? options : {});
+
+    this._scenario = Object.assign({
+      login: 'accept',
+      heartbeatInterval: 1000,
+      dropouts: [],
+      replyDelay: 0,
+      replies: [],
+      events: [],
+      connections: []
+    }, scenario);
+    this._random = (options.random != null ? options.random : () => Math.floor(Math.random() * 100));
+    this._tls = (options.tls != null ? options.tls : null);
+
+    this._validate(this._scenario);
+    this._scenario.connections.forEach(overrides => this._validate(Object.assign({}, this._scenario, overrides)));
+
+    this._server = null;
+    this._conn = 0; // number of the last connection
+    this._clients = new Set();
+    this._count = 0; // requests answered by the server, which is what a count request reports
+    this._oldIds = []; // ids of requests made on earlier connections
+
+  }
+
+  listen(port, host) {
+  /* 
+  * Starts listening for clients. Port 0 listens on any free port, which is what tests want.
+  */
+  /// <summary>Start the mock server</summary>  
+  /// <param name="port" type="Number">Port to listen on</param>  
+  /// <param name="host" type="String">(Optional) Host address to listen on, defaults to 127.0.0.1</param>  
+  /// <returns type="Object" value="Promise">The address being listened on, {address, port}</returns>  
+
+    return new Promise((resolve, reject) => {
+
+      this._server = (this._tls !== null ? tls.createServer(this._tlsOptions(), this._handleClient.bind(this)) :
+        net.createServer(this._handleClient.bind(this)));
+      this._server.once('error', reject);
+      this._server.listen(port, (host != null ? host : '127.0.0.1'), () => {
+        this._server.removeListener('error', reject);
+        resolve(this._server.address());
+      });
+
+    });
+
+  }
+
+  close() {
+  /* 
+  * Stops the mock server and drops any clients still connected.
+  */
+  /// <summary>Stop the mock server</summary>  
+  /// <returns type="Object" value="Promise">Resolves once the server has closed</returns>  
+
+    return new Promise(resolve => {
+
+      this._clients.forEach(client => this._dropClient(client));
+
+      if (this._server === null) {
+        resolve();
+        return;
+      }
+
+      this._server.close(() => resolve());
+      this._server = null;
+
+    });
+
+  }
+
+  get clients() {
+  /// <summary>Get the number of clients connected</summary>  
+  /// <returns type="Number">Connected clients</returns>  
+
+    return this._clients.size;
+
+  }
+
+  _tlsOptions() {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Gets the options for a TLS server, which asks clients for a certificate when it has CAs to check them against.
+  */
+  /// <summary>Get the TLS server options</summary>  
+  /// <returns type="Object">tls.createServer options</returns>  
+
+    let options = {key: this._tls.key, cert: this._tls.cert};
+
+    if (this._tls.ca != null) {
+      options.ca = this._tls.ca;
+      options.requestCert = true;
+      options.rejectUnauthorized = true;
+    }
+
+    return options;
+
+  }
+
+  _handleClient(socket) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Sets up a client which has connected, with the scenario for its connection number.
+  */
+  /// <summary>Handle a client connecting</summary>  
+  /// <param name="socket" type="Object">The client socket</param>  
+
+    this._conn++;
+
+    let client = {
+      conn: this._conn,
+      socket: socket,
+      settings: Object.assign({}, this._scenario, this._scenario.connections[this._conn - 1]),
+      loggedIn: false,
+      requests: 0, // requests received on this connection
+      ids: [], // ids of the requests received on this connection
+      leftover: '', // partial request text waiting for the rest of it
+      held: '', // msgs held back to go out with the next packet
+      splitting: false, // whether a msg is going out in pieces
+      queued: '', // msgs sent while a msg is going out in pieces, which follow its last piece
+      paused: false, // whether heartbeats are in a dropout
+      timers: new Set()
+    };
+    this._clients.add(client);
+
+    socket.on('error', () => {}); // a client going away mid-write just ends its connection
+    socket.on('data', buffer => this._handleClientData(client, buffer));
+    socket.on('close', () => {
+      this._dropClient(client);
+      this.emit('clientClosed', {conn: client.conn});
+    });
+
+    this.emit('clientConnected', {conn: client.conn, remote: `${socket.remoteAddress}:${socket.remotePort}`});
+
+  }
+
+  _handleClientData(client, buffer) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Handles the msgs in data from a client. The client doesn't delimit its msgs, so they are split out as
+  * whole JSON objects, holding back any partial one until the rest of it arrives.
+  */
+  /// <summary>Handle data from a client</summary>  
+  /// <param name="client" type="Object">The client</param>  
+  /// <param name="buffer" type="Object">The data received</param>  
+
+    let split = this._splitMsgs(client.leftover + String(buffer));
+    client.leftover = split.leftover;
+
+    split.msgs.forEach(text => {
+
+      let msg = null;
+      try {
+        msg = JSON.parse(text);
+      }
+      catch(err) {
+        this.emit('invalid', {conn: client.conn, text: text});
+        return;
+      }
+
+      if (!client.loggedIn && msg !== null && typeof msg.name === 'string') {
+        this._handleLogin(client, msg);
+      } else if (client.loggedIn && msg !== null && typeof msg.request === 'string') {
+        this._handleRequest(client, msg);
+      } else {
+        this.emit('invalid', {conn: client.conn, text: text});
+      }
+
+    });
+
+  }
+
+  _handleLogin(client, msg) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Answers a login as the scenario says, and once logged in starts the heartbeats and the scenario's
+  * timed events.
+  */
+  /// <summary>Handle a client login</summary>  
+  /// <param name="client" type="Object">The client</param>  
+  /// <param name="msg" type="Object">The login msg</param>  
+
+    let settings = client.settings;
+
+    client.loggedIn = (settings.login === 'accept');
+    this.emit('loggedIn', {conn: client.conn, name: msg.name, login: settings.login});
+
+    if (settings.login === 'refuse') {
+      this._send(client, this._line({type: 'rejected', msg: `Login refused for ${msg.name}`}));
+    }
+    if (!client.loggedIn) {
+      return;
+    }
+
+    this._send(client, this._line({type: 'welcome', msg: `Welcome ${msg.name}`}));
+
+    this._every(client, settings.heartbeatInterval, () => {
+      if (!client.paused) {
+        this._send(client, this._line({type: 'heartbeat', epoch: Date.now()}));
+      }
+    });
+
+    settings.dropouts.forEach(dropout => {
+      this._after(client, dropout.at, () => {
+        client.paused = true;
+      });
+      if (dropout.duration != null) {
+        this._after(client, dropout.at + dropout.duration, () => {
+          client.paused = false;
+        });
+      }
+    });
+
+    settings.events.forEach(event => {
+      this._after(client, event.at, () => {
+        if (event.send != null) {
+          this._send(client, (Array.isArray(event.send) ? event.send : [event.send]).map(this._line.bind(this)).join(''));
+        }
+        if (event.close === true) {
+          this._dropClient(client);
+        }
+      });
+    });
+
+  }
+
+  _handleRequest(client, msg) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Answers a request as the first matching reply rule says, or straight away if no rule matches.
+  */
+  /// <summary>Handle a client request</summary>  
+  /// <param name="client" type="Object">The client</param>  
+  /// <param name="msg" type="Object">The request msg</param>  
+
+    client.requests++;
+    let nth = client.requests;
+    let rule = client.settings.replies.filter(r => (r.nth == null || r.nth === nth) && (r.type == null || r.type === msg.request))[0];
+    rule = (rule != null ? rule : {});
+
+    this.emit('request', {conn: client.conn, nth: nth, msg: msg});
+
+    let id = this._replyId(client, msg.id, rule.id);
+    client.ids.push(msg.id);
+
+    if (rule.drop === true) {
+      return;
+    }
+
+    this._after(client, (rule.delay != null ? rule.delay : client.settings.replyDelay), () => {
+
+      let reply = {};
+      if (id !== null) {
+        reply.reply = id;
+      }
+      if (msg.request === 'count') {
+        reply.count = ++this._count;
+      } else if (msg.request === 'time') {
+        this._count++;
+        reply.time = new Date().toString();
+        reply.random = this._random();
+      } else {
+        reply.error = `Unknown request: ${msg.request}`;
+      }
+      let line = this._line({type: 'msg', msg: Object.assign(reply, rule.body)});
+
+      if (rule.coalesce === true) {
+        client.held += line;
+      } else if (Array.isArray(rule.split)) {
+        this._sendSplit(client, line, rule.split, (rule.splitDelay != null ? rule.splitDelay : 20));
+      } else {
+        this._send(client, line);
+      }
+
+    });
+
+  }
+
+  _replyId(client, id, ruleId) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Works out the id a reply goes out with.
+  */
+  /// <summary>Get the id for a reply</summary>  
+  /// <param name="client" type="Object">The client</param>  
+  /// <param name="id" type="String">Id of the request</param>  
+  /// <param name="ruleId" type="String">(Optional) The reply rule's id</param>  
+  /// <returns type="String">The reply id, or null for a reply without one</returns>  
+
+    if (ruleId == null) {
+      return id;
+    }
+    if (ruleId === 'missing') {
+      return null;
+    }
+    if (ruleId === 'wrong') {
+      return `${id}-wrong`;
+    }
+    if (ruleId === 'old') {
+      // an id from an earlier connection if there is one, since that is what a stale reply would carry
+      let old = (this._oldIds.length > 0 ? this._oldIds : client.ids);
+      return (old.length > 0 ? old[old.length - 1] : `${id}-old`);
+    }
+
+    return ruleId;
+
+  }
+
+  _send(client, data) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Writes a packet to a client, along with any msgs held back to go out with it. Nothing can be sent in the
+  * middle of a msg which is going out in pieces, so anything sent meanwhile goes out with the last piece.
+  */
+  /// <summary>Send a packet to a client</summary>  
+  /// <param name="client" type="Object">The client</param>  
+  /// <param name="data" type="String">The packet</param>  
+
+    if (client.splitting) {
+      client.queued += data;
+      return;
+    }
+
+    data = client.held + data;
+    client.held = '';
+
+    this._write(client, data);
+
+  }
+
+  _write(client, data) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Writes data to a client's socket as it is.
+  */
+  /// <summary>Write to a client</summary>  
+  /// <param name="client" type="Object">The client</param>  
+  /// <param name="data" type="String">The data</param>  
+
+    if (client.socket.destroyed) {
+      return;
+    }
+
+    client.socket.write(data);
+    this.emit('sent', {conn: client.conn, data: data});
+
+  }
+
+  _sendSplit(client, data, offsets, delay) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Writes a msg to a client cut into separate packets at the specified offsets, delay ms apart so they can't
+  * be merged back together on the way.
+  */
+  /// <summary>Send a msg to a client in pieces</summary>  
+  /// <param name="client" type="Object">The client</param>  
+  /// <param name="data" type="String">The msg</param>  
+  /// <param name="offsets" type="Array">Character offsets to cut the msg at</param>  
+  /// <param name="delay" type="Number">ms between the pieces</param>  
+
+    let cuts = [0].concat(offsets.filter(offset => offset > 0 && offset < data.length).sort((a, b) => a - b), [data.length]);
+
+    // a msg which can't be cut, or which would be cut into another one still going out, goes out whole
+    if (cuts.length <= 2 || client.splitting) {
+      this._send(client, data);
+      return;
+    }
+
+    this._send(client, data.slice(0, cuts[1]));
+    client.splitting = true;
+
+    for (var i = 1; i < cuts.length - 1; i++) {
+      let piece = data.slice(cuts[i], cuts[i + 1]);
+      let last = (i === cuts.length - 2);
+      this._after(client, i * delay, () => {
+        if (last) {
+          piece += client.queued;
+          client.queued = '';
+          client.splitting = false;
+        }
+        this._write(client, piece);
+      });
+    }
+
+  }
+
+  _line(msg) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Turns a msg into what goes on the wire: an object as a JSON line, a string exactly as it is.
+  */
+  /// <summary>Format a msg for sending</summary>  
+  /// <param name="msg" type="Object">Msg object or raw String</param>  
+  /// <returns type="String">The text to send</returns>  
+
+    return (typeof msg === 'string' ? msg : JSON.stringify(msg) + '\n');
+
+  }
+
+  _splitMsgs(text) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Splits text from a client into whole top level JSON objects. Anything between objects which isn't
+  * whitespace is returned as a msg of its own so it gets reported as invalid.
+  */
+  /// <summary>Split client text into msgs</summary>  
+  /// <param name="text" type="String">The text</param>  
+  /// <returns type="Object">{msgs, leftover} where leftover is the start of an unfinished object</returns>  
+
+    let msgs = [];
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let start = 0;
+
+    for (var i = 0; i < text.length; i++) {
+
+      let ch = text.charAt(i);
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (ch === '\\') {
+          escaped = true;
+        } else if (ch === '"') {
+          inString = false;
+        }
+      } else if (ch === '"' && depth > 0) {
+        inString = true;
+      } else if (ch === '{') {
+        if (depth === 0) {
+          let between = text.slice(start, i).trim();
+          if (between.length > 0) {
+            msgs.push(between);
+          }
+          start = i;
+        }
+        depth++;
+      } else if (ch === '}' && depth > 0) {
+        depth--;
+        if (depth === 0) {
+          msgs.push(text.slice(start, i + 1));
+          start = i + 1;
+        }
+      }
+
+    }
+
+    // text outside any object is only complete once it is followed by something
+    let leftover = text.slice(start);
+    if (depth === 0 && leftover.trim().length > 0 && /\n/.test(leftover)) {
+      msgs.push(leftover.trim());
+      leftover = '';
+    }
+
+    return {msgs: msgs, leftover: leftover};
+
+  }
+
+  _after(client, delay, callback) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Runs a callback after a delay for as long as a client is connected.
+  */
+  /// <summary>Schedule a client action</summary>  
+  /// <param name="client" type="Object">The client</param>  
+  /// <param name="delay" type="Number">ms to wait</param>  
+  /// <param name="callback" type="Function">The action</param>  
+
+    let timer = setTimeout(() => {
+      client.timers.delete(timer);
+      callback();
+    }, delay);
+    client.timers.add(timer);
+
+  }
+
+  _every(client, interval, callback) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Runs a callback every interval for as long as a client is connected.
+  */
+  /// <summary>Schedule a repeated client action</summary>  
+  /// <param name="client" type="Object">The client</param>  
+  /// <param name="interval" type="Number">ms between runs</param>  
+  /// <param name="callback" type="Function">The action</param>  
+
+    let timer = setInterval(callback, interval);
+    client.timers.add(timer);
+
+  }
+
+  _dropClient(client) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Stops everything scheduled for a client and closes its connection.
+  */
+  /// <summary>Drop a client</summary>  
+  /// <param name="client" type="Object">The client</param>  
+
+    // clearTimeout clears intervals too
+    client.timers.forEach(timer => clearTimeout(timer));
+    client.timers.clear();
+
+    if (this._clients.delete(client)) {
+      this._oldIds = this._oldIds.concat(client.ids);
+    }
+
+    client.socket.destroy();
+
+  }
+
+  _validate(scenario) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Makes sure a scenario can be played out.
+  */
+  /// <summary>Validate a scenario</summary>  
+  /// <param name="scenario" type="Object">The scenario</param>  
+
+    let isTime = value => (typeof value === 'number' && value >= 0);
+
+    if (this.LOGINS.indexOf(scenario.login) === -1) {
+      throw new Error(`Scenario login must be one of ${this.LOGINS.join(', ')}: ${scenario.login}`);
+    }
+    if (typeof scenario.heartbeatInterval !== 'number' || !(scenario.heartbeatInterval > 0)) {
+      throw new Error(`Scenario heartbeatInterval must be a number > 0: ${scenario.heartbeatInterval}`);
+    }
+    if (!isTime(scenario.replyDelay)) {
+      throw new Error(`Scenario replyDelay must be a number >= 0: ${scenario.replyDelay}`);
+    }
+    ['dropouts', 'replies', 'events', 'connections'].forEach(name => {
+      if (!Array.isArray(scenario[name])) {
+        throw new Error(`Scenario ${name} must be an array`);
+      }
+    });
+
+    scenario.dropouts.forEach(dropout => {
+      if (!isTime(dropout.at) || (dropout.duration != null && !isTime(dropout.duration))) {
+        throw new Error(`Scenario dropout needs an at time and an optional duration in ms: ${JSON.stringify(dropout)}`);
+      }
+    });
+    scenario.events.forEach(event => {
+      if (!isTime(event.at) || (event.send == null && event.close !== true)) {
+        throw new Error(`Scenario event needs an at time in ms and something to send or close: ${JSON.stringify(event)}`);
+      }
+    });
+    scenario.replies.forEach(rule => {
+      if ((rule.delay != null && !isTime(rule.delay)) || (rule.split != null && !Array.isArray(rule.split))) {
+        throw new Error(`Scenario reply delay must be ms and split an array of offsets: ${JSON.stringify(rule)}`);
+      }
+      if (rule.id != null && typeof rule.id !== 'string') {
+        throw new Error(`Scenario reply id must be ${this.REPLYIDS.join(', ')} or a literal id: ${JSON.stringify(rule)}`);
+      }
+    });
+
+  }
+
+}
+
+module.exports = ChallengeMock;
\ No newline at end of file
@@ -0,0 +1,235 @@
+'use strict';
+/* 
+* This is the node startup module for the mock server of a Node.js Socket Client Coding Challenge. It runs a
+* ChallengeMock server which speaks the challenge server protocol, playing out a scenario so that the app can
+* be tried against heartbeat dropouts, late, out of order or mismatched replies, garbage, split and merged
+* packets and refused logins without the real server. Usage:
+*   node challengemockserver.js [options]
+* then point the app at it, e.g. --host 127.0.0.1 --port 3001. The scenario is a JSON file or inline JSON (see
+* ChallengeMock for what it can hold). With --tls the server listens over TLS with a self-signed certificate it
+* generates (or the --tls-cert and --tls-key given), which --tls-save-cert writes out for the app's --tls-ca. Use
+* --help to list the options.
+*/
+
+/* Module imports */
+const fs = require('fs'); // add the filesystem module for file i/o
+const crypto = require('crypto'); // add the node crypto module to fingerprint a given certificate
+const ChallengeMock = require('./challengemock.js'); // mock server class
+const ChallengeCert = require('./challengecert.js'); // self-signed certificate class for listening over TLS
+/**********************************************************************/
+
+const options = parseArgs(process.argv.slice(2));
+
+run();
+
+function run() {
+/* 
+* Loads the scenario and starts the mock server, reporting what it does on the console.
+*/
+/// <summary>Run the mock server</summary>  
+
+    let mock = null;
+    let tlsSettings = null;
+
+    try {
+        tlsSettings = loadTls();
+    }
+    catch(err) {
+        console.error(`Could not set up TLS: ${err.message}`);
+        process.exit(1);
+    }
+
+    try {
+        mock = new ChallengeMock(loadScenario(options.scenario), {tls: tlsSettings});
+    }
+    catch(err) {
+        console.error(`Could not load scenario: ${err.message}`);
+        process.exit(1);
+    }
+
+    mock.on('clientConnected', info => {
+        console.log(`[${info.conn}] client ${info.remote} connected`);
+    });
+    mock.on('loggedIn', info => {
+        console.log(`[${info.conn}] login from ${info.name}: ${info.login}`);
+    });
+    mock.on('request', info => {
+        console.log(`[${info.conn}] request ${info.nth}: ${JSON.stringify(info.msg)}`);
+    });
+    mock.on('invalid', info => {
+        console.log(`[${info.conn}] invalid msg: ${info.text}`);
+    });
+    mock.on('clientClosed', info => {
+        console.log(`[${info.conn}] client closed`);
+    });
+    if (options.verbose) {
+        mock.on('sent', info => {
+            console.log(`[${info.conn}] sent: ${JSON.stringify(info.data)}`);
+        });
+    }
+
+    mock.listen(options.port, options.host).then(address => {
+        console.log(`Mock challenge server listening on ${address.address}:${address.port}${tlsSettings !== null ? ' over TLS' : ''}`);
+        if (tlsSettings !== null) {
+            console.log(`Server certificate sha256 fingerprint: ${tlsSettings.fingerprint}`);
+        }
+    }).catch(err => {
+        console.error(`Could not listen on ${options.host}:${options.port}: ${err.message}`);
+        process.exit(1);
+    });
+
+}
+
+function loadScenario(scenario) {
+/* 
+* Loads a scenario given as inline JSON or the path of a JSON file.
+*/
+/// <summary>Load the scenario</summary>  
+/// <param name="scenario" type="String">(Optional) Inline JSON or a file path</param>  
+/// <returns type="Object">The scenario, or null for the default one</returns>  
+
+    if (scenario === null) {
+        return null;
+    }
+
+    return JSON.parse(scenario.trim().charAt(0) === '{' ? scenario : fs.readFileSync(scenario, 'utf8'));
+
+}
+
+function loadTls() {
+/* 
+* Loads or generates the TLS key and certificate if the server is to listen over TLS. A generated certificate is
+* self-signed for the listen host as well as the usual loopback names, and is saved for clients if asked.
+*/
+/// <summary>Load the TLS settings</summary>  
+/// <returns type="Object">{key, cert, ca, fingerprint} TLS settings, or null to listen without TLS</returns>  
+
+    if (!options.tls) {
+        return null;
+    }
+
+    let settings = null;
+
+    if (options.tlsCert !== null) {
+        settings = {key: fs.readFileSync(options.tlsKey), cert: fs.readFileSync(options.tlsCert)};
+        settings.fingerprint = new crypto.X509Certificate(settings.cert).fingerprint256;
+    } else {
+        let names = ['localhost', '127.0.0.1', '::1'];
+        if (names.indexOf(options.host) === -1) {
+            names.push(options.host);
+        }
+        let generated = new ChallengeCert(names);
+        settings = {key: generated.key, cert: generated.cert, fingerprint: generated.fingerprint};
+    }
+
+    if (options.tlsClientCa !== null) {
+        settings.ca = fs.readFileSync(options.tlsClientCa);
+    }
+    if (options.tlsSaveCert !== null) {
+        fs.writeFileSync(options.tlsSaveCert, settings.cert);
+    }
+
+    return settings;
+
+}
+
+function parseArgs(argv) {
+/* 
+* Parses the command line. If help was asked for it is shown instead, and if the command line can't be used
+* the problem is shown. Either way the server ends without starting.
+*/
+/// <summary>Parse the command line</summary>  
+/// <param name="argv" type="Array">Command line arguments</param>  
+/// <returns type="Object">The server options</returns>  
+
+    let parsed = {scenario: null, port: 3001, host: '127.0.0.1', verbose: false, tls: false, tlsCert: null, tlsKey: null,
+        tlsClientCa: null, tlsSaveCert: null};
+    let valueArgs = ['--port', '--host', '--scenario', '--tls-cert', '--tls-key', '--tls-client-ca', '--tls-save-cert'];
+
+    let fail = msg => {
+        console.log(msg);
+        console.log(`Use --help to list the available options`);
+        process.exit(1);
+    };
+
+    for (var i = 0; i < argv.length; i++) {
+
+        let arg = argv[i];
+
+        if (arg === '--help' || arg === '-h') {
+            console.log(helpText());
+            process.exit(0);
+        }
+        if (arg === '--verbose' || arg === '-v') {
+            parsed.verbose = true;
+            continue;
+        }
+        if (arg === '--tls') {
+            parsed.tls = true;
+            continue;
+        }
+        if (valueArgs.indexOf(arg) === -1) {
+            fail(`Unknown command line argument: ${arg}`);
+        }
+
+        if (i + 1 >= argv.length) {
+            fail(`Missing value for ${arg}`);
+        }
+        let value = argv[++i];
+
+        if (arg === '--port') {
+            parsed.port = Number(value);
+            if (!Number.isInteger(parsed.port) || parsed.port < 0 || parsed.port > 65535) {
+                fail(`Invalid port: ${value}`);
+            }
+        } else {
+            // e.g. --tls-client-ca sets tlsClientCa
+            parsed[arg.slice(2).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())] = value;
+        }
+
+    }
+
+    // a certificate and key of its own mean the server listens over TLS
+    if ((parsed.tlsCert === null) !== (parsed.tlsKey === null)) {
+        fail(`--tls-cert and --tls-key must be given together`);
+    }
+    if (parsed.tlsCert !== null) {
+        parsed.tls = true;
+    }
+    if ((parsed.tlsClientCa !== null || parsed.tlsSaveCert !== null) && !parsed.tls) {
+        fail(`--tls-client-ca and --tls-save-cert need --tls`);
+    }
+
+    return parsed;
+
+}
+
+function helpText() {
+/* 
+* Builds the usage text for the server.
+*/
+/// <summary>Get the server usage text</summary>  
+/// <returns type="String">The usage text</returns>  
+
+    return [
+        'Usage: node challengemockserver.js [options]',
+        '',
+        'Runs a mock challenge server which plays out a scenario.',
+        '',
+        'Options:',
+        '  --port <port>               Port to listen on (default 3001)',
+        '  --host <host>               Address to listen on (default 127.0.0.1)',
+        '  --scenario <file|json>      Scenario JSON file, or the scenario as inline JSON',
+        '  --tls                       Listen over TLS with a generated self-signed certificate',
+        '  --tls-cert <file>           Listen over TLS with this PEM certificate (with --tls-key)',
+        '  --tls-key <file>            PEM key for --tls-cert',
+        '  --tls-client-ca <file>      Require client certificates signed by these PEM CAs (mutual TLS)',
+        '  --tls-save-cert <file>      Write the server certificate to this file, e.g. for the app\'s --tls-ca',
+        '  --verbose, -v               Show every packet sent',
+        '  --help, -h                  Show this help',
+        '',
+        'Example scenario, a 3 second heartbeat dropout and a late reply to the first request:',
+        '  {"dropouts": [{"at": 2000, "duration": 3000}], "replies": [{"nth": 1, "delay": 1500}]}'
+    ].join('\n');
+
+}
\ No newline at end of file
@@ -0,0 +1,147 @@
+'use strict';
+
+/* Module imports */
+const crypto = require('crypto'); // add the node crypto module for random nonces
+/**********************************************************************/
+
+class ChallengeMsgId {
+/* 
+* Message id generator class for a Node.js Socket Client Coding Challenge. Generates the ids attached to server
+* requests so that server responses can be matched back up with them. Ids are built from a format template with
+* the following placeholders:
+*   {instance} - random (or configured) id for this client instance, so clients sharing a server can't mix up replies
+*   {session} - random nonce generated for each login session, so replies to requests from before a reset are rejected
+*   {seq} - counter which increases with every id generated in the session, so ids are never reused
+*   {user} - name of the logged in user
+* The format must include {session} and {seq}.
+*/
+
+  constructor(format, instanceId) {
+  /// <summary>ChallengeMsgId class constructor</summary>  
+  /// <param name="format" type="String">(Optional) Msg id format template</param>  
+  /// <param name="instanceId" type="String">(Optional) Id for this client instance, random if not specified</param>  
+  /// <returns type="Object">ChallengeMsgId instance</returns>  
+
+    this._placeholders = ['instance', 'session', 'seq', 'user']; // placeholders allowed in the format template
+
+    // This is the actual instance initialization code
+    // Set the format and instance id to either the specified ones or the defaults
+    this.format = (format != null ? format : 'challenge-{instance}-{session}-{seq}');
+    this.instanceId = (instanceId != null ? String(instanceId) : crypto.randomBytes(4).toString('hex'));
+
+    this._validate();
+
+    // there is no session until the first login
+    this.session = null;
+    this.user = '';
+    this._seq = 0;
+    this._matcher = null;
+
+  }
+
+  newSession(user) {
+  /* 
+  * Starts a new session, which is done on every login. Ids generated before this no longer match the session.
+  */
+  /// <summary>Start a new msg id session</summary>  
+  /// <param name="user" type="String">(Optional) Name of the logged in user</param>  
+
+    this.session = crypto.randomBytes(4).toString('hex');
+    this.user = (user != null ? String(user) : '');
+    this._seq = 0;
+
+    // build the pattern matching ids from this session, with everything but the counter fixed
+    let pattern = this._escape(this.format)
+      .replace(/\\\{instance\\\}/g, () => this._escape(this.instanceId))
+      .replace(/\\\{session\\\}/g, () => this._escape(this.session))
+      .replace(/\\\{user\\\}/g, () => this._escape(this.user))
+      .replace(/\\\{seq\\\}/g, '(\\d+)');
+    this._matcher = new RegExp('^' + pattern + '$');
+
+  }
+
+  next() {
+  /* 
+  * Generates the next id in the current session.
+  */
+  /// <summary>Generate a new msg id</summary>  
+  /// <returns type="String">Unique msg id</returns>  
+
+    if (this.session === null) {
+      throw new Error('No msg id session has been started');
+    }
+
+    this._seq++;
+
+    return this.format
+      .replace(/\{instance\}/g, () => this.instanceId)
+      .replace(/\{session\}/g, () => this.session)
+      .replace(/\{user\}/g, () => this.user)
+      .replace(/\{seq\}/g, this._seq.toString());
+
+  }
+
+  isCurrent(id) {
+  /* 
+  * Checks whether an id was generated by this instance in the current session. Ids from earlier sessions,
+  * from other client instances and ids which were never generated are all rejected.
+  */
+  /// <summary>Check if a msg id belongs to the current session</summary>  
+  /// <param name="id" type="String">The msg id to check</param>  
+  /// <returns type="Boolean">True if the id was generated in the current session</returns>  
+
+    if (this._matcher === null || typeof id !== 'string') {
+      return false;
+    }
+
+    let match = this._matcher.exec(id);
+    if (match === null) {
+      return false;
+    }
+
+    // every {seq} in the id has to be the same issued counter value
+    let seq = parseInt(match[1], 10);
+    for (var i = 2; i < match.length; i++) {
+      if (parseInt(match[i], 10) !== seq) {
+        return false;
+      }
+    }
+
+    return (seq >= 1 && seq <= this._seq);
+
+  }
+
+  _validate() {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Makes sure the format template can generate ids which are unique and can be matched to their session.
+  */
+  /// <summary>Validate the msg id format template</summary>  
+
+    if (typeof this.format !== 'string' || this.format.indexOf('{session}') === -1 || this.format.indexOf('{seq}') === -1) {
+      throw new Error(`Msg id format must include {session} and {seq}: ${this.format}`);
+    }
+
+    let unknown = (this.format.match(/\{[^}]*\}/g) || []).filter(p => this._placeholders.indexOf(p.slice(1, -1)) === -1);
+    if (unknown.length > 0) {
+      throw new Error(`Msg id format has unknown placeholders ${unknown.join(', ')}: ${this.format}`);
+    }
+
+  }
+
+  _escape(text) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Escapes text so it can be used literally in a regular expression.
+  */
+  /// <summary>Escape regular expression special characters</summary>  
+  /// <param name="text" type="String">Text to escape</param>  
+  /// <returns type="String">Escaped text</returns>  
+
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  }
+
+}
+
+module.exports = ChallengeMsgId;
\ No newline at end of file
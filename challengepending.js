@@ -0,0 +1,189 @@
+'use strict';
+
+/* Module imports */
+const ChallengeClock = require('./challengeclock.js'); // class for the time and timers
+/**********************************************************************/
+
+class ChallengePending {
+/* 
+* Pending request table class for a Node.js Socket Client Coding Challenge. Tracks the requests which have been
+* sent to the server and are waiting for a response, keyed by the msg id of the request. Each pending request
+* has its own timeout timer, so a request is timed out when its timeout expires rather than whenever something
+* else happens to check the table, and a request can be cancelled by its requestor at any time.
+*/
+
+  constructor(clock) {
+  /// <summary>ChallengePending class constructor</summary>  
+  /// <param name="clock" type="Object">(Optional) ChallengeClock the request times and timeouts come from</param>  
+  /// <returns type="Object">ChallengePending instance</returns>  
+
+    this._requests = new Map(); // pending request info keyed by msg id
+    this._clock = (clock != null ? clock : new ChallengeClock());
+
+  }
+
+  get size() {
+  /// <summary>Number of requests currently pending</summary>  
+
+    return this._requests.size;
+
+  }
+
+  add(id, type, callback, timeout, signal) {
+  /* 
+  * Adds a request to the table. If a timeout is specified, the request is removed from the table when the
+  * timeout expires and a timeout error is posted to its callback. If an AbortSignal is specified, aborting it
+  * removes the request from the table and posts a cancellation error to its callback. The errors are flagged
+  * with a timeout or cancelled property so the two cases can be told apart. Either way the callback is only
+  * ever called once for a request.
+  */
+  /// <summary>Add a request to the pending request table</summary>  
+  /// <param name="id" type="String">Msg id of the request</param>  
+  /// <param name="type" type="String">Type of the request</param>  
+  /// <param name="callback" type="Function">Callback for when the request response is received</param>  
+  /// <param name="timeout" type="Number">(Optional) ms to wait for a response, no timeout if not specified</param>  
+  /// <param name="signal" type="Object">(Optional) AbortSignal which cancels the request</param>  
+  /// <returns type="Object">The pending request info</returns>  
+
+    let req = {
+      id: id,
+      type: type,
+      callback: callback,
+      time: this._clock.now(),
+      timeout: (timeout != null && timeout > 0 ? timeout : null),
+      timer: null,
+      signal: (signal != null ? signal : null),
+      onAbort: null
+    };
+
+    // a request already using this msg id would never be able to receive its response, so fail it now
+    if (this._requests.has(id)) {
+      let dup = this.remove(id);
+      dup.callback({err: `Duplicate request id error - request type: ${dup.type}, request time: ${dup.time}`});
+    }
+
+    if (req.timeout !== null) {
+      req.timer = this._clock.setTimeout(() => {
+        // remove the info for a timed out request from the table and return an error on the associated callback
+        this.remove(id);
+        req.callback({err: `Request timeout error - request type: ${req.type}, request time: ${req.time}`, timeout: true});
+      }, req.timeout);
+    }
+
+    if (req.signal !== null) {
+      req.onAbort = () => {
+        this.remove(id);
+        req.callback({err: `Request cancelled - request type: ${req.type}, request time: ${req.time}`, cancelled: true});
+      };
+      req.signal.addEventListener('abort', req.onAbort);
+    }
+
+    this._requests.set(id, req);
+
+    return req;
+
+  }
+
+  get(id) {
+  /* 
+  * Returns the pending request with the specified msg id without removing it from the table, e.g. to find out
+  * what type of request a response is for before handling it.
+  */
+  /// <summary>Get the pending request with the specified msg id</summary>  
+  /// <param name="id" type="String">The msg id to look for in the pending request table</param>  
+  /// <returns type="Object">The pending request info or null if not found</returns>  
+
+    let req = this._requests.get(id);
+
+    return (typeof req === 'undefined' ? null : req);
+
+  }
+
+  take(id, type) {
+  /* 
+  * Returns the pending request matching the specified msg id and type. The matching request if found is removed
+  * from the table and will no longer be timed out or cancelled.
+  */
+  /// <summary>Get and remove the pending request with the specified msg id</summary>  
+  /// <param name="id" type="String">The msg id to match in the pending request table</param>  
+  /// <param name="type" type="String">(Optional) The request type to match in the pending request table</param>  
+  /// <returns type="Object">The pending request info or null if not found</returns>  
+
+    let req = this._requests.get(id);
+
+    if (typeof req === 'undefined' || (type != null && req.type !== type)) {
+      return null;
+    }
+
+    return this.remove(id);
+
+  }
+
+  remove(id) {
+  /* 
+  * Removes a request from the table and stops its timeout timer and cancellation listener without
+  * calling its callback.
+  */
+  /// <summary>Remove a request from the pending request table</summary>  
+  /// <param name="id" type="String">Msg id of the request to remove</param>  
+  /// <returns type="Object">The removed request info or null if not found</returns>  
+
+    let req = this._requests.get(id);
+
+    if (typeof req === 'undefined') {
+      return null;
+    }
+
+    this._requests.delete(id);
+    if (req.timer !== null) {
+      this._clock.clearTimeout(req.timer);
+      req.timer = null;
+    }
+    if (req.onAbort !== null) {
+      req.signal.removeEventListener('abort', req.onAbort);
+      req.onAbort = null;
+    }
+
+    return req;
+
+  }
+
+  clear() {
+  /* 
+  * Removes all requests from the table, returning them so the caller can decide what to tell their requestors.
+  */
+  /// <summary>Remove all requests from the pending request table</summary>  
+  /// <returns type="Array">The removed request info</returns>  
+
+    let removed = [];
+
+    Array.from(this._requests.keys()).forEach(id => {
+      removed.push(this.remove(id));
+    });
+
+    return removed;
+
+  }
+
+  list(timestamp) {
+  /* 
+  * Describes the requests currently in the table, oldest first, for diagnostic purposes.
+  */
+  /// <summary>List the requests in the pending request table</summary>  
+  /// <param name="timestamp" type="Number">(Optional) Time to calculate request ages from, defaults to now</param>  
+  /// <returns type="Array">Objects describing each pending request</returns>  
+
+    let now = (timestamp != null ? timestamp : this._clock.now());
+    let list = [];
+
+    this._requests.forEach(req => {
+      list.push({id: req.id, type: req.type, time: req.time, age: now - req.time, timeout: req.timeout});
+    });
+
+    return list.sort((a, b) => a.time - b.time);
+
+  }
+
+}
+
+module.exports = ChallengePending;
\ No newline at end of file
@@ -0,0 +1,90 @@
+'use strict';
+
+class ChallengeReconnect {
+/* 
+* Reconnect policy class for a Node.js Socket Client Coding Challenge. Decides how long to wait before each
+* attempt to reconnect to the server after the connection is reset, and when to give up. Delays grow
+* exponentially from the initial delay up to the max delay, with random jitter added so that many clients
+* reset by the same server outage don't all reconnect at the same moment.
+*/
+
+  constructor(policy) {
+  /// <summary>ChallengeReconnect class constructor</summary>  
+  /// <param name="policy" type="Object">(Optional) Policy settings - initialDelay, multiplier, maxDelay, jitter, maxAttempts</param>  
+  /// <returns type="Object">ChallengeReconnect instance</returns>  
+
+    policy = (policy != null ? policy : {});
+
+    // Set the policy to either the specified settings or the defaults
+    this.initialDelay = (policy.initialDelay != null ? policy.initialDelay : 500); // ms before the first attempt
+    this.multiplier = (policy.multiplier != null ? policy.multiplier : 2); // delay growth factor per attempt
+    this.maxDelay = (policy.maxDelay != null ? policy.maxDelay : 30000); // ms cap on the delay between attempts
+    this.jitter = (policy.jitter != null ? policy.jitter : 0.2); // max random fraction added to or taken off a delay
+    this.maxAttempts = (policy.maxAttempts != null ? policy.maxAttempts : 10); // attempts before giving up (Infinity for none)
+
+    this._validate();
+
+    this.attempts = 0; // attempts made since the connection was last known to be good
+
+  }
+
+  nextDelay() {
+  /* 
+  * Counts a new reconnect attempt and returns how long to wait before making it. Once the max number of
+  * attempts has been made, null is returned to indicate that the caller should give up.
+  */
+  /// <summary>Get the delay before the next reconnect attempt</summary>  
+  /// <returns type="Number">ms to wait before the next attempt or null to give up</returns>  
+
+    if (this.attempts >= this.maxAttempts) {
+      return null;
+    }
+
+    let delay = Math.min(this.initialDelay * Math.pow(this.multiplier, this.attempts), this.maxDelay);
+    delay += delay * this.jitter * (Math.random() * 2 - 1);
+    this.attempts++;
+
+    return Math.round(Math.max(0, Math.min(delay, this.maxDelay)));
+
+  }
+
+  reset() {
+  /* 
+  * Called once the connection is known to be good again so that the next outage starts over with the initial
+  * delay and a full set of attempts.
+  */
+  /// <summary>Reset the attempt count</summary>  
+
+    this.attempts = 0;
+
+  }
+
+  _validate() {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Makes sure the policy settings make sense, since a bad policy would otherwise only show up the first time
+  * the server went away.
+  */
+  /// <summary>Validate the policy settings</summary>  
+
+    if (!(typeof this.initialDelay === 'number' && this.initialDelay >= 0)) {
+      throw new Error(`Reconnect initialDelay must be a number >= 0: ${this.initialDelay}`);
+    }
+    if (!(typeof this.multiplier === 'number' && this.multiplier >= 1)) {
+      throw new Error(`Reconnect multiplier must be a number >= 1: ${this.multiplier}`);
+    }
+    if (!(typeof this.maxDelay === 'number' && this.maxDelay >= this.initialDelay)) {
+      throw new Error(`Reconnect maxDelay must be a number >= initialDelay: ${this.maxDelay}`);
+    }
+    if (!(typeof this.jitter === 'number' && this.jitter >= 0 && this.jitter <= 1)) {
+      throw new Error(`Reconnect jitter must be a number from 0 to 1: ${this.jitter}`);
+    }
+    if (!(typeof this.maxAttempts === 'number' && this.maxAttempts >= 0)) {
+      throw new Error(`Reconnect maxAttempts must be a number >= 0: ${this.maxAttempts}`);
+    }
+
+  }
+
+}
+
+module.exports = ChallengeReconnect;
\ No newline at end of file
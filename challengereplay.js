@@ -0,0 +1,326 @@
+'use strict';
+
+/* Module imports */
+const net = require('net'); // add the node net module for socket i/o
+const EventEmitter = require('events'); // add the node events module so replay progress can be observed
+/**********************************************************************/
+
+class ChallengeReplay extends EventEmitter {
+/* 
+* Replay server class for a Node.js Socket Client Coding Challenge. Plays a session captured by ChallengeCapture
+* back to a fresh client, so that odd server behaviour (framing, heartbeat dropouts, strange replies) can be
+* reproduced locally without the real server. Each client which connects is played the next socket in the
+* session: every chunk the server sent is written with the same boundaries and at the same time after the client
+* connected as it was captured, divided by the speed, and the socket is closed where the server closed it (a
+* socket the app closed is left for the client to close again). The msg ids the client uses won't be the ones in
+* the capture, so the ids in replies are rewritten to the ids the client actually sent, paired up in the order
+* the requests were sent. A chunk with a reply to a request the client hasn't sent yet waits for it, and the rest
+* of the socket's timing moves back to match. An id split across two chunks can't be rewritten. Replay progress
+* is emitted as events, each with a single info object argument:
+*   clientConnected {conn, remote} - a client connected and is being played the socket numbered conn
+*   waiting {conn, ids} - playback is waiting for the client to send the requests with the captured ids
+*   finished {conn} - everything captured for the socket has been played
+*   clientClosed {conn} - the client closed its end (conn is null if it had no socket left to be played)
+*/
+
+  constructor(sockets, options) {
+  /// <summary>ChallengeReplay class constructor</summary>  
+  /// <param name="sockets" type="Array">The captured sockets to play, from ChallengeCapture parse()</param>  
+  /// <param name="options" type="Object">(Optional) Options - speed: playback speed (1 is real time, 2 twice as fast),  
+  /// rewriteIds: whether reply msg ids are rewritten to the client's ids</param>  
+  /// <returns type="Object">ChallengeReplay instance</returns>  
+
+    super();
+
+    options = (options != null ? options : {});
+
+    this._idPattern = /"id":"((?:[^"\\]|\\.)*)"/g; // msg ids in requests sent by the client
+
+    // This is the actual instance initialization code
+    this._sockets = sockets;
+    this._speed = (options.speed != null ? options.speed : 1);
+    this._rewriteIds = (options.rewriteIds != null ? options.rewriteIds : true);
+
+    if (typeof this._speed !== 'number' || !(this._speed > 0)) {
+      throw new Error(`Replay speed must be a number > 0: ${this._speed}`);
+    }
+
+    this._server = null;
+    this._next = 0; // index of the next socket to play
+    this._plays = new Set(); // sockets being played
+
+  }
+
+  listen(port, host) {
+  /* 
+  * Starts listening for clients to play the session to.
+  */
+  /// <summary>Start the replay server</summary>  
+  /// <param name="port" type="Number">Port to listen on</param>  
+  /// <param name="host" type="String">(Optional) Host address to listen on, defaults to 127.0.0.1</param>  
+  /// <returns type="Object" value="Promise">The address being listened on, {address, port}</returns>  
+
+    return new Promise((resolve, reject) => {
+
+      this._server = net.createServer(this._handleClient.bind(this));
+      this._server.once('error', reject);
+      this._server.listen(port, (host != null ? host : '127.0.0.1'), () => {
+        this._server.removeListener('error', reject);
+        resolve(this._server.address());
+      });
+
+    });
+
+  }
+
+  close() {
+  /* 
+  * Stops the replay server and drops any clients still being played to.
+  */
+  /// <summary>Stop the replay server</summary>  
+  /// <returns type="Object" value="Promise">Resolves once the server has closed</returns>  
+
+    return new Promise(resolve => {
+
+      this._plays.forEach(play => this._endPlay(play, true));
+
+      if (this._server === null) {
+        resolve();
+        return;
+      }
+
+      this._server.close(() => resolve());
+      this._server = null;
+
+    });
+
+  }
+
+  get remaining() {
+  /// <summary>Get the number of captured sockets not yet played</summary>  
+  /// <returns type="Number">Sockets left to play</returns>  
+
+    return this._sockets.length - this._next;
+
+  }
+
+  _handleClient(socket) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Starts playing the next captured socket to a client which has connected. If every socket has already been
+  * played, the client is dropped straight away, as a server which has gone away would.
+  */
+  /// <summary>Handle a client connecting</summary>  
+  /// <param name="socket" type="Object">The client socket</param>  
+
+    socket.on('error', () => {}); // a client going away mid-write is just the end of its play
+
+    if (this._next >= this._sockets.length) {
+      socket.on('close', () => this.emit('clientClosed', {conn: null}));
+      socket.destroy();
+      return;
+    }
+
+    let captured = this._sockets[this._next++];
+    let play = {
+      socket: socket,
+      conn: captured.conn,
+      records: captured.records,
+      ndx: 0,
+      start: Date.now(),
+      shift: 0, // ms the timing has moved back while waiting for the client
+      timer: null,
+      waiting: false,
+      waitDue: null, // when the chunk being waited on was due
+      done: false,
+      capturedIds: this._capturedIds(captured.records), // ids of the captured requests, in the order they were sent
+      ids: new Map() // captured id -> the client's id
+    };
+    this._plays.add(play);
+
+    this.emit('clientConnected', {conn: play.conn, remote: `${socket.remoteAddress}:${socket.remotePort}`});
+
+    socket.on('data', buffer => this._handleClientData(play, buffer));
+    socket.on('close', () => {
+      this._endPlay(play, false);
+      this.emit('clientClosed', {conn: play.conn});
+    });
+
+    this._play(play);
+
+  }
+
+  _handleClientData(play, buffer) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Pairs the msg ids in requests from the client with the captured ones, then carries on playing if
+  * playback was waiting for them.
+  */
+  /// <summary>Handle data from the client</summary>  
+  /// <param name="play" type="Object">The socket being played</param>  
+  /// <param name="buffer" type="Object">The data received</param>  
+
+    let match = null;
+    this._idPattern.lastIndex = 0;
+
+    while ((match = this._idPattern.exec(String(buffer))) !== null) {
+      if (play.ids.size < play.capturedIds.length) {
+        play.ids.set(play.capturedIds[play.ids.size], match[1]);
+      }
+    }
+
+    // a wait for the client which runs past when the chunk was due pushes everything after it back too
+    if (play.waiting && !play.done && this._unsentIds(play, play.records[play.ndx].data).length === 0) {
+      play.waiting = false;
+      play.shift += Math.max(0, Date.now() - play.waitDue);
+      this._play(play);
+    }
+
+  }
+
+  _play(play) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Plays the captured records for a socket from where playback has got to, up to the next one which isn't
+  * due yet or has to wait for the client.
+  */
+  /// <summary>Play the next records for a socket</summary>  
+  /// <param name="play" type="Object">The socket being played</param>  
+
+    play.timer = null;
+
+    while (!play.done && play.ndx < play.records.length) {
+
+      let rec = play.records[play.ndx];
+
+      // only what the server did gets played, what the client did is just used for its msg ids
+      if (rec.event === 'out' || rec.event === 'connect' || (rec.event === 'close' && rec.by === 'client')) {
+        play.ndx++;
+        continue;
+      }
+
+      let now = Date.now();
+      let due = play.start + play.shift + rec.time / this._speed;
+
+      if (rec.event === 'in' && this._rewriteIds) {
+        let unsent = this._unsentIds(play, rec.data);
+        if (unsent.length > 0) {
+          play.waiting = true;
+          play.waitDue = due;
+          this.emit('waiting', {conn: play.conn, ids: unsent});
+          return;
+        }
+      }
+
+      if (due > now) {
+        play.timer = setTimeout(this._play.bind(this, play), Math.ceil(due - now));
+        return;
+      }
+
+      if (rec.event === 'in') {
+        play.socket.write(this._rewriteIds ? this._rewrite(play, rec.data) : rec.data);
+      } else {
+        play.socket.destroy();
+      }
+      play.ndx++;
+
+    }
+
+    if (!play.done) {
+      this.emit('finished', {conn: play.conn});
+      play.done = true;
+    }
+
+  }
+
+  _unsentIds(play, data) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Finds the captured request ids in a chunk which the client hasn't sent a request to pair with yet.
+  */
+  /// <summary>Get the ids a chunk is waiting on</summary>  
+  /// <param name="play" type="Object">The socket being played</param>  
+  /// <param name="data" type="Object">The chunk Buffer</param>  
+  /// <returns type="Array">The captured ids without a client id</returns>  
+
+    let text = String(data);
+
+    return play.capturedIds.filter(id => !play.ids.has(id) && text.indexOf(`"${id}"`) !== -1);
+
+  }
+
+  _rewrite(play, data) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Rewrites the captured msg ids in a chunk to the client's ids. Only whole quoted ids are rewritten, so one
+  * id can't be mistaken for the start of a longer one. A chunk which isn't valid UTF-8 is left as it is.
+  */
+  /// <summary>Rewrite the msg ids in a chunk</summary>  
+  /// <param name="play" type="Object">The socket being played</param>  
+  /// <param name="data" type="Object">The chunk Buffer</param>  
+  /// <returns type="Object">The chunk to write, a Buffer</returns>  
+
+    let text = data.toString('utf8');
+
+    if (play.ids.size === 0 || !Buffer.from(text, 'utf8').equals(data)) {
+      return data;
+    }
+
+    play.ids.forEach((clientId, capturedId) => {
+      text = text.split(`"${capturedId}"`).join(JSON.stringify(clientId));
+    });
+
+    return Buffer.from(text, 'utf8');
+
+  }
+
+  _capturedIds(records) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Gets the msg ids of the requests the client sent in a captured socket.
+  */
+  /// <summary>Get the captured request ids</summary>  
+  /// <param name="records" type="Array">The captured records</param>  
+  /// <returns type="Array">The ids in the order they were sent</returns>  
+
+    let ids = [];
+
+    records.forEach(rec => {
+      if (rec.event === 'out') {
+        let match = null;
+        this._idPattern.lastIndex = 0;
+        while ((match = this._idPattern.exec(String(rec.data))) !== null) {
+          ids.push(match[1]);
+        }
+      }
+    });
+
+    return ids;
+
+  }
+
+  _endPlay(play, destroy) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Stops playing to a client.
+  */
+  /// <summary>Stop playing a socket</summary>  
+  /// <param name="play" type="Object">The socket being played</param>  
+  /// <param name="destroy" type="Boolean">Whether the client socket has to be closed too</param>  
+
+    if (play.timer !== null) {
+      clearTimeout(play.timer);
+      play.timer = null;
+    }
+    play.done = true;
+    this._plays.delete(play);
+
+    if (destroy) {
+      play.socket.destroy();
+    }
+
+  }
+
+}
+
+module.exports = ChallengeReplay;
\ No newline at end of file
@@ -0,0 +1,166 @@
+'use strict';
+/* 
+* This is the node startup module for the replay server of a Node.js Socket Client Coding Challenge. It plays a
+* session file recorded with the app's --capture-file option back to the app, so that server behaviour seen once
+* can be reproduced locally as many times as needed. Usage:
+*   node challengereplayserver.js [options] <sessionfile>
+* then point the app at the replay server, e.g. --host 127.0.0.1 --port 3001. Each connection the app makes (its
+* first login, then one per reset) is played the next socket in the session. Use --help to list the options.
+*/
+
+/* Module imports */
+const fs = require('fs'); // add the filesystem module for file i/o
+const ChallengeCapture = require('./challengecapture.js'); // server session capture class
+const ChallengeReplay = require('./challengereplay.js'); // replay server class
+/**********************************************************************/
+
+const options = parseArgs(process.argv.slice(2));
+
+run();
+
+function run() {
+/* 
+* Loads the session file and starts the replay server, reporting the replay's progress on the console. The
+* server stops once every captured socket has been played and its client has gone.
+*/
+/// <summary>Run the replay server</summary>  
+
+    let sockets = null;
+
+    try {
+        sockets = new ChallengeCapture(options.file).parse(fs.readFileSync(options.file, 'utf8'));
+    }
+    catch(err) {
+        console.error(`Could not read session file ${options.file}: ${err.message}`);
+        process.exit(1);
+    }
+
+    if (sockets.length === 0) {
+        console.error(`No captured sockets found in session file ${options.file}`);
+        process.exit(1);
+    }
+
+    let replay = new ChallengeReplay(sockets, {speed: options.speed, rewriteIds: options.rewriteIds});
+    let playing = 0;
+
+    replay.on('clientConnected', info => {
+        playing++;
+        console.log(`Client ${info.remote} connected, playing socket ${info.conn}`);
+    });
+    replay.on('waiting', info => {
+        console.log(`Socket ${info.conn} waiting for the client to send ${info.ids.join(', ')}`);
+    });
+    replay.on('finished', info => {
+        console.log(`Socket ${info.conn} played`);
+    });
+    replay.on('clientClosed', info => {
+        if (info.conn === null) {
+            console.log(`Client dropped, no captured sockets left to play`);
+            return;
+        }
+        playing--;
+        console.log(`Client closed socket ${info.conn}`);
+        if (playing === 0 && replay.remaining === 0) {
+            console.log(`Session replayed`);
+            replay.close();
+        }
+    });
+
+    replay.listen(options.port, options.host).then(address => {
+        console.log(`Replaying ${sockets.length} captured sockets from ${options.file} on ${address.address}:${address.port} at ${options.speed}x speed`);
+    }).catch(err => {
+        console.error(`Could not listen on ${options.host}:${options.port}: ${err.message}`);
+        process.exit(1);
+    });
+
+}
+
+function parseArgs(argv) {
+/* 
+* Parses the command line. If help was asked for it is shown instead, and if the command line can't be used
+* the problem is shown. Either way the server ends without starting.
+*/
+/// <summary>Parse the command line</summary>  
+/// <param name="argv" type="Array">Command line arguments</param>  
+/// <returns type="Object">The server options</returns>  
+
+    let parsed = {file: null, port: 3001, host: '127.0.0.1', speed: 1, rewriteIds: true};
+
+    let fail = msg => {
+        console.log(msg);
+        console.log(`Use --help to list the available options`);
+        process.exit(1);
+    };
+
+    for (var i = 0; i < argv.length; i++) {
+
+        let arg = argv[i];
+
+        if (arg === '--help' || arg === '-h') {
+            console.log(helpText());
+            process.exit(0);
+        }
+        if (arg === '--no-rewrite-ids') {
+            parsed.rewriteIds = false;
+            continue;
+        }
+        if (arg.indexOf('--') !== 0) {
+            if (parsed.file !== null) {
+                fail(`Only one session file can be replayed: ${arg}`);
+            }
+            parsed.file = arg;
+            continue;
+        }
+
+        if (i + 1 >= argv.length) {
+            fail(`Missing value for ${arg}`);
+        }
+        let value = argv[++i];
+
+        if (arg === '--port') {
+            parsed.port = Number(value);
+            if (!Number.isInteger(parsed.port) || parsed.port < 0 || parsed.port > 65535) {
+                fail(`Invalid port: ${value}`);
+            }
+        } else if (arg === '--host') {
+            parsed.host = value;
+        } else if (arg === '--speed') {
+            parsed.speed = Number(value);
+            if (!(parsed.speed > 0)) {
+                fail(`Invalid speed, must be a number > 0: ${value}`);
+            }
+        } else {
+            fail(`Unknown command line argument: ${arg}`);
+        }
+
+    }
+
+    if (parsed.file === null) {
+        fail(`No session file given`);
+    }
+
+    return parsed;
+
+}
+
+function helpText() {
+/* 
+* Builds the usage text for the server.
+*/
+/// <summary>Get the server usage text</summary>  
+/// <returns type="String">The usage text</returns>  
+
+    return [
+        'Usage: node challengereplayserver.js [options] <sessionfile>',
+        '',
+        'Plays a session recorded with the app\'s --capture-file option back to the app.',
+        '',
+        'Options:',
+        '  --port <port>               Port to listen on (default 3001)',
+        '  --host <host>               Address to listen on (default 127.0.0.1)',
+        '  --speed <factor>            Playback speed, 1 for real time, 2 for twice as fast (default 1)',
+        '  --no-rewrite-ids            Play replies with the captured msg ids instead of the client\'s',
+        '  --help, -h                  Show this help'
+    ].join('\n');
+
+}
\ No newline at end of file
@@ -0,0 +1,147 @@
+'use strict';
+
+/* Module imports */
+const tls = require('tls'); // add the node tls module for encrypted server connections
+const crypto = require('crypto'); // add the node crypto module for checking the CA certificates
+/**********************************************************************/
+
+class ChallengeTls {
+/* 
+* TLS transport class for a Node.js Socket Client Coding Challenge. Opens the connection to the server over TLS
+* in place of a plain net socket, for servers which sit behind a TLS terminator. The server certificate is
+* always verified, against the CA bundle if one is given and node's built-in root CAs if not, and the name it is
+* checked against is the servername if one is given and the server address if not. A pinned fingerprint is an
+* extra check on top of that: the server certificate's sha256 fingerprint must match it too. A client
+* certificate and key can be given for servers which want mutual TLS. A server which fails verification is
+* disconnected before anything is sent to it, and the socket is left with the reason in its authorizationError.
+*/
+
+  constructor(settings) {
+  /// <summary>ChallengeTls class constructor</summary>  
+  /// <param name="settings" type="Object">(Optional) TLS settings - ca: PEM CA bundle, cert: PEM client certificate, key: PEM client  
+  /// key, servername: name to verify the server certificate against and send with SNI, fingerprint: sha256 fingerprint of the  
+  /// server certificate to pin, as hex with or without colons</param>  
+  /// <returns type="Object">ChallengeTls instance</returns>  
+
+    settings = (settings != null ? settings : {});
+
+    this.ca = (settings.ca != null ? settings.ca : null);
+    this.cert = (settings.cert != null ? settings.cert : null);
+    this.key = (settings.key != null ? settings.key : null);
+    this.servername = (settings.servername != null ? settings.servername : null);
+    this.fingerprint = (settings.fingerprint != null ? this._normalizeFingerprint(settings.fingerprint) : null);
+
+    this._validate();
+
+  }
+
+  connect(port, ip, socket) {
+  /* 
+  * Opens a TLS connection to the server. It can be used as a ChallengeConnection transport, e.g.
+  *   {transport: (port, ip) => challengeTls.connect(port, ip)}
+  * or layered over a socket which is already connected to the server, such as a proxy tunnel.
+  */
+  /// <summary>Open a TLS connection</summary>  
+  /// <param name="port" type="Number">Server port</param>  
+  /// <param name="ip" type="String">Server address</param>  
+  /// <param name="socket" type="Object">(Optional) Socket already connected to the server to run TLS over</param>  
+  /// <returns type="Object">TLSSocket for the connection</returns>  
+
+    let options = {
+      rejectUnauthorized: true,
+      checkServerIdentity: this._checkServerIdentity.bind(this)
+    };
+
+    if (this.ca !== null) {
+      options.ca = this.ca;
+    }
+    if (this.cert !== null) {
+      options.cert = this.cert;
+      options.key = this.key;
+    }
+    if (this.servername !== null) {
+      options.servername = this.servername;
+    }
+    if (socket != null) {
+      options.socket = socket;
+    }
+
+    return tls.connect(port, ip, options);
+
+  }
+
+  _checkServerIdentity(host, cert) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Checks the server certificate is for the server's name, and matches the pinned fingerprint if there is one.
+  * Only called for a certificate which has already been verified against the CAs.
+  */
+  /// <summary>Check the server certificate</summary>  
+  /// <param name="host" type="String">Name the certificate must be for</param>  
+  /// <param name="cert" type="Object">The server certificate</param>  
+  /// <returns type="Object">Error describing why the certificate isn't accepted, or undefined if it is</returns>  
+
+    let err = tls.checkServerIdentity(host, cert);
+
+    if (err == null && this.fingerprint !== null && this._normalizeFingerprint(cert.fingerprint256) !== this.fingerprint) {
+      err = new Error(`Server certificate fingerprint ${cert.fingerprint256} does not match the pinned fingerprint`);
+      err.code = 'ERR_TLS_CERT_PINNED';
+    }
+
+    return err;
+
+  }
+
+  _normalizeFingerprint(fingerprint) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Puts a fingerprint in one form so fingerprints written differently can be compared.
+  */
+  /// <summary>Normalize a fingerprint</summary>  
+  /// <param name="fingerprint" type="String">Hex fingerprint with or without colons</param>  
+  /// <returns type="String">Upper case hex fingerprint without colons</returns>  
+
+    return String(fingerprint).replace(/:/g, '').toUpperCase();
+
+  }
+
+  _validate() {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Checks the settings can be used, so that bad ones are found before the first connection is made.
+  */
+  /// <summary>Validate the TLS settings</summary>  
+
+    if ((this.cert === null) !== (this.key === null)) {
+      throw new Error(`A TLS client certificate and key must be given together`);
+    }
+    if (this.fingerprint !== null && !/^[0-9A-F]{64}$/.test(this.fingerprint)) {
+      throw new Error(`TLS fingerprint must be a sha256 fingerprint of 64 hex digits`);
+    }
+
+    // the secure context quietly skips a CA bundle with no certificates in it, so that is checked first
+    if (this.ca !== null) {
+      [].concat(this.ca).forEach(ca => {
+        try {
+          new crypto.X509Certificate(ca);
+        }
+        catch(err) {
+          throw new Error(`TLS CA bundle could not be used: ${err.message}`);
+        }
+      });
+    }
+
+    // the secure context reports PEM data it can't use and a key which doesn't belong to the certificate
+    try {
+      tls.createSecureContext({ca: (this.ca !== null ? this.ca : undefined), cert: (this.cert !== null ? this.cert : undefined),
+        key: (this.key !== null ? this.key : undefined)});
+    }
+    catch(err) {
+      throw new Error(`TLS settings could not be used: ${err.message}`);
+    }
+
+  }
+
+}
+
+module.exports = ChallengeTls;
\ No newline at end of file
@@ -2,6 +2,7 @@
 
 /* Module imports */
 const readline = require('readline'); // Readline module for node console input
+const ChallengeCommands = require('./challengecommands.js'); // app command grammar class
 /**********************************************************************/
 
 class ChallengeUI {
@@ -13,10 +14,11 @@ class ChallengeUI {
 * the type of the ui with minimal changes to the rest of the app.
 */
 
-  constructor(cmdCallback, closeCallBack) {
+  constructor(cmdCallback, closeCallBack, options) {
   /// <summary>ChallengeUI class constructor</summary>  
   /// <param name="cmdCallback" type="Function">Callback for user entered command</param>  
   /// <param name="closeCallBack" type="Function">Callback for user terminated app (e.g. ctl-c)</param>  
+  /// <param name="options" type="Object">(Optional) Options - input: stream to read commands from, output: stream to write to (default to the console)</param>  
   /// <returns type="Object">ChallengeUI instance</returns>  
 
     /* UI Message Strings
@@ -28,25 +30,101 @@ class ChallengeUI {
     */
     this._CMDPROMPT = 'Cmd?'; // Generic console command prompt for the app
     
-    this._CMD = [ // App command strings
-      'count',
-      'time',
-      'quit'
-    ];
     // App command ids
     this.CMD_COUNT = 0;
     this.CMD_TIME = 1;
     this.CMD_QUIT = 2;
+    this.CMD_HELP = 3;
+    this.CMD_WATCH = 4;
+    this.CMD_JOBS = 5;
+    this.CMD_KILL = 6;
+    this.CMD_STATUS = 7;
+
+    this._commands = new ChallengeCommands(); // App command grammar
+    this._commands.define({
+      id: this.CMD_COUNT,
+      name: 'count',
+      aliases: ['c'],
+      help: 'Get the cumulative count of requests the server has received'
+    });
+    this._commands.define({
+      id: this.CMD_TIME,
+      name: 'time',
+      aliases: ['t'],
+      help: 'Get the server time and a random number'
+    });
+    this._commands.define({
+      id: this.CMD_QUIT,
+      name: 'quit',
+      aliases: ['q', 'exit'],
+      help: 'Log out of the server and close the client'
+    });
+    this._commands.define({
+      id: this.CMD_HELP,
+      name: 'help',
+      aliases: ['h', '?'],
+      args: [{name: 'command', type: 'command', optional: true, help: 'Command to show the usage of'}],
+      help: 'List the commands or show the usage of a command'
+    });
+    this._commands.define({
+      id: this.CMD_WATCH,
+      name: 'watch',
+      aliases: ['w'],
+      args: [
+        {name: 'command', type: 'command', help: 'Command to repeat'},
+        {name: 'interval', type: 'number', help: 'Seconds between repeats'}
+      ],
+      help: 'Repeat a command in the background until the job is killed'
+    });
+    this._commands.define({
+      id: this.CMD_JOBS,
+      name: 'jobs',
+      aliases: ['j'],
+      help: 'List the background jobs'
+    });
+    this._commands.define({
+      id: this.CMD_KILL,
+      name: 'kill',
+      aliases: ['k'],
+      args: [{name: 'job', type: 'integer', help: 'Id of the job to stop'}],
+      help: 'Stop a background job'
+    });
+    this._commands.define({
+      id: this.CMD_STATUS,
+      name: 'status',
+      aliases: ['st'],
+      help: 'Show the server connection diagnostics'
+    });
+    this._BGSUFFIX = '&'; // Command suffix for running a command in the background
 
     this._MSG = [ // App message string templates
       'Node.js Socket I/O Coding Challenge Client',
       'Logged in to server at %0',
       'Could not log in to server at %0',
-      'Command list: count, time, quit',
+      'Command list: %0 (help <command> for usage)',
       'Command "%0" not recognized',
       'Error Processing Command "%0"',
       'Retry(y or n)?',
-      'Coding Challenge Client closed'
+      'Coding Challenge Client closed',
+      'Gave up reconnecting to server at %0',
+      'Usage: %0',
+      'Aliases: %0',
+      'Command "%0" is missing argument "%1"',
+      'Command "%0" does not take argument "%1"',
+      'Argument "%0" of command "%1" must be a %2, not "%3"',
+      'Command "%0" can\'t be run in the background or watched',
+      'Watch interval must be greater than 0 and at most %0 seconds',
+      'Started job %0: %1',
+      'No job %0',
+      'Killed job %0: %1',
+      'No background jobs',
+      '[%0 %1] %2',
+      'Server %0, login %1, state %2',
+      'Session uptime %0, last heartbeat %1 ago (window %2), resets %3',
+      'Heartbeat intervals (last %0):',
+      'Pending requests: %0, held for reconnect: %1',
+      'Unrecognized messages: %0',
+      'Endpoints (%0):'
     ];
     // App message ids
     this.MSG_APPHEADER = 0;
@@ -57,6 +135,25 @@ class ChallengeUI {
     this.MSG_CMDERROR = 5;
     this.MSG_RETRY = 6;
     this.MSG_CLOSEAPP = 7;
+    this.MSG_RECONNECTERROR = 8;
+    this.MSG_USAGE = 9;
+    this.MSG_ALIASES = 10;
+    this.MSG_MISSINGARG = 11;
+    this.MSG_EXTRAARG = 12;
+    this.MSG_BADARG = 13;
+    this.MSG_NOBACKGROUND = 14;
+    this.MSG_BADINTERVAL = 15;
+    this.MSG_JOBSTARTED = 16;
+    this.MSG_NOJOB = 17;
+    this.MSG_JOBKILLED = 18;
+    this.MSG_NOJOBS = 19;
+    this.MSG_JOBOUTPUT = 20;
+    this.MSG_STATUSCONN = 21;
+    this.MSG_STATUSSESSION = 22;
+    this.MSG_STATUSHEARTBEATS = 23;
+    this.MSG_STATUSPENDING = 24;
+    this.MSG_STATUSUNRECOGNIZED = 25;
+    this.MSG_STATUSENDPOINTS = 26;
 
     // This is the actual instance initialization code
     // Save the callbacks to the main app for handling user command input and non-command user termination
@@ -64,10 +161,22 @@ class ChallengeUI {
     this._cmdCallback = cmdCallback;
     this._closeCallBack = closeCallBack;
 
+    // the ui reads and writes the console unless it is given other streams (e.g. by tests)
+    options = (options != null ? options : {});
+    this._input = (options.input != null ? options.input : process.stdin);
+    this._output = (options.output != null ? options.output : process.stdout);
+    this._console = (this._output === process.stdout ? console : new console.Console(this._output));
+
+    // whether the command prompt is showing, so output from background jobs knows to redraw it
+    this._prompting = false;
+    // whether a question (e.g. retry) is waiting on an answer, when the command prompt is held back
+    this._asking = false;
+
     // Set up to read user input from the console
     this._rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
+      input: this._input,
+      output: this._output,
+      completer: line => this._commands.complete(line)
     });
     // set the generic command prompt
     this._rl.setPrompt(this._CMDPROMPT);
@@ -84,25 +193,75 @@ class ChallengeUI {
   * Callback from the readline module for when the user has entered a line in the console.
   * If we got a valid command then we will callback the main app and wait
   * for it to ask for something else, otherwise we will inform the user of the invalid
-  * command and reprompt. We return the command index for the entered command as an object
-  * property because this makes it easier to handle commands with user entered options if
-  * the app's functionality was extended that way.
+  * command and reprompt. The command is returned as an object with the command id as its type
+  * property and any user entered arguments as properties named for the arguments. A command
+  * ending with the background suffix also gets a background property of true, and it is up to
+  * the main app to run it in the background.
   */
 
-    // look for the command string in the command table
-    let cmdNdx = this._CMD.indexOf(line.trim());
+    this._prompting = false;
 
-    // if we got a valid command then callback the app with the command ID
-    if (cmdNdx != -1) {
-      this._cmdCallback({type: cmdNdx});
+    // note and strip a background suffix before parsing the rest of the line
+    let text = line.trim();
+    let background = (text.length > 0 && text.slice(-this._BGSUFFIX.length) === this._BGSUFFIX);
+    if (background) {
+      text = text.slice(0, -this._BGSUFFIX.length);
+    }
+
+    // parse the line against the command grammar
+    let parsed = this._commands.parse(text);
+    if (parsed !== null && parsed.cmd != null && background) {
+      parsed.cmd.background = true;
+    }
+
+    // just reprompt for a blank line
+    if (parsed === null) {
+      this.nextCmd();
+    // if we got a valid command then callback the app with the command and its arguments
+    } else if (parsed.cmd != null) {
+      this._cmdCallback(parsed.cmd);
     // otherwise notify the user of the invalid command and reprompt
     } else {
-      this.showMsg(this.MSG_INVALIDCMD, line.trim());
+      this._showParseError(parsed);
       this.nextCmd();
     }
 
   }
 
+  _showParseError(parsed) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Outputs the reason an entered command line could not be parsed, along with the usage of the
+  * command if the command itself was recognized.
+  */
+  /// <summary>Show a command parsing error</summary>  
+  /// <param name="parsed" type="Object">Error description from the command grammar</param>  
+
+    switch (parsed.error) {
+
+      case 'unknown':
+        this.showMsg(this.MSG_INVALIDCMD, parsed.word);
+        this.showMsg(this.MSG_COMMANDS, this._commandNames());
+        return;
+
+      case 'missing':
+        this.showMsg(this.MSG_MISSINGARG, parsed.def.name, parsed.arg.name);
+        break;
+
+      case 'extra':
+        this.showMsg(this.MSG_EXTRAARG, parsed.def.name, parsed.word);
+        break;
+
+      case 'badtype':
+        this.showMsg(this.MSG_BADARG, parsed.arg.name, parsed.def.name, parsed.arg.type, parsed.word);
+        break;
+
+    }
+
+    this.showMsg(this.MSG_USAGE, this._commands.usage(parsed.def));
+
+  }
+
   _rlCloseCallBack() {
   /* 
   * Private Method by Convention (i.e. not enforced)
@@ -125,6 +284,13 @@ class ChallengeUI {
   */
   /// <summary>Indicate the app is ready for another command from the user</summary>  
 
+    // a command finishing while a question is waiting must not take over the line, the app asks for the next
+    // command itself once it has the answer
+    if (this._asking) {
+      return;
+    }
+
+    this._prompting = true;
     this._rl.prompt();
 
   }
@@ -140,7 +306,155 @@ class ChallengeUI {
   /// <param name="msgNdx" type="Number">Index for the standard message template</param>  
   /// <param name="...subs" type="String">substitution strings for the template</param>  
 
-    console.log(this._formatMsg(this._MSG[msgNdx], subs));
+    this._console.log(this._formatMsg(this._MSG[msgNdx], subs));
+
+  }
+
+  showHelp(cmdName) {
+  /* 
+  * Outputs command help to the console. Without a command name this is the list of commands with their
+  * usage and a description of each, otherwise it is the full usage of the named command.
+  */
+  /// <summary>Show command help</summary>  
+  /// <param name="cmdName" type="String">(Optional) Name of the command to show the usage of</param>  
+
+    let cmd = (cmdName != null ? this._commands.find(cmdName) : null);
+
+    // no (known) command so list all of them
+    if (cmd === null) {
+      this.showMsg(this.MSG_COMMANDS, this._commandNames());
+      this._commands.list().forEach(c => {
+        this._console.log(`  ${this._commands.usage(c)} - ${c.help}`);
+      });
+      return;
+    }
+
+    this.showMsg(this.MSG_USAGE, this._commands.usage(cmd));
+    this._console.log(`  ${cmd.help}`);
+    cmd.args.forEach(arg => {
+      this._console.log(`  ${arg.name} (${arg.type}${arg.optional ? ', optional' : ''}) - ${arg.help}`);
+    });
+    if (cmd.aliases.length > 0) {
+      this.showMsg(this.MSG_ALIASES, cmd.aliases.join(', '));
+    }
+
+  }
+
+  showJobOutput(job, text) {
+  /* 
+  * Outputs a line from a background job, labelled with the job id and command so output from overlapping
+  * jobs stays readable. Job output turns up at any time, so if the command prompt is showing it is redrawn
+  * after the output along with anything the user had typed.
+  */
+  /// <summary>Show background job output</summary>  
+  /// <param name="job" type="Object">The job the output is from</param>  
+  /// <param name="text" type="String">The output</param>  
+
+    this._showAsync(this._formatMsg(this._MSG[this.MSG_JOBOUTPUT], [job.id.toString(), job.label, text]));
+
+  }
+
+  showJobError(job, err) {
+  /* 
+  * Outputs a command processing error from a background job, labelled like any other job output.
+  */
+  /// <summary>Show a background job error</summary>  
+  /// <param name="job" type="Object">The job the error is from</param>  
+  /// <param name="err" type="Object">Error object or Error message string</param>  
+
+    let text = (err != null && err.err != null ? err.err : err);
+
+    this.showJobOutput(job, this._formatMsg(this._MSG[this.MSG_CMDERROR], job.label) + ': ' + text);
+
+  }
+
+  showJobs(jobs) {
+  /* 
+  * Outputs the list of background jobs.
+  */
+  /// <summary>Show the background jobs</summary>  
+  /// <param name="jobs" type="Array">Job descriptions as listed by the jobs instance</param>  
+
+    if (jobs.length === 0) {
+      this.showMsg(this.MSG_NOJOBS);
+      return;
+    }
+
+    jobs.forEach(job => {
+      let repeat = (job.interval !== null ? `every ${job.interval / 1000}s` : 'once');
+      this._console.log(`  ${job.id}  ${job.label}  ${repeat}  runs: ${job.runs}  skipped: ${job.skipped}  ` +
+        `${job.running ? 'running' : 'waiting'}  age: ${Math.round(job.age / 1000)}s`);
+    });
+
+  }
+
+  showStatus(status) {
+  /* 
+  * Outputs the server connection diagnostics, as described by the connection's status interface.
+  */
+  /// <summary>Show the connection status</summary>  
+  /// <param name="status" type="Object">Connection status</param>  
+
+    this.showMsg(this.MSG_STATUSCONN, `${status.ip}:${status.port}`, status.loginName, status.state);
+    this.showMsg(this.MSG_STATUSSESSION, this._formatDuration(status.uptime), this._formatDuration(status.sinceHeartbeat),
+      this._formatDuration(status.heartbeatWindow), status.resets.toString());
+
+    // draw the heartbeat interval histogram scaled to the biggest bucket
+    let total = status.heartbeatHistogram.reduce((sum, bucket) => sum + bucket.count, 0);
+    let most = Math.max.apply(null, status.heartbeatHistogram.map(bucket => bucket.count));
+    this.showMsg(this.MSG_STATUSHEARTBEATS, total.toString());
+    status.heartbeatHistogram.forEach(bucket => {
+      let range = (bucket.to !== null ? `${bucket.from}-${bucket.to}ms` : `${bucket.from}ms+`);
+      let bar = '#'.repeat(most > 0 ? Math.round(bucket.count / most * 40) : 0);
+      this._console.log(`  ${range.padStart(12)} |${bar} ${bucket.count}`);
+    });
+
+    this.showMsg(this.MSG_STATUSPENDING, status.pending.length.toString(), status.held.toString());
+    status.pending.forEach(req => {
+      this._console.log(`  ${req.id || '(login)'}  ${req.type}  age: ${this._formatDuration(req.age)}  ` +
+        `timeout: ${this._formatDuration(req.timeout)}`);
+    });
+
+    this.showMsg(this.MSG_STATUSUNRECOGNIZED,
+      Object.keys(status.unrecognized).map(reason => `${reason} ${status.unrecognized[reason]}`).join(', '));
+
+    // the endpoints are only worth showing when there are others to fail over to, with the one in use marked
+    if (status.endpoints != null && status.endpoints.length > 1) {
+      this.showMsg(this.MSG_STATUSENDPOINTS, status.endpoints.length.toString());
+      status.endpoints.forEach(endpoint => {
+        let inUse = (endpoint.ip === status.ip && endpoint.port === status.port ? '*' : ' ');
+        let health = (endpoint.healthy ? 'healthy' : `unhealthy for ${this._formatDuration(endpoint.cooldown)}`);
+        this._console.log(` ${inUse}${endpoint.ip}:${endpoint.port}  ${health}  failures: ${endpoint.failures}`);
+      });
+    }
+
+  }
+
+  commandId(name) {
+  /* 
+  * Gets the id of a command from its name or one of its aliases.
+  */
+  /// <summary>Get a command id</summary>  
+  /// <param name="name" type="String">Command name or alias</param>  
+  /// <returns type="Number">The command id or -1 if there is no such command</returns>  
+
+    let cmd = this._commands.find(name);
+
+    return (cmd !== null ? cmd.id : -1);
+
+  }
+
+  commandName(cmdNdx) {
+  /* 
+  * Gets the name of a command from its id.
+  */
+  /// <summary>Get a command name</summary>  
+  /// <param name="cmdNdx" type="Number">Id of the command</param>  
+  /// <returns type="String">The command name</returns>  
+
+    let cmd = this._commands.list().filter(c => c.id === cmdNdx)[0];
+
+    return (cmd != null ? cmd.name : String(cmdNdx));
 
   }
 
@@ -152,8 +466,12 @@ class ChallengeUI {
   /// <summary>Show a retry message and wait for user input</summary>  
   /// <returns type="Boolean" value="Promise">True if user wants to retry</returns>  
 
+    this.holdPrompt();
+    this._asking = true;
+
     return new Promise((resolve, reject) => {
       this._rl.question(this._MSG[this.MSG_RETRY], reply => {
+        this._asking = false;
         if (reply.substr(0,1).toLowerCase() == 'y') {
           resolve(true);
         } else {
@@ -164,6 +482,21 @@ class ChallengeUI {
 
   }
 
+  holdPrompt() {
+  /* 
+  * Takes the command prompt off the console if it is showing, so that something other than a command (e.g.
+  * the answer to a retry question) can be asked for. The prompt comes back with the next call to nextCmd.
+  */
+  /// <summary>Hold back the command prompt</summary>  
+
+    if (this._prompting) {
+      readline.clearLine(this._output, 0);
+      readline.cursorTo(this._output, 0);
+      this._prompting = false;
+    }
+
+  }
+
   showLoginError(err, connInfo) {
   /* 
   * Outputs a login error message to the console. Purely a convenience method over using the standard
@@ -173,8 +506,22 @@ class ChallengeUI {
   /// <param name="err" type="Object">Error object or Error message string</param>  
   /// <param name="connInfo" type="String">Connection info for the login attempt</param>  
 
-    console.log(this._formatMsg(this._MSG[this.MSG_CONNECTIONERROR], connInfo));
-    console.log(err);
+    this._console.log(this._formatMsg(this._MSG[this.MSG_CONNECTIONERROR], connInfo));
+    this._console.log(err);
+
+  }
+
+  showReconnectError(err, connInfo) {
+  /* 
+  * Outputs a message to the console when the connection has given up reconnecting to the server after
+  * a reset. Purely a convenience method over using the standard showMsg method.
+  */
+  /// <summary>Show a reconnect abandoned message</summary>  
+  /// <param name="err" type="Object">Error object or Error message string</param>  
+  /// <param name="connInfo" type="String">Connection info for the reconnect attempts</param>  
+
+    this._console.log(this._formatMsg(this._MSG[this.MSG_RECONNECTERROR], connInfo));
+    this._console.log(err);
 
   }
 
@@ -187,8 +534,8 @@ class ChallengeUI {
   /// <param name="err" type="Object">Error object or Error message string</param>  
   /// <param name="cmdNdx" type="Number">Id of the command on which the error occurred</param>  
 
-    console.log(this._formatMsg(this._MSG[this.MSG_CMDERROR], this._CMD[cmdNdx]));
-    console.log(err);
+    this._console.log(this._formatMsg(this._MSG[this.MSG_CMDERROR], this.commandName(cmdNdx)));
+    this._console.log(err);
 
   }
 
@@ -203,6 +550,70 @@ class ChallengeUI {
 
   }
 
+  _showAsync(text) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Outputs text which didn't come from the command the user is waiting on. If the prompt is showing,
+  * the prompt line is cleared before the output and redrawn after it.
+  */
+  /// <summary>Show output from outside the command sequence</summary>  
+  /// <param name="text" type="String">The output</param>  
+
+    if (!this._prompting && !this._asking) {
+      this._console.log(text);
+      return;
+    }
+
+    readline.clearLine(this._output, 0);
+    readline.cursorTo(this._output, 0);
+    this._console.log(text);
+    this._rl.prompt(true);
+
+  }
+
+  _commandNames() {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Gets the list of command names for display.
+  */
+  /// <summary>Get the command name list</summary>  
+  /// <returns type="String">Comma separated command names</returns>  
+
+    return this._commands.list().map(c => c.name).join(', ');
+
+  }
+
+  _formatDuration(ms) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Formats a duration in ms for display, e.g. 250ms, 4.2s or 1h 3m 7s.
+  */
+  /// <summary>Format a duration for display</summary>  
+  /// <param name="ms" type="Number">Duration in ms, or null if there is none</param>  
+  /// <returns type="String">Formatted duration</returns>  
+
+    if (ms === null || typeof ms === 'undefined') {
+      return 'n/a';
+    }
+    if (ms < 1000) {
+      return `${Math.round(ms)}ms`;
+    }
+    if (ms < 60000) {
+      return `${(ms / 1000).toFixed(1)}s`;
+    }
+
+    let secs = Math.floor(ms / 1000);
+    let parts = [];
+    if (secs >= 3600) {
+      parts.push(`${Math.floor(secs / 3600)}h`);
+    }
+    parts.push(`${Math.floor(secs % 3600 / 60)}m`);
+    parts.push(`${secs % 60}s`);
+
+    return parts.join(' ');
+
+  }
+
   _formatMsg(msg, replStrings) {
   /* 
   * Private Method by Convention (i.e. not enforced)
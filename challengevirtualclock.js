@@ -0,0 +1,169 @@
+'use strict';
+
+/* Module imports */
+const ChallengeClock = require('./challengeclock.js'); // clock class this one stands in for
+/**********************************************************************/
+
+class ChallengeVirtualClock extends ChallengeClock {
+/* 
+* Virtual clock class for a Node.js Socket Client Coding Challenge. Stands in for a ChallengeClock when time
+* needs to be controlled, mainly by tests. Time only moves when it is advanced, and the timers which come due
+* along the way are called in order at their due times, so a heartbeat window or request timeout of any length
+* can be run out in a few ms and always in the same order. Between timers the clock lets any i/o and promise
+* callbacks which were waiting run (e.g. a reply written on an in-memory transport), the same as they would
+* between timers on the real clock.
+*/
+
+  constructor(start) {
+  /// <summary>ChallengeVirtualClock class constructor</summary>  
+  /// <param name="start" type="Number">(Optional) Time the clock starts at in ms since the epoch, defaults to 0</param>  
+  /// <returns type="Object">ChallengeVirtualClock instance</returns>  
+
+    super();
+
+    this._time = (start != null ? start : 0);
+    this._timers = []; // timers waiting to come due, {seq, due, interval, callback}
+    this._seq = 0; // orders timers which come due at the same time by when they were set
+
+  }
+
+  get pending() {
+  /// <summary>Number of timers waiting to come due</summary>  
+
+    return this._timers.length;
+
+  }
+
+  now() {
+  /// <summary>Get the current virtual time</summary>  
+  /// <returns type="Number">ms since the epoch</returns>  
+
+    return this._time;
+
+  }
+
+  setTimeout(callback, delay) {
+  /// <summary>Call a function once after a delay of virtual time</summary>  
+  /// <param name="callback" type="Function">Function to call</param>  
+  /// <param name="delay" type="Number">ms to wait</param>  
+  /// <returns type="Object">Timer which can be passed to clearTimeout</returns>  
+
+    return this._addTimer(callback, delay, null);
+
+  }
+
+  clearTimeout(timer) {
+  /// <summary>Stop a timer set by setTimeout</summary>  
+  /// <param name="timer" type="Object">The timer</param>  
+
+    let ndx = this._timers.indexOf(timer);
+
+    if (ndx !== -1) {
+      this._timers.splice(ndx, 1);
+    }
+
+  }
+
+  setInterval(callback, interval) {
+  /// <summary>Call a function repeatedly at an interval of virtual time</summary>  
+  /// <param name="callback" type="Function">Function to call</param>  
+  /// <param name="interval" type="Number">ms between calls</param>  
+  /// <returns type="Object">Timer which can be passed to clearInterval</returns>  
+
+    return this._addTimer(callback, interval, Math.max(1, interval));
+
+  }
+
+  clearInterval(timer) {
+  /// <summary>Stop a timer set by setInterval</summary>  
+  /// <param name="timer" type="Object">The timer</param>  
+
+    this.clearTimeout(timer);
+
+  }
+
+  advance(ms) {
+  /* 
+  * Moves the clock forward, calling each timer which comes due on the way at its due time. Anything waiting
+  * to run is let run before the first timer and after each one, so advance(0) just lets things settle.
+  */
+  /// <summary>Advance the virtual time</summary>  
+  /// <param name="ms" type="Number">ms to move the clock forward by</param>  
+  /// <returns type="Object" value="Promise">Resolves once the clock has reached the new time</returns>  
+
+    let target = this._time + Math.max(0, ms);
+
+    let step = () => {
+
+      let timer = this._nextTimer();
+
+      // once there are no more timers due by the target time, the clock just moves on to it
+      if (timer === null || timer.due > target) {
+        this._time = target;
+        return Promise.resolve();
+      }
+
+      this._time = timer.due;
+      if (timer.interval !== null) {
+        timer.due += timer.interval;
+      } else {
+        this.clearTimeout(timer);
+      }
+      timer.callback();
+
+      return this._settle().then(step);
+
+    };
+
+    return this._settle().then(step);
+
+  }
+
+  _addTimer(callback, delay, interval) {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Adds a timer to the list of timers waiting to come due.
+  */
+  /// <summary>Add a timer</summary>  
+  /// <param name="callback" type="Function">Function to call when the timer comes due</param>  
+  /// <param name="delay" type="Number">ms until the timer comes due</param>  
+  /// <param name="interval" type="Number">ms between calls for a repeating timer, null for a one off</param>  
+  /// <returns type="Object">The timer</returns>  
+
+    let timer = {seq: this._seq++, due: this._time + Math.max(0, (delay != null ? delay : 0)), interval: interval, callback: callback};
+
+    this._timers.push(timer);
+
+    return timer;
+
+  }
+
+  _nextTimer() {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Finds the timer which comes due first, taking the one set first when timers come due at the same time.
+  */
+  /// <summary>Get the next timer to come due</summary>  
+  /// <returns type="Object">The timer, or null if there are no timers</returns>  
+
+    return this._timers.reduce((next, timer) => {
+      return (next === null || timer.due < next.due || (timer.due === next.due && timer.seq < next.seq) ? timer : next);
+    }, null);
+
+  }
+
+  _settle() {
+  /* 
+  * Private Method by Convention (i.e. not enforced)
+  * Lets everything already waiting to run (promise callbacks, stream events and so on) run.
+  */
+  /// <summary>Let waiting callbacks run</summary>  
+  /// <returns type="Object" value="Promise">Resolves once they have run</returns>  
+
+    return new Promise(resolve => setImmediate(resolve));
+
+  }
+
+}
+
+module.exports = ChallengeVirtualClock;
\ No newline at end of file
@@ -2,29 +2,137 @@
 /* 
 * This is the node startup module and main app processing for a Node.js Socket Client Coding Challenge. The main app
 * processing is very simple with all lower level functions provide by other app classes. Program flow is:
-*   1. Create app class instances
+*   1. Load the app configuration and create app class instances
 *   2. Login to the app server
-*   3. Respond to ui commands by making server requests and processing the returned data
+*   3. Respond to ui commands by making server requests and processing the returned data, either one at a time
+*      or as background jobs which run alongside further commands
 *   4. On receiving a quit command or terminate callback from the ui, clean up and end the app
+* In batch mode there is no ui; the commands are read from the command line, a file or piped stdin, run in
+* order with their results written as JSON lines, and the app ends once they have all completed.
 */
 
 /* Module imports */
 const ChallengeConnection = require('./challengeconnection.js'); // app server connection class
 const ChallengeUI = require('./challengeui.js'); // app ui class
 const ChallengeLog = require('./challengelog.js'); // app logging class
+const ChallengeConfig = require('./challengeconfig.js'); // app configuration class
+const ChallengeBatch = require('./challengebatch.js'); // app batch processing class
+const ChallengeJobs = require('./challengejobs.js'); // app background job class
+const ChallengeMetrics = require('./challengemetrics.js'); // app metrics class
+const ChallengeCapture = require('./challengecapture.js'); // server session capture class
+const ChallengeLoginError = require('./challengeerrors.js').ChallengeLoginError; // login failure error class
 /**********************************************************************/
 
+// load the app configuration from the defaults, config file, environment and command line
+const configLoader = new ChallengeConfig();
+const config = loadConfig();
+
+// batch mode is used when commands are given on the command line or in a file, or piped in on stdin
+const batchMode = (config.command != null || config.batchFile != null || config.batch === true ||
+    (config.batch === null && !process.stdin.isTTY));
+
 // create class instances for the main app
-const ui = new ChallengeUI(handleCmd, handleUIClose);
-const conn = new ChallengeConnection(9432, '35.184.58.167');
-const log = new ChallengeLog();
+const logRoot = new ChallengeLog(config.logFile, configLoader.logOptions(config));
+const log = logRoot.child('app'); // the connection logs under its own name so the two can be filtered separately
+const ui = (batchMode ? null : new ChallengeUI(handleCmd, handleUIClose));
+const jobs = new ChallengeJobs(handleJobResult);
+const capture = (config.captureFile != null ? new ChallengeCapture(config.captureFile) : null); // for replaying the session later
+const conn = new ChallengeConnection(config.port, config.host, Object.assign(configLoader.connectionOptions(config), {
+    log: logRoot,
+    capture: capture,
+    giveUpCallback: handleGiveUp
+}));
+const metrics = new ChallengeMetrics(conn);
+
+// a reconnect which failed over to another server is reported like a login
+conn.on('resetComplete', handleResetComplete);
 
 log.logMsg('*******************************Starting Node.js Socket Client Coding Challenge App*******************************');
 
+// serve the app metrics if a port for them was configured
+if (config.metricsPort != null) {
+    serveMetrics();
+}
+
 // this function call enables all actual defined app functionality and is the only independent action taken by the 
 // main app. All other app actions are taken in response to callbacks or promise resolutions from the other class
 // instances of the app.
-login();
+if (batchMode) {
+    runBatch();
+} else {
+    login();
+}
+
+function loadConfig() {
+/* 
+* Loads the app configuration. If help was asked for it is shown instead, and if the configuration
+* can't be used the problems are shown. Either way the app ends without starting up.
+*/
+/// <summary>Load the app configuration</summary>  
+/// <returns type="Object">The app settings</returns>  
+
+    let settings = null;
+
+    try {
+        settings = configLoader.load();
+    }
+    catch(err) {
+        console.log(err.message);
+        console.log(`Use --help to list the available options`);
+        process.exit(1);
+    }
+
+    if (settings.help) {
+        console.log(configLoader.helpText());
+        process.exit(0);
+    }
+
+    return settings;
+
+}
+
+function serveMetrics() {
+/* 
+* Starts serving the app metrics for scraping. Not being able to serve them isn't a reason to stop the app,
+* so a failure is just reported.
+*/
+/// <summary>Serve the app metrics</summary>  
+
+    metrics.listen(config.metricsPort, config.metricsHost).then(address => {
+        log.logMsg(`Serving metrics at http://${address.address}:${address.port}/metrics`);
+    }).catch(err => {
+        log.logError(`Could not serve metrics on ${config.metricsHost}:${config.metricsPort}: ${err.message}`);
+        console.error(`Could not serve metrics on ${config.metricsHost}:${config.metricsPort}: ${err.message}`);
+    });
+
+}
+
+function runBatch() {
+/* 
+* Runs the app in batch mode: loads the batch commands, runs them against a single login and then ends
+* the app with the batch outcome as the exit code.
+*/
+/// <summary>Run the app in batch mode</summary>  
+
+    let batch = new ChallengeBatch(conn);
+
+    batch.loadCommands({command: config.command, file: config.batchFile, input: process.stdin}).then(text => {
+        return batch.run(batch.parseCommands(text));
+    }).catch(err => {
+        // if we couldn't even get the commands, there's nothing to run
+        console.error(`Could not load batch commands: ${err.message}`);
+        return batch.EXIT_CMDFAILED;
+    }).then(exitCode => {
+        log.logMsg(`Batch complete with exit code ${exitCode}`);
+        return conn.logout().then(() => exitApp(exitCode));
+    }).catch(err => {
+        // the batch can't be said to have worked if the app couldn't wind it up
+        log.logError(`Batch could not be finished: ${err.message}`);
+        console.error(`Batch could not be finished: ${err.message}`);
+        exitApp(batch.EXIT_CMDFAILED);
+    });
+
+}
 
 function login() {
 /* 
@@ -39,22 +147,39 @@ function login() {
         // if successful, tell the ui we're ready to process user commands
         if (response.err == null) {
             ui.showMsg(ui.MSG_CONNECTIONINFO, `${response.results.ip}:${response.results.port}`);
-            ui.showMsg(ui.MSG_COMMANDS);
+            ui.showHelp();
             ui.nextCmd();
         // otherwise let the user know there was a problem and let them retry if desired
         } else {
-            ui.showLoginError(response.err, `${response.results.ip}:${response.results.port}`);
-            ui.showRetryMsg().then(retry => {
-                if (retry) {
-                    login();
-                } else {
-                    cmdQuit();
-                }
-            });
+            retryLogin(response.err, `${response.results.ip}:${response.results.port}`);
         }
     }).catch(err => {
-        // just note the error and give up if we got an error we couldn't handle
-        ui.showLoginError(err, `${conn.connIp}:${conn.connPort}`);
+        // a login the server rejected, didn't answer or couldn't be connected for can be retried
+        if (err instanceof ChallengeLoginError) {
+            retryLogin(err.message, `${conn.connIp}:${conn.connPort}`);
+        // otherwise just note the error and give up if we got an error we couldn't handle
+        } else {
+            ui.showLoginError(err, `${conn.connIp}:${conn.connPort}`);
+        }
+    });
+
+}
+
+function retryLogin(err, connInfo) {
+/* 
+* Lets the user know a login failed and lets them retry it if desired, otherwise quits the app.
+*/
+/// <summary>Show a login error and offer to retry the login</summary>  
+/// <param name="err" type="Object">Error object or Error message string</param>  
+/// <param name="connInfo" type="String">Connection info for the login attempt</param>  
+
+    ui.showLoginError(err, connInfo);
+    ui.showRetryMsg().then(retry => {
+        if (retry) {
+            login();
+        } else {
+            cmdQuit();
+        }
     });
 
 }
@@ -66,19 +191,48 @@ function handleCmd(cmd) {
 * otherwise it is noted as an invalid command and we tell the ui to get us another command.
 */
 /// <summary>Handle a user command from the user interface</summary>  
-/// <param name="cmd" type="Object">JSON command info</param>  
+/// <param name="cmd" type="Object">Parsed command, {type, ...args}</param>  
+
+    // only commands which make server requests can be run in the background
+    if (cmd.background && serverRequest(cmd.type) === null) {
+        ui.showMsg(ui.MSG_NOBACKGROUND, ui.commandName(cmd.type));
+        ui.nextCmd();
+        return;
+    }
 
     // commands are processed based on type
     switch (cmd.type) {
 
         // get cumulative request count command
         case ui.CMD_COUNT:
-            cmdGetRequestCount();
+            cmdGetRequestCount(cmd);
             break;
     
         // get server time and random number command
         case ui.CMD_TIME:
-            cmdGetTime();
+            cmdGetTime(cmd);
+            break;
+    
+        // repeat a command in the background
+        case ui.CMD_WATCH:
+            cmdWatch(cmd);
+            break;
+    
+        // list background jobs
+        case ui.CMD_JOBS:
+            ui.showJobs(jobs.list());
+            ui.nextCmd();
+            break;
+    
+        // stop a background job
+        case ui.CMD_KILL:
+            cmdKill(cmd);
+            break;
+    
+        // show the connection diagnostics
+        case ui.CMD_STATUS:
+            ui.showStatus(conn.getStatus());
+            ui.nextCmd();
             break;
     
         // quit command
@@ -86,6 +240,12 @@ function handleCmd(cmd) {
             cmdQuit();
             break;
     
+        // command help, for all commands or the one asked about
+        case ui.CMD_HELP:
+            ui.showHelp(cmd.command);
+            ui.nextCmd();
+            break;
+    
         // handle unrecognized command types
         default:
             ui.showMsg(ui.MSG_INVALIDCMD, `cmdType=${cmd.type}`);
@@ -96,6 +256,118 @@ function handleCmd(cmd) {
 
 }
 
+function serverRequest(cmdNdx) {
+/* 
+* Gets the server request made by a command along with the formatting of its response. Only the commands
+* which make server requests can be run in the background or watched.
+*/
+/// <summary>Get the server request for a command</summary>  
+/// <param name="cmdNdx" type="Number">Id of the command</param>  
+/// <returns type="Object">{request: function(options), format: function(response)} or null if the command makes no request</returns>  
+
+    switch (cmdNdx) {
+
+        case ui.CMD_COUNT:
+            return {
+                request: options => conn.getRequestCount(options),
+                format: response => `Message Count: ${response.count}`
+            };
+
+        case ui.CMD_TIME:
+            return {
+                request: options => conn.getTime(options),
+                format: response => `Server time: ${response.time}, number: ${response.number} is ${response.number <= 30 ? 'not ' : ''}greater than 30`
+            };
+
+        default:
+            return null;
+
+    }
+
+}
+
+function startJob(cmdNdx, label, interval) {
+/* 
+* Starts a background job making a command's server request, once or repeated at an interval, and lets the
+* ui carry on taking commands.
+*/
+/// <summary>Start a background job for a command</summary>  
+/// <param name="cmdNdx" type="Number">Id of the command</param>  
+/// <param name="label" type="String">Label for the job's output</param>  
+/// <param name="interval" type="Number">(Optional) Repeat interval in ms</param>  
+
+    let server = serverRequest(cmdNdx);
+
+    // the job result is the formatted response, so the job report doesn't need to know the command
+    let job = jobs.start(label, signal => {
+        return server.request({retry: true, signal: signal}).then(server.format);
+    }, interval);
+
+    ui.showMsg(ui.MSG_JOBSTARTED, job.id.toString(), label);
+    ui.nextCmd();
+
+}
+
+function handleJobResult(job, err, result) {
+/* 
+* This is the callback routine from the jobs instance for when a background job run has completed.
+*/
+/// <summary>Handle a background job result</summary>  
+/// <param name="job" type="Object">The job</param>  
+/// <param name="err" type="Object">Error from the run, null if it succeeded</param>  
+/// <param name="result" type="String">Formatted server response</param>  
+
+    if (err != null) {
+        ui.showJobError(job, err);
+    } else {
+        ui.showJobOutput(job, result);
+    }
+
+}
+
+function handleResetComplete(info) {
+/* 
+* This is the event handler for the connection logging in again after a reset. A reconnect to the same server
+* goes unremarked, but one which failed over to another server is shown the way a login is, so the user knows
+* which server their commands are now going to.
+*/
+/// <summary>Handle connection reset complete event</summary>  
+/// <param name="info" type="Object">Reset info from the connection</param>  
+
+    if (ui !== null && info.failover) {
+        ui.showMsg(ui.MSG_CONNECTIONINFO, `${info.ip}:${info.port}`);
+    }
+
+}
+
+function handleGiveUp(response) {
+/* 
+* This is the callback routine from the connection class for when the connection has been reset and
+* reconnecting to the server has been given up according to the connection's reconnect policy.
+*/
+/// <summary>Handle connection give up callback</summary>  
+/// <param name="response" type="Object">Reconnect error and connection info</param>  
+
+    // in batch mode any commands still waiting on the reset fail, which ends the batch
+    if (ui === null) {
+        log.logError(`${response.err}`);
+        return;
+    }
+
+    // let the user know the server is gone and let them start over with a new login if desired, taking the
+    // command prompt away first since commands can't be run until they do
+    ui.holdPrompt();
+    ui.showReconnectError(response.err, `${response.results.ip}:${response.results.port}`);
+    ui.showRetryMsg().then(retry => {
+        if (retry) {
+            login();
+        } else {
+            cmdQuit();
+        }
+    });
+
+}
+
 function handleUIClose() {
 /* 
 * This is the callback routine from the ui class for when the user has terminated the app through
@@ -108,54 +380,110 @@ function handleUIClose() {
 
 }
 
-function cmdGetRequestCount() {
+function cmdGetRequestCount(cmd) {
 /* 
-* Process the get cumulative request count command.
+* Process the get cumulative request count command, in the background if asked to.
 */
 /// <summary>Process a get cumulative request count command</summary>  
+/// <param name="cmd" type="Object">Parsed command</param>  
 
-    // make the request to the server
-    conn.getRequestCount().then(response => {
-        // output the server response
-        console.log(`Message Count: ${response.count}`);
-        // get the next command from the ui
-        ui.nextCmd();
-    }).catch(err => {
-        // inform the user of any error
-        ui.showCmdError(err, ui.CMD_COUNT);
-        // and get another command from the ui
-        ui.nextCmd();
-    });
+    runRequestCmd(cmd, ui.CMD_COUNT);
 
 }
 
-function cmdGetTime() {
+function cmdGetTime(cmd) {
 /* 
-* Process the get server time and random number command.
+* Process the get server time and random number command, in the background if asked to.
 */
 /// <summary>Process a get server time and random number command</summary>  
+/// <param name="cmd" type="Object">Parsed command</param>  
+
+    runRequestCmd(cmd, ui.CMD_TIME);
+
+}
+
+function runRequestCmd(cmd, cmdNdx) {
+/* 
+* Runs a command which makes a server request. In the background a job is started for it, otherwise the
+* response is waited on before the ui is asked for the next command.
+*/
+/// <summary>Run a server request command</summary>  
+/// <param name="cmd" type="Object">Parsed command</param>  
+/// <param name="cmdNdx" type="Number">Id of the command</param>  
+
+    if (cmd.background) {
+        startJob(cmdNdx, ui.commandName(cmdNdx));
+        return;
+    }
+
+    let server = serverRequest(cmdNdx);
 
     // make the request to the server
-    conn.getTime().then(response => {
+    server.request({retry: true}).then(response => {
         // output the server response
-        console.log(`Server time: ${response.time}, number: ${response.number} is ${response.number <= 30 ? 'not ' : ''}greater than 30`);
+        console.log(server.format(response));
         // get the next command from the ui
         ui.nextCmd();
     }).catch(err => {
         // inform the user of any error
-        ui.showCmdError(err, ui.CMD_TIME);
+        ui.showCmdError(err, cmdNdx);
         // and get another command from the ui
         ui.nextCmd();
     });
 
 }
 
+function cmdWatch(cmd) {
+/* 
+* Process the watch command, which repeats a server request command in the background at an interval
+* until the job is killed.
+*/
+/// <summary>Process a watch command</summary>  
+/// <param name="cmd" type="Object">Parsed command, with the command to repeat and the interval in seconds</param>  
+
+    let cmdNdx = ui.commandId(cmd.command);
+
+    if (serverRequest(cmdNdx) === null) {
+        ui.showMsg(ui.MSG_NOBACKGROUND, cmd.command);
+    } else if (!(Number.isFinite(cmd.interval) && cmd.interval > 0 && cmd.interval * 1000 <= jobs.MAXINTERVAL)) {
+        ui.showMsg(ui.MSG_BADINTERVAL, String(jobs.MAXINTERVAL / 1000));
+    } else {
+        startJob(cmdNdx, `watch ${cmd.command} ${cmd.interval}`, cmd.interval * 1000);
+        return;
+    }
+
+    ui.nextCmd();
+
+}
+
+function cmdKill(cmd) {
+/* 
+* Process the kill command, which stops a background job.
+*/
+/// <summary>Process a kill command</summary>  
+/// <param name="cmd" type="Object">Parsed command, with the id of the job to kill</param>  
+
+    let job = jobs.list().filter(j => j.id === cmd.job)[0];
+
+    if (job != null && jobs.kill(cmd.job)) {
+        ui.showMsg(ui.MSG_JOBKILLED, job.id.toString(), job.label);
+    } else {
+        ui.showMsg(ui.MSG_NOJOB, cmd.job.toString());
+    }
+
+    ui.nextCmd();
+
+}
+
 function cmdQuit() {
 /* 
 * Process the quit command.
 */
 /// <summary>Process a quit command</summary>  
 
+    // stop any background jobs so they don't keep making requests while we log out
+    jobs.killAll();
+
     // if we have a ui instance try to close it
     if (ui != null) {
         ui.close();
@@ -163,12 +491,29 @@ function cmdQuit() {
 
     // if we have a server connection instance, logout of it and then terminate
     if (conn != null) {
-        conn.logout().then(() => {
-            process.exit(0);
-        })
+        conn.logout().then(() => exitApp(0));
     // otherwise just terminate
     } else {
-        process.exit(0);
+        exitApp(0);
     }
 
+}
+
+function exitApp(exitCode) {
+/* 
+* Ends the app once the metrics server has stopped and everything logged (and captured) has made it into the
+* log (and session) file, so the log always records the app's last moments.
+*/
+/// <summary>End the app</summary>  
+/// <param name="exitCode" type="Number">Process exit code</param>  
+
+    log.logMsg(`App exiting with exit code ${exitCode}`);
+    Promise.all([metrics.close(), log.close(), (capture !== null ? capture.close() : null)]).then(() => {
+        process.exit(exitCode);
+    }).catch(err => {
+        // the app still has to end even if the metrics server, log or capture couldn't be closed
+        console.error(`Could not close the metrics server, log or capture file: ${err}`);
+        process.exit(exitCode);
+    });
+
 }
\ No newline at end of file
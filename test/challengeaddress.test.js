@@ -0,0 +1,40 @@
+'use strict';
+/* 
+* Tests for the ChallengeAddress class, checking the bytes it gives for the ways an ip address can be written.
+*/
+
+/* Module imports */
+const test = require('node:test');
+const assert = require('node:assert');
+const ChallengeAddress = require('../challengeaddress.js');
+/**********************************************************************/
+
+test.describe('address bytes', () => {
+
+    test.it('gives the 4 bytes of an IPv4 address', () => {
+        assert.deepStrictEqual([...new ChallengeAddress().bytes('10.0.0.255')], [10, 0, 0, 255]);
+    });
+
+    test.it('fills in the zero groups a :: stands for wherever it is', () => {
+        let address = new ChallengeAddress();
+        assert.strictEqual(address.bytes('::1').toString('hex'), '00000000000000000000000000000001');
+        assert.strictEqual(address.bytes('fe80::').toString('hex'), 'fe800000000000000000000000000000');
+        assert.strictEqual(address.bytes('2001:db8::8:800:200c:417a').toString('hex'), '20010db80000000000080800200c417a');
+        assert.strictEqual(address.bytes('2001:db8:0:0:8:800:200c:417a').toString('hex'), '20010db80000000000080800200c417a');
+    });
+
+    test.it('takes a trailing IPv4 address as the last two groups', () => {
+        let address = new ChallengeAddress();
+        assert.strictEqual(address.bytes('::ffff:1.2.3.4').toString('hex'), '00000000000000000000ffff01020304');
+        assert.strictEqual(address.bytes('64:ff9b::192.0.2.33').toString('hex'), '0064ff9b0000000000000000c0000221');
+    });
+
+    test.it('leaves the zone id out of an IPv6 address', () => {
+        assert.strictEqual(new ChallengeAddress().bytes('fe80::1%eth0').toString('hex'), 'fe800000000000000000000000000001');
+    });
+
+    test.it('gives no bytes for a host name', () => {
+        assert.strictEqual(new ChallengeAddress().bytes('proxy.example.com'), null);
+    });
+
+});
\ No newline at end of file
@@ -0,0 +1,314 @@
+'use strict';
+/* 
+* Tests for the ChallengeConnection class run entirely in memory: the connection is given a ChallengeMemoryTransport
+* in place of the network and a ChallengeVirtualClock in place of the system clock, and each test plays the
+* server by hand. The connection keeps its real default timeouts and heartbeat window, but time only moves when
+* a test advances the clock, so heartbeat expiry, timeouts and resets are checked in a few ms and always happen
+* in the same order.
+*/
+
+/* Module imports */
+const test = require('node:test');
+const assert = require('node:assert');
+const ChallengeConnection = require('../challengeconnection.js');
+const ChallengeMemoryTransport = require('../challengememorytransport.js');
+const ChallengeVirtualClock = require('../challengevirtualclock.js');
+const ChallengeLog = require('../challengelog.js');
+/**********************************************************************/
+
+// nothing is logged, so no log file is ever opened
+const log = new ChallengeLog(null, {discard: true});
+
+function setup(t, options) {
+/* 
+* Creates a connection on an in-memory transport and virtual clock for a test, along with a hand played server.
+* The server welcomes every login and keeps the msgs it receives, and is logged out when the test ends.
+*/
+/// <summary>Create an in-memory connection and server</summary>  
+/// <param name="t" type="Object">The test context</param>  
+/// <param name="options" type="Object">(Optional) Connection options overriding the test defaults</param>  
+/// <returns type="Object">{conn, clock, memory, server}, server is {sockets, received, send(msg)}</returns>  
+
+    let clock = new ChallengeVirtualClock(1000000);
+    let memory = new ChallengeMemoryTransport();
+    let server = {sockets: [], received: [], welcome: true};
+
+    // msgs go to the client on its latest connection
+    server.send = msg => server.sockets[server.sockets.length - 1].write(typeof msg === 'string' ? msg : JSON.stringify(msg));
+
+    memory.on('connection', info => {
+        server.sockets.push(info.socket);
+        info.socket.on('data', buffer => {
+            let msg = JSON.parse(String(buffer));
+            server.received.push(msg);
+            if (msg.name != null && server.welcome) {
+                info.socket.write(JSON.stringify({type: 'welcome', msg: `Welcome ${msg.name}`}));
+            }
+        });
+    });
+
+    let conn = new ChallengeConnection(3001, '10.0.0.1', Object.assign({
+        log: log,
+        transport: (port, ip) => memory.connect(port, ip),
+        clock: clock,
+        reconnect: {jitter: 0}
+    }, options));
+    t.after(() => conn.logout());
+
+    return {conn: conn, clock: clock, memory: memory, server: server};
+
+}
+
+function settled(promise) {
+/* 
+* Keeps track of whether a promise has settled yet, so a test can check a request hasn't finished early.
+*/
+/// <summary>Track a promise's outcome</summary>  
+/// <param name="promise" type="Object" value="Promise">The promise</param>  
+/// <returns type="Object">{done, value, err}</returns>  
+
+    let state = {done: false, value: null, err: null};
+
+    promise.then(value => {
+        state.done = true;
+        state.value = value;
+    }, err => {
+        state.done = true;
+        state.err = err;
+    });
+
+    return state;
+
+}
+
+test.describe('virtual clock', () => {
+
+    test.it('calls timers in due order as time is advanced', () => {
+        let clock = new ChallengeVirtualClock();
+        let calls = [];
+        clock.setTimeout(() => calls.push(['b', clock.now()]), 200);
+        clock.setTimeout(() => calls.push(['a', clock.now()]), 100);
+        let interval = clock.setInterval(() => calls.push(['i', clock.now()]), 150);
+        let cancelled = clock.setTimeout(() => calls.push(['x', clock.now()]), 50);
+        clock.clearTimeout(cancelled);
+        return clock.advance(300).then(() => {
+            assert.deepStrictEqual(calls, [['a', 100], ['i', 150], ['b', 200], ['i', 300]]);
+            assert.strictEqual(clock.now(), 300);
+            clock.clearInterval(interval);
+            assert.strictEqual(clock.pending, 0);
+        });
+    });
+
+});
+
+test.describe('in-memory connection', () => {
+
+    test.it('logs in over the in-memory transport', t => {
+        let env = setup(t);
+        let login = env.conn.login();
+        return env.clock.advance(0).then(() => login).then(response => {
+            assert.deepStrictEqual(response.results, {ip: '10.0.0.1', port: 3001, loggedIn: true});
+            assert.deepStrictEqual(env.server.received, [{name: 'coder1'}]);
+            assert.strictEqual(env.memory.connections, 1);
+        });
+    });
+
+    test.it('fails a login with a connection error when nothing is listening', t => {
+        let env = setup(t);
+        env.memory.removeAllListeners('connection');
+        let rejected = assert.rejects(env.conn.login(), err => {
+            assert.strictEqual(err.code, 'connection');
+            return true;
+        });
+        return env.clock.advance(0).then(() => rejected);
+    });
+
+    test.it('times out an unanswered login after the login timeout', t => {
+        let env = setup(t);
+        env.server.welcome = false;
+        let login = settled(env.conn.login());
+        return env.clock.advance(4999).then(() => {
+            assert.strictEqual(login.done, false);
+            return env.clock.advance(1);
+        }).then(() => {
+            assert.strictEqual(login.err.code, 'timeout');
+        });
+    });
+
+    test.it('times out an unanswered request after the request timeout', t => {
+        let env = setup(t);
+        let login = env.conn.login();
+        let request = null;
+        return env.clock.advance(0).then(() => login).then(() => {
+            request = settled(env.conn.request('count'));
+            // keep the heartbeats coming so only the request times out
+            let beat = env.clock.setInterval(() => env.server.send({type: 'heartbeat'}), 1000);
+            t.after(() => env.clock.clearInterval(beat));
+            return env.clock.advance(4999);
+        }).then(() => {
+            assert.strictEqual(request.done, false);
+            assert.strictEqual(env.conn.getStatus().pending[0].age, 4999);
+            return env.clock.advance(1);
+        }).then(() => {
+            assert.match(request.err.err, /timeout/i);
+            assert.strictEqual(env.conn.loggedIn, true);
+        });
+    });
+
+    test.it('resets when the heartbeat window runs out and logs in again', t => {
+        let env = setup(t);
+        let events = [];
+        ['heartbeat', 'heartbeatMissed', 'resetStarted', 'reconnecting', 'connecting', 'resetComplete'].forEach(name => {
+            env.conn.on(name, () => events.push([name, env.clock.now() - 1000000]));
+        });
+        let login = env.conn.login();
+        return env.clock.advance(0).then(() => login).then(() => {
+            return env.clock.advance(1500);
+        }).then(() => {
+            env.server.send({type: 'heartbeat'});
+            // the window starts again from the heartbeat
+            return env.clock.advance(1999);
+        }).then(() => {
+            assert.strictEqual(env.conn.loggedIn, true);
+            return env.clock.advance(1);
+        }).then(() => {
+            assert.strictEqual(env.conn.getStatus().state, 'resetting');
+            // the first reconnect attempt waits for the reconnect policy's initial delay
+            return env.clock.advance(500);
+        }).then(() => {
+            assert.deepStrictEqual(events, [
+                ['connecting', 0], ['heartbeat', 1500], ['heartbeatMissed', 3500], ['resetStarted', 3500],
+                ['reconnecting', 4000], ['connecting', 4000], ['resetComplete', 4000]
+            ]);
+            assert.strictEqual(env.conn.loggedIn, true);
+            assert.strictEqual(env.server.sockets[0].destroyed, true);
+            assert.strictEqual(env.memory.connections, 2);
+        });
+    });
+
+    test.it('fails a pending request when the connection is reset', t => {
+        let env = setup(t);
+        let login = env.conn.login();
+        let request = null;
+        return env.clock.advance(0).then(() => login).then(() => {
+            request = settled(env.conn.request('count'));
+            return env.clock.advance(2000);
+        }).then(() => {
+            assert.match(request.err.err, /reset/i);
+            assert.strictEqual(env.conn.getStatus().pending.length, 0);
+        });
+    });
+
+    test.it('matches a reply sent on the in-memory transport', t => {
+        let env = setup(t);
+        let login = env.conn.login();
+        let request = null;
+        return env.clock.advance(0).then(() => login).then(() => {
+            request = env.conn.request('count');
+            return env.clock.advance(0);
+        }).then(() => {
+            let sent = env.server.received[1];
+            assert.strictEqual(sent.request, 'count');
+            env.server.send({type: 'msg', msg: {reply: sent.id, count: 7}});
+            return env.clock.advance(0);
+        }).then(() => request).then(response => {
+            assert.deepStrictEqual(response, {count: 7});
+        });
+    });
+
+    test.it('gives a reply to the pending request with its id even when another type matches it first', t => {
+        let env = setup(t);
+        // a type registered ahead of stats whose matcher takes any count reply
+        env.conn.registerRequestType('total', {build: () => ({request: 'total'}), match: response => response.count != null});
+        env.conn.registerRequestType('stats', {build: () => ({request: 'stats'}), match: response => response.count != null,
+            transform: response => ({requests: response.count})});
+        let login = env.conn.login();
+        let request = null;
+        return env.clock.advance(0).then(() => login).then(() => {
+            request = env.conn.request('stats');
+            return env.clock.advance(0);
+        }).then(() => {
+            env.server.send({type: 'msg', msg: {reply: env.server.received[1].id, count: 3}});
+            return env.clock.advance(0);
+        }).then(() => request).then(response => {
+            assert.deepStrictEqual(response, {requests: 3});
+        });
+    });
+
+    test.it('fails a request whose response cannot be transformed', t => {
+        let env = setup(t);
+        let outcomes = [];
+        env.conn.registerRequestType('broken', {build: () => ({request: 'broken'}), match: response => response.broken != null,
+            transform: () => {
+                throw new Error('no sense in it');
+            }});
+        env.conn.on('requestCompleted', info => outcomes.push(info.outcome));
+        let login = env.conn.login();
+        let request = null;
+        return env.clock.advance(0).then(() => login).then(() => {
+            request = settled(env.conn.request('broken'));
+            return env.clock.advance(0);
+        }).then(() => {
+            env.server.send({type: 'msg', msg: {reply: env.server.received[1].id, broken: true}});
+            return env.clock.advance(0);
+        }).then(() => {
+            assert.match(request.err.err, /broken response could not be transformed: no sense in it/);
+            assert.deepStrictEqual(outcomes, ['error']);
+            assert.strictEqual(env.conn.loggedIn, true);
+        });
+    });
+
+    test.it('fails a request still waiting for its reply when logged out', t => {
+        let env = setup(t);
+        let login = env.conn.login();
+        let request = null;
+        return env.clock.advance(0).then(() => login).then(() => {
+            request = settled(env.conn.request('count'));
+            return env.clock.advance(100);
+        }).then(() => env.conn.logout()).then(() => env.clock.advance(0)).then(() => {
+            assert.match(request.err.err, /Logged out of server/);
+            assert.strictEqual(env.conn.getStatus().pending.length, 0);
+        });
+    });
+
+    test.it('cancels a login still waiting for its answer when logged out or logged in again', t => {
+        let env = setup(t);
+        env.server.welcome = false;
+        let first = settled(env.conn.login());
+        let second = null;
+        return env.clock.advance(0).then(() => {
+            second = settled(env.conn.login());
+            return env.clock.advance(0);
+        }).then(() => {
+            assert.strictEqual(first.err.code, 'cancelled');
+            assert.strictEqual(second.done, false);
+            return env.conn.logout();
+        }).then(() => env.clock.advance(0)).then(() => {
+            assert.strictEqual(second.err.code, 'cancelled');
+            assert.match(second.err.message, /Logged out of server/);
+        });
+    });
+
+    test.it('stops reconnecting when logged out during a reconnect attempt', t => {
+        let env = setup(t);
+        let reconnects = [];
+        env.conn.on('reconnecting', () => reconnects.push(env.clock.now() - 1000000));
+        let login = env.conn.login();
+        return env.clock.advance(0).then(() => login).then(() => {
+            // the heartbeats never come, and the reconnect login isn't answered
+            env.server.welcome = false;
+            return env.clock.advance(2000 + 500);
+        }).then(() => {
+            assert.deepStrictEqual(reconnects, [2500]);
+            assert.strictEqual(env.memory.connections, 2);
+            return env.conn.logout();
+        }).then(() => env.clock.advance(120000)).then(() => {
+            // no more attempts are made, and nothing logs the connection back in
+            assert.deepStrictEqual(reconnects, [2500]);
+            assert.strictEqual(env.memory.connections, 2);
+            assert.strictEqual(env.conn.loggedIn, false);
+            assert.strictEqual(env.conn.getStatus().state, 'disconnected');
+        });
+    });
+
+});
\ No newline at end of file
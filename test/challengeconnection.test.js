@@ -0,0 +1,294 @@
+'use strict';
+/* 
+* Tests for the ChallengeConnection class, run against an in-process ChallengeMock server on loopback. Each
+* test starts its own mock server with the scenario it needs and tears everything down afterwards. Timeouts
+* and heartbeat windows are kept short so the suite runs quickly.
+*/
+
+/* Module imports */
+const test = require('node:test');
+const assert = require('node:assert');
+const ChallengeConnection = require('../challengeconnection.js');
+const ChallengeMock = require('../challengemock.js');
+const ChallengeLog = require('../challengelog.js');
+const ChallengeLoginError = require('../challengeerrors.js').ChallengeLoginError;
+/**********************************************************************/
+
+// nothing is logged, so no log file is ever opened
+const log = new ChallengeLog(null, {discard: true});
+
+function startMock(t, scenario) {
+/* 
+* Starts a mock server for a test and makes sure it is closed when the test ends.
+*/
+/// <summary>Start a mock server</summary>  
+/// <param name="t" type="Object">The test context</param>  
+/// <param name="scenario" type="Object">(Optional) Scenario for the mock server</param>  
+/// <returns type="Object" value="Promise">{mock, port}</returns>  
+
+    let mock = new ChallengeMock(Object.assign({heartbeatInterval: 50}, scenario));
+    t.after(() => mock.close());
+
+    return mock.listen(0).then(address => ({mock: mock, port: address.port}));
+
+}
+
+function connect(t, port, options) {
+/* 
+* Creates a connection to a mock server for a test with short timeouts, and makes sure it is logged out
+* when the test ends.
+*/
+/// <summary>Create a connection</summary>  
+/// <param name="t" type="Object">The test context</param>  
+/// <param name="port" type="Number">Mock server port</param>  
+/// <param name="options" type="Object">(Optional) Connection options overriding the test defaults</param>  
+/// <returns type="Object">ChallengeConnection instance</returns>  
+
+    let conn = new ChallengeConnection(port, '127.0.0.1', Object.assign({
+        log: log,
+        loginTimeout: 500,
+        heartbeatTimeout: 300,
+        requestTimeout: 500,
+        reconnect: {initialDelay: 20, jitter: 0, maxAttempts: 5}
+    }, options));
+    t.after(() => conn.logout());
+
+    return conn;
+
+}
+
+function nextEvent(emitter, name) {
+/* 
+* Waits for the next time an emitter emits an event.
+*/
+/// <summary>Wait for an event</summary>  
+/// <param name="emitter" type="Object">The EventEmitter</param>  
+/// <param name="name" type="String">Event name</param>  
+/// <returns type="Object" value="Promise">The event info</returns>  
+
+    return new Promise(resolve => emitter.once(name, resolve));
+
+}
+
+test.describe('login', () => {
+
+    test.it('logs in when the server welcomes the client', t => {
+        return startMock(t).then(server => {
+            let conn = connect(t, server.port);
+            let loggedIn = nextEvent(conn, 'loggedIn');
+            return conn.login().then(response => {
+                assert.strictEqual(response.err, null);
+                assert.strictEqual(response.results.loggedIn, true);
+                assert.strictEqual(conn.loggedIn, true);
+                return loggedIn;
+            }).then(info => {
+                assert.strictEqual(info.loginName, 'coder1');
+                assert.strictEqual(conn.getStatus().state, 'connected');
+            });
+        });
+    });
+
+    test.it('rejects a refused login with a rejected login error', t => {
+        return startMock(t, {login: 'refuse'}).then(server => {
+            let conn = connect(t, server.port);
+            return assert.rejects(conn.login(), err => {
+                assert.ok(err instanceof ChallengeLoginError);
+                assert.strictEqual(err.code, 'rejected');
+                assert.strictEqual(conn.loggedIn, false);
+                return true;
+            });
+        });
+    });
+
+    test.it('rejects an unanswered login with a timeout and stays logged out', t => {
+        return startMock(t, {login: 'ignore'}).then(server => {
+            let conn = connect(t, server.port, {loginTimeout: 100});
+            return assert.rejects(conn.login(), err => {
+                assert.strictEqual(err.code, 'timeout');
+                return true;
+            }).then(() => {
+                // nothing from the failed login may carry on once it has been rejected
+                return new Promise(resolve => setTimeout(resolve, 150));
+            }).then(() => {
+                assert.strictEqual(conn.loggedIn, false);
+                assert.strictEqual(conn.reset, false);
+                assert.strictEqual(server.mock.clients, 0);
+            });
+        });
+    });
+
+    test.it('rejects a login when nothing is listening with a connection error', t => {
+        return startMock(t).then(server => {
+            // free the port up again so the connection is refused
+            return server.mock.close().then(() => server.port);
+        }).then(port => {
+            let conn = connect(t, port);
+            return assert.rejects(conn.login(), err => {
+                assert.strictEqual(err.code, 'connection');
+                return true;
+            });
+        });
+    });
+
+});
+
+test.describe('requests', () => {
+
+    test.it('returns count and time replies', t => {
+        return startMock(t, {}).then(server => {
+            let conn = connect(t, server.port);
+            return conn.login().then(() => conn.request('count')).then(response => {
+                assert.deepStrictEqual(response, {count: 1});
+                return conn.request('time');
+            }).then(response => {
+                assert.strictEqual(typeof response.time, 'string');
+                assert.strictEqual(typeof response.number, 'number');
+            });
+        });
+    });
+
+    test.it('matches replies which arrive out of order', t => {
+        return startMock(t, {replies: [{nth: 1, delay: 150}]}).then(server => {
+            let conn = connect(t, server.port);
+            let order = [];
+            return conn.login().then(() => Promise.all([
+                conn.request('count').then(response => order.push(['first', response.count])),
+                conn.request('time').then(() => order.push(['second']))
+            ])).then(() => {
+                assert.deepStrictEqual(order, [['second'], ['first', 2]]);
+            });
+        });
+    });
+
+    test.it('times out a request which is never answered', t => {
+        return startMock(t, {replies: [{nth: 1, drop: true}]}).then(server => {
+            let conn = connect(t, server.port);
+            let timedOut = nextEvent(conn, 'requestTimedOut');
+            let completed = nextEvent(conn, 'requestCompleted');
+            return conn.login().then(() => {
+                return assert.rejects(conn.request('count', null, {timeout: 100}), err => /timeout/i.test(err.err));
+            }).then(() => Promise.all([timedOut, completed])).then(infos => {
+                assert.strictEqual(infos[0].type, 'count');
+                assert.strictEqual(infos[1].outcome, 'timeout');
+                assert.strictEqual(conn.getStatus().pending.length, 0);
+                assert.strictEqual(conn.loggedIn, true);
+            });
+        });
+    });
+
+});
+
+test.describe('heartbeat reset', () => {
+
+    test.it('resets and logs in again when the heartbeats stop', t => {
+        return startMock(t, {connections: [{dropouts: [{at: 100}]}]}).then(server => {
+            let conn = connect(t, server.port);
+            let started = nextEvent(conn, 'resetStarted');
+            let complete = nextEvent(conn, 'resetComplete');
+            return conn.login().then(() => started).then(() => {
+                assert.strictEqual(conn.getStatus().state, 'resetting');
+                return complete;
+            }).then(info => {
+                assert.strictEqual(info.attempts, 1);
+                assert.strictEqual(conn.loggedIn, true);
+                assert.strictEqual(conn.getStatus().resets, 1);
+                // the new connection works
+                return conn.request('count');
+            }).then(response => {
+                assert.strictEqual(response.count, 1);
+            });
+        });
+    });
+
+    test.it('fails a pending request cut off by a reset', t => {
+        return startMock(t, {connections: [{dropouts: [{at: 0}], replies: [{drop: true}]}]}).then(server => {
+            let conn = connect(t, server.port, {requestTimeout: 2000});
+            let completed = nextEvent(conn, 'requestCompleted');
+            return conn.login().then(() => {
+                return assert.rejects(conn.request('count'), err => /reset/i.test(err.err));
+            }).then(() => completed).then(info => {
+                assert.strictEqual(info.outcome, 'reset');
+            });
+        });
+    });
+
+    test.it('sends a retried request again after the reset', t => {
+        return startMock(t, {connections: [{dropouts: [{at: 0}], replies: [{drop: true}]}]}).then(server => {
+            let conn = connect(t, server.port, {requestTimeout: 2000});
+            return conn.login().then(() => conn.request('count', null, {retry: true})).then(response => {
+                // the mock only counts the requests it answers, so the retried request is the first it counts
+                assert.strictEqual(response.count, 1);
+                assert.strictEqual(conn.getStatus().resets, 1);
+            });
+        });
+    });
+
+});
+
+test.describe('malformed input', () => {
+
+    test.it('ignores garbage, non-JSON lines and replies with the wrong id', t => {
+        return startMock(t, {
+            replies: [{nth: 1, id: 'wrong'}],
+            events: [{at: 0, send: ['not json at all\n', {type: 'mystery'}, {no: 'type'}, {type: 'msg', msg: {weird: true}}]}]
+        }).then(server => {
+            let conn = connect(t, server.port);
+            let reasons = [];
+            conn.on('unrecognizedMessage', info => reasons.push(info.reason));
+            return conn.login().then(() => {
+                return assert.rejects(conn.request('count', null, {timeout: 150}), err => /timeout/i.test(err.err));
+            }).then(() => {
+                assert.ok(reasons.indexOf('invalidJson') !== -1);
+                assert.ok(reasons.indexOf('unknownType') !== -1);
+                assert.ok(reasons.indexOf('noType') !== -1);
+                assert.ok(reasons.indexOf('unknownResponse') !== -1);
+                // none of it costs the connection
+                assert.strictEqual(conn.loggedIn, true);
+                return conn.request('count');
+            }).then(response => {
+                assert.strictEqual(response.count, 2);
+            });
+        });
+    });
+
+    test.it('reassembles replies split across packets and merged into one', t => {
+        return startMock(t, {replies: [{nth: 1, split: [3, 17, 40]}, {nth: 2, coalesce: true}]}).then(server => {
+            let conn = connect(t, server.port);
+            return conn.login().then(() => conn.request('count')).then(response => {
+                assert.strictEqual(response.count, 1);
+                // the second reply goes out in the same packet as the next heartbeat
+                return conn.request('count');
+            }).then(response => {
+                assert.strictEqual(response.count, 2);
+            });
+        });
+    });
+
+});
+
+test.describe('logout', () => {
+
+    test.it('closes the connection and fails held requests', t => {
+        return startMock(t, {replies: [{drop: true}]}).then(server => {
+            let conn = connect(t, server.port);
+            let unanswered = null;
+            return conn.login().then(() => {
+                // the mock never answers this request, so it is still waiting when we log out
+                unanswered = assert.rejects(conn.request('count'), err => /logged out/i.test(err.err));
+                return nextEvent(server.mock, 'request');
+            }).then(() => {
+                let closed = nextEvent(server.mock, 'clientClosed');
+                return conn.logout().then(response => {
+                    assert.strictEqual(response.results.loggedIn, false);
+                    return Promise.all([closed, unanswered]);
+                });
+            }).then(() => {
+                let status = conn.getStatus();
+                assert.strictEqual(status.state, 'disconnected');
+                assert.strictEqual(status.pending.length, 0);
+                return assert.rejects(conn.request('count'), err => /not logged in/i.test(err.err));
+            });
+        });
+    });
+
+});
\ No newline at end of file
@@ -0,0 +1,213 @@
+'use strict';
+/* 
+* Tests for picking and failing over between server endpoints: the ChallengeEndpoints class on its own with a
+* virtual clock, and a ChallengeConnection given several endpoints on an in-memory transport, where each test
+* plays the servers by hand and decides which of them welcome a login.
+*/
+
+/* Module imports */
+const test = require('node:test');
+const assert = require('node:assert');
+const ChallengeConnection = require('../challengeconnection.js');
+const ChallengeEndpoints = require('../challengeendpoints.js');
+const ChallengeMemoryTransport = require('../challengememorytransport.js');
+const ChallengeVirtualClock = require('../challengevirtualclock.js');
+const ChallengeLog = require('../challengelog.js');
+/**********************************************************************/
+
+// nothing is logged, so no log file is ever opened
+const log = new ChallengeLog(null, {discard: true});
+
+const servers = [{ip: '10.0.0.1', port: 3001}, {ip: '10.0.0.2', port: 3001}, {ip: '10.0.0.3', port: 3002}];
+
+function picks(endpoints, count) {
+/* 
+* Picks endpoints a number of times and lists where each pick went.
+*/
+/// <summary>Pick endpoints</summary>  
+/// <param name="endpoints" type="Object">ChallengeEndpoints instance</param>  
+/// <param name="count" type="Number">Number of picks</param>  
+/// <returns type="Array">ip of each endpoint picked</returns>  
+
+    let ips = [];
+
+    for (let ndx = 0; ndx < count; ndx++) {
+        ips.push(endpoints.next().ip);
+    }
+
+    return ips;
+
+}
+
+function setup(t, failover) {
+/* 
+* Creates a connection with the test endpoints on an in-memory transport and virtual clock, along with the hand
+* played servers. Every server welcomes logins and sends no heartbeats unless the test says otherwise.
+*/
+/// <summary>Create a connection to several in-memory servers</summary>  
+/// <param name="t" type="Object">The test context</param>  
+/// <param name="failover" type="Object">(Optional) Failover settings for the connection</param>  
+/// <returns type="Object">{conn, clock, memory, connected, refuse}, connected lists the ip of each connection made</returns>  
+
+    let clock = new ChallengeVirtualClock(1000000);
+    let memory = new ChallengeMemoryTransport();
+    let env = {clock: clock, memory: memory, connected: [], refuse: new Set()};
+
+    memory.on('connection', info => {
+        env.connected.push(info.ip);
+        info.socket.on('data', buffer => {
+            let msg = JSON.parse(String(buffer));
+            if (msg.name != null) {
+                info.socket.write(JSON.stringify(env.refuse.has(info.ip) ? {type: 'rejected', msg: 'Not today'} : {type: 'welcome', msg: `Welcome ${msg.name}`}));
+            }
+        });
+    });
+
+    env.conn = new ChallengeConnection(null, null, {
+        log: log,
+        transport: (port, ip) => memory.connect(port, ip),
+        clock: clock,
+        endpoints: servers,
+        failover: failover,
+        reconnect: {jitter: 0}
+    });
+    t.after(() => env.conn.logout());
+
+    return env;
+
+}
+
+function login(env) {
+/* 
+* Logs in and lets the in-memory servers answer.
+*/
+/// <summary>Login through the in-memory transport</summary>  
+/// <param name="env" type="Object">The test setup</param>  
+/// <returns type="Object" value="Promise">The login outcome, {response} or {err}</returns>  
+
+    let outcome = env.conn.login().then(response => ({response: response}), err => ({err: err}));
+
+    return env.clock.advance(0).then(() => outcome);
+
+}
+
+test.describe('endpoint selection', () => {
+
+    test.it('picks the first healthy endpoint by priority and goes back to it after its cooldown', () => {
+        let clock = new ChallengeVirtualClock();
+        let endpoints = new ChallengeEndpoints(servers, {maxFailures: 2, cooldown: 1000}, clock);
+        assert.deepStrictEqual(picks(endpoints, 2), ['10.0.0.1', '10.0.0.1']);
+        assert.strictEqual(endpoints.failed(0), false);
+        assert.strictEqual(endpoints.failed(0), true);
+        assert.deepStrictEqual(picks(endpoints, 2), ['10.0.0.2', '10.0.0.2']);
+        assert.deepStrictEqual(endpoints.status().map(endpoint => endpoint.cooldown), [1000, null, null]);
+        return clock.advance(1000).then(() => {
+            assert.deepStrictEqual(picks(endpoints, 1), ['10.0.0.1']);
+            assert.strictEqual(endpoints.status()[0].healthy, true);
+        });
+    });
+
+    test.it('only counts failures within the failure window', () => {
+        let clock = new ChallengeVirtualClock();
+        let endpoints = new ChallengeEndpoints(servers, {maxFailures: 2, failureWindow: 500}, clock);
+        endpoints.failed(0);
+        return clock.advance(500).then(() => {
+            assert.strictEqual(endpoints.failed(0), false);
+            assert.strictEqual(endpoints.status()[0].failures, 1);
+            assert.strictEqual(endpoints.failed(0), true);
+        });
+    });
+
+    test.it('goes round the healthy endpoints in turn', () => {
+        let endpoints = new ChallengeEndpoints(servers, {strategy: 'roundRobin', maxFailures: 1}, new ChallengeVirtualClock());
+        assert.deepStrictEqual(picks(endpoints, 4), ['10.0.0.1', '10.0.0.2', '10.0.0.3', '10.0.0.1']);
+        endpoints.failed(1);
+        assert.deepStrictEqual(picks(endpoints, 3), ['10.0.0.3', '10.0.0.1', '10.0.0.3']);
+    });
+
+    test.it('picks only healthy endpoints at random', () => {
+        let endpoints = new ChallengeEndpoints(servers, {strategy: 'random', maxFailures: 1}, new ChallengeVirtualClock());
+        endpoints.failed(0);
+        endpoints.failed(2);
+        assert.deepStrictEqual(picks(endpoints, 10), new Array(10).fill('10.0.0.2'));
+    });
+
+    test.it('picks the endpoint back soonest when every endpoint is unhealthy', () => {
+        let clock = new ChallengeVirtualClock();
+        let endpoints = new ChallengeEndpoints(servers.slice(0, 2), {maxFailures: 1, cooldown: 1000}, clock);
+        endpoints.failed(1);
+        return clock.advance(100).then(() => {
+            endpoints.failed(0);
+            assert.deepStrictEqual(picks(endpoints, 1), ['10.0.0.2']);
+        });
+    });
+
+    test.it('rejects endpoints and settings which cannot be used', () => {
+        assert.throws(() => new ChallengeEndpoints([]), /at least one/);
+        assert.throws(() => new ChallengeEndpoints([{ip: '10.0.0.1', port: 0}]), /port from 1 to 65535/);
+        assert.throws(() => new ChallengeEndpoints(servers, {strategy: 'fastest'}), /strategy must be one of/);
+        assert.throws(() => new ChallengeEndpoints(servers, {maxFailures: 0}), /maxFailures/);
+        assert.throws(() => new ChallengeEndpoints(servers, {cooldown: -1}), /cooldown/);
+    });
+
+});
+
+test.describe('connection failover', () => {
+
+    test.it('connects to the first endpoint and reports it in the login result', t => {
+        let env = setup(t);
+        return login(env).then(outcome => {
+            assert.deepStrictEqual(outcome.response.results, {ip: '10.0.0.1', port: 3001, loggedIn: true});
+            assert.deepStrictEqual(env.connected, ['10.0.0.1']);
+        });
+    });
+
+    test.it('fails over to the next endpoint after repeated login failures', t => {
+        let env = setup(t, {maxFailures: 2});
+        let unhealthy = [];
+        env.conn.on('endpointUnhealthy', info => unhealthy.push(info));
+        env.refuse.add('10.0.0.1');
+        return login(env).then(outcome => {
+            assert.strictEqual(outcome.err.code, 'rejected');
+            return login(env);
+        }).then(outcome => {
+            assert.strictEqual(outcome.err.code, 'rejected');
+            assert.deepStrictEqual(unhealthy, [{ip: '10.0.0.1', port: 3001, reason: 'login', cooldown: 30000}]);
+            return login(env);
+        }).then(outcome => {
+            assert.deepStrictEqual(outcome.response.results, {ip: '10.0.0.2', port: 3001, loggedIn: true});
+            assert.deepStrictEqual(env.connected, ['10.0.0.1', '10.0.0.1', '10.0.0.2']);
+            assert.deepStrictEqual(env.conn.getStatus().endpoints.map(endpoint => endpoint.healthy), [false, true, true]);
+        });
+    });
+
+    test.it('fails over when the connection is reset after a heartbeat dropout', t => {
+        let env = setup(t, {maxFailures: 1});
+        let complete = null;
+        env.conn.once('resetComplete', info => {
+            complete = info;
+        });
+        return login(env).then(() => {
+            // no heartbeats come, so the heartbeat window runs out and the reconnect policy's first delay follows
+            return env.clock.advance(2000 + 500);
+        }).then(() => {
+            assert.deepStrictEqual(complete, {ip: '10.0.0.2', port: 3001, attempts: 1, failover: true});
+            assert.strictEqual(env.conn.connIp, '10.0.0.2');
+            assert.strictEqual(env.conn.loggedIn, true);
+            assert.deepStrictEqual(env.connected, ['10.0.0.1', '10.0.0.2']);
+        });
+    });
+
+    test.it('reconnects to the same endpoint while it has not had too many failures', t => {
+        let env = setup(t);
+        let complete = null;
+        env.conn.once('resetComplete', info => {
+            complete = info;
+        });
+        return login(env).then(() => env.clock.advance(2000 + 500)).then(() => {
+            assert.deepStrictEqual(complete, {ip: '10.0.0.1', port: 3001, attempts: 1, failover: false});
+            assert.deepStrictEqual(env.conn.getStatus().endpoints[0], {ip: '10.0.0.1', port: 3001, healthy: true, failures: 1, cooldown: null});
+        });
+    });
+
+});
\ No newline at end of file
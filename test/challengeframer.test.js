@@ -0,0 +1,39 @@
+'use strict';
+/* 
+* Tests for the ChallengeFramer class, fed chunks by hand as if they had arrived on the socket.
+*/
+
+/* Module imports */
+const test = require('node:test');
+const assert = require('node:assert');
+const ChallengeFramer = require('../challengeframer.js');
+/**********************************************************************/
+
+test.describe('framing', () => {
+
+    test.it('joins a msg split across chunks and splits msgs sharing a chunk', () => {
+        let framer = new ChallengeFramer();
+        assert.deepStrictEqual(framer.push('{"type":"heart').frames, []);
+        assert.deepStrictEqual(framer.push('beat"}\n{"type":"a"}\n{"type":"b"}').frames,
+            ['{"type":"heartbeat"}', '{"type":"a"}', '{"type":"b"}']);
+        assert.strictEqual(framer.pending(), 0);
+    });
+
+    test.it('drops the whole of an oversize frame, including the part after it was found to be too big', () => {
+        let framer = new ChallengeFramer(20);
+        let first = framer.push('{"type":"msg","msg":"' + 'x'.repeat(30));
+        assert.deepStrictEqual(first.frames, []);
+        assert.strictEqual(first.errors.length, 1);
+        assert.deepStrictEqual(framer.push('y'.repeat(10)), {frames: [], errors: []});
+        // the end of the dropped frame is not passed on as a frame of its own
+        assert.deepStrictEqual(framer.push('zz"}\n{"type":"heartbeat"}\n'), {frames: ['{"type":"heartbeat"}'], errors: []});
+    });
+
+    test.it('stops skipping a dropped frame when reset', () => {
+        let framer = new ChallengeFramer(20);
+        framer.push('x'.repeat(30));
+        framer.reset();
+        assert.deepStrictEqual(framer.push('{"type":"heartbeat"}\n').frames, ['{"type":"heartbeat"}']);
+    });
+
+});
\ No newline at end of file
@@ -0,0 +1,194 @@
+'use strict';
+/* 
+* Tests for the ChallengeLoad class, run in memory: every session connects through a ChallengeMemoryTransport
+* to a hand played server on a ChallengeVirtualClock, so a load of several seconds runs in a few ms and the
+* latencies, timeouts and reconnect times it reports are exact.
+*/
+
+/* Module imports */
+const test = require('node:test');
+const assert = require('node:assert');
+const ChallengeLoad = require('../challengeload.js');
+const ChallengeMemoryTransport = require('../challengememorytransport.js');
+const ChallengeVirtualClock = require('../challengevirtualclock.js');
+const ChallengeLog = require('../challengelog.js');
+/**********************************************************************/
+
+// nothing is logged, so no log file is ever opened
+const log = new ChallengeLog(null, {discard: true});
+
+function setup(t, options) {
+/* 
+* Creates a load on an in-memory transport and virtual clock, along with the hand played server. The server
+* welcomes every login, sends heartbeats every second and answers each request after the reply delay, except
+* for the login names the test refuses, drops the requests of or stops the heartbeats of.
+*/
+/// <summary>Create an in-memory load and server</summary>  
+/// <param name="t" type="Object">The test context</param>  
+/// <param name="options" type="Object">(Optional) Load options overriding the test defaults</param>  
+/// <returns type="Object">{load, clock, server}, server is {logins, requests, replyDelay, refuse, drop, silent}</returns>  
+
+    let clock = new ChallengeVirtualClock(1000000);
+    let memory = new ChallengeMemoryTransport();
+    let server = {logins: [], requests: 0, replyDelay: 50, refuse: new Set(), drop: new Set(), silent: new Set()};
+
+    memory.on('connection', info => {
+        let name = null;
+        let beat = clock.setInterval(() => {
+            if (name !== null && !server.silent.has(name) && !info.socket.destroyed) {
+                info.socket.write(JSON.stringify({type: 'heartbeat'}));
+            }
+        }, 1000);
+        t.after(() => clock.clearInterval(beat));
+        info.socket.on('data', buffer => {
+            let msg = JSON.parse(String(buffer));
+            if (msg.name != null) {
+                name = msg.name;
+                server.logins.push(name);
+                info.socket.write(JSON.stringify(server.refuse.has(name) ? {type: 'rejected', msg: 'Not today'} : {type: 'welcome', msg: `Welcome ${name}`}));
+            } else if (msg.request != null) {
+                server.requests++;
+                if (!server.drop.has(name)) {
+                    clock.setTimeout(() => {
+                        if (!info.socket.destroyed) {
+                            let body = (msg.request === 'time' ? {time: new Date(clock.now()).toString(), random: 7} : {count: server.requests});
+                            info.socket.write(JSON.stringify({type: 'msg', msg: Object.assign({reply: msg.id}, body)}));
+                        }
+                    }, server.replyDelay);
+                }
+            }
+        });
+    });
+
+    let load = new ChallengeLoad(Object.assign({
+        sessions: 4,
+        rate: 8,
+        duration: 2000,
+        port: 3001,
+        ip: '10.0.0.1',
+        clock: clock,
+        connection: {
+            log: log,
+            transport: (port, ip) => memory.connect(port, ip),
+            reconnect: {jitter: 0}
+        }
+    }, options));
+
+    return {load: load, clock: clock, server: server};
+
+}
+
+function run(env) {
+/* 
+* Runs the load, moving the virtual clock on until it has finished.
+*/
+/// <summary>Run a load on the virtual clock</summary>  
+/// <param name="env" type="Object">The test setup</param>  
+/// <returns type="Object" value="Promise">The load report</returns>  
+
+    let report = null;
+    let done = env.load.run().then(result => {
+        report = result;
+    });
+
+    let step = () => (report !== null ? report : env.clock.advance(100).then(step));
+
+    return env.clock.advance(0).then(step).then(result => done.then(() => result));
+
+}
+
+test.describe('load runs', () => {
+
+    test.it('logs every session in under its own name and spreads the requests out at the rate', t => {
+        let env = setup(t);
+        return run(env).then(report => {
+            assert.deepStrictEqual(env.server.logins, ['bench1', 'bench2', 'bench3', 'bench4']);
+            // 8 requests/s shared by 4 sessions is one request from each session every 500 ms for 2000 ms
+            assert.strictEqual(env.server.requests, 16);
+            assert.deepStrictEqual(report.sessions.map(session => session.sent), [4, 4, 4, 4]);
+            assert.deepStrictEqual(report.sessions.map(session => session.name), ['bench1', 'bench2', 'bench3', 'bench4']);
+            assert.strictEqual(report.total.sent, 16);
+            assert.strictEqual(report.total.ok, 16);
+            assert.deepStrictEqual(report.total.outcomes, {ok: 16});
+            assert.deepStrictEqual(report.total.latency, {min: 50, mean: 50, p50: 50, p90: 50, p95: 50, p99: 50, max: 50});
+            assert.strictEqual(report.total.loginFailures, 0);
+            assert.strictEqual((report.total.types.count || 0) + (report.total.types.time || 0), 16);
+        });
+    });
+
+    test.it('makes only the request types in the mix', t => {
+        let env = setup(t, {mix: {count: 1, time: 0}, userPrefix: 'load'});
+        return run(env).then(report => {
+            assert.deepStrictEqual(env.server.logins, ['load1', 'load2', 'load3', 'load4']);
+            assert.deepStrictEqual(report.total.types, {count: 16});
+        });
+    });
+
+    test.it('reports the latency percentiles by nearest rank', t => {
+        let env = setup(t, {sessions: 1, rate: 10, duration: 1000});
+        let delays = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+        // each request is answered more slowly than the one before
+        let request = 0;
+        Object.defineProperty(env.server, 'replyDelay', {get: () => delays[request++ % delays.length]});
+        return run(env).then(report => {
+            assert.deepStrictEqual(report.sessions[0].latency, {min: 10, mean: 55, p50: 50, p90: 90, p95: 100, p99: 100, max: 100});
+            assert.strictEqual(report.sessions[0].throughput, Math.round(10 / report.elapsed * 1000 * 100) / 100);
+        });
+    });
+
+    test.it('waits for unanswered requests to time out and counts them', t => {
+        let env = setup(t, {sessions: 2, rate: 2, duration: 2000});
+        env.server.drop.add('bench2');
+        return run(env).then(report => {
+            assert.deepStrictEqual(report.sessions[0].outcomes, {ok: 2});
+            assert.deepStrictEqual(report.sessions[1].outcomes, {timeout: 2});
+            assert.strictEqual(report.sessions[1].timeouts, 2);
+            assert.strictEqual(report.sessions[1].latency.p50, null);
+            assert.strictEqual(report.total.timeouts, 2);
+            // the last request was made at 1500 ms and timed out 5000 ms later
+            assert.strictEqual(report.elapsed, 6500);
+        });
+    });
+
+    test.it('reports resets and how long each reconnect took', t => {
+        let env = setup(t, {sessions: 2, rate: 4, duration: 3000});
+        env.server.silent.add('bench1');
+        return run(env).then(report => {
+            assert.ok(report.sessions[0].resets >= 1);
+            assert.strictEqual(report.sessions[0].reconnect.count, report.sessions[0].resets);
+            // the reconnect policy's first delay
+            assert.strictEqual(report.sessions[0].reconnect.max, 500);
+            // the request made as the connection reset waited for the reconnect, which its latency leaves out
+            assert.strictEqual(report.sessions[0].latency.max, 50);
+            assert.strictEqual(report.sessions[1].resets, 0);
+            assert.strictEqual(report.sessions[1].reconnect.mean, null);
+            assert.strictEqual(report.total.resets, report.sessions[0].resets);
+        });
+    });
+
+    test.it('reports sessions which cannot login without making requests for them', t => {
+        let env = setup(t, {sessions: 3, rate: 3, duration: 1000});
+        env.server.refuse.add('bench2');
+        return run(env).then(report => {
+            assert.strictEqual(report.total.loginFailures, 1);
+            assert.strictEqual(report.sessions[1].sent, 0);
+            assert.match(report.sessions[1].loginError, /Not today/);
+            assert.strictEqual(report.sessions[0].loginError, null);
+            assert.strictEqual(report.sessions[0].loginTime, 0);
+            assert.strictEqual(report.total.sent, 2);
+        });
+    });
+
+    test.it('rejects load settings which cannot be used', () => {
+        assert.throws(() => new ChallengeLoad({sessions: 0}), /sessions must be an integer/);
+        assert.throws(() => new ChallengeLoad({rate: 0}), /rate must be/);
+        assert.throws(() => new ChallengeLoad({rate: Infinity}), /rate must be/);
+        assert.throws(() => new ChallengeLoad({duration: -1}), /duration must be/);
+        assert.throws(() => new ChallengeLoad({duration: Infinity}), /duration must be/);
+        assert.throws(() => new ChallengeLoad({mix: {count: 0}}), /mix must give/);
+        assert.throws(() => new ChallengeLoad({mix: {count: Infinity}}), /mix must give/);
+        assert.throws(() => new ChallengeLoad({mix: {count: 1, cnt: 1}}), /request types the connection doesn't know: cnt \(known: count, time\)/);
+        assert.throws(() => new ChallengeLoad({userPrefix: ''}), /userPrefix/);
+    });
+
+});
\ No newline at end of file
@@ -0,0 +1,145 @@
+'use strict';
+/* 
+* Tests for the ChallengeLogAnalyzer class and the challengelogtool.js log analysis tool, fed app logs written by
+* hand in the app's text format. The tool is run as a child process on a log file in the temp directory.
+*/
+
+/* Module imports */
+const test = require('node:test');
+const assert = require('node:assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChallengeLogAnalyzer = require('../challengeloganalyzer.js');
+/**********************************************************************/
+
+const toolFile = path.join(__dirname, '..', 'challengelogtool.js');
+
+// a session with a count request answered in one chunk, a time request whose reply was split across two chunks,
+// and a count request which timed out before its reply turned up
+const sessionLog = [
+    '1000 - info app Logging into server at IP: 10.0.0.1, Port: 3001',
+    '1005 - debug connection Connected to server at IP: 10.0.0.1, Port: 3001',
+    '1010 < debug connection {"type":"heartbeat"} {"session":"s1"}',
+    '1100 > debug connection {"request":"count","id":"c-s1-1"} {"msgId":"c-s1-1","type":"count","session":"s1"}',
+    '1130 < debug connection {"type":"msg","msg":{"reply":"c-s1-1","count":7}} {"session":"s1"}',
+    '1130 - debug connection Pending request found for count response with msgId: c-s1-1 {"msgId":"c-s1-1","type":"count"}',
+    '1200 > debug connection {"request":"time","id":"c-s1-2"} {"msgId":"c-s1-2","type":"time","session":"s1"}',
+    '1240 < debug connection {"type":"msg","msg":{"rep {"session":"s1"}',
+    '1250 < debug connection ly":"c-s1-2","time":"Thu","random":3}} {"session":"s1"}',
+    '1250 - debug connection Pending request found for time response with msgId: c-s1-2 {"msgId":"c-s1-2","type":"time"}',
+    '1300 > debug connection {"request":"count","id":"c-s1-3"} {"msgId":"c-s1-3","type":"count","session":"s1"}',
+    '2010 < debug connection {"type":"heartbeat"} {"session":"s1"}',
+    '6300 ! warn connection Request timeout - msgId: c-s1-3 {"msgId":"c-s1-3","type":"count","outcome":"timeout"}',
+    '6400 < debug connection {"type":"msg","msg":{"reply":"c-s1-3","count":8}} {"session":"s1"}',
+    '6400 ! warn connection No matching count request found for response with msgId: c-s1-3 {"msgId":"c-s1-3","type":"count"}',
+    '7010 < debug connection {"type":"heartbeat"} {"session":"s1"}'
+].join('\n') + '\n';
+
+function writeLog(t, text) {
+/* 
+* Writes a log file for the tool to read, and makes sure it is removed when the test ends.
+*/
+/// <summary>Write a temporary log file</summary>  
+/// <param name="t" type="Object">The test context</param>  
+/// <param name="text" type="String">The log text</param>  
+/// <returns type="String">Path of the log file</returns>  
+
+    let file = path.join(os.tmpdir(), `challengeloganalyzer-test-${process.pid}-${Date.now()}.log`);
+
+    fs.writeFileSync(file, text);
+    t.after(() => fs.unlinkSync(file));
+
+    return file;
+
+}
+
+function heartbeatLog(count) {
+/* 
+* Builds a log of nothing but heartbeats a second apart, with one late one at the end.
+*/
+/// <summary>Build a log of heartbeats</summary>  
+/// <param name="count" type="Number">Number of heartbeats</param>  
+/// <returns type="String">The log text</returns>  
+
+    let lines = [];
+
+    for (var i = 0; i < count; i++) {
+        lines.push(`${1000000 + i * 1000 + (i === count - 1 ? 1500 : 0)} < debug connection {"type":"heartbeat"} {"session":"s1"}`);
+    }
+
+    return lines.join('\n') + '\n';
+
+}
+
+test.describe('log analysis', () => {
+
+    test.it('traces each request by msg id with its latency and outcome', () => {
+        let analyzer = new ChallengeLogAnalyzer();
+        let requests = analyzer.requests(analyzer.parse(sessionLog));
+        assert.deepStrictEqual(requests.map(req => [req.msgId, req.type, req.outcome, req.latency]), [
+            ['c-s1-1', 'count', 'ok', 30],
+            ['c-s1-2', 'time', 'ok', 50],
+            ['c-s1-3', 'count', 'timeout', null]
+        ]);
+        assert.strictEqual(requests[0].session, 's1');
+        assert.match(requests[2].events[requests[2].events.length - 2].what, /^received late/);
+    });
+
+    test.it('counts a reply split across received chunks as answered when it is matched', () => {
+        let analyzer = new ChallengeLogAnalyzer();
+        let req = analyzer.requests(analyzer.parse(sessionLog)).filter(request => request.msgId === 'c-s1-2')[0];
+        assert.strictEqual(req.outcome, 'ok');
+        assert.strictEqual(req.received, 1250);
+        assert.deepStrictEqual(req.events.map(event => event.symbol), ['>', '-']);
+    });
+
+    test.it('summarises the heartbeat gaps of a long log', () => {
+        let analyzer = new ChallengeLogAnalyzer();
+        let heartbeats = analyzer.heartbeats(analyzer.parse(heartbeatLog(250000)));
+        assert.strictEqual(heartbeats.count, 249999);
+        assert.strictEqual(heartbeats.min, 1000);
+        assert.strictEqual(heartbeats.max, 2500);
+        assert.deepStrictEqual(heartbeats.late, [{time: 1000000 + 249999 * 1000 + 1500, gap: 2500}]);
+    });
+
+    test.it('filters entries by time, type and msg id', () => {
+        let analyzer = new ChallengeLogAnalyzer();
+        let entries = analyzer.parse(sessionLog);
+        assert.strictEqual(analyzer.filter(entries, {symbols: '!'}).length, 2);
+        assert.strictEqual(analyzer.filter(entries, {from: 1200, to: 1250, symbols: '<'}).length, 2);
+        assert.deepStrictEqual(analyzer.filter(entries, {msgId: 'c-s1-1'}).map(entry => entry.time), [1100, 1130, 1130]);
+    });
+
+});
+
+test.describe('log tool', () => {
+
+    test.it('prints the request timelines, resets and heartbeat gaps', t => {
+        let file = writeLog(t, sessionLog);
+        let run = childProcess.spawnSync(process.execPath, [toolFile, file], {encoding: 'utf8', timeout: 30000});
+        assert.strictEqual(run.status, 0);
+        assert.match(run.stdout, /^Requests: 3$/m);
+        assert.match(run.stdout, /^c-s1-2 time - ok, 50 ms, session s1$/m);
+        assert.match(run.stdout, /^Outcomes: ok 2, timeout 1$/m);
+        assert.match(run.stdout, /^Resets: 0$/m);
+        assert.match(run.stdout, /^Heartbeat gaps: 2, min 1000 ms, mean 3000 ms, max 5000 ms$/m);
+    });
+
+    test.it('summarises a log with a large number of heartbeats', t => {
+        let file = writeLog(t, heartbeatLog(250000));
+        let run = childProcess.spawnSync(process.execPath, [toolFile, file], {encoding: 'utf8', timeout: 60000});
+        assert.strictEqual(run.stderr, '');
+        assert.strictEqual(run.status, 0);
+        assert.match(run.stdout, /^Heartbeat gaps: 249999, min 1000 ms, mean 1000 ms, max 2500 ms$/m);
+        assert.match(run.stdout, /^Gaps over 2000 ms: 1$/m);
+    });
+
+    test.it('ends with a problem for an option it does not know', () => {
+        let run = childProcess.spawnSync(process.execPath, [toolFile, '--colour', 'red'], {encoding: 'utf8', timeout: 30000});
+        assert.strictEqual(run.status, 1);
+        assert.match(run.stdout, /Unknown command line argument: --colour/);
+    });
+
+});
\ No newline at end of file
@@ -0,0 +1,181 @@
+'use strict';
+/* 
+* Tests for the ChallengeMetrics class. The metrics are collected from a connection run in memory on a
+* ChallengeVirtualClock against a hand played server, so the latencies and reconnects they count are exact, and
+* the Prometheus text is checked as rendered and as served over http.
+*/
+
+/* Module imports */
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const ChallengeMetrics = require('../challengemetrics.js');
+const ChallengeConnection = require('../challengeconnection.js');
+const ChallengeMemoryTransport = require('../challengememorytransport.js');
+const ChallengeVirtualClock = require('../challengevirtualclock.js');
+const ChallengeLog = require('../challengelog.js');
+/**********************************************************************/
+
+// nothing is logged, so no log file is ever opened
+const log = new ChallengeLog(null, {discard: true});
+
+function setup(t, options) {
+/* 
+* Creates the metrics for a connection on an in-memory transport and virtual clock, along with a hand played
+* server which welcomes every login and keeps the msgs it receives.
+*/
+/// <summary>Create metrics for an in-memory connection</summary>  
+/// <param name="t" type="Object">The test context</param>  
+/// <param name="options" type="Object">(Optional) Connection options overriding the test defaults</param>  
+/// <returns type="Object">{metrics, conn, clock, memory, server}, server is {sockets, received, send(msg)}</returns>  
+
+    let clock = new ChallengeVirtualClock(1000000);
+    let memory = new ChallengeMemoryTransport();
+    let server = {sockets: [], received: []};
+
+    server.send = msg => server.sockets[server.sockets.length - 1].write(JSON.stringify(msg));
+
+    memory.on('connection', info => {
+        server.sockets.push(info.socket);
+        info.socket.on('data', buffer => {
+            let msg = JSON.parse(String(buffer));
+            server.received.push(msg);
+            if (msg.name != null) {
+                info.socket.write(JSON.stringify({type: 'welcome', msg: `Welcome ${msg.name}`}));
+            }
+        });
+    });
+
+    let conn = new ChallengeConnection(3001, '10.0.0.1', Object.assign({
+        log: log,
+        transport: (port, ip) => memory.connect(port, ip),
+        clock: clock,
+        reconnect: {jitter: 0}
+    }, options));
+    let metrics = new ChallengeMetrics(conn);
+    t.after(() => Promise.all([conn.logout(), metrics.close()]));
+
+    return {metrics: metrics, conn: conn, clock: clock, memory: memory, server: server};
+
+}
+
+function samples(text) {
+/* 
+* Picks the sample lines out of rendered metrics, leaving out the HELP and TYPE comments.
+*/
+/// <summary>Get the sample lines of rendered metrics</summary>  
+/// <param name="text" type="String">The rendered metrics</param>  
+/// <returns type="Object">Sample values keyed by name and labels</returns>  
+
+    let values = {};
+
+    text.split('\n').filter(line => line.length > 0 && line[0] !== '#').forEach(line => {
+        let split = line.lastIndexOf(' ');
+        values[line.slice(0, split)] = Number(line.slice(split + 1));
+    });
+
+    return values;
+
+}
+
+function get(port, urlPath) {
+/* 
+* Makes an http GET request to the metrics server.
+*/
+/// <summary>Get a path from the metrics server</summary>  
+/// <param name="port" type="Number">The metrics server port</param>  
+/// <param name="urlPath" type="String">The path to get</param>  
+/// <returns type="Object" value="Promise">{status, type, body}</returns>  
+
+    return new Promise((resolve, reject) => {
+        http.get({host: '127.0.0.1', port: port, path: urlPath, agent: false}, res => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                body += chunk;
+            });
+            res.on('end', () => resolve({status: res.statusCode, type: res.headers['content-type'], body: body}));
+        }).on('error', reject);
+    });
+
+}
+
+test.describe('metrics', () => {
+
+    test.it('renders every metric with its help and type, counters starting at zero', t => {
+        let env = setup(t);
+        let text = env.metrics.render();
+        assert.match(text, /^# HELP challenge_requests_total Requests by type and outcome\n# TYPE challenge_requests_total counter\n/);
+        assert.match(text, /# TYPE challenge_request_latency_seconds histogram\n/);
+        assert.match(text, /# TYPE challenge_logged_in gauge\n/);
+        let values = samples(text);
+        assert.strictEqual(values['challenge_resets_total'], 0);
+        assert.strictEqual(values['challenge_reconnect_attempts_total'], 0);
+        assert.strictEqual(values['challenge_logged_in'], 0);
+        assert.strictEqual(values['challenge_pending_requests'], 0);
+        assert.strictEqual(text.slice(-1), '\n');
+    });
+
+    test.it('counts requests by outcome and puts their latencies in cumulative buckets', t => {
+        let env = setup(t);
+        let login = env.conn.login();
+        let request = null;
+        return env.clock.advance(0).then(() => login).then(() => {
+            request = env.conn.request('count');
+            return env.clock.advance(0);
+        }).then(() => {
+            assert.strictEqual(samples(env.metrics.render())['challenge_pending_requests'], 1);
+            return env.clock.advance(30);
+        }).then(() => {
+            env.server.send({type: 'msg', msg: {reply: env.server.received[1].id, count: 1}});
+            return env.clock.advance(0);
+        }).then(() => request).then(() => {
+            let values = samples(env.metrics.render());
+            assert.strictEqual(values['challenge_requests_total{type="count",outcome="ok"}'], 1);
+            assert.strictEqual(values['challenge_request_latency_seconds_bucket{type="count",le="0.025"}'], 0);
+            assert.strictEqual(values['challenge_request_latency_seconds_bucket{type="count",le="0.05"}'], 1);
+            assert.strictEqual(values['challenge_request_latency_seconds_bucket{type="count",le="5"}'], 1);
+            assert.strictEqual(values['challenge_request_latency_seconds_bucket{type="count",le="+Inf"}'], 1);
+            assert.strictEqual(values['challenge_request_latency_seconds_sum{type="count"}'], 0.03);
+            assert.strictEqual(values['challenge_request_latency_seconds_count{type="count"}'], 1);
+            assert.strictEqual(values['challenge_logged_in'], 1);
+            assert.strictEqual(values['challenge_pending_requests'], 0);
+        });
+    });
+
+    test.it('counts the reconnect attempts the reconnect policy makes before it gives up', t => {
+        let env = setup(t, {reconnect: {jitter: 0, maxAttempts: 2}});
+        let login = env.conn.login();
+        return env.clock.advance(0).then(() => login).then(() => {
+            // nothing answers the reconnects, and the first login isn't counted as one
+            env.memory.removeAllListeners('connection');
+            assert.strictEqual(samples(env.metrics.render())['challenge_reconnect_attempts_total'], 0);
+            // the heartbeat window runs out, then the attempts wait 500 and 1000 ms
+            return env.clock.advance(2000 + 500 + 1000);
+        }).then(() => {
+            let values = samples(env.metrics.render());
+            assert.strictEqual(values['challenge_heartbeats_missed_total'], 1);
+            assert.strictEqual(values['challenge_resets_total'], 1);
+            assert.strictEqual(values['challenge_reconnect_attempts_total'], 2);
+            assert.strictEqual(values['challenge_reconnect_gave_up_total'], 1);
+            assert.strictEqual(values['challenge_logged_in'], 0);
+        });
+    });
+
+    test.it('serves the metrics text on the metrics path only', t => {
+        let env = setup(t);
+        let port = null;
+        return env.metrics.listen(0).then(address => {
+            port = address.port;
+            return get(port, '/metrics');
+        }).then(res => {
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(res.type, 'text/plain; version=0.0.4; charset=utf-8');
+            assert.strictEqual(res.body, env.metrics.render());
+            return get(port, '/');
+        }).then(res => {
+            assert.strictEqual(res.status, 404);
+        });
+    });
+
+});
\ No newline at end of file
@@ -0,0 +1,73 @@
+'use strict';
+/* 
+* Tests for the ChallengeReconnect class. Math.random is swapped out where the jitter matters, so the delays at
+* either end of the jitter range can be checked exactly.
+*/
+
+/* Module imports */
+const test = require('node:test');
+const assert = require('node:assert');
+const ChallengeReconnect = require('../challengereconnect.js');
+/**********************************************************************/
+
+function delays(policy, count) {
+/* 
+* Gets the delays a reconnect policy gives for a number of attempts in a row.
+*/
+/// <summary>Get a run of reconnect delays</summary>  
+/// <param name="policy" type="Object">ChallengeReconnect instance</param>  
+/// <param name="count" type="Number">Number of attempts</param>  
+/// <returns type="Array">The delays, null once the policy has given up</returns>  
+
+    let list = [];
+
+    for (var i = 0; i < count; i++) {
+        list.push(policy.nextDelay());
+    }
+
+    return list;
+
+}
+
+test.describe('reconnect policy', () => {
+
+    test.it('grows the delay by the multiplier up to the max delay', () => {
+        let policy = new ChallengeReconnect({initialDelay: 500, multiplier: 2, maxDelay: 5000, jitter: 0, maxAttempts: 6});
+        assert.deepStrictEqual(delays(policy, 6), [500, 1000, 2000, 4000, 5000, 5000]);
+        assert.strictEqual(policy.attempts, 6);
+    });
+
+    test.it('gives up once the max attempts have been made, until it is reset', () => {
+        let policy = new ChallengeReconnect({initialDelay: 100, jitter: 0, maxAttempts: 2});
+        assert.deepStrictEqual(delays(policy, 3), [100, 200, null]);
+        assert.strictEqual(policy.attempts, 2);
+        policy.reset();
+        assert.deepStrictEqual(delays(policy, 1), [100]);
+    });
+
+    test.it('gives up straight away with no attempts allowed, and never with Infinity', () => {
+        assert.strictEqual(new ChallengeReconnect({maxAttempts: 0}).nextDelay(), null);
+        let policy = new ChallengeReconnect({initialDelay: 1, maxDelay: 1, jitter: 0, maxAttempts: Infinity});
+        assert.ok(delays(policy, 1000).every(delay => delay === 1));
+    });
+
+    test.it('keeps the jitter within its fraction of the delay and under the max delay', t => {
+        let policy = new ChallengeReconnect({initialDelay: 1000, multiplier: 2, maxDelay: 3000, jitter: 0.2, maxAttempts: 10});
+        // the lowest random number takes the whole jitter off the delay
+        t.mock.method(Math, 'random', () => 0);
+        assert.deepStrictEqual(delays(policy, 3), [800, 1600, 2400]);
+        // and the highest adds it on, but never past the max delay
+        policy.reset();
+        Math.random.mock.mockImplementation(() => 0.9999999);
+        assert.deepStrictEqual(delays(policy, 3), [1200, 2400, 3000]);
+    });
+
+    test.it('rejects policies which cannot be used', () => {
+        assert.throws(() => new ChallengeReconnect({initialDelay: -1}), /initialDelay must be/);
+        assert.throws(() => new ChallengeReconnect({multiplier: 0.5}), /multiplier must be/);
+        assert.throws(() => new ChallengeReconnect({initialDelay: 1000, maxDelay: 500}), /maxDelay must be/);
+        assert.throws(() => new ChallengeReconnect({jitter: 1.5}), /jitter must be/);
+        assert.throws(() => new ChallengeReconnect({maxAttempts: -1}), /maxAttempts must be/);
+    });
+
+});
\ No newline at end of file
@@ -0,0 +1,218 @@
+'use strict';
+/* 
+* Tests for the ChallengeCapture and ChallengeReplay classes. A session is captured from a real ChallengeConnection
+* talking to an in-process ChallengeMock server, parsed back and played by a ChallengeReplay server to a fresh
+* connection, all on loopback. Session files are written to the temp directory and removed afterwards.
+*/
+
+/* Module imports */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChallengeCapture = require('../challengecapture.js');
+const ChallengeReplay = require('../challengereplay.js');
+const ChallengeConnection = require('../challengeconnection.js');
+const ChallengeMock = require('../challengemock.js');
+const ChallengeLog = require('../challengelog.js');
+/**********************************************************************/
+
+// nothing is logged, so no log file is ever opened
+const log = new ChallengeLog(null, {discard: true});
+
+// a hand written session: the login is welcomed and a count request answered, with a line cut off at the end
+const sessionText = [
+    '{"time":5000,"conn":1,"event":"connect","ip":"10.0.0.1","port":3001}',
+    '{"time":5001,"conn":1,"event":"out","data":"{\\"name\\":\\"coder1\\"}"}',
+    '{"time":5003.5,"conn":1,"event":"in","data":"{\\"type\\":\\"welcome\\",\\"msg\\":\\"Welcome coder1\\"}\\n"}',
+    '{"time":5010,"conn":1,"event":"out","data":"{\\"request\\":\\"count\\",\\"id\\":\\"old-1\\"}"}',
+    '{"time":5012,"conn":1,"event":"in","data":"{\\"type\\":\\"msg\\",\\"msg\\":{\\"reply\\":\\"old-1\\",\\"count\\":7}}\\n"}',
+    '{"time":5020,"conn":1,"event":"in","base64":"/w=="}',
+    '{"time":5030,"conn":1,"event":"close","by":"server","hadError":false}',
+    '{"time":5040,"conn":2,"event":"connect","ip":"10.0.0.1","port":3001}',
+    '{"time":5041,"conn":2,"event":"out","data":"{\\"name\\":\\"coder1\\"}"}',
+    '{"time":5042,"conn":2,"event":"clo'
+].join('\n');
+
+function tmpFile(t, name) {
+/* 
+* Gets a session file path in the temp directory, and makes sure the file is removed when the test ends.
+*/
+/// <summary>Get a temporary session file path</summary>  
+/// <param name="t" type="Object">The test context</param>  
+/// <param name="name" type="String">Name the file path is made from</param>  
+/// <returns type="String">Path of the session file</returns>  
+
+    let file = path.join(os.tmpdir(), `challengereplay-test-${process.pid}-${name}.session`);
+    t.after(() => fs.rmSync(file, {force: true}));
+
+    return file;
+
+}
+
+function startReplay(t, sockets, options) {
+/* 
+* Starts a replay server for a test and makes sure it is closed when the test ends.
+*/
+/// <summary>Start a replay server</summary>  
+/// <param name="t" type="Object">The test context</param>  
+/// <param name="sockets" type="Array">The captured sockets to play</param>  
+/// <param name="options" type="Object">(Optional) Replay options</param>  
+/// <returns type="Object" value="Promise">{replay, port}</returns>  
+
+    let replay = new ChallengeReplay(sockets, options);
+    t.after(() => replay.close());
+
+    return replay.listen(0).then(address => ({replay: replay, port: address.port}));
+
+}
+
+function connect(t, port, options) {
+/* 
+* Creates a connection for a test with short timeouts, and makes sure it is logged out when the test ends.
+*/
+/// <summary>Create a connection</summary>  
+/// <param name="t" type="Object">The test context</param>  
+/// <param name="port" type="Number">Server port</param>  
+/// <param name="options" type="Object">(Optional) Connection options overriding the test defaults</param>  
+/// <returns type="Object">ChallengeConnection instance</returns>  
+
+    let conn = new ChallengeConnection(port, '127.0.0.1', Object.assign({
+        log: log,
+        loginTimeout: 500,
+        heartbeatTimeout: 1000,
+        requestTimeout: 500,
+        reconnect: {maxAttempts: 0}
+    }, options));
+    t.after(() => conn.logout());
+
+    return conn;
+
+}
+
+function nextEvent(emitter, name) {
+/* 
+* Waits for the next time an emitter emits an event.
+*/
+/// <summary>Wait for an event</summary>  
+/// <param name="emitter" type="Object">The EventEmitter</param>  
+/// <param name="name" type="String">Event name</param>  
+/// <returns type="Object" value="Promise">The event info</returns>  
+
+    return new Promise(resolve => emitter.once(name, resolve));
+
+}
+
+test.describe('session capture', () => {
+
+    test.it('parses a session file into its sockets, with times from when each was opened', () => {
+        let sockets = new ChallengeCapture(null).parse(sessionText);
+        assert.deepStrictEqual(sockets.map(socket => [socket.conn, socket.ip, socket.port, socket.start]), [
+            [1, '10.0.0.1', 3001, 5000],
+            [2, '10.0.0.1', 3001, 5040]
+        ]);
+        assert.deepStrictEqual(sockets[0].records.map(rec => [rec.time, rec.event]), [
+            [0, 'connect'], [1, 'out'], [3.5, 'in'], [10, 'out'], [12, 'in'], [20, 'in'], [30, 'close']
+        ]);
+        assert.strictEqual(String(sockets[0].records[3].data), '{"request":"count","id":"old-1"}');
+        // a chunk which wasn't valid UTF-8 comes back byte for byte, and the cut off line is skipped
+        assert.deepStrictEqual([...sockets[0].records[5].data], [0xff]);
+        assert.strictEqual(sockets[0].records[6].by, 'server');
+        assert.strictEqual(sockets[1].records.length, 2);
+    });
+
+    test.it('records every chunk on a live connection to the session file', t => {
+        let file = tmpFile(t, 'live');
+        let capture = new ChallengeCapture(file);
+        let mock = new ChallengeMock({heartbeatInterval: 50});
+        t.after(() => mock.close());
+        return mock.listen(0).then(address => {
+            let conn = connect(t, address.port, {capture: capture});
+            return conn.login().then(() => conn.getRequestCount()).then(() => conn.logout());
+        }).then(() => {
+            // the socket reports it has closed just after the logout
+            return new Promise(resolve => setTimeout(resolve, 50));
+        }).then(() => capture.close()).then(() => {
+            let sockets = capture.parse(fs.readFileSync(file, 'utf8'));
+            let records = sockets[0].records;
+            assert.strictEqual(sockets.length, 1);
+            assert.strictEqual(sockets[0].ip, '127.0.0.1');
+            assert.deepStrictEqual(records.filter(rec => rec.event === 'out').map(rec => JSON.parse(String(rec.data)).request), [undefined, 'count']);
+            assert.ok(records.some(rec => rec.event === 'in' && String(rec.data).indexOf('"count"') !== -1));
+            assert.deepStrictEqual(records[records.length - 1], {time: records[records.length - 1].time, event: 'close', by: 'client'});
+        });
+    });
+
+});
+
+test.describe('session replay', () => {
+
+    test.it('plays a captured session to a new connection, waiting for its request and rewriting the reply id', t => {
+        let file = tmpFile(t, 'replay');
+        let capture = new ChallengeCapture(file);
+        let mock = new ChallengeMock({heartbeatInterval: 50});
+        let captured = null;
+        t.after(() => mock.close());
+        return mock.listen(0).then(address => {
+            let conn = connect(t, address.port, {capture: capture});
+            return conn.login().then(() => conn.getRequestCount()).then(response => {
+                captured = response.count;
+                return conn.logout();
+            });
+        }).then(() => capture.close()).then(() => {
+            return startReplay(t, capture.parse(fs.readFileSync(file, 'utf8')));
+        }).then(server => {
+            let conn = connect(t, server.port);
+            let waiting = nextEvent(server.replay, 'waiting');
+            return conn.login().then(() => waiting).then(info => {
+                // the reply can't be played until the new connection sends a request to pair it with
+                assert.strictEqual(info.conn, 1);
+                assert.strictEqual(info.ids.length, 1);
+                assert.strictEqual(server.replay.remaining, 0);
+                return conn.getRequestCount();
+            }).then(response => {
+                assert.strictEqual(response.count, captured);
+            });
+        });
+    });
+
+    test.it('plays the captured ids as they are when they are not to be rewritten', t => {
+        let sockets = new ChallengeCapture(null).parse(sessionText);
+        return startReplay(t, sockets, {rewriteIds: false}).then(server => {
+            let conn = connect(t, server.port);
+            let waited = false;
+            server.replay.on('waiting', () => {
+                waited = true;
+            });
+            // the reply goes out with the captured id, which is no id the new connection ever sent
+            return conn.login().then(() => assert.rejects(conn.request('count', null, {timeout: 200}), err => /timeout/i.test(err.err))).then(() => {
+                assert.strictEqual(waited, false);
+            });
+        });
+    });
+
+    test.it('closes the socket where the server closed it and drops a client with nothing left to play', t => {
+        let sockets = new ChallengeCapture(null).parse(sessionText).slice(0, 1);
+        return startReplay(t, sockets, {speed: 2}).then(server => {
+            let conn = connect(t, server.port, {heartbeatTimeout: 200, reconnect: {initialDelay: 20, jitter: 0, maxAttempts: 1}});
+            let reset = nextEvent(conn, 'resetStarted');
+            let dropped = nextEvent(server.replay, 'clientClosed');
+            let finished = nextEvent(server.replay, 'finished');
+            return conn.login().then(() => conn.getRequestCount()).then(response => {
+                assert.strictEqual(response.count, 7);
+                return finished;
+            }).then(info => {
+                assert.strictEqual(info.conn, 1);
+                return Promise.all([reset, dropped]);
+            }).then(results => {
+                assert.deepStrictEqual(results[1], {conn: 1});
+                return nextEvent(server.replay, 'clientClosed');
+            }).then(info => {
+                // the reconnect after the reset finds every captured socket already played
+                assert.deepStrictEqual(info, {conn: null});
+            });
+        });
+    });
+
+});
\ No newline at end of file
@@ -0,0 +1,148 @@
+'use strict';
+/* 
+* Tests for connecting to the server over TLS with the ChallengeTls transport, against an in-process ChallengeMock
+* server listening over TLS on loopback with self-signed ChallengeCert certificates.
+*/
+
+/* Module imports */
+const test = require('node:test');
+const assert = require('node:assert');
+const ChallengeConnection = require('../challengeconnection.js');
+const ChallengeMock = require('../challengemock.js');
+const ChallengeCert = require('../challengecert.js');
+const ChallengeTls = require('../challengetls.js');
+const ChallengeLog = require('../challengelog.js');
+/**********************************************************************/
+
+// nothing is logged, so no log file is ever opened
+const log = new ChallengeLog(null, {discard: true});
+
+// generating certificates takes a moment, so the same ones are used throughout
+const serverCert = new ChallengeCert();
+const clientCert = new ChallengeCert(['coder1']);
+
+function startMock(t, tls) {
+/* 
+* Starts a mock server listening over TLS for a test and makes sure it is closed when the test ends.
+*/
+/// <summary>Start a TLS mock server</summary>  
+/// <param name="t" type="Object">The test context</param>  
+/// <param name="tls" type="Object">(Optional) TLS settings overriding the server certificate</param>  
+/// <returns type="Object" value="Promise">{mock, port}</returns>  
+
+    let mock = new ChallengeMock({heartbeatInterval: 50}, {tls: Object.assign({key: serverCert.key, cert: serverCert.cert}, tls)});
+    t.after(() => mock.close());
+
+    return mock.listen(0).then(address => ({mock: mock, port: address.port}));
+
+}
+
+function connect(t, port, tls) {
+/* 
+* Creates a connection over TLS to a mock server for a test, and makes sure it is logged out when the test ends.
+*/
+/// <summary>Create a TLS connection</summary>  
+/// <param name="t" type="Object">The test context</param>  
+/// <param name="port" type="Number">Mock server port</param>  
+/// <param name="tls" type="Object">TLS settings for the connection</param>  
+/// <returns type="Object">ChallengeConnection instance</returns>  
+
+    let conn = new ChallengeConnection(port, '127.0.0.1', {log: log, loginTimeout: 1000, tls: tls});
+    t.after(() => conn.logout());
+
+    return conn;
+
+}
+
+function rejectsWith(promise, code, pattern) {
+/* 
+* Checks a login fails with the login error code and a message matching the pattern.
+*/
+/// <summary>Check a login fails</summary>  
+/// <param name="promise" type="Object" value="Promise">The login</param>  
+/// <param name="code" type="String">Expected login error code</param>  
+/// <param name="pattern" type="Object">RegExp the error message must match</param>  
+/// <returns type="Object" value="Promise">Resolves once checked</returns>  
+
+    return assert.rejects(promise, err => {
+        assert.strictEqual(err.code, code);
+        assert.match(err.message, pattern);
+        return true;
+    });
+
+}
+
+test.describe('server verification', () => {
+
+    test.it('logs in and makes requests over TLS when the server is verified', t => {
+        return startMock(t).then(server => {
+            let conn = connect(t, server.port, {ca: serverCert.cert});
+            return conn.login().then(() => conn.request('count')).then(response => {
+                assert.deepStrictEqual(response, {count: 1});
+            });
+        });
+    });
+
+    test.it('fails the login with a verification error before sending anything to an unverified server', t => {
+        return startMock(t).then(server => {
+            let logins = 0;
+            server.mock.on('loggedIn', () => logins++);
+            let conn = connect(t, server.port, {});
+            return rejectsWith(conn.login(), 'verification', /verification failed \(DEPTH_ZERO_SELF_SIGNED_CERT\)/).then(() => {
+                assert.strictEqual(logins, 0);
+            });
+        });
+    });
+
+    test.it('checks the certificate against the servername when one is given', t => {
+        return startMock(t).then(server => {
+            let conn = connect(t, server.port, {ca: serverCert.cert, servername: 'localhost'});
+            return conn.login().then(() => conn.logout()).then(() => {
+                let other = connect(t, server.port, {ca: serverCert.cert, servername: 'challenge.example.com'});
+                return rejectsWith(other.login(), 'verification', /ERR_TLS_CERT_ALTNAME_INVALID/);
+            });
+        });
+    });
+
+    test.it('accepts a server matching the pinned fingerprint and rejects any other', t => {
+        return startMock(t).then(server => {
+            let conn = connect(t, server.port, {ca: serverCert.cert, fingerprint: serverCert.fingerprint.toLowerCase()});
+            return conn.login().then(() => conn.logout()).then(() => {
+                let other = connect(t, server.port, {ca: serverCert.cert, fingerprint: new ChallengeCert().fingerprint});
+                return rejectsWith(other.login(), 'verification', /ERR_TLS_CERT_PINNED/);
+            });
+        });
+    });
+
+});
+
+test.describe('mutual TLS', () => {
+
+    test.it('logs in with a client certificate the server trusts', t => {
+        return startMock(t, {ca: clientCert.cert}).then(server => {
+            let conn = connect(t, server.port, {ca: serverCert.cert, cert: clientCert.cert, key: clientCert.key});
+            return conn.login().then(response => {
+                assert.strictEqual(response.results.loggedIn, true);
+            });
+        });
+    });
+
+    test.it('fails the login without a client certificate', t => {
+        return startMock(t, {ca: clientCert.cert}).then(server => {
+            let conn = connect(t, server.port, {ca: serverCert.cert});
+            return assert.rejects(conn.login(), err => ['connection', 'timeout'].indexOf(err.code) !== -1);
+        });
+    });
+
+});
+
+test.describe('settings', () => {
+
+    test.it('rejects settings which cannot be used', () => {
+        assert.throws(() => new ChallengeTls({cert: clientCert.cert}), /certificate and key must be given together/);
+        assert.throws(() => new ChallengeTls({fingerprint: 'AB:CD'}), /64 hex digits/);
+        assert.throws(() => new ChallengeTls({ca: 'not a certificate'}), /CA bundle could not be used/);
+        assert.throws(() => new ChallengeTls({cert: clientCert.cert, key: serverCert.key}), /could not be used/);
+    });
+
+});
\ No newline at end of file
@@ -0,0 +1,217 @@
+'use strict';
+/* 
+* Tests for the ChallengeUI class, driven through a fake input stream with the output collected from a fake
+* output stream, so command parsing can be checked without a console.
+*/
+
+/* Module imports */
+const test = require('node:test');
+const assert = require('node:assert');
+const PassThrough = require('stream').PassThrough;
+const ChallengeUI = require('../challengeui.js');
+const ChallengeCommands = require('../challengecommands.js');
+/**********************************************************************/
+
+function createUI(t) {
+/* 
+* Creates a ui reading from a fake input stream for a test. Every command the ui passes to the app is
+* collected, and the ui asks for the next command straight away as the main app would once it is done.
+*/
+/// <summary>Create a ui on fake streams</summary>  
+/// <param name="t" type="Object">The test context</param>  
+/// <returns type="Object">{ui, input, cmds, closed, output()}</returns>  
+
+    let input = new PassThrough();
+    let output = new PassThrough();
+    let text = '';
+    let fake = {ui: null, input: input, cmds: [], closed: 0, output: () => text};
+
+    output.on('data', chunk => {
+        text += chunk;
+    });
+
+    fake.ui = new ChallengeUI(cmd => {
+        fake.cmds.push(cmd);
+        fake.ui.nextCmd();
+    }, () => {
+        fake.closed++;
+    }, {input: input, output: output});
+    t.after(() => fake.ui.close());
+
+    return fake;
+
+}
+
+function enter(fake, lines) {
+/* 
+* Types lines into a fake ui and waits for them to be handled.
+*/
+/// <summary>Enter lines into the ui</summary>  
+/// <param name="fake" type="Object">The fake ui</param>  
+/// <param name="lines" type="Array">The lines to enter</param>  
+/// <returns type="Object" value="Promise">Resolves once the lines have been read</returns>  
+
+    lines.forEach(line => fake.input.write(line + '\n'));
+
+    return new Promise(resolve => setImmediate(resolve));
+
+}
+
+function grammar() {
+/* 
+* Creates a small command grammar with a command argument and a rest argument to check the grammar itself with.
+*/
+/// <summary>Create a test command grammar</summary>  
+/// <returns type="Object">ChallengeCommands instance</returns>  
+
+    let commands = new ChallengeCommands();
+
+    commands.define({id: 0, name: 'count', aliases: ['c']});
+    commands.define({id: 1, name: 'help', args: [{name: 'command', type: 'command', optional: true}]});
+    commands.define({id: 2, name: 'say', args: [{name: 'times', type: 'integer'}, {name: 'text', type: 'rest'}]});
+
+    return commands;
+
+}
+
+test.describe('command parsing', () => {
+
+    test.it('passes commands and their aliases to the app by id', t => {
+        let fake = createUI(t);
+        return enter(fake, ['count', 't', 'exit', 'st']).then(() => {
+            assert.deepStrictEqual(fake.cmds.map(cmd => cmd.type),
+                [fake.ui.CMD_COUNT, fake.ui.CMD_TIME, fake.ui.CMD_QUIT, fake.ui.CMD_STATUS]);
+        });
+    });
+
+    test.it('converts command arguments to their types', t => {
+        let fake = createUI(t);
+        return enter(fake, ['watch time 2.5', 'kill 3', 'help c']).then(() => {
+            assert.deepStrictEqual(fake.cmds[0], {type: fake.ui.CMD_WATCH, command: 'time', interval: 2.5});
+            assert.deepStrictEqual(fake.cmds[1], {type: fake.ui.CMD_KILL, job: 3});
+            assert.deepStrictEqual(fake.cmds[2], {type: fake.ui.CMD_HELP, command: 'count'});
+        });
+    });
+
+    test.it('marks commands ending with & to run in the background', t => {
+        let fake = createUI(t);
+        return enter(fake, ['count &', 'time&']).then(() => {
+            assert.strictEqual(fake.cmds[0].background, true);
+            assert.strictEqual(fake.cmds[1].background, true);
+        });
+    });
+
+    test.it('reports bad command lines without passing them on', t => {
+        let fake = createUI(t);
+        return enter(fake, ['bogus', 'kill', 'kill two', 'count extra', '   ']).then(() => {
+            assert.strictEqual(fake.cmds.length, 0);
+            let output = fake.output();
+            assert.match(output, /Command "bogus" not recognized/);
+            assert.match(output, /Command "kill" is missing argument "job"/);
+            assert.match(output, /Argument "job" of command "kill" must be a integer, not "two"/);
+            assert.match(output, /Command "count" does not take argument "extra"/);
+        });
+    });
+
+    test.it('tells the app when the input is closed', t => {
+        let fake = createUI(t);
+        fake.input.end();
+        return new Promise(resolve => setImmediate(resolve)).then(() => {
+            assert.strictEqual(fake.closed, 1);
+        });
+    });
+
+});
+
+test.describe('command grammar', () => {
+
+    test.it('completes command names and aliases, and command arguments to command names', () => {
+        let commands = grammar();
+        assert.deepStrictEqual(commands.complete('c'), [['count', 'c'], 'c']);
+        assert.deepStrictEqual(commands.complete('help co'), [['count'], 'co']);
+        assert.deepStrictEqual(commands.complete('help '), [['count', 'help', 'say'], '']);
+    });
+
+    test.it('completes nothing for free text arguments', () => {
+        let commands = grammar();
+        assert.deepStrictEqual(commands.complete('say 2 co'), [[], 'co']);
+        assert.deepStrictEqual(commands.complete('say 2 hello co'), [[], 'co']);
+        assert.deepStrictEqual(commands.complete('count co'), [[], 'co']);
+    });
+
+    test.it('parses typed and rest arguments, and describes lines which do not parse', () => {
+        let commands = grammar();
+        assert.deepStrictEqual(commands.parse('say 2 hello  there'), {cmd: {type: 2, times: 2, text: 'hello there'}});
+        assert.deepStrictEqual(commands.parse('help c'), {cmd: {type: 1, command: 'count'}});
+        assert.strictEqual(commands.parse('say two hello').error, 'badtype');
+        assert.strictEqual(commands.parse('say 2').error, 'missing');
+        assert.deepStrictEqual(commands.parse('cnt'), {error: 'unknown', word: 'cnt'});
+        assert.strictEqual(commands.usage(commands.find('say')), 'say <times> <text...>');
+    });
+
+    test.it('rejects definitions which would make the grammar ambiguous or unusable', () => {
+        let commands = grammar();
+        assert.throws(() => commands.define({id: 3, name: 'c'}), /already defined: c/);
+        assert.throws(() => commands.define({id: 3, name: 'x', args: [{name: 'a', type: 'rest'}, {name: 'b', type: 'string'}]}), /must be the last argument/);
+        assert.throws(() => commands.define({id: 3, name: 'y', args: [{name: 'a', type: 'float'}]}), /invalid type: float/);
+    });
+
+});
+
+test.describe('output', () => {
+
+    test.it('shows the help for a command', t => {
+        let fake = createUI(t);
+        fake.ui.showHelp('watch');
+        let output = fake.output();
+        assert.match(output, /Usage: watch <command> <interval>/);
+        assert.match(output, /Aliases: w/);
+    });
+
+    test.it('shows the connection status', t => {
+        let fake = createUI(t);
+        fake.ui.showStatus({
+            ip: '127.0.0.1', port: 3001, loginName: 'coder1', state: 'connected', uptime: 65000,
+            sinceHeartbeat: 250, heartbeatWindow: 2000, resets: 1, reconnectAttempts: 0,
+            heartbeatHistogram: [{from: 0, to: 500, count: 3}], pending: [], held: 0,
+            unrecognized: {invalidJson: 2}
+        });
+        let output = fake.output();
+        assert.match(output, /Server 127\.0\.0\.1:3001, login coder1, state connected/);
+        assert.match(output, /resets 1/);
+        assert.doesNotMatch(output, /Endpoints/);
+    });
+
+    test.it('shows the endpoints with the one in use marked when there are several', t => {
+        let fake = createUI(t);
+        fake.ui.showStatus({
+            ip: '10.0.0.2', port: 3001, loginName: 'coder1', state: 'connected', uptime: 1000,
+            sinceHeartbeat: 250, heartbeatWindow: 2000, resets: 1, reconnectAttempts: 0,
+            heartbeatHistogram: [], pending: [], held: 0, unrecognized: {},
+            endpoints: [
+                {ip: '10.0.0.1', port: 3001, healthy: false, failures: 0, cooldown: 25000},
+                {ip: '10.0.0.2', port: 3001, healthy: true, failures: 0, cooldown: null}
+            ]
+        });
+        let output = fake.output();
+        assert.match(output, /Endpoints \(2\):/);
+        assert.match(output, / 10\.0\.0\.1:3001  unhealthy for .*25/);
+        assert.match(output, /\*10\.0\.0\.2:3001  healthy  failures: 0/);
+    });
+
+    test.it('holds the command prompt back while the retry question waits for its answer', t => {
+        let fake = createUI(t);
+        fake.ui.nextCmd();
+        let asked = fake.ui.showRetryMsg();
+        // a command finishing now doesn't bring the command prompt back over the question
+        let before = fake.output().length;
+        fake.ui.nextCmd();
+        assert.strictEqual(fake.output().length, before);
+        return enter(fake, ['y']).then(() => asked).then(retry => {
+            assert.strictEqual(retry, true);
+            // the answer is not taken for a command
+            assert.deepStrictEqual(fake.cmds, []);
+        });
+    });
+
+});
\ No newline at end of file
@@ -0,0 +1,209 @@
+'use strict';
+/* 
+* Tests for the main app flow. The app is run as a child process against an in-process ChallengeMock server on
+* loopback, in batch mode and with the ui reading from its piped stdin, and its output and exit code are checked.
+*/
+
+/* Module imports */
+const test = require('node:test');
+const assert = require('node:assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChallengeMock = require('../challengemock.js');
+/**********************************************************************/
+
+const appFile = path.join(__dirname, '..', 'socketclientchallenge.js');
+const logFile = path.join(os.tmpdir(), `socketclientchallenge-test-${process.pid}.log`);
+
+function startMock(t, scenario) {
+/* 
+* Starts a mock server for a test and makes sure it is closed when the test ends.
+*/
+/// <summary>Start a mock server</summary>  
+/// <param name="t" type="Object">The test context</param>  
+/// <param name="scenario" type="Object">(Optional) Scenario for the mock server</param>  
+/// <returns type="Object" value="Promise">{mock, port}</returns>  
+
+    let mock = new ChallengeMock(Object.assign({heartbeatInterval: 50}, scenario));
+    t.after(() => mock.close());
+
+    return mock.listen(0).then(address => ({mock: mock, port: address.port}));
+
+}
+
+function runApp(t, port, args) {
+/* 
+* Starts the app against a mock server with short timeouts, and makes sure it has ended when the test ends.
+*/
+/// <summary>Start the app</summary>  
+/// <param name="t" type="Object">The test context</param>  
+/// <param name="port" type="Number">Mock server port</param>  
+/// <param name="args" type="Array">Extra command line arguments</param>  
+/// <returns type="Object">{child, output(), exited}, where exited is a Promise of the exit code</returns>  
+
+    let child = childProcess.spawn(process.execPath, [appFile, '--host', '127.0.0.1', '--port', String(port),
+        '--log-file', logFile, '--login-timeout', '500', '--heartbeat-timeout', '300',
+        '--reconnect-initial-delay', '20', '--reconnect-jitter', '0'].concat(args), {stdio: 'pipe'});
+    let text = '';
+    let run = {child: child, output: () => text, exited: null};
+
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', chunk => {
+        text += chunk;
+    });
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', chunk => {
+        text += chunk;
+    });
+    run.exited = new Promise(resolve => child.on('exit', code => resolve(code)));
+    t.after(() => {
+        if (child.exitCode === null) {
+            child.kill();
+        }
+    });
+
+    return run;
+
+}
+
+function outputShows(run, pattern) {
+/* 
+* Waits for the app output to show some text.
+*/
+/// <summary>Wait for app output</summary>  
+/// <param name="run" type="Object">The running app</param>  
+/// <param name="pattern" type="Object">RegExp the output must match</param>  
+/// <returns type="Object" value="Promise">Resolves once the output matches</returns>  
+
+    return new Promise(resolve => {
+        let check = () => {
+            if (pattern.test(run.output())) {
+                run.child.stdout.removeListener('data', check);
+                resolve();
+            }
+        };
+        run.child.stdout.on('data', check);
+        check();
+    });
+
+}
+
+test.describe('batch mode', () => {
+
+    test.it('runs the commands and prints a result line for each', t => {
+        return startMock(t).then(server => {
+            let run = runApp(t, server.port, ['-c', 'count;time']);
+            return run.exited.then(code => {
+                assert.strictEqual(code, 0);
+                let results = run.output().trim().split('\n').map(line => JSON.parse(line));
+                assert.deepStrictEqual(results[0], {seq: 1, command: 'count', ok: true, result: {count: 1}});
+                assert.strictEqual(results[1].command, 'time');
+                assert.strictEqual(results[1].ok, true);
+            });
+        });
+    });
+
+    test.it('takes the ui command aliases and reports commands which do not parse', t => {
+        return startMock(t).then(server => {
+            let run = runApp(t, server.port, ['-c', 'c; t; count 5; bogus; exit; count']);
+            return run.exited.then(code => {
+                assert.strictEqual(code, 1);
+                let results = run.output().trim().split('\n').map(line => JSON.parse(line));
+                assert.deepStrictEqual(results[0], {seq: 1, command: 'c', ok: true, result: {count: 1}});
+                assert.strictEqual(results[1].ok, true);
+                assert.deepStrictEqual(results[2], {seq: 3, command: 'count 5', ok: false, error: 'Command "count" does not take argument "5"'});
+                assert.deepStrictEqual(results[3], {seq: 4, command: 'bogus', ok: false, error: 'Command "bogus" not recognized'});
+                // the quit alias ends the batch before the last count
+                assert.deepStrictEqual(results.slice(4), [{seq: 5, command: 'exit', ok: true, result: null}]);
+            });
+        });
+    });
+
+    test.it('runs a retried command across a heartbeat reset', t => {
+        return startMock(t, {connections: [{dropouts: [{at: 0}], replies: [{drop: true}]}]}).then(server => {
+            let run = runApp(t, server.port, ['-c', 'count']);
+            return run.exited.then(code => {
+                assert.strictEqual(code, 0);
+                assert.strictEqual(JSON.parse(run.output().trim()).ok, true);
+            });
+        });
+    });
+
+    test.it('ends with the login failed exit code when the login is refused', t => {
+        return startMock(t, {login: 'refuse'}).then(server => {
+            let run = runApp(t, server.port, ['-c', 'count']);
+            return run.exited.then(code => {
+                assert.strictEqual(code, 2);
+            });
+        });
+    });
+
+    test.it('ends without starting when the configuration is bad', t => {
+        let run = runApp(t, 0, ['-c', 'count']);
+        return run.exited.then(code => {
+            assert.strictEqual(code, 1);
+            assert.match(run.output(), /Use --help to list the available options/);
+        });
+    });
+
+});
+
+test.describe('interactive mode', () => {
+
+    test.it('runs commands from the ui and cleans up on quit', t => {
+        return startMock(t).then(server => {
+            let run = runApp(t, server.port, ['--no-batch']);
+            let closed = new Promise(resolve => server.mock.once('clientClosed', resolve));
+            return outputShows(run, /Cmd\?/).then(() => {
+                run.child.stdin.write('count\n');
+                return outputShows(run, /Message Count: 1\b/);
+            }).then(() => {
+                run.child.stdin.write('quit\n');
+                return Promise.all([run.exited, closed]);
+            }).then(results => {
+                assert.strictEqual(results[0], 0);
+                assert.strictEqual(server.mock.clients, 0);
+            });
+        });
+    });
+
+    test.it('turns down a watch interval too long for a timer to wait', t => {
+        return startMock(t).then(server => {
+            let run = runApp(t, server.port, ['--no-batch']);
+            return outputShows(run, /Cmd\?/).then(() => {
+                run.child.stdin.write('watch count Infinity\n');
+                return outputShows(run, /Watch interval must be greater than 0 and at most 2147483\.647 seconds/);
+            }).then(() => {
+                run.child.stdin.write('watch count 3000000\njobs\n');
+                return outputShows(run, /No background jobs/);
+            }).then(() => {
+                assert.strictEqual(run.output().match(/Watch interval must be/g).length, 2);
+                run.child.stdin.write('quit\n');
+                return run.exited;
+            }).then(code => {
+                assert.strictEqual(code, 0);
+            });
+        });
+    });
+
+    test.it('logs out and ends when the input is closed', t => {
+        return startMock(t).then(server => {
+            let run = runApp(t, server.port, ['--no-batch']);
+            return outputShows(run, /Cmd\?/).then(() => {
+                run.child.stdin.end();
+                return run.exited;
+            }).then(code => {
+                assert.strictEqual(code, 0);
+            });
+        });
+    });
+
+});
+
+test.after(() => {
+    if (fs.existsSync(logFile)) {
+        fs.unlinkSync(logFile);
+    }
+});
\ No newline at end of file